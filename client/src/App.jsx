@@ -20,6 +20,8 @@ import MobileStockCard from './components/MobileStockCard';
 import OrderForm from './components/trading/OrderForm';
 import BalancePanel from './components/panels/BalancePanel';
 import OrdersPanel from './components/panels/OrdersPanel';
+import BasketPanel from './components/panels/BasketPanel';
+import RiskPanel from './components/panels/RiskPanel';
 import { ToastProvider, useToast } from './components/Toast';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import LoginPage from './components/auth/LoginPage';
@@ -33,6 +35,9 @@ import { useLiveMarketStore } from './hooks/useLiveMarketStore';
 import { useTrading } from './hooks/useTrading';
 import TopIndicesBar from './components/TopIndicesBar';
 import { POPULAR_STOCKS } from './constants/stockSymbols';
+import { formatINR } from './utils/formatters';
+import { describeCorporateActionEvent } from './utils/corporateActions';
+import { formatSessionDate } from './utils/contractNotes';
 
 // Build initial multi-watchlist data, migrating from old single-list format
 const INITIAL_WATCHLISTS = (() => {
@@ -59,7 +64,9 @@ const INFO_TABS = [
   { id: 'overview', label: 'Overview' },
   { id: 'fundamentals', label: 'Fundamentals' },
   { id: 'orders', label: 'Orders' },
+  { id: 'baskets', label: 'Baskets' },
   { id: 'balance', label: 'Balance' },
+  { id: 'risk', label: 'Risk' },
 ];
 
 /**
@@ -71,7 +78,7 @@ const INFO_TABS = [
 function AppInner() {
   const { isMobile, isTablet, isDesktop } = useBreakpoint();
   const toast = useToast();
-  const { user, logout } = useAuth();
+  const { user, token, logout } = useAuth();
 
   const [selectedSymbol, setSelectedSymbol] = useState('RELIANCE.NS');
   const [watchlistData, setWatchlistData] = useLocalStorage('sp-watchlists', INITIAL_WATCHLISTS);
@@ -90,7 +97,7 @@ function AppInner() {
   const [searchDrawerOpen, setSearchDrawerOpen] = useState(false);
   const [orderDrawerOpen, setOrderDrawerOpen] = useState(false);
 
-  const ws = useWebSocket();
+  const ws = useWebSocket(token);
   const { data: restStockData, loading } = useStockData(selectedSymbol);
   const { data: restChartData } = useChartData(selectedSymbol, chartRange);
 
@@ -98,7 +105,7 @@ function AppInner() {
   const { prices: livePrices } = useLiveMarketStore(ws);
 
   // Trading engine
-  const trading = useTrading(livePrices);
+  const trading = useTrading(livePrices, ws.tradingEvent);
 
   // ── Multi-Watchlist derived state ──
   const activeWatchlist = useMemo(() => {
@@ -203,6 +210,7 @@ function AppInner() {
         volume: ws.liveTick.volume || base.volume,
         dayHigh: Math.max(base.dayHigh || 0, ws.liveTick.dayHigh || 0),
         dayLow: ws.liveTick.dayLow > 0 ? Math.min(base.dayLow || Infinity, ws.liveTick.dayLow) : base.dayLow,
+        circuit: ws.liveTick.circuit ?? null,
       };
     }
     return base;
@@ -322,6 +330,43 @@ function AppInner() {
     setSidebarOpen(true);
   }, [toast, setActiveSidebarTab, setSidebarOpen]);
 
+  // ── Server-side account notices (auto square-off, margin calls, cancelled orders, GTTs, kill switch) ──
+  // Depend on the stable addToast, not the context object, so a new toast
+  // does not re-fire the effect for the same event
+  const { addToast } = toast;
+  useEffect(() => {
+    const event = ws.tradingEvent;
+    if (event?.type === 'AUTO_SQUARE_OFF') {
+      const parts = [];
+      if (event.closed) parts.push(`${event.closed} intraday position${event.closed === 1 ? '' : 's'} closed`);
+      if (event.cancelled) parts.push(`${event.cancelled} pending MIS order${event.cancelled === 1 ? '' : 's'} cancelled`);
+      addToast(`Auto square-off: ${parts.join(', ')}`, { type: 'info', duration: 6000 });
+    } else if (event?.type === 'MARGIN_CALL') {
+      addToast(`Margin call: equity ${formatINR(event.equity)} is below maintenance ${formatINR(event.maintenanceMargin)}`, { type: 'error', duration: 8000 });
+    } else if (event?.type === 'LIQUIDATION') {
+      addToast(`${event.symbol.replace(/\.(NS|BO)$/, '')} liquidated on margin call (P&L ${formatINR(event.pnl)})`, { type: 'error', duration: 8000 });
+    } else if (event?.type === 'ORDER_CANCELLED') {
+      addToast(`${event.symbol.replace(/\.(NS|BO)$/, '')} order #${event.orderId}: ${event.note}`, { type: 'error', duration: 8000 });
+    } else if (event?.type === 'GTT_TRIGGERED') {
+      addToast(`GTT #${event.gttId} triggered — ${event.symbol.replace(/\.(NS|BO)$/, '')} order #${event.orderId} placed`, { type: 'info', duration: 6000 });
+    } else if (event?.type === 'GTT_REJECTED') {
+      addToast(`GTT #${event.gttId} on ${event.symbol.replace(/\.(NS|BO)$/, '')} rejected: ${event.note}`, { type: 'error', duration: 8000 });
+    } else if (event?.type === 'ORDERS_EXPIRED') {
+      addToast(`${event.expired} unfilled DAY order${event.expired === 1 ? '' : 's'} expired at the close`, { type: 'info', duration: 6000 });
+    } else if (event?.type === 'CORPORATE_ACTION') {
+      addToast(describeCorporateActionEvent(event), { type: 'success', duration: 8000 });
+    } else if (event?.type === 'KILL_SWITCH') {
+      const done = [
+        event.closed && `${event.closed} intraday position${event.closed === 1 ? '' : 's'} squared off`,
+        event.cancelled && `${event.cancelled} working order${event.cancelled === 1 ? '' : 's'} cancelled`,
+      ].filter(Boolean);
+      const closed = done.length ? ` — ${done.join(', ')}` : '';
+      addToast(`Kill switch on: today's loss ${formatINR(event.loss)} reached the ${formatINR(event.limit)} limit${closed}. Only exits until tomorrow.`, { type: 'error', duration: 10000 });
+    } else if (event?.type === 'CONTRACT_NOTES') {
+      addToast(`Contract note for ${event.dates.map(formatSessionDate).join(', ')} is ready in History`, { type: 'info', duration: 6000 });
+    }
+  }, [ws.tradingEvent, addToast]);
+
   const handleToggleWatchlist = useCallback((symbol) => {
     const name = symbol.replace(/\.(NS|BO)$/, '');
     const isInActive = activeWatchlist.symbols.includes(symbol);
@@ -557,7 +602,7 @@ function AppInner() {
               </div>
             )}
 
-            {/* ── More — Overview + Fundamentals + Orders + Balance ── */}
+            {/* ── More — Overview + Fundamentals + Orders + Baskets + Balance + Risk ── */}
             {mobileNavTab === 'more' && selectedSymbol && (
               <div className="mobile-section">
                 <MobileStockCard stockData={stockData} symbol={selectedSymbol}
@@ -582,17 +627,44 @@ function AppInner() {
                       <OrdersPanel
                         openPositions={trading.openPositions || []}
                         closedPositions={trading.closedPositions || []}
+                        holdings={trading.holdings || []}
+                        holdingsSummary={trading.holdingsSummary}
+                        corporateActions={trading.corporateActions}
+                        contractNotes={trading.contractNotes}
+                        onOpenContractNote={trading.openContractNote}
+                        onDownloadTradebook={trading.downloadTradebook}
+                        onImportTradebook={trading.importTradebook}
                         openOrders={trading.openOrders || []}
                         executedOrders={trading.executedOrders || []}
                         livePrices={livePrices || {}}
                         onClosePosition={trading.closePosition}
+                        onConvertPosition={trading.convertPosition}
                         onCancelOrder={trading.cancelOrder}
+                        onModifyOrder={trading.modifyOrder}
+                        gtts={trading.gtts || []}
+                        onCreateGtt={trading.createGtt}
+                        onCancelGtt={trading.cancelGtt}
+                        symbol={selectedSymbol}
+                        onPlaceOrder={trading.placeOrder}
                         balance={trading.balance || 0}
                         realisedPnL={trading.realisedPnL || 0}
                         unrealisedPnL={trading.unrealisedPnL || 0}
                       />
                     </div>
                   )}
+                  {mobileContentTab === 'baskets' && (
+                    <div className="mobile-orders-section">
+                      <BasketPanel
+                        baskets={trading.baskets || []}
+                        symbol={selectedSymbol}
+                        balance={trading.balance || 0}
+                        onSaveBasket={trading.saveBasket}
+                        onDeleteBasket={trading.deleteBasket}
+                        onBasketMargin={trading.basketMargin}
+                        onExecuteBasket={trading.executeBasket}
+                      />
+                    </div>
+                  )}
                   {mobileContentTab === 'balance' && (
                     <div className="mobile-balance-section">
                       <BalancePanel
@@ -600,11 +672,24 @@ function AppInner() {
                         usedMargin={trading.usedMargin || 0}
                         realisedPnL={trading.realisedPnL || 0}
                         unrealisedPnL={trading.unrealisedPnL || 0}
+                        chargesPaid={trading.chargesPaid || 0}
+                        margin={trading.margin}
                         onResetAccount={trading.resetAccount}
                         onAddMoney={trading.addMoney}
+                        onWithdrawMoney={trading.withdrawMoney}
+                        onFetchLedger={trading.fetchLedger}
+                        onFetchTaxReport={trading.fetchTaxReport}
+                        onDownloadTaxReport={trading.downloadTaxReport}
+                        onFetchAnalytics={trading.fetchAnalytics}
+                        onFetchSnapshots={trading.fetchSnapshots}
                       />
                     </div>
                   )}
+                  {mobileContentTab === 'risk' && (
+                    <div className="mobile-balance-section">
+                      <RiskPanel risk={trading.risk} onSaveRiskLimits={trading.saveRiskLimits} />
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -636,7 +721,11 @@ function AppInner() {
                 <OrderForm
                   symbol={selectedSymbol}
                   currentPrice={stockData.price}
+                  misLeverage={stockData.misLeverage}
+                  tickSize={stockData.tickSize}
+                  lotSize={stockData.lotSize}
                   onPlaceOrder={trading.placeOrder}
+                  positions={currentSymbolPositions}
                   onOrderPlaced={(info) => {
                     handleOrderPlaced(info);
                     setOrderDrawerOpen(false);
@@ -688,17 +777,45 @@ function AppInner() {
               newTrades={displayNewTrades}
               openPositions={trading.openPositions}
               closedPositions={trading.closedPositions}
+              holdings={trading.holdings}
+              holdingsSummary={trading.holdingsSummary}
+              corporateActions={trading.corporateActions}
+              contractNotes={trading.contractNotes}
+              onOpenContractNote={trading.openContractNote}
+              onDownloadTradebook={trading.downloadTradebook}
+              onImportTradebook={trading.importTradebook}
               openOrders={trading.openOrders}
               executedOrders={trading.executedOrders}
               livePrices={livePrices}
               onClosePosition={trading.closePosition}
+              onConvertPosition={trading.convertPosition}
               onCancelOrder={trading.cancelOrder}
+              onModifyOrder={trading.modifyOrder}
+              gtts={trading.gtts}
+              onCreateGtt={trading.createGtt}
+              onCancelGtt={trading.cancelGtt}
+              baskets={trading.baskets}
+              onSaveBasket={trading.saveBasket}
+              onDeleteBasket={trading.deleteBasket}
+              onBasketMargin={trading.basketMargin}
+              onExecuteBasket={trading.executeBasket}
+              onPlaceOrder={trading.placeOrder}
               balance={trading.balance}
               usedMargin={trading.usedMargin}
               realisedPnL={trading.realisedPnL}
               unrealisedPnL={trading.unrealisedPnL}
+              chargesPaid={trading.chargesPaid}
+              margin={trading.margin}
               onResetAccount={trading.resetAccount}
               onAddMoney={trading.addMoney}
+              onWithdrawMoney={trading.withdrawMoney}
+              onFetchLedger={trading.fetchLedger}
+              onFetchTaxReport={trading.fetchTaxReport}
+              onDownloadTaxReport={trading.downloadTaxReport}
+              onFetchAnalytics={trading.fetchAnalytics}
+              onFetchSnapshots={trading.fetchSnapshots}
+              risk={trading.risk}
+              onSaveRiskLimits={trading.saveRiskLimits}
             />
 
             <div className="chart-section">
@@ -729,7 +846,11 @@ function AppInner() {
                     <OrderForm
                       symbol={selectedSymbol}
                       currentPrice={stockData.price}
+                      misLeverage={stockData.misLeverage}
+                      tickSize={stockData.tickSize}
+                      lotSize={stockData.lotSize}
                       onPlaceOrder={trading.placeOrder}
+                      positions={currentSymbolPositions}
                       onOrderPlaced={handleOrderPlaced}
                       stockName={stockData?.shortName}
                     />
@@ -783,17 +904,45 @@ function AppInner() {
             newTrades={displayNewTrades}
             openPositions={trading.openPositions}
             closedPositions={trading.closedPositions}
+            holdings={trading.holdings}
+            holdingsSummary={trading.holdingsSummary}
+            corporateActions={trading.corporateActions}
+            contractNotes={trading.contractNotes}
+            onOpenContractNote={trading.openContractNote}
+            onDownloadTradebook={trading.downloadTradebook}
+            onImportTradebook={trading.importTradebook}
             openOrders={trading.openOrders}
             executedOrders={trading.executedOrders}
             livePrices={livePrices}
             onClosePosition={trading.closePosition}
+            onConvertPosition={trading.convertPosition}
             onCancelOrder={trading.cancelOrder}
+            onModifyOrder={trading.modifyOrder}
+            gtts={trading.gtts}
+            onCreateGtt={trading.createGtt}
+            onCancelGtt={trading.cancelGtt}
+            baskets={trading.baskets}
+            onSaveBasket={trading.saveBasket}
+            onDeleteBasket={trading.deleteBasket}
+            onBasketMargin={trading.basketMargin}
+            onExecuteBasket={trading.executeBasket}
+            onPlaceOrder={trading.placeOrder}
             balance={trading.balance}
             usedMargin={trading.usedMargin}
             realisedPnL={trading.realisedPnL}
             unrealisedPnL={trading.unrealisedPnL}
+            chargesPaid={trading.chargesPaid}
+            margin={trading.margin}
             onResetAccount={trading.resetAccount}
             onAddMoney={trading.addMoney}
+            onWithdrawMoney={trading.withdrawMoney}
+            onFetchLedger={trading.fetchLedger}
+            onFetchTaxReport={trading.fetchTaxReport}
+            onDownloadTaxReport={trading.downloadTaxReport}
+            onFetchAnalytics={trading.fetchAnalytics}
+            onFetchSnapshots={trading.fetchSnapshots}
+            risk={trading.risk}
+            onSaveRiskLimits={trading.saveRiskLimits}
           />
 
           {/* CENTER — Chart */}
@@ -34,6 +34,16 @@ export default function LivePriceDisplay({ stockData, symbol, liveTick, isInWatc
 
   const isUp = (stockData.change || 0) >= 0;
 
+  // Frozen at a circuit limit of the day's price band
+  const circuitBadge = stockData.circuit && (
+    <span
+      className={`lp-market-state ${stockData.circuit === 'UPPER' ? 'open' : 'closed'}`}
+      title={`${stockData.circuit === 'UPPER' ? 'Upper' : 'Lower'} circuit — ${stockData.priceBand}% band`}
+    >
+      {stockData.circuit === 'UPPER' ? 'UC' : 'LC'}
+    </span>
+  );
+
   const calcRange = (low, high, cur) => {
     if (!low || !high || high === low) return 50;
     return Math.min(100, Math.max(0, ((cur - low) / (high - low)) * 100));
@@ -87,6 +97,7 @@ export default function LivePriceDisplay({ stockData, symbol, liveTick, isInWatc
   if (compact) {
     return (
       <div className="live-price-panel compact">
+        {circuitBadge}
         {/* Stats — overview data ONLY */}
         <div className="lp-stats-grid">
           <div className="lp-stat"><span className="lp-stat-label">Open</span><span className="lp-stat-value">{formatINR(stockData.open)}</span></div>
@@ -119,8 +130,8 @@ export default function LivePriceDisplay({ stockData, symbol, liveTick, isInWatc
   const vwap = stockData.volume > 0
     ? ((stockData.dayHigh + stockData.dayLow + stockData.price) / 3)
     : null;
-  const upperCircuit = stockData.previousClose ? stockData.previousClose * 1.20 : null;
-  const lowerCircuit = stockData.previousClose ? stockData.previousClose * 0.80 : null;
+  const upperCircuit = stockData.upperCircuit ?? null;
+  const lowerCircuit = stockData.lowerCircuit ?? null;
   const avgTradePrice = stockData.volume > 0
     ? ((stockData.open + stockData.price) / 2)
     : null;
@@ -137,6 +148,7 @@ export default function LivePriceDisplay({ stockData, symbol, liveTick, isInWatc
             <span className={`lp-market-state ${stockData.marketState === 'REGULAR' ? 'open' : 'closed'}`}>
               {stockData.marketState === 'REGULAR' ? 'LIVE' : 'CLOSED'}
             </span>
+            {circuitBadge}
           </div>
           {/* Sector & Industry */}
           {stockData.sector && (
@@ -232,6 +244,12 @@ export default function LivePriceDisplay({ stockData, symbol, liveTick, isInWatc
               <span className="lp-stat-value">{Number(stockData.beta).toFixed(2)}</span>
             </div>
           )}
+          {stockData.priceBand != null && (
+            <div className="lp-stat">
+              <span className="lp-stat-label">Price Band</span>
+              <span className="lp-stat-value">{stockData.priceBand}%</span>
+            </div>
+          )}
           {upperCircuit != null && (
             <div className="lp-stat">
               <span className="lp-stat-label">Upper Circuit</span>
@@ -1,6 +1,7 @@
 import { memo } from 'react';
 import { formatINR, formatChange, formatPercent } from '../utils/formatters';
 import OrderForm from './trading/OrderForm';
+import PositionSummary from './trading/PositionSummary';
 
 /**
  * Format large numbers in Indian style (Cr, L, K)
@@ -27,7 +28,7 @@ function formatVol(v) {
  * Layout (top to bottom, scrollable):
  *   1. Stock name + live price + change + watchlist button
  *   2. Day Range + 52-Week Range visual bars
- *   3. Buy/Sell order form
+ *   3. Buy/Sell order form + open positions in this symbol
  *   4. Key Stats (Volume, Market Cap, etc.)
  *   5. Fundamentals (P/E, P/B, EPS, etc.)
  */
@@ -146,10 +147,21 @@ function RightInfoPanel({
                 <OrderForm
                   symbol={symbol}
                   currentPrice={stockData.price}
+                  misLeverage={stockData.misLeverage}
+                  tickSize={stockData.tickSize}
+                  lotSize={stockData.lotSize}
                   onPlaceOrder={onPlaceOrder}
                   onOrderPlaced={onOrderPlaced}
                   stockName={stockData?.shortName}
+                  positions={positions}
                 />
+                {positions?.length > 0 && (
+                  <PositionSummary
+                    positions={positions}
+                    livePrices={livePrices}
+                    onClosePosition={onClosePosition}
+                  />
+                )}
               </div>
             )}
 
@@ -4,12 +4,14 @@ import DepthPanel from './panels/DepthPanel';
 import TradesPanel from './panels/TradesPanel';
 import OrdersPanel from './panels/OrdersPanel';
 import BalancePanel from './panels/BalancePanel';
+import BasketPanel from './panels/BasketPanel';
+import RiskPanel from './panels/RiskPanel';
 
 /**
  * Sidebar — Slim professional sidebar with icon rail + drawer panels.
  * Inspired by Groww Terminal's left sidebar.
  *
- * Tabs: watchlist, depth, trades, orders
+ * Tabs: watchlist, depth, trades, orders, baskets, balance, risk
  */
 
 const SIDEBAR_TABS = [
@@ -59,6 +61,18 @@ const SIDEBAR_TABS = [
       </svg>
     ),
   },
+  {
+    id: 'baskets',
+    label: 'Baskets',
+    icon: (
+      <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M5 9h14l-1.5 11h-11z" />
+        <path d="M9 9l3-6 3 6" />
+        <line x1="10" y1="13" x2="10" y2="17" />
+        <line x1="14" y1="13" x2="14" y2="17" />
+      </svg>
+    ),
+  },
   {
     id: 'balance',
     label: 'Balance',
@@ -70,6 +84,17 @@ const SIDEBAR_TABS = [
       </svg>
     ),
   },
+  {
+    id: 'risk',
+    label: 'Risk',
+    icon: (
+      <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round">
+        <path d="M12 2l8 3v6c0 5-3.5 9-8 11-4.5-2-8-6-8-11V5z" />
+        <line x1="12" y1="8" x2="12" y2="13" />
+        <line x1="12" y1="16.5" x2="12" y2="16.5" />
+      </svg>
+    ),
+  },
 ];
 
 function Sidebar({
@@ -97,17 +122,46 @@ function Sidebar({
   // Orders/Trading props
   openPositions,
   closedPositions,
+  holdings,
+  holdingsSummary,
+  corporateActions,
+  contractNotes,
+  onOpenContractNote,
+  onDownloadTradebook,
+  onImportTradebook,
   openOrders,
   executedOrders,
   livePrices,
   onClosePosition,
+  onConvertPosition,
   onCancelOrder,
+  onModifyOrder,
+  gtts,
+  onCreateGtt,
+  onCancelGtt,
+  baskets,
+  onSaveBasket,
+  onDeleteBasket,
+  onBasketMargin,
+  onExecuteBasket,
+  onPlaceOrder,
   balance,
   usedMargin,
   realisedPnL,
   unrealisedPnL,
+  chargesPaid,
+  margin,
   onResetAccount,
   onAddMoney,
+  onWithdrawMoney,
+  onFetchLedger,
+  onFetchTaxReport,
+  onDownloadTaxReport,
+  onFetchAnalytics,
+  onFetchSnapshots,
+  // Risk props
+  risk,
+  onSaveRiskLimits,
 }) {
   const handleTabClick = useCallback((tabId) => {
     if (activeTab === tabId && open) {
@@ -157,16 +211,42 @@ function Sidebar({
           <OrdersPanel
             openPositions={openPositions || []}
             closedPositions={closedPositions || []}
+            holdings={holdings || []}
+            holdingsSummary={holdingsSummary}
+            corporateActions={corporateActions}
+            contractNotes={contractNotes}
+            onOpenContractNote={onOpenContractNote}
+            onDownloadTradebook={onDownloadTradebook}
+            onImportTradebook={onImportTradebook}
             openOrders={openOrders || []}
             executedOrders={executedOrders || []}
             livePrices={livePrices || {}}
             onClosePosition={onClosePosition}
+            onConvertPosition={onConvertPosition}
             onCancelOrder={onCancelOrder}
+            onModifyOrder={onModifyOrder}
+            gtts={gtts || []}
+            onCreateGtt={onCreateGtt}
+            onCancelGtt={onCancelGtt}
+            symbol={symbol}
+            onPlaceOrder={onPlaceOrder}
             balance={balance || 0}
             realisedPnL={realisedPnL || 0}
             unrealisedPnL={unrealisedPnL || 0}
           />
         );
+      case 'baskets':
+        return (
+          <BasketPanel
+            baskets={baskets || []}
+            symbol={symbol}
+            balance={balance || 0}
+            onSaveBasket={onSaveBasket}
+            onDeleteBasket={onDeleteBasket}
+            onBasketMargin={onBasketMargin}
+            onExecuteBasket={onExecuteBasket}
+          />
+        );
       case 'balance':
         return (
           <BalancePanel
@@ -174,8 +254,23 @@ function Sidebar({
             usedMargin={usedMargin || 0}
             realisedPnL={realisedPnL || 0}
             unrealisedPnL={unrealisedPnL || 0}
+            chargesPaid={chargesPaid || 0}
+            margin={margin}
             onResetAccount={onResetAccount}
             onAddMoney={onAddMoney}
+            onWithdrawMoney={onWithdrawMoney}
+            onFetchLedger={onFetchLedger}
+            onFetchTaxReport={onFetchTaxReport}
+            onDownloadTaxReport={onDownloadTaxReport}
+            onFetchAnalytics={onFetchAnalytics}
+            onFetchSnapshots={onFetchSnapshots}
+          />
+        );
+      case 'risk':
+        return (
+          <RiskPanel
+            risk={risk}
+            onSaveRiskLimits={onSaveRiskLimits}
           />
         );
       default:
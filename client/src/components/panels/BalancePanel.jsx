@@ -1,17 +1,52 @@
-import { memo, useCallback, useState } from 'react';
+import { memo, lazy, Suspense, useCallback, useEffect, useState } from 'react';
 import { formatINR } from '../../utils/formatters';
+import { LEDGER_TYPE_LABELS, formatLedgerAmount, ledgerReference } from '../../utils/ledger';
+
+// The analytics charts pull in recharts, so they load in their own chunks
+const PortfolioAnalytics = lazy(() => import('./PortfolioAnalytics'));
+const EquityCurve = lazy(() => import('./EquityCurve'));
+
+const MARGIN_EVENT_LABELS = {
+  MARGIN_CALL: 'Margin call',
+  LIQUIDATION: 'Liquidated',
+  MARGIN_RESTORED: 'Margin restored',
+};
+
+function describeMarginEvent(event) {
+  if (event.type === 'LIQUIDATION') {
+    return `${event.symbol.replace(/\.(NS|BO)$/, '')} · P&L ${formatINR(event.pnl)}`;
+  }
+  if (event.type === 'MARGIN_CALL') return `Short by ${formatINR(event.shortfall)}`;
+  return `Equity ${formatINR(event.equity)}`;
+}
 
 /**
  * BalancePanel — Groww-style account balance page.
  * Shown in sidebar drawer when the Balance tab is selected.
+ * P&L is shown gross, then net of brokerage and statutory charges.
+ * With intraday positions open, a margin card compares MTM equity with
+ * maintenance margin and lists recent margin calls and liquidations.
+ * The statement below pages through the funds ledger — every credit and
+ * debit with the balance after it, and the tax P&L card sums capital gains
+ * and speculative income per financial year. The equity curve plots the
+ * account's value at each close against the NIFTY 50, and the analytics
+ * card charts allocation, with XIRR, drawdown and trade statistics.
  */
-function BalancePanel({ balance, usedMargin, realisedPnL, unrealisedPnL, onResetAccount, onAddMoney }) {
-  const totalPnL = (realisedPnL || 0) + (unrealisedPnL || 0);
+function BalancePanel({
+  balance, usedMargin, realisedPnL, unrealisedPnL, chargesPaid = 0, margin,
+  onResetAccount, onAddMoney, onWithdrawMoney, onFetchLedger, onFetchTaxReport, onDownloadTaxReport,
+  onFetchAnalytics, onFetchSnapshots,
+}) {
+  const totalPnL = (realisedPnL || 0) + (unrealisedPnL || 0) - (chargesPaid || 0);
   const isPnLPositive = totalPnL >= 0;
   const [showAddMoney, setShowAddMoney] = useState(false);
   const [addAmount, setAddAmount] = useState('');
   const [addError, setAddError] = useState('');
   const [addSuccess, setAddSuccess] = useState('');
+  const [showWithdraw, setShowWithdraw] = useState(false);
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [withdrawError, setWithdrawError] = useState('');
+  const [withdrawSuccess, setWithdrawSuccess] = useState('');
   const [isResetting, setIsResetting] = useState(false);
 
   const QUICK_AMOUNTS = [100000, 500000, 1000000, 2500000, 5000000];
@@ -68,6 +103,27 @@ function BalancePanel({ balance, usedMargin, realisedPnL, unrealisedPnL, onReset
     }
   }, [onAddMoney]);
 
+  const handleWithdraw = useCallback(async () => {
+    setWithdrawError('');
+    setWithdrawSuccess('');
+    const amount = parseFloat(withdrawAmount);
+    if (!amount || amount <= 0) {
+      setWithdrawError('Enter a valid amount');
+      return;
+    }
+    const result = await onWithdrawMoney?.(amount);
+    if (result?.success) {
+      setWithdrawSuccess(`₹${amount.toLocaleString('en-IN')} withdrawn`);
+      setWithdrawAmount('');
+      setTimeout(() => {
+        setWithdrawSuccess('');
+        setShowWithdraw(false);
+      }, 2000);
+    } else {
+      setWithdrawError(result?.error || 'Failed to withdraw');
+    }
+  }, [withdrawAmount, onWithdrawMoney]);
+
   return (
     <div className="balance-panel">
       {/* Main Balance Card */}
@@ -124,12 +180,22 @@ function BalancePanel({ balance, usedMargin, realisedPnL, unrealisedPnL, onReset
           </span>
         </div>
 
+        <div className="bp-row">
+          <div className="bp-row-left">
+            <span className="bp-dot bp-dot-orange" />
+            <span className="bp-label">Charges &amp; Taxes</span>
+          </div>
+          <span className="bp-value down">
+            {chargesPaid > 0 ? '−' : ''}{formatINR(chargesPaid || 0)}
+          </span>
+        </div>
+
         <div className="bp-divider" />
 
         <div className="bp-row bp-row-total">
           <div className="bp-row-left">
             <span className={`bp-dot ${isPnLPositive ? 'bp-dot-green' : 'bp-dot-red'}`} />
-            <span className="bp-label">Total P&amp;L</span>
+            <span className="bp-label">Net P&amp;L</span>
           </div>
           <span className={`bp-value bp-total ${isPnLPositive ? 'up' : 'down'}`}>
             {isPnLPositive ? '+' : ''}{formatINR(totalPnL)}
@@ -137,6 +203,55 @@ function BalancePanel({ balance, usedMargin, realisedPnL, unrealisedPnL, onReset
         </div>
       </div>
 
+      {/* Intraday Margin */}
+      {margin && (margin.blockedMargin > 0 || margin.events?.length > 0) && (
+        <div className={`bp-card bp-breakdown ${margin.shortfall > 0 ? 'bp-margin-call' : ''}`}>
+          {(margin.shortfall > 0 || margin.marginCallAt) && (
+            <div className="bp-margin-alert">
+              Margin call — add funds or reduce intraday positions. Positions are liquidated if equity stays below maintenance.
+            </div>
+          )}
+          <div className="bp-row">
+            <div className="bp-row-left">
+              <span className="bp-dot bp-dot-blue" />
+              <span className="bp-label">MTM Equity</span>
+            </div>
+            <span className="bp-value">{formatINR(margin.equity)}</span>
+          </div>
+          <div className="bp-row">
+            <div className="bp-row-left">
+              <span className="bp-dot bp-dot-orange" />
+              <span className="bp-label">Maintenance Margin</span>
+            </div>
+            <span className="bp-value">{formatINR(margin.maintenanceMargin)}</span>
+          </div>
+          <div className="bp-row">
+            <div className="bp-row-left">
+              <span className="bp-dot bp-dot-purple" />
+              <span className="bp-label">Intraday MTM</span>
+            </div>
+            <span className={`bp-value ${margin.mtm >= 0 ? 'up' : 'down'}`}>
+              {margin.mtm >= 0 ? '+' : ''}{formatINR(margin.mtm)}
+            </span>
+          </div>
+          {margin.events?.length > 0 && (
+            <>
+              <div className="bp-divider" />
+              {margin.events.slice(0, 5).map(event => (
+                <div key={`${event.type}-${event.at}`} className="bp-row bp-margin-event">
+                  <span className="bp-label">
+                    {MARGIN_EVENT_LABELS[event.type] || event.type}
+                    {' · '}
+                    {new Date(event.at).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                  <span className="bp-value">{describeMarginEvent(event)}</span>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+
       {/* Add Money Expandable Section */}
       {showAddMoney && (
         <div className="bp-card bp-add-money-section">
@@ -171,14 +286,44 @@ function BalancePanel({ balance, usedMargin, realisedPnL, unrealisedPnL, onReset
         </div>
       )}
 
+      {/* Withdraw Expandable Section */}
+      {showWithdraw && (
+        <div className="bp-card bp-add-money-section">
+          <h4 className="bp-add-money-title">Withdraw Funds (Simulated)</h4>
+          <div className="bp-custom-amount">
+            <input
+              type="number"
+              className="bp-amount-input"
+              value={withdrawAmount}
+              onChange={(e) => setWithdrawAmount(e.target.value)}
+              placeholder="Enter amount"
+              min="1"
+            />
+            <button className="bp-confirm-add-btn" onClick={handleWithdraw}>
+              Withdraw
+            </button>
+          </div>
+          {withdrawError && <div className="bp-add-error">{withdrawError}</div>}
+          {withdrawSuccess && <div className="bp-add-success">{withdrawSuccess}</div>}
+        </div>
+      )}
+
       {/* Actions */}
       <div className="bp-actions">
-        <button className="bp-add-money-btn" onClick={() => setShowAddMoney(prev => !prev)}>
+        <button className="bp-add-money-btn" onClick={() => { setShowWithdraw(false); setShowAddMoney(prev => !prev); }}>
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
             <line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" />
           </svg>
           {showAddMoney ? 'Close' : 'Add Money'}
         </button>
+        {onWithdrawMoney && (
+          <button className="bp-withdraw-btn" onClick={() => { setShowAddMoney(false); setShowWithdraw(prev => !prev); }}>
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+              <line x1="5" y1="12" x2="19" y2="12" />
+            </svg>
+            {showWithdraw ? 'Close' : 'Withdraw'}
+          </button>
+        )}
         <button className="bp-reset-btn" onClick={handleReset} disabled={isResetting}>
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
             <polyline points="1 4 1 10 7 10" />
@@ -188,6 +333,24 @@ function BalancePanel({ balance, usedMargin, realisedPnL, unrealisedPnL, onReset
         </button>
       </div>
 
+      {onFetchSnapshots && (
+        <Suspense fallback={null}>
+          <EquityCurve onFetchSnapshots={onFetchSnapshots} />
+        </Suspense>
+      )}
+
+      {onFetchAnalytics && (
+        <Suspense fallback={null}>
+          <PortfolioAnalytics balance={balance} onFetchAnalytics={onFetchAnalytics} />
+        </Suspense>
+      )}
+
+      {onFetchTaxReport && (
+        <TaxReport balance={balance} onFetchTaxReport={onFetchTaxReport} onDownloadTaxReport={onDownloadTaxReport} />
+      )}
+
+      {onFetchLedger && <LedgerStatement balance={balance} onFetchLedger={onFetchLedger} />}
+
       <p className="bp-footnote">
         This is a simulated trading account for learning purposes. No real money is involved.
       </p>
@@ -195,4 +358,153 @@ function BalancePanel({ balance, usedMargin, realisedPnL, unrealisedPnL, onReset
   );
 }
 
+const TAX_ROWS = [
+  ['stcg', 'Short-term capital gains', 'bp-dot-orange'],
+  ['ltcg', 'Long-term capital gains', 'bp-dot-green'],
+  ['speculative', 'Speculative (intraday)', 'bp-dot-purple'],
+];
+
+/**
+ * Gains of one financial year by tax category, with the CSV of every
+ * matched lot to download. Refetched whenever the balance moves.
+ */
+function TaxReport({ balance, onFetchTaxReport, onDownloadTaxReport }) {
+  const [fy, setFy] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    onFetchTaxReport(fy).then(result => {
+      if (!cancelled && result) setReport(result);
+    });
+    return () => { cancelled = true; };
+  }, [onFetchTaxReport, fy, balance]);
+
+  const year = report?.years[0];
+
+  const download = async () => {
+    setError('');
+    const result = await onDownloadTaxReport?.(fy || year?.fy || '');
+    if (!result?.success) setError(result?.error || 'Download failed');
+  };
+
+  return (
+    <div className="bp-card bp-statement">
+      <div className="bp-statement-header">
+        <h4 className="bp-add-money-title">Tax P&amp;L</h4>
+        {report?.financialYears.length > 0 && (
+          <select className="bp-statement-filter" value={fy || year?.fy || ''} onChange={(e) => setFy(e.target.value)}>
+            {report.financialYears.map(value => <option key={value} value={value}>FY {value}</option>)}
+          </select>
+        )}
+      </div>
+
+      {!year && <div className="bp-statement-empty">No closed trades yet</div>}
+      {year && (
+        <>
+          {TAX_ROWS.map(([key, label, dot]) => (
+            <div key={key} className="bp-row">
+              <div className="bp-row-left">
+                <span className={`bp-dot ${dot}`} />
+                <span className="bp-label">{label}</span>
+              </div>
+              <span className={`bp-value ${year.summary[key] >= 0 ? 'up' : 'down'}`}>
+                {year.summary[key] >= 0 ? '+' : ''}{formatINR(year.summary[key])}
+              </span>
+            </div>
+          ))}
+          <div className="bp-row">
+            <div className="bp-row-left">
+              <span className="bp-dot bp-dot-red" />
+              <span className="bp-label">Charges</span>
+            </div>
+            <span className="bp-value down">{formatINR(year.summary.charges)}</span>
+          </div>
+          {year.summary.unmatched > 0 && (
+            <div className="bp-statement-empty">
+              {year.summary.unmatched} delivery {year.summary.unmatched === 1 ? 'sell has' : 'sells have'} no matching buy in your history
+            </div>
+          )}
+          <div className="bp-statement-pager">
+            <span>{year.summary.trades} matched {year.summary.trades === 1 ? 'lot' : 'lots'} · gains before charges</span>
+            {onDownloadTaxReport && <button className="bp-quick-btn" onClick={download}>Download CSV</button>}
+          </div>
+          {error && <div className="bp-add-error">{error}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+const LEDGER_PAGE_SIZE = 20;
+
+/**
+ * The funds statement, newest first, a page at a time. Refetched whenever
+ * the balance moves so new entries show up.
+ */
+function LedgerStatement({ balance, onFetchLedger }) {
+  const [type, setType] = useState('');
+  const [page, setPage] = useState(1);
+  const [statement, setStatement] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    onFetchLedger({ page, limit: LEDGER_PAGE_SIZE, type }).then(result => {
+      if (!cancelled && result) setStatement(result);
+    });
+    return () => { cancelled = true; };
+  }, [onFetchLedger, page, type, balance]);
+
+  const pages = statement?.pages || 1;
+
+  return (
+    <div className="bp-card bp-statement">
+      <div className="bp-statement-header">
+        <h4 className="bp-add-money-title">Statement</h4>
+        <select
+          className="bp-statement-filter"
+          value={type}
+          onChange={(e) => { setType(e.target.value); setPage(1); }}
+        >
+          <option value="">All entries</option>
+          {Object.entries(LEDGER_TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {statement?.entries.length === 0 && <div className="bp-statement-empty">No entries</div>}
+      {statement?.entries.map(entry => {
+        const reference = ledgerReference(entry);
+        return (
+          <div key={entry.id} className="bp-statement-row">
+            <div className="bp-statement-main">
+              <span className="bp-label">{entry.description || LEDGER_TYPE_LABELS[entry.type] || entry.type}</span>
+              <span className={`bp-value ${entry.credit > 0 ? 'up' : 'down'}`}>{formatLedgerAmount(entry)}</span>
+            </div>
+            <div className="bp-statement-meta">
+              <span>
+                {new Date(entry.at).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                {' · '}
+                {LEDGER_TYPE_LABELS[entry.type] || entry.type}
+                {reference && ` · ${reference}`}
+              </span>
+              <span>Bal {formatINR(entry.balance)}</span>
+            </div>
+          </div>
+        );
+      })}
+
+      {pages > 1 && (
+        <div className="bp-statement-pager">
+          <button className="bp-quick-btn" disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Newer</button>
+          <span>{page} / {pages}</span>
+          <button className="bp-quick-btn" disabled={page >= pages} onClick={() => setPage(p => p + 1)}>Older ›</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default memo(BalancePanel);
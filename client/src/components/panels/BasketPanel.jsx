@@ -0,0 +1,249 @@
+import { memo, useState } from 'react';
+import { formatINR } from '../../utils/formatters';
+import { BASKET_ORDER_TYPES, emptyLegDraft, legToDraft, draftToLeg, moveLeg } from '../../utils/baskets';
+
+const PRODUCT_LABELS = { MIS: 'Intraday', CNC: 'Delivery' };
+
+const shortSymbol = (symbol) => symbol.replace(/\.(NS|BO)$/, '');
+
+function describeLeg(leg) {
+  const prices = [
+    leg.triggerPrice != null && `trg ${formatINR(leg.triggerPrice)}`,
+    leg.limitPrice != null && `@ ${formatINR(leg.limitPrice)}`,
+  ].filter(Boolean).join(' ');
+  return `${leg.side} ${leg.quantity} ${shortSymbol(leg.symbol)} · ${leg.type}${prices ? ` ${prices}` : ''} · ${PRODUCT_LABELS[leg.product]}`;
+}
+
+function describeResult(result) {
+  if (!result.success) return result.error;
+  const { order, fillPrice, filledQuantity } = result;
+  if (filledQuantity > 0) return `${order.status} · ${filledQuantity} @ ${formatINR(fillPrice)}`;
+  return order.status;
+}
+
+/**
+ * BasketPanel — saved baskets of orders, placed together.
+ * Each basket is an ordered list of legs that can be edited and reordered.
+ * Placing a basket first shows the margin every leg requires, then places
+ * the legs in order and lists how each one fared.
+ */
+function BasketPanel({ baskets = [], symbol, balance, onSaveBasket, onDeleteBasket, onBasketMargin, onExecuteBasket }) {
+  const [editing, setEditing] = useState(null);
+  const [review, setReview] = useState(null);
+  const [results, setResults] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const startReview = async (basket) => {
+    setError('');
+    setBusy(true);
+    const margin = await onBasketMargin(basket.legs);
+    setBusy(false);
+    if (margin?.success) setReview({ basketId: basket.id, ...margin });
+    else setError(margin?.error || 'Could not compute margin');
+  };
+
+  const execute = async (basketId) => {
+    setBusy(true);
+    const result = await onExecuteBasket(basketId);
+    setBusy(false);
+    setReview(null);
+    if (result?.success) setResults(r => ({ ...r, [basketId]: result }));
+    else setError(result?.error || 'Could not place basket');
+  };
+
+  const remove = async (basketId) => {
+    const result = await onDeleteBasket(basketId);
+    if (!result?.success) setError(result?.error || 'Could not delete basket');
+  };
+
+  if (editing) {
+    return (
+      <div className="orders-panel">
+        <BasketEditor
+          initial={editing}
+          symbol={symbol}
+          onSave={async (basket) => {
+            const result = await onSaveBasket(basket);
+            if (result?.success) setEditing(null);
+            return result;
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="orders-panel">
+      <div className="orders-content">
+        <div className="orders-list">
+          {onSaveBasket && (
+            <button className="oli-cancel-btn gtt-new-btn" onClick={() => setEditing({ name: '', legs: symbol ? [emptyLegDraft(symbol)] : [] })}>
+              + NEW BASKET
+            </button>
+          )}
+          {error && <span className="oli-note">{error}</span>}
+          {baskets.length === 0 && (
+            <div className="orders-empty">No baskets — a basket places several orders in one go</div>
+          )}
+
+          {baskets.map(basket => {
+            const reviewing = review?.basketId === basket.id;
+            const placed = results[basket.id];
+            return (
+              <div key={basket.id} className="order-list-item">
+                <div className="oli-header">
+                  <span className="oli-symbol">{basket.name}</span>
+                  <span className="oli-product">{basket.legs.length} {basket.legs.length === 1 ? 'leg' : 'legs'}</span>
+                  <button className="oli-cancel-btn" onClick={() => { setReview(null); setEditing({ id: basket.id, name: basket.name, legs: basket.legs.map(legToDraft) }); }}>
+                    EDIT
+                  </button>
+                  <button className="oli-cancel-btn" onClick={() => remove(basket.id)}>DELETE</button>
+                </div>
+
+                <ol className="basket-legs">
+                  {basket.legs.map((leg, i) => (
+                    <li key={i}>
+                      <span>{describeLeg(leg)}</span>
+                      {reviewing && (
+                        <span className="basket-leg-margin">
+                          {review.legs[i].error || formatINR(review.legs[i].margin)}
+                        </span>
+                      )}
+                      {!reviewing && placed?.results[i] && (
+                        <span className={`basket-leg-result ${placed.results[i].success ? 'up' : 'down'}`}>
+                          {describeResult(placed.results[i])}
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+
+                {reviewing ? (
+                  <div className="oli-footer">
+                    <span>Margin: {formatINR(review.totalMargin)}</span>
+                    <span className="oli-time">Available: {formatINR(review.available ?? balance)}</span>
+                    {!review.sufficient && <span className="oli-pnl down">Insufficient funds</span>}
+                    <button className="oli-exit-btn basket-place-btn" disabled={busy} onClick={() => execute(basket.id)}>
+                      PLACE ALL
+                    </button>
+                    <button className="oli-cancel-btn" onClick={() => setReview(null)}>×</button>
+                  </div>
+                ) : (
+                  <div className="oli-footer">
+                    {placed && <span className="oli-time">{placed.placed} placed · {placed.failed} failed</span>}
+                    {!placed && basket.lastExecutedAt && (
+                      <span className="oli-time">Last placed {new Date(basket.lastExecutedAt).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}</span>
+                    )}
+                    <button className="oli-exit-btn basket-place-btn" disabled={busy} onClick={() => startReview(basket)}>
+                      PLACE
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Create or edit a basket: name it, add legs for the selected symbol,
+ * change and reorder them.
+ */
+function BasketEditor({ initial, symbol, onSave, onCancel }) {
+  const [name, setName] = useState(initial.name);
+  const [legs, setLegs] = useState(initial.legs);
+  const [error, setError] = useState('');
+
+  const updateLeg = (index, key, value) => {
+    setLegs(ls => ls.map((leg, i) => (i === index ? { ...leg, [key]: value } : leg)));
+  };
+
+  const save = async () => {
+    if (!name.trim()) return setError('Name the basket');
+    if (legs.length === 0) return setError('Add at least one leg');
+    const parsed = [];
+    for (const [i, draft] of legs.entries()) {
+      const { leg, error: legError } = draftToLeg(draft);
+      if (legError) return setError(`Leg ${i + 1}: ${legError}`);
+      parsed.push(leg);
+    }
+    setError('');
+    const result = await onSave({ id: initial.id, name: name.trim(), legs: parsed });
+    if (!result?.success) setError(result?.error || 'Could not save basket');
+  };
+
+  return (
+    <div className="orders-content">
+      <div className="orders-list">
+        <div className="oli-edit">
+          <input
+            className="oli-edit-input basket-name-input"
+            placeholder="Basket name"
+            maxLength={40}
+            value={name}
+            onChange={e => setName(e.target.value)}
+          />
+        </div>
+
+        {legs.map((leg, i) => (
+          <div key={i} className="order-list-item">
+            <div className="oli-header">
+              <span className="oli-time">{i + 1}.</span>
+              <span className="oli-symbol">{shortSymbol(leg.symbol)}</span>
+              <button className="oli-cancel-btn" disabled={i === 0} onClick={() => setLegs(ls => moveLeg(ls, i, -1))} aria-label="Move leg up">↑</button>
+              <button className="oli-cancel-btn" disabled={i === legs.length - 1} onClick={() => setLegs(ls => moveLeg(ls, i, 1))} aria-label="Move leg down">↓</button>
+              <button className="oli-cancel-btn" onClick={() => setLegs(ls => ls.filter((_, j) => j !== i))} aria-label="Remove leg">×</button>
+            </div>
+            <div className="oli-edit">
+              <select className="oli-edit-input" value={leg.side} onChange={e => updateLeg(i, 'side', e.target.value)}>
+                <option value="BUY">BUY</option>
+                <option value="SELL">SELL</option>
+              </select>
+              <select className="oli-edit-input" value={leg.type} onChange={e => updateLeg(i, 'type', e.target.value)}>
+                {BASKET_ORDER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <select className="oli-edit-input" value={leg.product} onChange={e => updateLeg(i, 'product', e.target.value)}>
+                <option value="CNC">Delivery</option>
+                <option value="MIS">Intraday</option>
+              </select>
+              <label className="oli-edit-field">
+                <span>Qty</span>
+                <input type="number" className="oli-edit-input" min="1" step="1" value={leg.quantity} onChange={e => updateLeg(i, 'quantity', e.target.value)} />
+              </label>
+              {(leg.type === 'LIMIT' || leg.type === 'SL') && (
+                <label className="oli-edit-field">
+                  <span>Limit</span>
+                  <input type="number" className="oli-edit-input" min="0" step="0.05" value={leg.limitPrice} onChange={e => updateLeg(i, 'limitPrice', e.target.value)} />
+                </label>
+              )}
+              {(leg.type === 'SL' || leg.type === 'SL-M') && (
+                <label className="oli-edit-field">
+                  <span>Trigger</span>
+                  <input type="number" className="oli-edit-input" min="0" step="0.05" value={leg.triggerPrice} onChange={e => updateLeg(i, 'triggerPrice', e.target.value)} />
+                </label>
+              )}
+            </div>
+          </div>
+        ))}
+
+        {symbol && (
+          <button className="oli-cancel-btn gtt-new-btn" onClick={() => setLegs(ls => [...ls, emptyLegDraft(symbol)])}>
+            + ADD {shortSymbol(symbol)}
+          </button>
+        )}
+        {error && <span className="oli-note">{error}</span>}
+        <div className="oli-footer">
+          <button className="oli-exit-btn basket-place-btn" onClick={save}>SAVE</button>
+          <button className="oli-cancel-btn" onClick={onCancel}>CANCEL</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default memo(BasketPanel);
@@ -0,0 +1,85 @@
+import { useEffect, useMemo, useState } from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend } from 'recharts';
+import { formatINR, formatPercent } from '../../utils/formatters';
+import { SNAPSHOT_RANGES, istToday, rangeStart, rebaseSnapshots } from '../../utils/snapshots';
+
+const TOOLTIP_STYLE = {
+  background: 'var(--card-bg-elevated)',
+  border: '1px solid var(--border)',
+  borderRadius: 8,
+  color: 'var(--text-primary)',
+  fontFamily: 'var(--font-mono)',
+  fontSize: 11,
+};
+const AXIS_TICK = { fontSize: 10, fill: 'var(--text-muted)', fontFamily: 'var(--font-mono)' };
+
+/**
+ * EquityCurve — Balance panel card charting the account's value at each
+ * close against the NIFTY 50, both rebased to 100, over a chosen range.
+ * Snapshots are taken at 15:30 IST, so the curve grows a point a session.
+ */
+export default function EquityCurve({ onFetchSnapshots }) {
+  const [range, setRange] = useState('3M');
+  const [snapshots, setSnapshots] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    onFetchSnapshots({ from: rangeStart(range, istToday()) || '' }).then(result => {
+      if (!cancelled && result) setSnapshots(result.snapshots);
+    });
+    return () => { cancelled = true; };
+  }, [onFetchSnapshots, range]);
+
+  const series = useMemo(() => rebaseSnapshots(snapshots || []), [snapshots]);
+  const last = series[series.length - 1];
+
+  return (
+    <div className="bp-card bp-statement">
+      <div className="bp-statement-header">
+        <h4 className="bp-add-money-title">Equity curve</h4>
+        <div className="time-range-buttons">
+          {SNAPSHOT_RANGES.map(r => (
+            <button
+              key={r.key}
+              className={`time-btn ${range === r.key ? 'active' : ''}`}
+              onClick={() => setRange(r.key)}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {series.length < 2 && (
+        <div className="bp-statement-empty">
+          {series.length === 0 ? 'No snapshots yet — one is taken at every close' : 'The curve starts after the next close'}
+        </div>
+      )}
+      {series.length >= 2 && (
+        <>
+          <ResponsiveContainer width="100%" height={150}>
+            <LineChart data={series} margin={{ top: 6, right: 4, left: 0, bottom: 0 }}>
+              <XAxis dataKey="date" tick={AXIS_TICK} tickLine={false} axisLine={false} interval="preserveStartEnd" />
+              <YAxis domain={['auto', 'auto']} tick={AXIS_TICK} tickLine={false} axisLine={false} width={36} />
+              <Tooltip
+                contentStyle={TOOLTIP_STYLE}
+                formatter={(v, name, { payload }) => (name === 'Portfolio'
+                  ? [`${v.toFixed(2)} · ${formatINR(payload.equity)}`, name]
+                  : [v.toFixed(2), name])}
+              />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              <Line type="monotone" dataKey="portfolio" name="Portfolio" stroke="var(--accent)" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="nifty" name="NIFTY 50" stroke="#f0a500" strokeWidth={1.5} dot={false} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+          <div className="bp-statement-pager">
+            <span>
+              Portfolio {formatPercent(last.portfolio - 100)}
+              {last.nifty != null && ` · NIFTY 50 ${formatPercent(last.nifty - 100)}`}
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,23 +1,43 @@
-import { memo, useState, useMemo } from 'react';
+import { memo, useState, useMemo, useRef } from 'react';
 import { formatINR } from '../../utils/formatters';
+import { describeCorporateAction, describeCorporateActionEvent } from '../../utils/corporateActions';
+import { describeObligation, formatSessionDate } from '../../utils/contractNotes';
+import { describeImport, formatRejectedRow } from '../../utils/tradebook';
 
 /**
  * OrdersPanel — Sidebar panel showing orders, positions, and P&L.
- * Tabs: Positions | Orders | History
+ * Tabs: Positions | Holdings | Orders | GTT | History
+ * History also lists the contract note issued after each session, and
+ * exports or imports the trades as a broker tradebook CSV.
  */
 function OrdersPanel({
   openPositions,
   closedPositions,
+  holdings = [],
+  holdingsSummary,
+  corporateActions,
   openOrders,
   executedOrders,
   livePrices,
   onClosePosition,
+  onConvertPosition,
   onCancelOrder,
+  onModifyOrder,
+  gtts = [],
+  onCreateGtt,
+  onCancelGtt,
+  contractNotes = [],
+  onOpenContractNote,
+  onDownloadTradebook,
+  onImportTradebook,
+  symbol,
+  onPlaceOrder,
   balance,
   realisedPnL,
   unrealisedPnL,
 }) {
   const [tab, setTab] = useState('positions');
+  const activeGtts = gtts.filter(g => g.status === 'ACTIVE');
 
   return (
     <div className="orders-panel">
@@ -49,12 +69,24 @@ function OrdersPanel({
         >
           Positions ({openPositions.length})
         </button>
+        <button
+          className={`orders-tab ${tab === 'holdings' ? 'active' : ''}`}
+          onClick={() => setTab('holdings')}
+        >
+          Holdings ({holdings.length})
+        </button>
         <button
           className={`orders-tab ${tab === 'orders' ? 'active' : ''}`}
           onClick={() => setTab('orders')}
         >
           Orders ({openOrders.length})
         </button>
+        <button
+          className={`orders-tab ${tab === 'gtt' ? 'active' : ''}`}
+          onClick={() => setTab('gtt')}
+        >
+          GTT ({activeGtts.length})
+        </button>
         <button
           className={`orders-tab ${tab === 'history' ? 'active' : ''}`}
           onClick={() => setTab('history')}
@@ -70,18 +102,41 @@ function OrdersPanel({
             positions={openPositions}
             livePrices={livePrices}
             onClose={onClosePosition}
+            onConvert={onConvertPosition}
+          />
+        )}
+        {tab === 'holdings' && (
+          <HoldingsTab
+            holdings={holdings}
+            summary={holdingsSummary}
+            corporateActions={corporateActions}
+            onPlaceOrder={onPlaceOrder}
           />
         )}
         {tab === 'orders' && (
           <OpenOrdersTab
             orders={openOrders}
             onCancel={onCancelOrder}
+            onModifyOrder={onModifyOrder}
+          />
+        )}
+        {tab === 'gtt' && (
+          <GttTab
+            gtts={gtts}
+            symbol={symbol}
+            livePrices={livePrices}
+            onCreate={onCreateGtt}
+            onCancel={onCancelGtt}
           />
         )}
         {tab === 'history' && (
           <HistoryTab
             closedPositions={closedPositions}
             executedOrders={executedOrders}
+            contractNotes={contractNotes}
+            onOpenContractNote={onOpenContractNote}
+            onDownloadTradebook={onDownloadTradebook}
+            onImportTradebook={onImportTradebook}
           />
         )}
       </div>
@@ -89,13 +144,36 @@ function OrdersPanel({
   );
 }
 
-function PositionsTab({ positions, livePrices, onClose }) {
+const PRODUCT_LABELS = { MIS: 'Intraday', CNC: 'Delivery' };
+
+/**
+ * Product an open position can be converted to, or null. Intraday longs can
+ * go to delivery; delivery buys only back to intraday on the day they were
+ * bought. Bracket/cover positions stay intraday.
+ */
+function conversionTarget(pos) {
+  if (pos.parentOrderId) return null;
+  if (pos.product === 'MIS') return pos.side === 'BUY' ? 'CNC' : null;
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  return pos.tradeDate === today ? 'MIS' : null;
+}
+
+function PositionsTab({ positions, livePrices, onClose, onConvert }) {
+  const [error, setError] = useState('');
+
   if (positions.length === 0) {
     return <div className="orders-empty">No open positions</div>;
   }
 
+  const convert = async (pos, product) => {
+    setError('');
+    const result = await onConvert(pos.id, product);
+    if (!result?.success) setError(result?.error || 'Conversion failed');
+  };
+
   return (
     <div className="orders-list">
+      {error && <div className="oli-note">{error}</div>}
       {positions.map(pos => {
         const priceData = livePrices[pos.symbol];
         const currentPrice = priceData?.price || pos.avgPrice;
@@ -106,6 +184,7 @@ function PositionsTab({ positions, livePrices, onClose }) {
           pnl = (pos.avgPrice - currentPrice) * pos.quantity;
         }
         const isUp = pnl >= 0;
+        const convertTo = onConvert && conversionTarget(pos);
 
         return (
           <div key={pos.id} className="order-list-item">
@@ -113,6 +192,20 @@ function PositionsTab({ positions, livePrices, onClose }) {
               <span className={`oli-side ${pos.side.toLowerCase()}`}>{pos.side}</span>
               <span className="oli-symbol">{pos.symbol.replace(/\.(NS|BO)$/, '')}</span>
               <span className="oli-product">{pos.product === 'MIS' ? 'Intraday' : 'Delivery'}</span>
+              {pos.settlementDate && (
+                <span className="oli-product" title="Sell before settlement as BTST">
+                  T+1 · settles {formatDate(pos.settlementDate)}
+                </span>
+              )}
+              {convertTo && (
+                <button
+                  className="oli-cancel-btn"
+                  onClick={() => convert(pos, convertTo)}
+                  title={`Convert to ${PRODUCT_LABELS[convertTo]}`}
+                >
+                  → {convertTo}
+                </button>
+              )}
               <button className="oli-exit-btn" onClick={() => onClose(pos.id, currentPrice)}>
                 EXIT
               </button>
@@ -126,7 +219,7 @@ function PositionsTab({ positions, livePrices, onClose }) {
               <span className={`oli-pnl ${isUp ? 'up' : 'down'}`}>
                 P&L: {isUp ? '+' : ''}{formatINR(pnl)}
               </span>
-              {pos.stopLoss && <span className="oli-sl">SL: {formatINR(pos.stopLoss)}</span>}
+              {pos.stopLoss && <span className="oli-sl">{pos.trailType ? 'TSL' : 'SL'}: {formatINR(pos.stopLoss)}</span>}
               {pos.target && <span className="oli-tgt">TGT: {formatINR(pos.target)}</span>}
             </div>
           </div>
@@ -136,68 +229,573 @@ function PositionsTab({ positions, livePrices, onClose }) {
   );
 }
 
-function OpenOrdersTab({ orders, onCancel }) {
-  if (orders.length === 0) {
-    return <div className="orders-empty">No open orders</div>;
+/**
+ * Settled delivery holdings, valued at live prices. SELL delivers the whole
+ * holding at market.
+ */
+function HoldingsTab({ holdings, summary, corporateActions = { upcoming: [], events: [] }, onPlaceOrder }) {
+  const [selling, setSelling] = useState(null);
+  const [error, setError] = useState('');
+
+  if (holdings.length === 0) {
+    return <div className="orders-empty">No holdings — delivery buys settle here T+1</div>;
   }
 
+  const sell = async (h) => {
+    setSelling(h.symbol);
+    setError('');
+    const result = await onPlaceOrder({
+      symbol: h.symbol, side: 'SELL', quantity: h.quantity, price: h.ltp, type: 'MARKET', product: 'CNC',
+    });
+    if (!result?.success) setError(result?.error || 'Sell failed');
+    setSelling(null);
+  };
+
   return (
     <div className="orders-list">
-      {orders.map(order => (
-        <div key={order.id} className="order-list-item">
+      {summary && (
+        <div className="order-list-item holdings-summary">
+          <div className="oli-details">
+            <span>Invested: {formatINR(summary.invested)}</span>
+            <span>Current: {formatINR(summary.currentValue)}</span>
+          </div>
+          <div className="oli-footer">
+            <span className={`oli-pnl ${summary.pnl >= 0 ? 'up' : 'down'}`}>
+              P&L: {summary.pnl >= 0 ? '+' : ''}{formatINR(summary.pnl)} ({summary.pnlPercent.toFixed(2)}%)
+            </span>
+          </div>
+        </div>
+      )}
+      {error && <div className="oli-note">{error}</div>}
+      {holdings.map(h => {
+        const isUp = h.pnl >= 0;
+        return (
+          <div key={h.symbol} className="order-list-item">
+            <div className="oli-header">
+              <span className="oli-symbol">{h.symbol.replace(/\.(NS|BO)$/, '')}</span>
+              <span className="oli-product">Delivery</span>
+              {onPlaceOrder && (
+                <button className="oli-exit-btn" disabled={selling === h.symbol} onClick={() => sell(h)}>
+                  SELL
+                </button>
+              )}
+            </div>
+            <div className="oli-details">
+              <span>Qty: {h.quantity}</span>
+              <span>Avg: {formatINR(h.avgPrice)}</span>
+              <span>LTP: {formatINR(h.ltp)}</span>
+            </div>
+            <div className="oli-footer">
+              <span>Value: {formatINR(h.currentValue)}</span>
+              <span className={`oli-pnl ${isUp ? 'up' : 'down'}`}>
+                P&L: {isUp ? '+' : ''}{formatINR(h.pnl)} ({h.pnlPercent.toFixed(2)}%)
+              </span>
+            </div>
+            {corporateActions.upcoming.filter(a => a.symbol === h.symbol).map(a => (
+              <div key={a.id} className="oli-footer">
+                <span className="oli-status">{describeCorporateAction(a)}</span>
+                <span className="oli-time">Record date {formatDate(a.recordDate)}</span>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+      {corporateActions.events.length > 0 && (
+        <div className="order-list-item history">
           <div className="oli-header">
-            <span className={`oli-side ${order.side.toLowerCase()}`}>{order.side}</span>
-            <span className="oli-symbol">{order.symbol.replace(/\.(NS|BO)$/, '')}</span>
-            <span className="oli-product">{order.product === 'MIS' ? 'Intraday' : 'Delivery'}</span>
-            <button className="oli-cancel-btn" onClick={() => onCancel(order.id)}>
-              CANCEL
-            </button>
+            <span className="oli-symbol">Corporate actions</span>
+          </div>
+          <ul className="oli-mod-trail">
+            {corporateActions.events.slice(0, 10).map(e => (
+              <li key={`${e.actionId}-${e.at}`}>
+                <span>{formatDate(e.recordDate)}</span>
+                <span>{describeCorporateActionEvent(e)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_GTT = { side: 'BUY', quantity: '', triggerPrice: '', limitPrice: '', product: 'CNC' };
+
+/**
+ * Good-till-triggered orders: create one for the selected symbol, cancel
+ * active ones, and see which triggered (and the order they placed),
+ * were rejected or lapsed after a year.
+ */
+function GttTab({ gtts, symbol, livePrices, onCreate, onCancel }) {
+  const [creating, setCreating] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_GTT);
+  const [error, setError] = useState('');
+  const active = gtts.filter(g => g.status === 'ACTIVE');
+  const closed = gtts.filter(g => g.status !== 'ACTIVE').slice(0, 20);
+  const ltp = livePrices[symbol]?.price;
+
+  const create = async () => {
+    const params = {
+      symbol,
+      side: draft.side,
+      product: draft.product,
+      quantity: parseInt(draft.quantity, 10),
+      triggerPrice: parseFloat(draft.triggerPrice),
+      limitPrice: parseFloat(draft.limitPrice),
+    };
+    if (!(params.quantity > 0)) return setError('Enter a valid quantity');
+    if (!(params.triggerPrice > 0) || !(params.limitPrice > 0)) return setError('Enter valid trigger and limit prices');
+    setError('');
+    const result = await onCreate(params);
+    if (result?.success) {
+      setCreating(false);
+      setDraft(EMPTY_GTT);
+    } else {
+      setError(result?.error || 'Could not create GTT');
+    }
+  };
+
+  const field = (key) => ({
+    value: draft[key],
+    onChange: e => setDraft(d => ({ ...d, [key]: e.target.value })),
+  });
+
+  return (
+    <div className="orders-list">
+      {onCreate && symbol && !creating && (
+        <button className="oli-cancel-btn gtt-new-btn" onClick={() => setCreating(true)}>
+          + NEW GTT · {symbol.replace(/\.(NS|BO)$/, '')}
+        </button>
+      )}
+      {creating && (
+        <div className="order-list-item">
+          <div className="oli-header">
+            <span className="oli-symbol">{symbol.replace(/\.(NS|BO)$/, '')}</span>
+            {ltp != null && <span className="oli-time">LTP {formatINR(ltp)}</span>}
+          </div>
+          <div className="oli-edit">
+            <select className="oli-edit-input" {...field('side')}>
+              <option value="BUY">BUY</option>
+              <option value="SELL">SELL</option>
+            </select>
+            <select className="oli-edit-input" {...field('product')}>
+              <option value="CNC">Delivery</option>
+              <option value="MIS">Intraday</option>
+            </select>
+            <label className="oli-edit-field">
+              <span>Qty</span>
+              <input type="number" className="oli-edit-input" min="1" step="1" {...field('quantity')} />
+            </label>
+            <label className="oli-edit-field">
+              <span>Trigger</span>
+              <input type="number" className="oli-edit-input" min="0" step="0.05" {...field('triggerPrice')} />
+            </label>
+            <label className="oli-edit-field">
+              <span>Limit</span>
+              <input type="number" className="oli-edit-input" min="0" step="0.05" {...field('limitPrice')} />
+            </label>
+            <button className="oli-exit-btn" onClick={create}>CREATE</button>
+            <button className="oli-cancel-btn" onClick={() => { setCreating(false); setError(''); }}>×</button>
+          </div>
+          {error && <span className="oli-note">{error}</span>}
+        </div>
+      )}
+
+      {active.length === 0 && !creating && (
+        <div className="orders-empty">No active GTTs — a GTT places a limit order when the price crosses its trigger</div>
+      )}
+      {active.map(gtt => (
+        <div key={gtt.id} className="order-list-item">
+          <div className="oli-header">
+            <span className={`oli-side ${gtt.side.toLowerCase()}`}>{gtt.side}</span>
+            <span className="oli-symbol">{gtt.symbol.replace(/\.(NS|BO)$/, '')}</span>
+            <span className="oli-product">{PRODUCT_LABELS[gtt.product]}</span>
+            {onCancel && (
+              <button className="oli-cancel-btn" onClick={() => onCancel(gtt.id)}>
+                CANCEL
+              </button>
+            )}
           </div>
           <div className="oli-details">
-            <span>Qty: {order.quantity}</span>
-            <span>Limit: {formatINR(order.price)}</span>
-            <span>{order.type}</span>
+            <span>Qty: {gtt.quantity}</span>
+            <span>Trigger: {gtt.direction === 'ABOVE' ? '≥' : '≤'} {formatINR(gtt.triggerPrice)}</span>
+            <span>Limit: {formatINR(gtt.limitPrice)}</span>
           </div>
           <div className="oli-footer">
-            <span className="oli-time">
-              {new Date(order.timestamp).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
-            </span>
-            {order.stopLoss && <span className="oli-sl">SL: {formatINR(order.stopLoss)}</span>}
-            {order.target && <span className="oli-tgt">TGT: {formatINR(order.target)}</span>}
+            <span className="oli-time">Expires {new Date(gtt.expiresAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</span>
+            <span className="oli-status">Active</span>
+            {livePrices[gtt.symbol] && <span>LTP: {formatINR(livePrices[gtt.symbol].price)}</span>}
           </div>
         </div>
       ))}
+
+      {closed.map(gtt => (
+        <div key={gtt.id} className="order-list-item history">
+          <div className="oli-header">
+            <span className={`oli-side ${gtt.side.toLowerCase()}`}>{gtt.side}</span>
+            <span className="oli-symbol">{gtt.symbol.replace(/\.(NS|BO)$/, '')}</span>
+            <span className="oli-product">{PRODUCT_LABELS[gtt.product]}</span>
+            <span className="oli-status">{gtt.status}</span>
+          </div>
+          <div className="oli-details">
+            <span>Qty: {gtt.quantity}</span>
+            <span>Trigger: {formatINR(gtt.triggerPrice)}</span>
+            <span>Limit: {formatINR(gtt.limitPrice)}</span>
+          </div>
+          <div className="oli-footer">
+            {gtt.triggeredAt && <span className="oli-time">{formatTime(gtt.triggeredAt)}</span>}
+            {gtt.orderId && <span className="oli-note">Order #{gtt.orderId}</span>}
+            {gtt.note && <span className="oli-note">{gtt.note}</span>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const VARIETY_LABELS = { BO: 'Bracket', CO: 'Cover' };
+
+const MODIFIABLE_FIELDS = [
+  { key: 'quantity', label: 'Qty' },
+  { key: 'limitPrice', label: 'Limit' },
+  { key: 'triggerPrice', label: 'Trigger' },
+];
+
+function formatModValue(key, value) {
+  if (value == null) return '—';
+  return key === 'quantity' ? value : formatINR(value);
+}
+
+const OPEN_STATUS_LABELS = {
+  OPEN: 'Open',
+  TRIGGER_PENDING: 'Trigger pending',
+  PARTIALLY_FILLED: 'Partially filled',
+};
+
+const CHARGE_LABELS = {
+  brokerage: 'Brokerage',
+  stt: 'STT',
+  exchangeTxn: 'Exchange txn',
+  sebiFee: 'SEBI fee',
+  stampDuty: 'Stamp duty',
+  gst: 'GST',
+};
+
+function formatChargeBreakdown(charges) {
+  return Object.entries(CHARGE_LABELS)
+    .map(([key, label]) => `${label}: ${formatINR(charges[key] || 0)}`)
+    .join('\n');
+}
+
+function formatDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+}
+
+function formatTime(ts) {
+  return new Date(ts).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+}
+
+function OpenOrdersTab({ orders, onCancel, onModifyOrder }) {
+  if (orders.length === 0) {
+    return <div className="orders-empty">No open orders</div>;
+  }
+
+  return (
+    <div className="orders-list">
+      {orders.map(order => (
+        <OpenOrderItem
+          key={order.id}
+          order={order}
+          onCancel={onCancel}
+          onModifyOrder={onModifyOrder}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * One working order. Regular orders can be modified (quantity, limit,
+ * trigger) or cancelled; bracket/cover legs only have their price moved.
+ */
+function OpenOrderItem({ order, onCancel, onModifyOrder }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({});
+  const [error, setError] = useState('');
+  const [showTrail, setShowTrail] = useState(false);
+  const isLeg = !!order.parentId;
+  const modifications = order.modifications || [];
+
+  // Which fields this order lets the user change
+  const editable = {
+    quantity: !isLeg,
+    limitPrice: order.type === 'LIMIT' || order.type === 'SL',
+    triggerPrice: order.status === 'TRIGGER_PENDING',
+  };
+  const currentValue = (key) => (key === 'limitPrice' ? order.limitPrice || order.price : order[key]);
+
+  const startEdit = () => {
+    const initial = {};
+    for (const { key } of MODIFIABLE_FIELDS) {
+      if (editable[key]) initial[key] = String(currentValue(key) ?? '');
+    }
+    setDraft(initial);
+    setError('');
+    setEditing(true);
+  };
+
+  const saveEdit = async () => {
+    const changes = {};
+    for (const key of Object.keys(draft)) {
+      const value = key === 'quantity' ? parseInt(draft[key], 10) : parseFloat(draft[key]);
+      if (!(value > 0)) {
+        setError(`Enter a valid ${key === 'quantity' ? 'quantity' : 'price'}`);
+        return;
+      }
+      if (value !== currentValue(key)) changes[key] = value;
+    }
+    if (Object.keys(changes).length === 0) {
+      setEditing(false);
+      return;
+    }
+    const result = await onModifyOrder(order.id, changes);
+    if (result?.success) {
+      setEditing(false);
+    } else {
+      setError(result?.error || 'Modification failed');
+    }
+  };
+
+  return (
+    <div className="order-list-item">
+      <div className="oli-header">
+        <span className={`oli-side ${order.side.toLowerCase()}`}>{order.side}</span>
+        <span className="oli-symbol">{order.symbol.replace(/\.(NS|BO)$/, '')}</span>
+        <span className="oli-product">{order.product === 'MIS' ? 'Intraday' : 'Delivery'}</span>
+        {!editing && onModifyOrder && (
+          <button className="oli-cancel-btn" onClick={startEdit}>
+            EDIT
+          </button>
+        )}
+        {!isLeg && (
+          <button className="oli-cancel-btn" onClick={() => onCancel(order.id)}>
+            CANCEL
+          </button>
+        )}
+      </div>
+      <div className="oli-details">
+        <span>Qty: {order.quantity}</span>
+        {order.type !== 'SL-M' && <span>Limit: {formatINR(order.limitPrice || order.price)}</span>}
+        {order.triggerPrice && <span>Trigger: {formatINR(order.triggerPrice)}</span>}
+        <span>{order.type}</span>
+        <span>{order.validity || 'DAY'}</span>
+      </div>
+      {order.filledQuantity > 0 && (
+        <div className="oli-details">
+          <span>Filled: {order.filledQuantity}/{order.quantity}</span>
+          <span>Avg: {formatINR(order.avgFillPrice)}</span>
+        </div>
+      )}
+      {editing && (
+        <div className="oli-edit">
+          {MODIFIABLE_FIELDS.filter(f => editable[f.key]).map(({ key, label }) => (
+            <label key={key} className="oli-edit-field">
+              <span>{label}</span>
+              <input
+                type="number"
+                className="oli-edit-input"
+                value={draft[key]}
+                onChange={e => setDraft(d => ({ ...d, [key]: e.target.value }))}
+                step={key === 'quantity' ? '1' : '0.05'}
+                min="0"
+              />
+            </label>
+          ))}
+          <button className="oli-exit-btn" onClick={saveEdit}>SAVE</button>
+          <button className="oli-cancel-btn" onClick={() => setEditing(false)}>×</button>
+          {error && <span className="oli-note">{error}</span>}
+        </div>
+      )}
+      <div className="oli-footer">
+        <span className="oli-time">{formatTime(order.timestamp)}</span>
+        <span className="oli-status">{OPEN_STATUS_LABELS[order.status] || order.status}</span>
+        {isLeg && (
+          <span className="oli-note">
+            {VARIETY_LABELS[order.variety] || order.variety} {order.legType === 'TARGET' ? 'target' : 'stop-loss'} leg · #{order.parentId}
+          </span>
+        )}
+        {order.gttId && <span className="oli-note">GTT #{order.gttId}</span>}
+        {modifications.length > 0 && (
+          <button className="oli-mod-toggle" onClick={() => setShowTrail(v => !v)}>
+            Modified {modifications.length}× {showTrail ? '▴' : '▾'}
+          </button>
+        )}
+        {order.stopLoss && <span className="oli-sl">SL: {formatINR(order.stopLoss)}</span>}
+        {order.target && <span className="oli-tgt">TGT: {formatINR(order.target)}</span>}
+      </div>
+      {showTrail && (
+        <ul className="oli-mod-trail">
+          {modifications.map((mod, i) => (
+            <li key={i}>
+              <span className="oli-time">{formatTime(mod.at)}</span>
+              {Object.entries(mod.changes).map(([key, { from, to }]) => (
+                <span key={key}>
+                  {MODIFIABLE_FIELDS.find(f => f.key === key)?.label || key} {formatModValue(key, from)} → {formatModValue(key, to)}
+                </span>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
-function HistoryTab({ closedPositions, executedOrders }) {
+/** Tradebook CSV export, and import with a report of the rows rejected. */
+function TradebookTools({ onDownload, onImport }) {
+  const fileRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const download = async () => {
+    const res = await onDownload();
+    setResult(res.success ? null : res);
+  };
+
+  const upload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setResult(await onImport(await file.text()));
+    setBusy(false);
+  };
+
+  const summary = result && describeImport(result);
+  return (
+    <div className="order-list-item tradebook">
+      <div className="oli-header">
+        <span className="oli-symbol">Tradebook</span>
+        {onDownload && <button className="oli-cancel-btn" onClick={download}>EXPORT CSV</button>}
+        {onImport && (
+          <button className="oli-cancel-btn" disabled={busy} onClick={() => fileRef.current?.click()}>
+            {busy ? 'IMPORTING…' : 'IMPORT CSV'}
+          </button>
+        )}
+        <input ref={fileRef} type="file" accept=".csv,text/csv" hidden onChange={upload} />
+      </div>
+      {result && (
+        <div className="tradebook-result">
+          {result.error && <span className="oli-note">{result.error}</span>}
+          {summary && <span className={result.success ? 'up' : 'down'}>{summary}</span>}
+          {result.rejected?.length > 0 && (
+            <ul className="tradebook-rejected">
+              {result.rejected.slice(0, 20).map(r => <li key={r.row}>{formatRejectedRow(r)}</li>)}
+              {result.rejected.length > 20 && <li>…and {result.rejected.length - 20} more</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HistoryTab({
+  closedPositions, executedOrders, contractNotes, onOpenContractNote, onDownloadTradebook, onImportTradebook,
+}) {
+  const [noteError, setNoteError] = useState('');
   const items = useMemo(() => {
     return executedOrders.slice(0, 30);
   }, [executedOrders]);
 
-  if (items.length === 0) {
-    return <div className="orders-empty">No history yet</div>;
+  const tradebook = (onDownloadTradebook || onImportTradebook) && (
+    <TradebookTools onDownload={onDownloadTradebook} onImport={onImportTradebook} />
+  );
+
+  if (items.length === 0 && contractNotes.length === 0) {
+    return (
+      <div className="orders-list">
+        {tradebook}
+        <div className="orders-empty">No history yet</div>
+      </div>
+    );
   }
 
+  const openNote = async (date, print) => {
+    setNoteError('');
+    const result = await onOpenContractNote?.(date, { print });
+    if (result && !result.success) setNoteError(result.error || 'Could not open contract note');
+  };
+
   return (
     <div className="orders-list">
+      {tradebook}
+      {contractNotes.length > 0 && (
+        <div className="order-list-item contract-notes">
+          <div className="oli-header">
+            <span className="oli-symbol">Contract notes</span>
+          </div>
+          {contractNotes.slice(0, 10).map(note => (
+            <div key={note.date} className="contract-note-row">
+              <span className="contract-note-date">{formatSessionDate(note.date)}</span>
+              <span className="oli-time">{note.trades} {note.trades === 1 ? 'trade' : 'trades'}</span>
+              <span className={`oli-pnl ${note.totals.netObligation >= 0 ? 'up' : 'down'}`}>
+                {describeObligation(note.totals.netObligation)}
+              </span>
+              {onOpenContractNote && (
+                <>
+                  <button className="oli-cancel-btn" onClick={() => openNote(note.date, false)}>VIEW</button>
+                  <button className="oli-cancel-btn" onClick={() => openNote(note.date, true)}>PRINT</button>
+                </>
+              )}
+            </div>
+          ))}
+          {noteError && <span className="oli-note">{noteError}</span>}
+        </div>
+      )}
       {items.map(order => (
         <div key={order.id} className="order-list-item history">
           <div className="oli-header">
             <span className={`oli-side ${order.side.toLowerCase()}`}>{order.side}</span>
             <span className="oli-symbol">{order.symbol.replace(/\.(NS|BO)$/, '')}</span>
-            <span className="oli-product">{order.product === 'MIS' ? 'Intraday' : 'Delivery'}</span>
-            <span className="oli-status">{order.status}</span>
+            <span className="oli-product">
+              {order.convertedFrom && `${PRODUCT_LABELS[order.convertedFrom]} → `}{PRODUCT_LABELS[order.product]}
+            </span>
+            <span className="oli-status">{order.type === 'CONVERSION' ? 'CONVERTED' : order.status}</span>
           </div>
           <div className="oli-details">
-            <span>Qty: {order.quantity}</span>
-            <span>Price: {formatINR(order.price)}</span>
+            <span>Qty: {order.filledQuantity && order.filledQuantity < order.quantity
+              ? `${order.filledQuantity}/${order.quantity}`
+              : order.quantity}</span>
+            <span>{order.fills?.length > 1 ? 'Avg' : 'Price'}: {formatINR(order.price)}</span>
+            {order.fills?.length > 1 && (
+              <span
+                className="oli-fills"
+                title={order.fills.map(f => `${f.quantity} @ ${formatINR(f.price)}`).join('\n')}
+              >
+                {order.fills.length} fills
+              </span>
+            )}
           </div>
           <div className="oli-footer">
             <span className="oli-time">
-              {new Date(order.timestamp).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+              {formatTime(order.timestamp)}
             </span>
+            {order.pnl != null && (
+              <span className={`oli-pnl ${order.pnl >= 0 ? 'up' : 'down'}`}>
+                P&L: {order.pnl >= 0 ? '+' : ''}{formatINR(order.pnl)}
+              </span>
+            )}
+            {order.charges?.total > 0 && (
+              <span className="oli-charges" title={formatChargeBreakdown(order.charges)}>
+                Charges: {formatINR(order.charges.total)}
+              </span>
+            )}
+            {order.pnl != null && order.charges && (
+              <span className={`oli-pnl ${order.pnl - order.charges.total >= 0 ? 'up' : 'down'}`}>
+                Net: {formatINR(order.pnl - order.charges.total)}
+              </span>
+            )}
             {order.note && <span className="oli-note">{order.note}</span>}
           </div>
         </div>
@@ -0,0 +1,99 @@
+import { useEffect, useState } from 'react';
+import {
+  ResponsiveContainer, XAxis, YAxis, Tooltip, PieChart, Pie, Cell, BarChart, Bar,
+} from 'recharts';
+import { formatINR } from '../../utils/formatters';
+import { allocationColor, formatXirr, formatDrawdown, formatRatio } from '../../utils/analytics';
+
+const TOOLTIP_STYLE = {
+  background: 'var(--card-bg-elevated)',
+  border: '1px solid var(--border)',
+  borderRadius: 8,
+  color: 'var(--text-primary)',
+  fontFamily: 'var(--font-mono)',
+  fontSize: 11,
+};
+const AXIS_TICK = { fontSize: 10, fill: 'var(--text-muted)', fontFamily: 'var(--font-mono)' };
+
+/**
+ * PortfolioAnalytics — Balance panel card charting the allocation by sector
+ * and market cap, with beta-weighted exposure, returns and trade
+ * statistics. Refetched whenever the balance moves.
+ */
+export default function PortfolioAnalytics({ balance, onFetchAnalytics }) {
+  const [analytics, setAnalytics] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    onFetchAnalytics().then(result => {
+      if (!cancelled && result) setAnalytics(result);
+    });
+    return () => { cancelled = true; };
+  }, [onFetchAnalytics, balance]);
+
+  if (!analytics) return null;
+  const { exposure, trades } = analytics;
+
+  const rows = [
+    ['Equity (MTM)', formatINR(analytics.equity)],
+    ['XIRR', formatXirr(analytics.xirr)],
+    ['Max drawdown', formatDrawdown(analytics.drawdown)],
+    ['Beta-weighted exposure', `${formatINR(exposure.betaWeighted)} · β ${formatRatio(exposure.beta)}`],
+    ['Win rate', trades.winRate == null ? '—' : `${trades.winRate.toFixed(1)}% of ${trades.trades}`],
+    ['Avg win / loss', `${trades.avgWin == null ? '—' : formatINR(trades.avgWin)} / ${trades.avgLoss == null ? '—' : formatINR(trades.avgLoss)}`],
+    ['Profit factor', formatRatio(trades.profitFactor)],
+  ];
+
+  return (
+    <div className="bp-card bp-statement bp-analytics">
+      <div className="bp-statement-header">
+        <h4 className="bp-add-money-title">Portfolio analytics</h4>
+      </div>
+
+      {rows.map(([label, value]) => (
+        <div key={label} className="bp-row">
+          <span className="bp-label">{label}</span>
+          <span className="bp-value">{value}</span>
+        </div>
+      ))}
+
+      {exposure.sectors.length === 0 && <div className="bp-statement-empty">Nothing held — allocation shows once you hold positions</div>}
+      {exposure.sectors.length > 0 && (
+        <div className="bp-analytics-allocation">
+          <div>
+            <div className="bp-analytics-caption">By sector</div>
+            <ResponsiveContainer width="100%" height={120}>
+              <PieChart>
+                <Pie data={exposure.sectors} dataKey="value" nameKey="name" innerRadius={30} outerRadius={52} paddingAngle={1}>
+                  {exposure.sectors.map((s, i) => <Cell key={s.name} fill={allocationColor(i)} />)}
+                </Pie>
+                <Tooltip contentStyle={TOOLTIP_STYLE} formatter={(v, name, { payload }) => [`${formatINR(v)} · ${payload.weight}%`, name]} />
+              </PieChart>
+            </ResponsiveContainer>
+            <ul className="bp-analytics-legend">
+              {exposure.sectors.map((s, i) => (
+                <li key={s.name}>
+                  <span className="bp-dot" style={{ background: allocationColor(i) }} />
+                  {s.name} <span className="bp-analytics-weight">{s.weight}%</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <div className="bp-analytics-caption">By market cap</div>
+            <ResponsiveContainer width="100%" height={120}>
+              <BarChart data={exposure.marketCaps} layout="vertical" margin={{ top: 6, right: 8, left: 0, bottom: 0 }}>
+                <XAxis type="number" hide domain={[0, 100]} />
+                <YAxis type="category" dataKey="name" tick={AXIS_TICK} tickLine={false} axisLine={false} width={62} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} formatter={(v, name, { payload }) => [`${v}% · ${formatINR(payload.value)}`, 'Weight']} />
+                <Bar dataKey="weight" radius={[0, 4, 4, 0]}>
+                  {exposure.marketCaps.map((m, i) => <Cell key={m.name} fill={allocationColor(i)} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
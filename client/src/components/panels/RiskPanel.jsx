@@ -0,0 +1,144 @@
+import { memo, useEffect, useState } from 'react';
+import { formatINR } from '../../utils/formatters';
+import {
+  RISK_PRODUCTS, RISK_LIMIT_FIELDS, limitsToDraft, draftToLimits, lossLimitUsed,
+} from '../../utils/riskLimits';
+
+/**
+ * RiskPanel — the account's risk limits and kill switch.
+ * Shown in sidebar drawer when the Risk tab is selected.
+ * The server rejects orders that break a limit; once today's loss reaches
+ * the daily limit the kill switch cancels working entry orders and blocks
+ * new ones until tomorrow (and squares off intraday positions if asked
+ * to). Exits are always allowed.
+ */
+function RiskPanel({ risk, onSaveRiskLimits }) {
+  const { limits, killSwitch, dayPnL = 0 } = risk || {};
+  const [draft, setDraft] = useState(() => (limits ? limitsToDraft(limits) : null));
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Fill the form once the limits have loaded
+  useEffect(() => {
+    if (limits && !draft) setDraft(limitsToDraft(limits));
+  }, [limits, draft]);
+
+  const setField = (key, value) => {
+    setDraft(d => ({ ...d, [key]: value }));
+    setError('');
+    setSaved('');
+  };
+
+  const toggleProduct = (id) => {
+    setField('allowedProducts', draft.allowedProducts.includes(id)
+      ? draft.allowedProducts.filter(p => p !== id)
+      : [...draft.allowedProducts, id]);
+  };
+
+  const save = async () => {
+    const parsed = draftToLimits(draft);
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+    setSaving(true);
+    const result = await onSaveRiskLimits(parsed.limits);
+    setSaving(false);
+    if (result?.success) {
+      setDraft(limitsToDraft(result.limits));
+      setSaved('Risk limits saved');
+    } else {
+      setError(result?.error || 'Could not save risk limits');
+    }
+  };
+
+  const used = lossLimitUsed(dayPnL, limits?.maxDailyLoss);
+
+  return (
+    <div className="balance-panel">
+      {/* Today */}
+      <div className={`bp-card bp-breakdown ${killSwitch ? 'bp-margin-call' : ''}`}>
+        {killSwitch && (
+          <div className="bp-margin-alert">
+            Kill switch on — today&apos;s loss of {formatINR(killSwitch.loss)} reached the {formatINR(killSwitch.limit)} limit.
+            New entries are blocked until tomorrow; exits are still allowed.
+          </div>
+        )}
+        <div className="bp-row">
+          <div className="bp-row-left">
+            <span className="bp-dot bp-dot-blue" />
+            <span className="bp-label">Today&apos;s P&amp;L</span>
+          </div>
+          <span className={`bp-value ${dayPnL >= 0 ? 'up' : 'down'}`}>
+            {dayPnL >= 0 ? '+' : ''}{formatINR(dayPnL)}
+          </span>
+        </div>
+        {used != null && (
+          <>
+            <div className="bp-row">
+              <div className="bp-row-left">
+                <span className="bp-dot bp-dot-orange" />
+                <span className="bp-label">Daily loss limit used</span>
+              </div>
+              <span className="bp-value">{used}%</span>
+            </div>
+            <div className="risk-meter">
+              <div className={`risk-meter-fill ${used >= 75 ? 'down' : ''}`} style={{ width: `${used}%` }} />
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Limits */}
+      {draft && (
+        <div className="bp-card bp-add-money-section">
+          <h4 className="bp-add-money-title">Risk Limits</h4>
+          {RISK_LIMIT_FIELDS.map(({ key, label, kind }) => (
+            <label key={key} className="risk-field">
+              <span className="bp-label">{label}</span>
+              <input
+                type="number"
+                className="bp-amount-input"
+                value={draft[key]}
+                onChange={(e) => setField(key, e.target.value)}
+                placeholder="No limit"
+                min="1"
+                step={kind === 'count' ? '1' : 'any'}
+              />
+            </label>
+          ))}
+
+          <div className="risk-field">
+            <span className="bp-label">Allowed products</span>
+            <div className="risk-products">
+              {RISK_PRODUCTS.map(({ id, label }) => (
+                <label key={id} className="risk-check">
+                  <input type="checkbox" checked={draft.allowedProducts.includes(id)} onChange={() => toggleProduct(id)} />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="risk-check">
+            <input
+              type="checkbox"
+              checked={draft.squareOffOnKill}
+              onChange={(e) => setField('squareOffOnKill', e.target.checked)}
+            />
+            Square off intraday positions when the kill switch trips
+          </label>
+
+          <button className="bp-confirm-add-btn risk-save-btn" onClick={save} disabled={saving}>
+            {saving ? 'Saving…' : 'Save limits'}
+          </button>
+          {error && <div className="bp-add-error">{error}</div>}
+          {saved && <div className="bp-add-success">{saved}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default memo(RiskPanel);
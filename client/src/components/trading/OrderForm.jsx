@@ -1,25 +1,43 @@
 import { useState, useCallback, memo } from 'react';
 import { formatINR } from '../../utils/formatters';
+import { trailStopLevel, formatTrail } from '../../utils/trailingStop';
+import { isOnTick, isLotMultiple } from '../../utils/tickSize';
 
 /**
  * OrderForm — Buy/Sell order entry form.
- * Supports Market/Limit, MIS/CNC, Stop Loss, Target.
- * Shows a confirmation modal before placing the order.
+ * Supports Market/Limit/SL/SL-M, MIS/CNC, Stop Loss, Target, and
+ * Regular / Bracket (entry + target + stop, OCO) / Cover (MIS + stop) orders,
+ * with an optional trailing stop in points or percent.
+ * Shows a confirmation modal before placing the order, and the current
+ * trailed stop of any open trailing position in this symbol.
+ * Quantities step by the symbol's lot size and prices by its tick size.
+ * Regular market/limit orders can be IOC instead of the default DAY.
  */
-function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlaced }) {
+function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlaced, positions = [], misLeverage = 5, tickSize = 0.05, lotSize = 1 }) {
   const [side, setSide] = useState('BUY');
   const [quantity, setQuantity] = useState('');
   const [orderType, setOrderType] = useState('MARKET');
+  const [variety, setVariety] = useState('REGULAR');
   const [product, setProduct] = useState('CNC');
   const [limitPrice, setLimitPrice] = useState('');
+  const [triggerPrice, setTriggerPrice] = useState('');
   const [stopLoss, setStopLoss] = useState('');
   const [target, setTarget] = useState('');
+  const [trailValue, setTrailValue] = useState('');
+  const [trailType, setTrailType] = useState('POINTS');
+  const [btst, setBtst] = useState(false);
+  const [validity, setValidity] = useState('DAY');
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [showConfirm, setShowConfirm] = useState(false);
   const [pendingParams, setPendingParams] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Only a regular delivery sell can be BTST
+  const canBtst = side === 'SELL' && product === 'CNC' && variety === 'REGULAR';
+  // IOC applies to regular market and limit orders only
+  const canIoc = variety === 'REGULAR' && (orderType === 'MARKET' || orderType === 'LIMIT');
+
   const handleSubmit = useCallback(async (e) => {
     e.preventDefault();
     setError('');
@@ -30,6 +48,44 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
       setError('Enter a valid quantity');
       return;
     }
+    if (!isLotMultiple(qty, lotSize)) {
+      setError(`Quantity must be a multiple of the lot size (${lotSize})`);
+      return;
+    }
+    const needsLimit = orderType === 'LIMIT' || orderType === 'SL';
+    const needsTrigger = orderType === 'SL' || orderType === 'SL-M';
+    if (needsLimit && !(parseFloat(limitPrice) > 0)) {
+      setError('Enter a valid limit price');
+      return;
+    }
+    if (needsTrigger && !(parseFloat(triggerPrice) > 0)) {
+      setError('Enter a valid trigger price');
+      return;
+    }
+    if (variety !== 'REGULAR' && !(parseFloat(stopLoss) > 0)) {
+      setError(`${variety === 'BO' ? 'Bracket' : 'Cover'} orders need a stop loss`);
+      return;
+    }
+    if (variety === 'BO' && !(parseFloat(target) > 0)) {
+      setError('Bracket orders need a target');
+      return;
+    }
+    const trail = parseFloat(trailValue);
+    if (trailValue && !(trail > 0 && (trailType === 'POINTS' || trail < 100))) {
+      setError('Enter a valid trailing stop');
+      return;
+    }
+    const offTick = [
+      ['Limit price', needsLimit && limitPrice],
+      ['Trigger price', needsTrigger && triggerPrice],
+      ['Stop loss', stopLoss],
+      ['Target', variety !== 'CO' && target],
+      ['Trailing stop', trailType === 'POINTS' && trailValue],
+    ].find(([, value]) => value && !isOnTick(parseFloat(value), tickSize));
+    if (offTick) {
+      setError(`${offTick[0]} must be a multiple of the ₹${tickSize.toFixed(2)} tick size`);
+      return;
+    }
 
     const params = {
       symbol,
@@ -37,16 +93,22 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
       quantity: qty,
       price: currentPrice,
       type: orderType,
-      limitPrice: orderType === 'LIMIT' ? parseFloat(limitPrice) : null,
-      product,
+      limitPrice: needsLimit ? parseFloat(limitPrice) : null,
+      triggerPrice: needsTrigger ? parseFloat(triggerPrice) : null,
+      product: variety === 'REGULAR' ? product : 'MIS',
+      variety,
       stopLoss: stopLoss ? parseFloat(stopLoss) : null,
-      target: target ? parseFloat(target) : null,
+      target: variety !== 'CO' && target ? parseFloat(target) : null,
+      trailType: trailValue ? trailType : null,
+      trailValue: trailValue ? trail : null,
+      btst: canBtst && btst,
+      validity: canIoc ? validity : 'DAY',
     };
 
     // Show confirmation modal instead of placing immediately
     setPendingParams(params);
     setShowConfirm(true);
-  }, [symbol, side, quantity, orderType, product, limitPrice, stopLoss, target, currentPrice]);
+  }, [symbol, side, quantity, orderType, variety, product, limitPrice, triggerPrice, stopLoss, target, trailValue, trailType, btst, canBtst, validity, canIoc, currentPrice, tickSize, lotSize]);
 
   const handleConfirmOrder = useCallback(async () => {
     if (!pendingParams || isSubmitting) return;
@@ -57,18 +119,41 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
       const result = await onPlaceOrder(pendingParams);
 
       if (result.success) {
-        setSuccess(`${pendingParams.side} order placed for ${pendingParams.quantity} ${symbol.replace(/\.(NS|BO)$/, '')} @ ${formatINR(pendingParams.price)}`);
+        // The server decides the execution price; resting limit orders report their limit
+        const orderPrice = result.fillPrice ?? result.order?.price ?? pendingParams.price;
+        const shortSymbol = symbol.replace(/\.(NS|BO)$/, '');
+        const filled = result.filledQuantity ?? pendingParams.quantity;
+        const ioc = pendingParams.validity === 'IOC';
+        let message;
+        if (result.fillPrice == null && result.order?.status === 'CANCELLED') {
+          // Cancelled outright: an IOC with nothing fillable at its limit
+          setError(result.order.note || 'Order cancelled — nothing filled');
+          return;
+        } else if (result.fillPrice != null && filled < pendingParams.quantity) {
+          // The book could not absorb the whole order
+          const rest = result.order?.status === 'CANCELLED' ? `rest cancelled (${ioc ? 'IOC' : 'no depth'})` : 'rest open';
+          message = `${pendingParams.side} ${filled} of ${pendingParams.quantity} ${shortSymbol} filled @ avg ${formatINR(orderPrice)} — ${rest}`;
+        } else if (result.fillPrice != null) {
+          message = `${pendingParams.side} ${pendingParams.quantity} ${shortSymbol} filled @ ${formatINR(orderPrice)}`;
+        } else if (pendingParams.triggerPrice) {
+          message = `${pendingParams.side} ${pendingParams.type} order placed for ${pendingParams.quantity} ${shortSymbol}, trigger @ ${formatINR(pendingParams.triggerPrice)}`;
+        } else {
+          message = `${pendingParams.side} limit order placed for ${pendingParams.quantity} ${shortSymbol} @ ${formatINR(orderPrice)}`;
+        }
+        setSuccess(message);
         setQuantity('');
         setStopLoss('');
         setTarget('');
+        setTrailValue('');
         setLimitPrice('');
+        setTriggerPrice('');
         setTimeout(() => setSuccess(''), 3000);
         // Notify parent (for toast + auto-open orders panel)
         onOrderPlaced?.({
           side: pendingParams.side,
           quantity: pendingParams.quantity,
           symbol,
-          price: pendingParams.price,
+          price: orderPrice,
           stockName: stockName || symbol?.replace(/\.(NS|BO)$/, ''),
         });
       } else {
@@ -87,8 +172,23 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
     setPendingParams(null);
   }, []);
 
+  // Bracket/cover orders are intraday MARKET or LIMIT entries
+  const handleVarietyChange = useCallback((next) => {
+    setVariety(next);
+    if (next !== 'REGULAR') {
+      setProduct('MIS');
+      setOrderType(t => (t === 'SL' || t === 'SL-M' ? 'MARKET' : t));
+    }
+  }, []);
+
+  // Where a trailing stop would sit at today's price, and where the stops of
+  // open trailing positions in this symbol have been trailed to
+  const trailPreview = trailValue ? trailStopLevel(side, trailType, parseFloat(trailValue), currentPrice) : null;
+  const trailingPositions = positions.filter(p => p.symbol === symbol && p.trailType && p.stopLoss);
+
   const estimatedValue = currentPrice * (parseInt(quantity, 10) || 0);
-  const marginRequired = product === 'MIS' ? estimatedValue * 0.2 : estimatedValue;
+  const isIntraday = product === 'MIS' || variety !== 'REGULAR';
+  const marginRequired = isIntraday ? estimatedValue / misLeverage : estimatedValue;
 
   return (
     <div className="order-form">
@@ -116,6 +216,7 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
           className={`product-btn ${product === 'CNC' ? 'active' : ''}`}
           onClick={() => setProduct('CNC')}
           type="button"
+          disabled={variety !== 'REGULAR'}
           title="Delivery — Hold until you sell"
         >
           Delivery
@@ -124,13 +225,51 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
           className={`product-btn ${product === 'MIS' ? 'active' : ''}`}
           onClick={() => setProduct('MIS')}
           type="button"
-          title="Intraday — Auto square off at 3:15 PM"
+          title={`Intraday — ${misLeverage}× leverage. Auto square off at 3:15 PM`}
         >
           Intraday
         </button>
       </div>
 
       <form onSubmit={handleSubmit} className="order-form-fields">
+        {/* Variety */}
+        <div className="order-field-row">
+          <label className="order-label">Order</label>
+          <div className="order-type-toggle">
+            <button
+              className={`type-btn ${variety === 'REGULAR' ? 'active' : ''}`}
+              onClick={() => handleVarietyChange('REGULAR')}
+              type="button"
+            >
+              Regular
+            </button>
+            <button
+              className={`type-btn ${variety === 'BO' ? 'active' : ''}`}
+              onClick={() => handleVarietyChange('BO')}
+              type="button"
+              title="Bracket — entry with linked target and stop loss; one cancels the other"
+            >
+              Bracket
+            </button>
+            <button
+              className={`type-btn ${variety === 'CO' ? 'active' : ''}`}
+              onClick={() => handleVarietyChange('CO')}
+              type="button"
+              title="Cover — intraday entry with a mandatory stop loss"
+            >
+              Cover
+            </button>
+          </div>
+        </div>
+
+        {/* BTST — deliver shares bought in the last session before they settle */}
+        {canBtst && (
+          <label className="order-btst" title="Buy today, sell tomorrow — sell delivery shares still awaiting T+1 settlement">
+            <input type="checkbox" checked={btst} onChange={(e) => setBtst(e.target.checked)} />
+            BTST — include unsettled shares
+          </label>
+        )}
+
         {/* Order Type */}
         <div className="order-field-row">
           <label className="order-label">Type</label>
@@ -149,6 +288,50 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
             >
               Limit
             </button>
+            {variety === 'REGULAR' && (
+              <>
+                <button
+                  className={`type-btn ${orderType === 'SL' ? 'active' : ''}`}
+                  onClick={() => setOrderType('SL')}
+                  type="button"
+                  title="Stop-limit — places a limit order once the trigger price is hit"
+                >
+                  SL
+                </button>
+                <button
+                  className={`type-btn ${orderType === 'SL-M' ? 'active' : ''}`}
+                  onClick={() => setOrderType('SL-M')}
+                  type="button"
+                  title="Stop-market — executes at market once the trigger price is hit"
+                >
+                  SL-M
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Validity */}
+        <div className="order-field-row">
+          <label className="order-label">Validity</label>
+          <div className="order-type-toggle">
+            <button
+              className={`type-btn ${!canIoc || validity === 'DAY' ? 'active' : ''}`}
+              onClick={() => setValidity('DAY')}
+              type="button"
+              title="Day — an unfilled order expires at the market close"
+            >
+              Day
+            </button>
+            <button
+              className={`type-btn ${canIoc && validity === 'IOC' ? 'active' : ''}`}
+              onClick={() => setValidity('IOC')}
+              type="button"
+              disabled={!canIoc}
+              title="Immediate or cancel — fill what is available now, cancel the rest"
+            >
+              IOC
+            </button>
           </div>
         </div>
 
@@ -161,13 +344,28 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
             value={quantity}
             onChange={(e) => setQuantity(e.target.value)}
             placeholder="0"
-            min="1"
-            step="1"
+            min={lotSize}
+            step={lotSize}
           />
         </div>
 
-        {/* Limit Price (if LIMIT) */}
-        {orderType === 'LIMIT' && (
+        {/* Trigger Price (if SL / SL-M) */}
+        {(orderType === 'SL' || orderType === 'SL-M') && (
+          <div className="order-field-row">
+            <label className="order-label">Trigger</label>
+            <input
+              type="number"
+              className="order-input"
+              value={triggerPrice}
+              onChange={(e) => setTriggerPrice(e.target.value)}
+              placeholder={currentPrice?.toFixed(2)}
+              step={tickSize}
+            />
+          </div>
+        )}
+
+        {/* Limit Price (if LIMIT / SL) */}
+        {(orderType === 'LIMIT' || orderType === 'SL') && (
           <div className="order-field-row">
             <label className="order-label">Price</label>
             <input
@@ -176,7 +374,7 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
               value={limitPrice}
               onChange={(e) => setLimitPrice(e.target.value)}
               placeholder={currentPrice?.toFixed(2)}
-              step="0.05"
+              step={tickSize}
             />
           </div>
         )}
@@ -189,24 +387,58 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
             className="order-input"
             value={stopLoss}
             onChange={(e) => setStopLoss(e.target.value)}
-            placeholder="Optional"
-            step="0.05"
+            placeholder={variety === 'REGULAR' ? 'Optional' : 'Required'}
+            step={tickSize}
           />
         </div>
 
-        {/* Target */}
+        {/* Trailing Stop Loss */}
         <div className="order-field-row">
-          <label className="order-label">Target</label>
+          <label className="order-label">Trail SL</label>
           <input
             type="number"
             className="order-input"
-            value={target}
-            onChange={(e) => setTarget(e.target.value)}
+            value={trailValue}
+            onChange={(e) => setTrailValue(e.target.value)}
             placeholder="Optional"
-            step="0.05"
+            step={trailType === 'PERCENT' ? '0.1' : tickSize}
+            min="0"
           />
+          <div className="order-trail-toggle">
+            <button
+              className={`type-btn ${trailType === 'POINTS' ? 'active' : ''}`}
+              onClick={() => setTrailType('POINTS')}
+              type="button"
+              title="Trail the stop by a fixed number of rupees"
+            >
+              ₹
+            </button>
+            <button
+              className={`type-btn ${trailType === 'PERCENT' ? 'active' : ''}`}
+              onClick={() => setTrailType('PERCENT')}
+              type="button"
+              title="Trail the stop by a percentage of the price"
+            >
+              %
+            </button>
+          </div>
         </div>
 
+        {/* Target (cover orders have none) */}
+        {variety !== 'CO' && (
+          <div className="order-field-row">
+            <label className="order-label">Target</label>
+            <input
+              type="number"
+              className="order-input"
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              placeholder={variety === 'BO' ? 'Required' : 'Optional'}
+              step={tickSize}
+            />
+          </div>
+        )}
+
         {/* Order Summary */}
         <div className="order-summary">
           <div className="order-summary-row">
@@ -214,9 +446,21 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
             <span className="order-summary-val">{formatINR(estimatedValue)}</span>
           </div>
           <div className="order-summary-row">
-            <span>Margin Req.</span>
+            <span>Margin Req.{isIntraday ? ` (${misLeverage}×)` : ''}</span>
             <span className="order-summary-val">{formatINR(marginRequired)}</span>
           </div>
+          {trailPreview != null && (
+            <div className="order-summary-row">
+              <span>Trail SL @ LTP</span>
+              <span className="order-summary-val">{formatINR(trailPreview)}</span>
+            </div>
+          )}
+          {trailingPositions.map(pos => (
+            <div key={pos.id} className="order-summary-row">
+              <span>Trailed SL · {pos.side} {pos.quantity} ({formatTrail(pos.trailType, pos.trailValue)})</span>
+              <span className="order-summary-val">{formatINR(pos.stopLoss)}</span>
+            </div>
+          ))}
         </div>
 
         {/* Error / Success messages */}
@@ -254,20 +498,38 @@ function OrderForm({ symbol, currentPrice, onPlaceOrder, stockName, onOrderPlace
                 <span className="order-confirm-val">{pendingParams.quantity}</span>
               </div>
               <div className="order-confirm-row">
-                <span>Price</span>
-                <span className="order-confirm-val">{formatINR(pendingParams.price)}</span>
+                <span>{pendingParams.limitPrice ? 'Limit Price' : 'Price (approx.)'}</span>
+                <span className="order-confirm-val">{formatINR(pendingParams.limitPrice || pendingParams.triggerPrice || pendingParams.price)}</span>
               </div>
+              {pendingParams.triggerPrice && (
+                <div className="order-confirm-row">
+                  <span>Trigger Price</span>
+                  <span className="order-confirm-val">{formatINR(pendingParams.triggerPrice)}</span>
+                </div>
+              )}
               <div className="order-confirm-row">
                 <span>Type</span>
-                <span className="order-confirm-val">{pendingParams.type}</span>
+                <span className="order-confirm-val">{pendingParams.type} · {pendingParams.validity}</span>
               </div>
+              {pendingParams.variety !== 'REGULAR' && (
+                <div className="order-confirm-row">
+                  <span>Variety</span>
+                  <span className="order-confirm-val">{pendingParams.variety === 'BO' ? 'Bracket' : 'Cover'}</span>
+                </div>
+              )}
+              {pendingParams.trailValue && (
+                <div className="order-confirm-row">
+                  <span>Trailing SL</span>
+                  <span className="order-confirm-val">{formatTrail(pendingParams.trailType, pendingParams.trailValue)}</span>
+                </div>
+              )}
               <div className="order-confirm-row">
                 <span>Product</span>
-                <span className="order-confirm-val">{pendingParams.product === 'MIS' ? 'Intraday' : 'Delivery'}</span>
+                <span className="order-confirm-val">{pendingParams.product === 'MIS' ? 'Intraday' : 'Delivery'}{pendingParams.btst ? ' · BTST' : ''}</span>
               </div>
               <div className="order-confirm-row total">
                 <span>Est. Value</span>
-                <span className="order-confirm-val">{formatINR(pendingParams.price * pendingParams.quantity)}</span>
+                <span className="order-confirm-val">{formatINR((pendingParams.limitPrice || pendingParams.triggerPrice || pendingParams.price) * pendingParams.quantity)}</span>
               </div>
             </div>
             <div className="order-confirm-actions">
@@ -1,9 +1,10 @@
 import { memo, useMemo } from 'react';
 import { formatINR } from '../../utils/formatters';
+import { formatTrail } from '../../utils/trailingStop';
 
 /**
  * PositionSummary — Shows open positions for the current symbol
- * with live unrealised P&L.
+ * with live unrealised P&L. A trailing stop shows its current trailed level.
  */
 function PositionSummary({ positions, livePrices, onClosePosition }) {
   const openPositions = useMemo(() => {
@@ -73,7 +74,9 @@ function PositionSummary({ positions, livePrices, onClosePosition }) {
             {(pos.stopLoss || pos.target) && (
               <div className="position-card-footer">
                 {pos.stopLoss && (
-                  <span className="position-sl">SL: {formatINR(pos.stopLoss)}</span>
+                  <span className="position-sl">
+                    {pos.trailType ? `Trailing SL (${formatTrail(pos.trailType, pos.trailValue)})` : 'SL'}: {formatINR(pos.stopLoss)}
+                  </span>
                 )}
                 {pos.target && (
                   <span className="position-tgt">TGT: {formatINR(pos.target)}</span>
@@ -1,19 +1,31 @@
-import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { getTradingEngine } from '../services/tradingEngine';
+import { useAuth } from '../contexts/AuthContext';
+import { valueHoldings } from '../utils/holdings';
+import { marginStatus } from '../utils/margin';
+import { liveDayPnL } from '../utils/riskLimits';
 
 /**
  * useTrading — React hook for the API-backed trading engine.
  *
- * Subscribes to the TradingEngine singleton, provides reactive state,
- * and periodically checks stop loss / target / limit order triggers.
+ * Subscribes to the TradingEngine singleton and provides reactive state.
+ * The engine is bound to the logged-in user's JWT from AuthContext.
+ * Limit fills and SL/target exits happen on the server; each resulting
+ * socket event triggers a re-sync.
  *
  * @param {Object} livePrices - Map of symbol => { price, ... } from useLiveMarketStore
+ * @param {Object|null} tradingEvent - latest `trading:update` event from useWebSocket
  * @returns trading state and action methods
  */
-export function useTrading(livePrices = {}) {
+export function useTrading(livePrices = {}, tradingEvent = null) {
   const engine = useMemo(() => getTradingEngine(), []);
+  const { token } = useAuth();
   const [state, setState] = useState(() => engine.getState());
-  const triggerThrottleRef = useRef(0);
+
+  // Bind the engine to the current user's session
+  useEffect(() => {
+    engine.setToken(token);
+  }, [engine, token]);
 
   // Subscribe to engine state changes
   useEffect(() => {
@@ -24,31 +36,49 @@ export function useTrading(livePrices = {}) {
     return unsub;
   }, [engine]);
 
-  // Check triggers when prices change (throttled to every 3s to avoid spamming)
+  // Server filled an order or closed a position — pull the new state
   useEffect(() => {
-    if (!livePrices || Object.keys(livePrices).length === 0) return;
-
-    const now = Date.now();
-    if (now - triggerThrottleRef.current < 3000) return;
-    triggerThrottleRef.current = now;
-
-    // Only check if we have open positions or open orders
-    const hasOpen = state.positions.some(p => p.status === 'OPEN') ||
-                    state.orders.some(o => o.status === 'OPEN');
-    if (hasOpen) {
-      engine.checkTriggers(livePrices);
-    }
-  }, [livePrices, engine, state.positions, state.orders]);
+    if (tradingEvent) engine.syncFromServer();
+  }, [tradingEvent, engine]);
 
   // Calculate unrealised P&L
   const unrealisedPnL = useMemo(() => {
     return engine.calcUnrealisedPnL(livePrices);
-  }, [livePrices, state.positions, engine]);
+  }, [livePrices, state.positions, state.holdings, engine]);
+
+  // Settled delivery holdings, valued at live prices
+  const { holdings, summary: holdingsSummary } = useMemo(() => {
+    return valueHoldings(state.holdings, livePrices);
+  }, [state.holdings, livePrices]);
 
-  // Open positions
+  // Open positions. Bracket/cover positions carry their stop and target on
+  // exit legs, so surface the legs' current (possibly trailed) levels here.
   const openPositions = useMemo(() => {
-    return state.positions.filter(p => p.status === 'OPEN');
-  }, [state.positions]);
+    return state.positions
+      .filter(p => p.status === 'OPEN')
+      .map(p => {
+        if (!p.parentOrderId) return p;
+        const legs = state.orders.filter(o => o.parentId === p.parentOrderId &&
+          ['OPEN', 'TRIGGER_PENDING', 'PARTIALLY_FILLED'].includes(o.status));
+        const stopLeg = legs.find(o => o.legType === 'STOPLOSS');
+        const targetLeg = legs.find(o => o.legType === 'TARGET');
+        return { ...p, stopLoss: stopLeg?.triggerPrice ?? null, target: targetLeg?.price ?? null };
+      });
+  }, [state.positions, state.orders]);
+
+  // Intraday margin, marked to market at live prices
+  const margin = useMemo(() => ({
+    ...marginStatus(state.positions.filter(p => p.status === 'OPEN'), state.balance, livePrices, state.margin.maintenanceRatio),
+    marginCallAt: state.margin.marginCallAt,
+    events: state.margin.events,
+  }), [state.positions, state.balance, state.margin, livePrices]);
+
+  // Risk limits, today's kill switch and today's P&L at live prices
+  const risk = useMemo(() => ({
+    limits: state.risk.limits,
+    killSwitch: state.risk.killSwitch,
+    dayPnL: liveDayPnL(state.risk.dayRealised, state.positions.filter(p => p.status === 'OPEN'), livePrices),
+  }), [state.risk, state.positions, livePrices]);
 
   // Closed positions (last 50)
   const closedPositions = useMemo(() => {
@@ -58,15 +88,16 @@ export function useTrading(livePrices = {}) {
       .reverse();
   }, [state.positions]);
 
-  // Open orders
+  // Open orders (resting limits, untriggered stops, partly filled limits)
   const openOrders = useMemo(() => {
-    return state.orders.filter(o => o.status === 'OPEN');
+    return state.orders.filter(o => ['OPEN', 'TRIGGER_PENDING', 'PARTIALLY_FILLED'].includes(o.status));
   }, [state.orders]);
 
-  // Executed orders (last 50)
+  // Executed orders, including cancelled ones that filled in part and DAY
+  // orders that expired at the close (last 50)
   const executedOrders = useMemo(() => {
     return state.orders
-      .filter(o => o.status === 'EXECUTED')
+      .filter(o => o.status === 'EXECUTED' || o.status === 'EXPIRED' || (o.status === 'CANCELLED' && o.filledQuantity > 0))
       .slice(-50)
       .reverse();
   }, [state.orders]);
@@ -80,10 +111,42 @@ export function useTrading(livePrices = {}) {
     return await engine.closePosition(posId, currentPrice);
   }, [engine]);
 
+  const convertPosition = useCallback(async (posId, product) => {
+    return await engine.convertPosition(posId, product);
+  }, [engine]);
+
   const cancelOrder = useCallback(async (orderId) => {
     return await engine.cancelOrder(orderId);
   }, [engine]);
 
+  const modifyOrder = useCallback(async (orderId, changes) => {
+    return await engine.modifyOrder(orderId, changes);
+  }, [engine]);
+
+  const createGtt = useCallback(async (params) => {
+    return await engine.createGtt(params);
+  }, [engine]);
+
+  const cancelGtt = useCallback(async (gttId) => {
+    return await engine.cancelGtt(gttId);
+  }, [engine]);
+
+  const saveBasket = useCallback(async (basket) => {
+    return await engine.saveBasket(basket);
+  }, [engine]);
+
+  const deleteBasket = useCallback(async (basketId) => {
+    return await engine.deleteBasket(basketId);
+  }, [engine]);
+
+  const basketMargin = useCallback(async (legs) => {
+    return await engine.basketMargin(legs);
+  }, [engine]);
+
+  const executeBasket = useCallback(async (basketId) => {
+    return await engine.executeBasket(basketId);
+  }, [engine]);
+
   const resetAccount = useCallback(async () => {
     await engine.resetAccount();
   }, [engine]);
@@ -92,6 +155,46 @@ export function useTrading(livePrices = {}) {
     return await engine.addMoney(amount);
   }, [engine]);
 
+  const saveRiskLimits = useCallback(async (limits) => {
+    return await engine.saveRiskLimits(limits);
+  }, [engine]);
+
+  const withdrawMoney = useCallback(async (amount) => {
+    return await engine.withdrawMoney(amount);
+  }, [engine]);
+
+  const fetchLedger = useCallback(async (query) => {
+    return await engine.fetchLedger(query);
+  }, [engine]);
+
+  const fetchTaxReport = useCallback(async (fy) => {
+    return await engine.fetchTaxReport(fy);
+  }, [engine]);
+
+  const downloadTaxReport = useCallback(async (fy) => {
+    return await engine.downloadTaxReport(fy);
+  }, [engine]);
+
+  const fetchAnalytics = useCallback(async () => {
+    return await engine.fetchAnalytics();
+  }, [engine]);
+
+  const fetchSnapshots = useCallback(async (query) => {
+    return await engine.fetchSnapshots(query);
+  }, [engine]);
+
+  const openContractNote = useCallback(async (date, options) => {
+    return await engine.openContractNote(date, options);
+  }, [engine]);
+
+  const downloadTradebook = useCallback(async () => {
+    return await engine.downloadTradebook();
+  }, [engine]);
+
+  const importTradebook = useCallback(async (csv) => {
+    return await engine.importTradebook(csv);
+  }, [engine]);
+
   const getPositionsForSymbol = useCallback((symbol) => {
     return engine.getPositionsForSymbol(symbol);
   }, [engine]);
@@ -100,18 +203,45 @@ export function useTrading(livePrices = {}) {
     balance: state.balance,
     usedMargin: state.usedMargin,
     realisedPnL: state.realisedPnL,
+    chargesPaid: state.chargesPaid,
     unrealisedPnL,
+    margin,
     openPositions,
     closedPositions,
+    holdings,
+    holdingsSummary,
     openOrders,
     executedOrders,
+    gtts: state.gtts,
+    baskets: state.baskets,
+    corporateActions: state.corporateActions,
+    contractNotes: state.contractNotes,
+    risk,
     allOrders: state.orders,
     allPositions: state.positions,
     placeOrder,
     closePosition,
+    convertPosition,
     cancelOrder,
+    modifyOrder,
+    createGtt,
+    cancelGtt,
+    saveBasket,
+    deleteBasket,
+    basketMargin,
+    executeBasket,
+    saveRiskLimits,
     resetAccount,
     addMoney,
+    withdrawMoney,
+    fetchLedger,
+    fetchTaxReport,
+    downloadTaxReport,
+    fetchAnalytics,
+    fetchSnapshots,
+    openContractNote,
+    downloadTradebook,
+    importTradebook,
     getPositionsForSymbol,
   };
 }
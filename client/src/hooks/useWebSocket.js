@@ -6,6 +6,9 @@ const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
 /**
  * useWebSocket — React hook for Socket.IO real-time market data.
  *
+ * @param {string|null} token - JWT sent in the handshake so the server can
+ *   deliver account events (fills, triggers) for the logged-in user
+ *
  * Returns:
  *   socket       — raw socket instance (for manual emit)
  *   connected    — boolean connection status
@@ -22,9 +25,11 @@ const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
  *   requestAllQuotes — () => void
  *   allQuotes    — all quotes snapshot
  *   snapshot     — latest quote snapshot for subscribed symbol
+ *   tradingEvent — latest account event (order filled, position closed)
  */
-export function useWebSocket() {
+export function useWebSocket(token = null) {
   const socketRef = useRef(null);
+  const tokenRef = useRef(token);
   const [connected, setConnected] = useState(false);
   const [liveTick, setLiveTick] = useState(null);
   const [allTicks, setAllTicks] = useState({});
@@ -34,6 +39,7 @@ export function useWebSocket() {
   const [searchResults, setSearchResults] = useState([]);
   const [allQuotes, setAllQuotes] = useState([]);
   const [snapshot, setSnapshot] = useState(null);
+  const [tradingEvent, setTradingEvent] = useState(null);
   const currentSymbolRef = useRef(null);
 
   // Initialize socket connection
@@ -45,6 +51,7 @@ export function useWebSocket() {
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
       timeout: 10000,
+      auth: (cb) => cb({ token: tokenRef.current }),
     });
 
     socket.on('connect', () => {
@@ -108,6 +115,11 @@ export function useWebSocket() {
       setSnapshot(data);
     });
 
+    // Account events for the authenticated user
+    socket.on('trading:update', (data) => {
+      setTradingEvent({ ...data, receivedAt: Date.now() });
+    });
+
     socketRef.current = socket;
 
     return () => {
@@ -115,6 +127,17 @@ export function useWebSocket() {
     };
   }, []);
 
+  // Reconnect with the new credentials when the user changes
+  useEffect(() => {
+    if (tokenRef.current === token) return;
+    tokenRef.current = token;
+    const socket = socketRef.current;
+    if (socket?.connected) {
+      socket.disconnect();
+      socket.connect();
+    }
+  }, [token]);
+
   const subscribe = useCallback((symbol) => {
     const socket = socketRef.current;
     if (!socket) return;
@@ -171,5 +194,6 @@ export function useWebSocket() {
     requestAllQuotes,
     allQuotes,
     snapshot,
+    tradingEvent,
   };
 }
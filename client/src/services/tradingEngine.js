@@ -1,10 +1,13 @@
 /**
  * TradingEngine — API-backed trading simulation engine.
  *
- * All state is persisted in SQLite on the server via REST endpoints.
- * The client fetches state and sends actions to the server.
+ * All state is persisted per user on the server via REST endpoints.
+ * The client fetches state and sends actions to the server, authenticated
+ * with the JWT handed over from AuthContext via setToken().
  */
 
+import { saveBlob, filenameFromDisposition } from '../utils/download';
+
 const API = `${import.meta.env.VITE_API_URL || ''}/api/trading`;
 
 /**
@@ -15,11 +18,40 @@ export function createTradingEngine() {
     balance: 1000000,
     usedMargin: 0,
     positions: [],
+    holdings: [],
     orders: [],
+    gtts: [],
+    baskets: [],
+    corporateActions: { upcoming: [], events: [] },
+    contractNotes: [],
+    margin: { maintenanceRatio: 0.5, marginCallAt: null, events: [] },
+    risk: { limits: null, killSwitch: null, dayRealised: 0 },
     realisedPnL: 0,
+    chargesPaid: 0,
   };
   let listeners = [];
   let syncing = false;
+  let token = null;
+
+  function authHeaders(extra = {}) {
+    return token ? { ...extra, Authorization: `Bearer ${token}` } : extra;
+  }
+
+  function clearState() {
+    state.balance = 1000000;
+    state.usedMargin = 0;
+    state.realisedPnL = 0;
+    state.chargesPaid = 0;
+    state.positions = [];
+    state.holdings = [];
+    state.orders = [];
+    state.gtts = [];
+    state.baskets = [];
+    state.corporateActions = { upcoming: [], events: [] };
+    state.contractNotes = [];
+    state.margin = { maintenanceRatio: 0.5, marginCallAt: null, events: [] };
+    state.risk = { limits: null, killSwitch: null, dayRealised: 0 };
+  }
 
   function notify() {
     for (const fn of listeners) {
@@ -36,25 +68,74 @@ export function createTradingEngine() {
     return { ...state };
   }
 
+  /**
+   * Switch the engine to another user's session. Clears the previous
+   * user's state and re-syncs when a new token is set.
+   */
+  function setToken(newToken) {
+    if (newToken === token) return;
+    token = newToken || null;
+    clearState();
+    notify();
+    if (token) syncFromServer();
+  }
+
   /** Sync all state from server */
   async function syncFromServer() {
-    if (syncing) return;
+    if (syncing || !token) return;
     syncing = true;
     try {
-      const [accRes, posRes, ordRes] = await Promise.all([
-        fetch(`${API}/account`),
-        fetch(`${API}/positions`),
-        fetch(`${API}/orders`),
+      const [accRes, posRes, holdRes, ordRes, marginRes, gttRes, basketRes, caRes, cnRes, riskRes] = await Promise.all([
+        fetch(`${API}/account`, { headers: authHeaders() }),
+        fetch(`${API}/positions`, { headers: authHeaders() }),
+        fetch(`${API}/holdings`, { headers: authHeaders() }),
+        fetch(`${API}/orders`, { headers: authHeaders() }),
+        fetch(`${API}/margin`, { headers: authHeaders() }),
+        fetch(`${API}/gtt`, { headers: authHeaders() }),
+        fetch(`${API}/baskets`, { headers: authHeaders() }),
+        fetch(`${API}/corporate-actions`, { headers: authHeaders() }),
+        fetch(`${API}/contract-notes`, { headers: authHeaders() }),
+        fetch(`${API}/risk-limits`, { headers: authHeaders() }),
       ]);
+      if ([accRes, posRes, holdRes, ordRes, marginRes, gttRes, basketRes, caRes, cnRes, riskRes].some(r => !r.ok)) {
+        throw new Error(`HTTP ${accRes.status}`);
+      }
       const acc = await accRes.json();
       const pos = await posRes.json();
+      const hold = await holdRes.json();
       const ord = await ordRes.json();
+      const margin = await marginRes.json();
+      const gtt = await gttRes.json();
+      const basket = await basketRes.json();
+      const corporateActions = await caRes.json();
+      const contractNotes = await cnRes.json();
+      const risk = await riskRes.json();
 
       state.balance = acc.balance;
       state.usedMargin = acc.usedMargin;
       state.realisedPnL = acc.realisedPnL;
+      state.chargesPaid = acc.chargesPaid || 0;
       state.positions = [...(pos.open || []), ...(pos.closed || [])];
+      state.holdings = hold.holdings || [];
       state.orders = [...(ord.open || []), ...(ord.executed || [])];
+      state.gtts = [...(gtt.active || []), ...(gtt.closed || [])];
+      state.baskets = basket.baskets || [];
+      state.corporateActions = {
+        upcoming: corporateActions.upcoming || [],
+        events: corporateActions.events || [],
+      };
+      state.contractNotes = contractNotes.notes || [];
+      state.margin = {
+        maintenanceRatio: margin.maintenanceRatio,
+        marginCallAt: margin.marginCallAt,
+        events: margin.events || [],
+      };
+      // Positions are marked at live prices client-side; keep what was booked
+      state.risk = {
+        limits: risk.limits,
+        killSwitch: risk.killSwitch,
+        dayRealised: risk.dayPnL?.realised || 0,
+      };
 
       notify();
     } catch (err) {
@@ -64,9 +145,6 @@ export function createTradingEngine() {
     }
   }
 
-  // Initial sync
-  syncFromServer();
-
   /**
    * Place an order via the server API.
    */
@@ -74,7 +152,7 @@ export function createTradingEngine() {
     try {
       const res = await fetch(`${API}/order`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify(params),
       });
       const result = await res.json();
@@ -96,7 +174,7 @@ export function createTradingEngine() {
     try {
       const res = await fetch(`${API}/close/${positionId}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ currentPrice }),
       });
       const result = await res.json();
@@ -111,6 +189,27 @@ export function createTradingEngine() {
     }
   }
 
+  /**
+   * Convert an open position to another product (MIS ↔ CNC) via the server API.
+   */
+  async function convertPosition(positionId, product) {
+    try {
+      const res = await fetch(`${API}/convert/${positionId}`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ product }),
+      });
+      const result = await res.json();
+
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
   /**
    * Cancel an order via the server API.
    */
@@ -118,7 +217,131 @@ export function createTradingEngine() {
     try {
       const res = await fetch(`${API}/cancel/${orderId}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+      });
+      const result = await res.json();
+
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Modify a pending order (quantity, limitPrice, triggerPrice) via the server API.
+   */
+  async function modifyOrder(orderId, changes) {
+    try {
+      const res = await fetch(`${API}/order/${orderId}`, {
+        method: 'PATCH',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(changes),
+      });
+      const result = await res.json();
+
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Create a GTT (good-till-triggered order) via the server API.
+   */
+  async function createGtt(params) {
+    try {
+      const res = await fetch(`${API}/gtt`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(params),
+      });
+      const result = await res.json();
+
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Cancel an active GTT via the server API.
+   */
+  async function cancelGtt(gttId) {
+    try {
+      const res = await fetch(`${API}/gtt/cancel/${gttId}`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+      });
+      const result = await res.json();
+
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Save a basket via the server API — creates it, or updates basket `id`.
+   */
+  async function saveBasket({ id, name, legs }) {
+    try {
+      const res = await fetch(id ? `${API}/baskets/${id}` : `${API}/baskets`, {
+        method: id ? 'PATCH' : 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ name, legs }),
+      });
+      const result = await res.json();
+
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Change the account's risk limits via the server API.
+   */
+  async function saveRiskLimits(limits) {
+    try {
+      const res = await fetch(`${API}/risk-limits`, {
+        method: 'PATCH',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(limits),
+      });
+      const result = await res.json();
+
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Delete a saved basket via the server API.
+   */
+  async function deleteBasket(basketId) {
+    try {
+      const res = await fetch(`${API}/baskets/${basketId}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
       });
       const result = await res.json();
 
@@ -132,28 +355,45 @@ export function createTradingEngine() {
   }
 
   /**
-   * Check stop loss, target, and limit orders via the server.
+   * Margin a list of basket legs would require at current prices.
+   * Nothing is placed.
+   */
+  async function basketMargin(legs) {
+    try {
+      const res = await fetch(`${API}/baskets/margin`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ legs }),
+      });
+      return await res.json();
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Place every leg of a saved basket. The result lists each leg's outcome.
    */
-  async function checkTriggers(livePrices) {
+  async function executeBasket(basketId) {
     try {
-      const res = await fetch(`${API}/check-triggers`, {
+      const res = await fetch(`${API}/baskets/${basketId}/execute`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ livePrices }),
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
       });
       const result = await res.json();
 
-      if (result.triggered) {
+      if (result.success) {
         await syncFromServer();
       }
-      return result.triggered;
-    } catch {
-      return false;
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
     }
   }
 
   /**
-   * Calculate unrealised P&L locally (no server call needed).
+   * Calculate unrealised P&L locally (no server call needed), across open
+   * positions and settled holdings.
    */
   function calcUnrealisedPnL(livePrices) {
     let total = 0;
@@ -168,6 +408,10 @@ export function createTradingEngine() {
         total += (pos.avgPrice - priceData.price) * pos.quantity;
       }
     }
+    for (const h of state.holdings) {
+      const priceData = livePrices[h.symbol];
+      if (priceData) total += (priceData.price - h.avgPrice) * h.quantity;
+    }
     return Math.round(total * 100) / 100;
   }
 
@@ -176,15 +420,11 @@ export function createTradingEngine() {
    */
   async function resetAccount() {
     try {
-      const res = await fetch(`${API}/reset`, { method: 'POST' });
+      const res = await fetch(`${API}/reset`, { method: 'POST', headers: authHeaders() });
       const result = await res.json();
       if (result.success) {
         // Force state reset immediately for UI
-        state.balance = 1000000;
-        state.usedMargin = 0;
-        state.realisedPnL = 0;
-        state.positions = [];
-        state.orders = [];
+        clearState();
         notify();
         // Then sync from server to confirm
         await syncFromServer();
@@ -201,7 +441,7 @@ export function createTradingEngine() {
     try {
       const res = await fetch(`${API}/add-money`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ amount }),
       });
       const result = await res.json();
@@ -214,6 +454,163 @@ export function createTradingEngine() {
     }
   }
 
+  /**
+   * Withdraw money from the account. The server refuses more than the free
+   * balance the intraday book can spare.
+   */
+  async function withdrawMoney(amount) {
+    try {
+      const res = await fetch(`${API}/withdraw`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ amount }),
+      });
+      const result = await res.json();
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Fetch a page of the funds ledger, newest first. Not kept in state —
+   * the statement view asks for the page it shows.
+   */
+  async function fetchLedger({ page = 1, limit = 20, type = '' } = {}) {
+    try {
+      const params = new URLSearchParams({ page, limit, ...(type && { type }) });
+      const res = await fetch(`${API}/ledger?${params}`, { headers: authHeaders() });
+      if (!res.ok) return null;
+      return await res.json();
+    } catch (err) {
+      console.error('Ledger fetch error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the tax P&L report — gains by financial year — optionally for
+   * one year ('2026-27').
+   */
+  async function fetchTaxReport(fy = '') {
+    try {
+      const res = await fetch(`${API}/tax-pnl${fy ? `?fy=${fy}` : ''}`, { headers: authHeaders() });
+      if (!res.ok) return null;
+      return await res.json();
+    } catch (err) {
+      console.error('Tax report fetch error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch portfolio analytics: allocation, beta-weighted exposure, XIRR,
+   * drawdown, the equity curve and trade statistics.
+   */
+  async function fetchAnalytics() {
+    try {
+      const res = await fetch(`${API}/analytics`, { headers: authHeaders() });
+      if (!res.ok) return null;
+      return await res.json();
+    } catch (err) {
+      console.error('Analytics fetch error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch end-of-day account snapshots, oldest first, from `from` (a date)
+   * onwards.
+   */
+  async function fetchSnapshots({ from = '' } = {}) {
+    try {
+      const res = await fetch(`${API}/snapshots${from ? `?from=${from}` : ''}`, { headers: authHeaders() });
+      if (!res.ok) return null;
+      return await res.json();
+    } catch (err) {
+      console.error('Snapshots fetch error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Download the tax P&L report as CSV.
+   */
+  async function downloadTaxReport(fy = '') {
+    try {
+      const res = await fetch(`${API}/tax-pnl/csv${fy ? `?fy=${fy}` : ''}`, { headers: authHeaders() });
+      if (!res.ok) return { success: false, error: (await res.json()).error };
+      saveBlob(await res.blob(), filenameFromDisposition(res.headers.get('Content-Disposition'), 'tax-pnl.csv'));
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Download every fill as a broker-style tradebook CSV.
+   */
+  async function downloadTradebook() {
+    try {
+      const res = await fetch(`${API}/tradebook/csv`, { headers: authHeaders() });
+      if (!res.ok) return { success: false, error: (await res.json()).error };
+      saveBlob(await res.blob(), filenameFromDisposition(res.headers.get('Content-Disposition'), 'tradebook.csv'));
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Import a broker tradebook CSV. The result lists the rows the server
+   * rejected, with the reason, whether or not anything was imported.
+   */
+  async function importTradebook(csv) {
+    try {
+      const res = await fetch(`${API}/tradebook/import`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'text/csv' }),
+        body: csv,
+      });
+      const result = await res.json();
+      if (result.success) {
+        await syncFromServer();
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Open a session's contract note in a new window, printing it if `print`.
+   * The window is opened before the fetch so popup blockers allow it.
+   */
+  async function openContractNote(date, { print = false } = {}) {
+    const win = window.open('', '_blank');
+    if (!win) return { success: false, error: 'Allow pop-ups to view contract notes' };
+    try {
+      const res = await fetch(`${API}/contract-notes/${date}${print ? '?print=1' : ''}`, { headers: authHeaders() });
+      if (!res.ok) {
+        win.close();
+        return { success: false, error: (await res.json()).error };
+      }
+      win.document.write(await res.text());
+      win.document.close();
+      if (print) {
+        win.focus();
+        win.print();
+      }
+      return { success: true };
+    } catch (err) {
+      win.close();
+      return { success: false, error: err.message };
+    }
+  }
+
   function getPositionsForSymbol(symbol) {
     return state.positions.filter(p => p.symbol === symbol && p.status === 'OPEN');
   }
@@ -225,13 +622,31 @@ export function createTradingEngine() {
   return {
     subscribe,
     getState,
+    setToken,
     placeOrder,
     closePosition,
+    convertPosition,
     cancelOrder,
-    checkTriggers,
+    modifyOrder,
+    createGtt,
+    cancelGtt,
+    saveBasket,
+    deleteBasket,
+    basketMargin,
+    executeBasket,
+    saveRiskLimits,
     calcUnrealisedPnL,
     resetAccount,
     addMoney,
+    withdrawMoney,
+    fetchLedger,
+    fetchTaxReport,
+    downloadTaxReport,
+    fetchAnalytics,
+    fetchSnapshots,
+    openContractNote,
+    downloadTradebook,
+    importTradebook,
     getPositionsForSymbol,
     getOpenPositions,
     syncFromServer,
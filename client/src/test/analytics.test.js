@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { allocationColor, ALLOCATION_COLORS, formatXirr, formatDrawdown, formatRatio } from '../utils/analytics';
+
+describe('allocationColor', () => {
+  it('cycles through the palette', () => {
+    expect(allocationColor(0)).toBe(ALLOCATION_COLORS[0]);
+    expect(allocationColor(ALLOCATION_COLORS.length + 1)).toBe(ALLOCATION_COLORS[1]);
+  });
+});
+
+describe('formatXirr', () => {
+  it('shows an annual rate with its sign', () => {
+    expect(formatXirr(12.4)).toBe('+12.40% p.a.');
+    expect(formatXirr(-3)).toBe('-3.00% p.a.');
+  });
+
+  it('shows a dash without enough history', () => {
+    expect(formatXirr(null)).toBe('—');
+  });
+});
+
+describe('formatDrawdown', () => {
+  it('shows the fall in percent and rupees', () => {
+    expect(formatDrawdown({ percent: 2.35, amount: 12345 })).toBe('−2.35% (₹12,345.00)');
+  });
+
+  it('reads no fall as none', () => {
+    expect(formatDrawdown({ percent: 0, amount: 0 })).toBe('None');
+  });
+});
+
+describe('formatRatio', () => {
+  it('rounds to two places and dashes undefined ratios', () => {
+    expect(formatRatio(1.5)).toBe('1.50');
+    expect(formatRatio(null)).toBe('—');
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { emptyLegDraft, legToDraft, draftToLeg, moveLeg } from '../utils/baskets';
+
+describe('draftToLeg', () => {
+  it('parses a market leg and drops unused prices', () => {
+    const draft = { ...emptyLegDraft('TCS.NS'), quantity: '5', limitPrice: '3800' };
+    expect(draftToLeg(draft)).toEqual({
+      leg: { symbol: 'TCS.NS', side: 'BUY', quantity: 5, type: 'MARKET', product: 'CNC', limitPrice: null, triggerPrice: null },
+    });
+  });
+
+  it('requires the prices the order type uses', () => {
+    const draft = { ...emptyLegDraft('TCS.NS'), quantity: '5', type: 'SL', limitPrice: '3800' };
+    expect(draftToLeg(draft)).toEqual({ error: 'Enter a valid trigger price' });
+    expect(draftToLeg({ ...draft, triggerPrice: '3790' }).leg).toMatchObject({ limitPrice: 3800, triggerPrice: 3790 });
+  });
+
+  it('rejects fractional or missing quantities', () => {
+    expect(draftToLeg({ ...emptyLegDraft('TCS.NS'), quantity: '1.5' }).error).toBe('Enter a valid quantity');
+    expect(draftToLeg(emptyLegDraft('TCS.NS')).error).toBe('Enter a valid quantity');
+  });
+
+  it('round-trips a saved leg', () => {
+    const leg = { symbol: 'INFY.NS', side: 'SELL', quantity: 3, type: 'LIMIT', product: 'MIS', limitPrice: 1550.5, triggerPrice: null };
+    expect(draftToLeg(legToDraft(leg))).toEqual({ leg });
+  });
+});
+
+describe('moveLeg', () => {
+  it('moves a leg up or down', () => {
+    expect(moveLeg(['a', 'b', 'c'], 2, -1)).toEqual(['a', 'c', 'b']);
+    expect(moveLeg(['a', 'b', 'c'], 0, 1)).toEqual(['b', 'a', 'c']);
+  });
+
+  it('leaves the list alone at either end', () => {
+    const legs = ['a', 'b'];
+    expect(moveLeg(legs, 0, -1)).toBe(legs);
+    expect(moveLeg(legs, 1, 1)).toBe(legs);
+  });
+});
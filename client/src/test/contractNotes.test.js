@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { describeObligation, formatSessionDate } from '../utils/contractNotes';
+
+describe('describeObligation', () => {
+  it('reads a negative obligation as payable by the client', () => {
+    expect(describeObligation(-6223.22)).toBe('Payable ₹6,223.22');
+  });
+
+  it('reads a positive or zero obligation as receivable', () => {
+    expect(describeObligation(1200)).toBe('Receivable ₹1,200.00');
+    expect(describeObligation(0)).toBe('Receivable ₹0.00');
+  });
+});
+
+describe('formatSessionDate', () => {
+  it('formats the session date whatever the local time zone', () => {
+    expect(formatSessionDate('2026-10-20')).toBe('Tue, 20 Oct 2026');
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { describeCorporateAction, describeCorporateActionEvent } from '../utils/corporateActions';
+
+describe('describeCorporateAction', () => {
+  it('describes dividends per share', () => {
+    expect(describeCorporateAction({ type: 'DIVIDEND', amount: 21 })).toBe('Dividend ₹21.00/share');
+  });
+
+  it('describes splits and bonuses by ratio', () => {
+    expect(describeCorporateAction({ type: 'SPLIT', ratio: [1, 5] })).toBe('Split 1:5');
+    expect(describeCorporateAction({ type: 'BONUS', ratio: [1, 2] })).toBe('Bonus 1:2');
+  });
+});
+
+describe('describeCorporateActionEvent', () => {
+  it('describes a dividend credit', () => {
+    expect(describeCorporateActionEvent({ symbol: 'INFY.NS', action: 'DIVIDEND', amount: 210, quantity: 10 }))
+      .toBe('INFY dividend of ₹210.00 on 10 shares');
+    expect(describeCorporateActionEvent({ symbol: 'ITC.NS', action: 'DIVIDEND', amount: 6.5, quantity: 1 }))
+      .toBe('ITC dividend of ₹6.50 on 1 share');
+  });
+
+  it('describes the change in shares held', () => {
+    expect(describeCorporateActionEvent({ symbol: 'BAJFINANCE.NS', action: 'SPLIT', quantity: 3, newQuantity: 15 }))
+      .toBe('BAJFINANCE split — 3 → 15 shares');
+    expect(describeCorporateActionEvent({ symbol: 'HDFCBANK.NS', action: 'BONUS', quantity: 0, newQuantity: 0 }))
+      .toBe('HDFCBANK bonus — positions adjusted');
+  });
+});
@@ -0,0 +1,14 @@
+import { describe, it, expect } from 'vitest';
+import { filenameFromDisposition } from '../utils/download';
+
+describe('filenameFromDisposition', () => {
+  it('reads quoted and bare filenames', () => {
+    expect(filenameFromDisposition('attachment; filename="tax-pnl-FY2026-27.csv"', 'x.csv')).toBe('tax-pnl-FY2026-27.csv');
+    expect(filenameFromDisposition('attachment; filename=report.csv', 'x.csv')).toBe('report.csv');
+  });
+
+  it('falls back without a filename', () => {
+    expect(filenameFromDisposition('attachment', 'x.csv')).toBe('x.csv');
+    expect(filenameFromDisposition(null, 'x.csv')).toBe('x.csv');
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { valueHoldings } from '../utils/holdings';
+
+describe('valueHoldings', () => {
+  const holdings = [
+    { symbol: 'TCS.NS', quantity: 10, avgPrice: 3500, ltp: 3600 },
+    { symbol: 'INFY.NS', quantity: 20, avgPrice: 1500, ltp: 1450 },
+  ];
+
+  it('values holdings at live prices over the server LTP', () => {
+    const { holdings: valued } = valueHoldings(holdings, { 'TCS.NS': { price: 3700 } });
+    expect(valued[0]).toMatchObject({ ltp: 3700, invested: 35000, currentValue: 37000, pnl: 2000 });
+    expect(valued[0].pnlPercent).toBeCloseTo(5.71, 2);
+    expect(valued[1]).toMatchObject({ ltp: 1450, currentValue: 29000, pnl: -1000 });
+  });
+
+  it('totals P&L against average cost', () => {
+    const { summary } = valueHoldings(holdings);
+    expect(summary).toEqual({ invested: 65000, currentValue: 65000, pnl: 0, pnlPercent: 0 });
+  });
+
+  it('falls back to cost when no price is known', () => {
+    const { holdings: valued } = valueHoldings([{ symbol: 'X.NS', quantity: 1, avgPrice: 100 }]);
+    expect(valued[0]).toMatchObject({ ltp: 100, pnl: 0 });
+  });
+
+  it('handles an empty book', () => {
+    expect(valueHoldings([]).summary).toEqual({ invested: 0, currentValue: 0, pnl: 0, pnlPercent: 0 });
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { formatLedgerAmount, ledgerReference } from '../utils/ledger';
+
+describe('formatLedgerAmount', () => {
+  it('signs credits and debits', () => {
+    expect(formatLedgerAmount({ debit: 0, credit: 5000 })).toBe('+₹5,000.00');
+    expect(formatLedgerAmount({ debit: 4.77, credit: 0 })).toBe('−₹4.77');
+  });
+});
+
+describe('ledgerReference', () => {
+  it('lists the order and position an entry refers to', () => {
+    expect(ledgerReference({ orderId: 12, positionId: 4 })).toBe('Order #12 · Position #4');
+    expect(ledgerReference({ orderId: 3, positionId: null })).toBe('Order #3');
+  });
+
+  it('is empty for entries without references', () => {
+    expect(ledgerReference({ orderId: null, positionId: null })).toBe('');
+  });
+});
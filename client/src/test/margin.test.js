@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { marginStatus } from '../utils/margin';
+
+describe('marginStatus', () => {
+  const long = { symbol: 'TCS.NS', product: 'MIS', side: 'BUY', quantity: 10, avgPrice: 1000, leverage: 5 };
+  const short = { symbol: 'INFY.NS', product: 'MIS', side: 'SELL', quantity: 20, avgPrice: 500, leverage: 4 };
+
+  it('adds blocked margin and MTM to the free balance', () => {
+    const status = marginStatus([long], 1000, { 'TCS.NS': { price: 950 } }, 0.5);
+    // 1000 free + 2000 blocked − 500 MTM loss
+    expect(status).toMatchObject({ equity: 2500, blockedMargin: 2000, mtm: -500 });
+    // half of 9500 / 5
+    expect(status.maintenanceMargin).toBe(950);
+    expect(status.shortfall).toBe(0);
+  });
+
+  it('marks shorts against a rising price', () => {
+    const status = marginStatus([short], 0, { 'INFY.NS': { price: 600 } }, 0.5);
+    expect(status.mtm).toBe(-2000);
+    expect(status.equity).toBe(500);
+    expect(status.maintenanceMargin).toBe(1500);
+    expect(status.shortfall).toBe(1000);
+  });
+
+  it('ignores delivery positions', () => {
+    const cnc = { ...long, product: 'CNC', leverage: 1 };
+    expect(marginStatus([cnc], 100, { 'TCS.NS': { price: 10 } })).toMatchObject({ equity: 100, maintenanceMargin: 0 });
+  });
+
+  it('treats positions without a leverage as 20% margin', () => {
+    const { leverage: _unused, ...legacy } = long;
+    expect(marginStatus([legacy], 0).blockedMargin).toBe(2000);
+  });
+});
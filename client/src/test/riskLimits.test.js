@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { limitsToDraft, draftToLimits, liveDayPnL, lossLimitUsed } from '../utils/riskLimits';
+
+const limits = {
+  maxDailyLoss: 5000,
+  maxOpenPositions: null,
+  maxOrderValue: 250000.5,
+  maxQuantityPerSymbol: 100,
+  allowedProducts: ['MIS'],
+  squareOffOnKill: true,
+};
+
+describe('limitsToDraft / draftToLimits', () => {
+  it('round-trips limits through the form', () => {
+    const draft = limitsToDraft(limits);
+    expect(draft.maxOpenPositions).toBe('');
+    expect(draft.maxDailyLoss).toBe('5000');
+    expect(draftToLimits(draft)).toEqual({ limits });
+  });
+
+  it('treats blank fields as no limit', () => {
+    const draft = { ...limitsToDraft(limits), maxDailyLoss: '  ' };
+    expect(draftToLimits(draft).limits.maxDailyLoss).toBeNull();
+  });
+
+  it('rejects counts that are not whole numbers', () => {
+    const draft = { ...limitsToDraft(limits), maxOpenPositions: '2.5' };
+    expect(draftToLimits(draft).error).toMatch(/Max open positions must be a whole number/);
+  });
+
+  it('rejects amounts that are not positive', () => {
+    const draft = { ...limitsToDraft(limits), maxOrderValue: '-10' };
+    expect(draftToLimits(draft).error).toMatch(/Max order value must be an amount/);
+  });
+
+  it('needs at least one product', () => {
+    const draft = { ...limitsToDraft(limits), allowedProducts: [] };
+    expect(draftToLimits(draft).error).toBe('Allow at least one product');
+  });
+
+  it('keeps products in a fixed order', () => {
+    const draft = { ...limitsToDraft(limits), allowedProducts: ['MIS', 'CNC'] };
+    expect(draftToLimits(draft).limits.allowedProducts).toEqual(['CNC', 'MIS']);
+  });
+});
+
+describe('liveDayPnL', () => {
+  const positions = [
+    { symbol: 'ITC.NS', side: 'BUY', quantity: 10, avgPrice: 400 },
+    { symbol: 'TCS.NS', side: 'SELL', quantity: 2, avgPrice: 3800 },
+  ];
+
+  it('adds open positions at live prices to what was booked today', () => {
+    const live = { 'ITC.NS': { price: 390 }, 'TCS.NS': { price: 3750 } };
+    expect(liveDayPnL(-50, positions, live)).toBe(-50 - 100 + 100);
+  });
+
+  it('marks positions without a live price at cost', () => {
+    expect(liveDayPnL(-20.5, positions, {})).toBe(-20.5);
+  });
+});
+
+describe('lossLimitUsed', () => {
+  it('is the share of the limit lost, capped at 100', () => {
+    expect(lossLimitUsed(-1250, 5000)).toBe(25);
+    expect(lossLimitUsed(-9000, 5000)).toBe(100);
+  });
+
+  it('is zero on a profitable day and null without a limit', () => {
+    expect(lossLimitUsed(300, 5000)).toBe(0);
+    expect(lossLimitUsed(-300, null)).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { istToday, rangeStart, rebaseSnapshots } from '../utils/snapshots';
+
+const snap = (date, equity, netDeposits, benchmark, since = 1) => ({ date, equity, netDeposits, benchmark, since });
+
+describe('istToday', () => {
+  it('rolls over at midnight IST, not UTC', () => {
+    expect(istToday(Date.parse('2026-10-19T18:29:00Z'))).toBe('2026-10-19');
+    expect(istToday(Date.parse('2026-10-19T18:31:00Z'))).toBe('2026-10-20');
+  });
+});
+
+describe('rangeStart', () => {
+  it('goes back whole months from today', () => {
+    expect(rangeStart('1M', '2026-10-19')).toBe('2026-09-19');
+    expect(rangeStart('1Y', '2026-10-19')).toBe('2025-10-19');
+  });
+
+  it('clamps to the end of a shorter month', () => {
+    expect(rangeStart('1M', '2026-03-31')).toBe('2026-02-28');
+  });
+
+  it('has no start for the whole history', () => {
+    expect(rangeStart('ALL', '2026-10-19')).toBeNull();
+  });
+});
+
+describe('rebaseSnapshots', () => {
+  it('rebases the account and the benchmark to 100', () => {
+    const series = rebaseSnapshots([
+      snap('2026-10-15', 1000000, 1000000, 25000),
+      snap('2026-10-16', 1050000, 1000000, 25500),
+    ]);
+    expect(series).toEqual([
+      { date: '2026-10-15', equity: 1000000, portfolio: 100, nifty: 100 },
+      { date: '2026-10-16', equity: 1050000, portfolio: 105, nifty: 102 },
+    ]);
+  });
+
+  it('does not count deposits as returns', () => {
+    const series = rebaseSnapshots([
+      snap('2026-10-15', 1000000, 1000000, 25000),
+      snap('2026-10-16', 1600000, 1500000, 25000),
+    ]);
+    expect(series[1].portfolio).toBe(110);
+  });
+
+  it('starts from the last reset', () => {
+    const series = rebaseSnapshots([
+      snap('2026-10-14', 400000, 1000000, 25000, 1),
+      snap('2026-10-15', 1000000, 1000000, 25000, 2),
+      snap('2026-10-16', 990000, 1000000, 25000, 2),
+    ]);
+    expect(series.map(s => s.date)).toEqual(['2026-10-15', '2026-10-16']);
+    expect(series[1].portfolio).toBe(99);
+  });
+
+  it('leaves the benchmark out where it was not recorded', () => {
+    expect(rebaseSnapshots([snap('2026-10-15', 1000000, 1000000, null)])[0].nifty).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { roundToTick, isOnTick, isLotMultiple } from '../utils/tickSize';
+
+describe('roundToTick', () => {
+  it('rounds to the nearest ₹0.05 by default', () => {
+    expect(roundToTick(2920.02)).toBe(2920);
+    expect(roundToTick(2920.03)).toBe(2920.05);
+    expect(roundToTick(2920.08)).toBe(2920.1);
+  });
+
+  it('honours a paise tick size', () => {
+    expect(roundToTick(140.123, 0.01)).toBe(140.12);
+  });
+});
+
+describe('isOnTick', () => {
+  it('accepts prices on the grid despite float noise', () => {
+    expect(isOnTick(0.1 + 0.2, 0.05)).toBe(true);
+    expect(isOnTick(1234.55)).toBe(true);
+  });
+
+  it('rejects prices between ticks', () => {
+    expect(isOnTick(1234.52)).toBe(false);
+    expect(isOnTick(140.125, 0.01)).toBe(false);
+  });
+});
+
+describe('isLotMultiple', () => {
+  it('requires whole lots', () => {
+    expect(isLotMultiple(50, 25)).toBe(true);
+    expect(isLotMultiple(30, 25)).toBe(false);
+    expect(isLotMultiple(7)).toBe(true);
+  });
+
+  it('rejects zero and fractional quantities', () => {
+    expect(isLotMultiple(0, 1)).toBe(false);
+    expect(isLotMultiple(2.5, 1)).toBe(false);
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { describeImport, formatRejectedRow } from '../utils/tradebook';
+
+describe('describeImport', () => {
+  it('counts what was imported and what was rejected', () => {
+    const result = { success: true, imported: 4, holdings: 1, rejected: [{ row: 6, error: 'x' }, { row: 7, error: 'y' }] };
+    expect(describeImport(result)).toBe('Imported 4 trades, 1 holding · 2 rows rejected');
+  });
+
+  it('leaves out rejections when every row was imported', () => {
+    expect(describeImport({ success: true, imported: 1, holdings: 0, rejected: [] })).toBe('Imported 1 trade, 0 holdings');
+  });
+
+  it('reports only rejections for a failed import', () => {
+    expect(describeImport({ success: false, error: 'No rows could be imported', rejected: [{ row: 2, error: 'x' }] }))
+      .toBe('1 row rejected');
+  });
+});
+
+describe('formatRejectedRow', () => {
+  it('prefixes the reason with the spreadsheet row number', () => {
+    expect(formatRejectedRow({ row: 7, error: 'Unknown symbol "FOOBAR"' })).toBe('Row 7: Unknown symbol "FOOBAR"');
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { trailStopLevel, formatTrail } from '../utils/trailingStop';
+
+describe('trailStopLevel', () => {
+  it('trails a long position below the price by points', () => {
+    expect(trailStopLevel('BUY', 'POINTS', 5, 100)).toBe(95);
+  });
+
+  it('trails a short position above the price by points', () => {
+    expect(trailStopLevel('SELL', 'POINTS', 5, 100)).toBe(105);
+  });
+
+  it('trails by a percentage of the price', () => {
+    expect(trailStopLevel('BUY', 'PERCENT', 2, 2500)).toBe(2450);
+    expect(trailStopLevel('SELL', 'PERCENT', 1.5, 1000)).toBe(1015);
+  });
+
+  it('rounds to two decimals', () => {
+    expect(trailStopLevel('BUY', 'PERCENT', 1, 123.45)).toBe(122.22);
+  });
+
+  it('returns null for a missing amount or price', () => {
+    expect(trailStopLevel('BUY', 'POINTS', 0, 100)).toBeNull();
+    expect(trailStopLevel('BUY', 'POINTS', 5, null)).toBeNull();
+  });
+});
+
+describe('formatTrail', () => {
+  it('labels points and percent trails', () => {
+    expect(formatTrail('POINTS', 5)).toBe('5 pts');
+    expect(formatTrail('PERCENT', 1.5)).toBe('1.5%');
+  });
+
+  it('returns an empty string without a trail', () => {
+    expect(formatTrail('POINTS', null)).toBe('');
+  });
+});
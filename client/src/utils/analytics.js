@@ -0,0 +1,27 @@
+/**
+ * Portfolio analytics helpers — how the Balance panel shows the figures
+ * from GET /api/trading/analytics.
+ */
+import { formatINR, formatPercent } from './formatters';
+
+/** Slice colours of the allocation charts, in order of size. */
+export const ALLOCATION_COLORS = ['#6366f1', '#f0a500', '#10b981', '#3b82f6', '#ef4444', '#8b5cf6', '#14b8a6', '#f97316'];
+
+export function allocationColor(index) {
+  return ALLOCATION_COLORS[index % ALLOCATION_COLORS.length];
+}
+
+/** "+12.40% p.a.", or "—" when there is too little history for a rate. */
+export function formatXirr(xirr) {
+  return xirr == null ? '—' : `${formatPercent(xirr)} p.a.`;
+}
+
+/** "−2.35% (₹12,345.00)" for the largest drawdown, "None" if equity never fell. */
+export function formatDrawdown({ percent, amount }) {
+  return percent > 0 ? `−${percent.toFixed(2)}% (${formatINR(amount)})` : 'None';
+}
+
+/** A ratio such as the profit factor or beta to two places, "—" when undefined. */
+export function formatRatio(value) {
+  return value == null ? '—' : value.toFixed(2);
+}
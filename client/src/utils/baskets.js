@@ -0,0 +1,55 @@
+/**
+ * Basket order helpers — turn the basket editor's form rows into the legs
+ * the server accepts, and reorder legs.
+ */
+
+export const BASKET_ORDER_TYPES = ['MARKET', 'LIMIT', 'SL', 'SL-M'];
+
+/** A blank editor row for `symbol` */
+export function emptyLegDraft(symbol) {
+  return { symbol, side: 'BUY', quantity: '', type: 'MARKET', product: 'CNC', limitPrice: '', triggerPrice: '' };
+}
+
+/** Editor row for a saved leg */
+export function legToDraft(leg) {
+  return {
+    symbol: leg.symbol,
+    side: leg.side,
+    quantity: String(leg.quantity),
+    type: leg.type,
+    product: leg.product,
+    limitPrice: leg.limitPrice != null ? String(leg.limitPrice) : '',
+    triggerPrice: leg.triggerPrice != null ? String(leg.triggerPrice) : '',
+  };
+}
+
+/**
+ * Parse an editor row into a leg. Prices a leg's type does not use are
+ * dropped.
+ * @returns {{ leg: Object }|{ error: string }}
+ */
+export function draftToLeg(draft) {
+  const quantity = Number(draft.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) return { error: 'Enter a valid quantity' };
+
+  const needsLimit = draft.type === 'LIMIT' || draft.type === 'SL';
+  const needsTrigger = draft.type === 'SL' || draft.type === 'SL-M';
+  const limitPrice = needsLimit ? parseFloat(draft.limitPrice) : null;
+  const triggerPrice = needsTrigger ? parseFloat(draft.triggerPrice) : null;
+  if (needsLimit && !(limitPrice > 0)) return { error: 'Enter a valid limit price' };
+  if (needsTrigger && !(triggerPrice > 0)) return { error: 'Enter a valid trigger price' };
+
+  return {
+    leg: { symbol: draft.symbol, side: draft.side, quantity, type: draft.type, product: draft.product, limitPrice, triggerPrice },
+  };
+}
+
+/** Copy of `legs` with the leg at `index` moved by `offset`; unchanged if it would leave the list */
+export function moveLeg(legs, index, offset) {
+  const target = index + offset;
+  if (index < 0 || index >= legs.length || target < 0 || target >= legs.length) return legs;
+  const moved = [...legs];
+  const [leg] = moved.splice(index, 1);
+  moved.splice(target, 0, leg);
+  return moved;
+}
@@ -0,0 +1,19 @@
+/**
+ * Contract note helpers — how the History tab lists a session's note.
+ */
+import { formatINR } from './formatters';
+
+/** "Payable ₹6,223.22" or "Receivable ₹1,200.00" for a session's net obligation. */
+export function describeObligation(netObligation) {
+  return netObligation < 0 ? `Payable ${formatINR(-netObligation)}` : `Receivable ${formatINR(netObligation)}`;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** A note's session date ('2026-10-20') as "Tue, 20 Oct 2026". */
+export function formatSessionDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return `${WEEKDAYS[weekday]}, ${day} ${MONTHS[month - 1]} ${year}`;
+}
@@ -0,0 +1,29 @@
+/**
+ * Corporate action helpers — one-line descriptions of calendar entries and
+ * of what an applied action did to the account, for the Holdings tab and
+ * toasts.
+ */
+import { formatINR } from './formatters';
+
+const shortSymbol = (symbol) => symbol.replace(/\.(NS|BO)$/, '');
+
+/** "Dividend ₹21.00/share", "Split 1:5", "Bonus 1:2" */
+export function describeCorporateAction(action) {
+  if (action.type === 'DIVIDEND') return `Dividend ${formatINR(action.amount)}/share`;
+  const label = action.type === 'SPLIT' ? 'Split' : 'Bonus';
+  return `${label} ${action.ratio[0]}:${action.ratio[1]}`;
+}
+
+/**
+ * What an applied action did: "INFY dividend of ₹210.00 on 10 shares",
+ * "BAJFINANCE split — 3 → 15 shares".
+ */
+export function describeCorporateActionEvent(event) {
+  const symbol = shortSymbol(event.symbol);
+  if (event.action === 'DIVIDEND') {
+    return `${symbol} dividend of ${formatINR(event.amount)} on ${event.quantity} share${event.quantity === 1 ? '' : 's'}`;
+  }
+  const label = event.action === 'SPLIT' ? 'split' : 'bonus';
+  if (event.quantity > 0) return `${symbol} ${label} — ${event.quantity} → ${event.newQuantity} shares`;
+  return `${symbol} ${label} — positions adjusted`;
+}
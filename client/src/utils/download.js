@@ -0,0 +1,25 @@
+/**
+ * File download helpers for reports fetched from the API.
+ */
+
+/**
+ * The filename in a Content-Disposition header, or `fallback` if it has none.
+ * @param {string|null} header e.g. 'attachment; filename="tax-pnl.csv"'
+ * @param {string} fallback
+ */
+export function filenameFromDisposition(header, fallback) {
+  const match = /filename="?([^";]+)"?/i.exec(header || '');
+  return match ? match[1] : fallback;
+}
+
+/** Save `blob` through a temporary link, as the browser's download. */
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
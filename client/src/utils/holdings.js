@@ -0,0 +1,44 @@
+/**
+ * Holdings helpers — value settled delivery holdings at live prices.
+ */
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Value each holding at its live price (falling back to the LTP the server
+ * sent, then to cost) and total the book against average cost.
+ *
+ * @param {Array<{symbol: string, quantity: number, avgPrice: number, ltp?: number}>} holdings
+ * @param {Object} livePrices - Map of symbol => { price, ... }
+ * @returns {{ holdings: Array, summary: { invested: number, currentValue: number, pnl: number, pnlPercent: number } }}
+ */
+export function valueHoldings(holdings, livePrices = {}) {
+  let invested = 0;
+  let currentValue = 0;
+
+  const valued = holdings.map(h => {
+    const ltp = livePrices[h.symbol]?.price ?? h.ltp ?? h.avgPrice;
+    const cost = h.avgPrice * h.quantity;
+    const value = ltp * h.quantity;
+    invested += cost;
+    currentValue += value;
+    return {
+      ...h,
+      ltp,
+      invested: r2(cost),
+      currentValue: r2(value),
+      pnl: r2(value - cost),
+      pnlPercent: cost ? r2(((value - cost) / cost) * 100) : 0,
+    };
+  });
+
+  return {
+    holdings: valued,
+    summary: {
+      invested: r2(invested),
+      currentValue: r2(currentValue),
+      pnl: r2(currentValue - invested),
+      pnlPercent: invested ? r2(((currentValue - invested) / invested) * 100) : 0,
+    },
+  };
+}
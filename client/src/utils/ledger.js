@@ -0,0 +1,31 @@
+/**
+ * Funds ledger helpers — labels and amounts for the statement in the
+ * Balance panel. Entries come from GET /api/trading/ledger.
+ */
+import { formatINR } from './formatters';
+
+export const LEDGER_TYPE_LABELS = {
+  OPENING: 'Opening balance',
+  FUNDS_ADDED: 'Funds added',
+  WITHDRAWAL: 'Withdrawal',
+  TRADE: 'Trade',
+  PNL: 'Realised P&L',
+  CHARGES: 'Charges',
+  CONVERSION: 'Conversion',
+  DIVIDEND: 'Dividend',
+  RESET: 'Account reset',
+  ADJUSTMENT: 'Adjustment',
+};
+
+/** "+₹5,000.00" for a credit, "−₹4.77" for a debit. */
+export function formatLedgerAmount(entry) {
+  return entry.credit > 0 ? `+${formatINR(entry.credit)}` : `−${formatINR(entry.debit)}`;
+}
+
+/** What an entry refers to: "Order #12 · Position #4", or '' for none. */
+export function ledgerReference(entry) {
+  return [
+    entry.orderId != null && `Order #${entry.orderId}`,
+    entry.positionId != null && `Position #${entry.positionId}`,
+  ].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,45 @@
+/**
+ * Margin helpers — mirror the server's mark-to-market of the intraday book
+ * so the Balance panel can show equity against maintenance margin live.
+ */
+
+// MIS positions opened before per-symbol leverage blocked a flat 20%
+const LEGACY_MIS_LEVERAGE = 5;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Equity and maintenance margin of the open MIS positions.
+ *   equity       free balance + margin blocked on MIS positions + their MTM
+ *   maintenance  maintenanceRatio × margin the positions need at LTP
+ *
+ * @param {Array} positions - open positions ({ product, side, quantity, avgPrice, leverage })
+ * @param {number} balance - free balance
+ * @param {Object} livePrices - Map of symbol => { price, ... }
+ * @param {number} maintenanceRatio - share of initial margin to maintain
+ * @returns {{ equity: number, blockedMargin: number, mtm: number, maintenanceMargin: number, shortfall: number }}
+ */
+export function marginStatus(positions, balance, livePrices = {}, maintenanceRatio = 0.5) {
+  let blockedMargin = 0;
+  let mtm = 0;
+  let required = 0;
+
+  for (const pos of positions) {
+    if (pos.product !== 'MIS') continue;
+    const ltp = livePrices[pos.symbol]?.price ?? pos.avgPrice;
+    const leverage = pos.leverage || LEGACY_MIS_LEVERAGE;
+    blockedMargin += pos.avgPrice * pos.quantity / leverage;
+    required += ltp * pos.quantity / leverage;
+    mtm += (pos.side === 'BUY' ? ltp - pos.avgPrice : pos.avgPrice - ltp) * pos.quantity;
+  }
+
+  const equity = balance + blockedMargin + mtm;
+  const maintenanceMargin = required * maintenanceRatio;
+  return {
+    equity: r2(equity),
+    blockedMargin: r2(blockedMargin),
+    mtm: r2(mtm),
+    maintenanceMargin: r2(maintenanceMargin),
+    shortfall: r2(Math.max(0, maintenanceMargin - equity)),
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Risk limit helpers — the Risk panel's form for an account's risk limits,
+ * and today's P&L marked at live prices as the kill switch counts it.
+ */
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+export const RISK_PRODUCTS = [
+  { id: 'CNC', label: 'Delivery (CNC)' },
+  { id: 'MIS', label: 'Intraday (MIS)' },
+];
+
+// kind: 'amount' in ₹, or 'count' — a whole number
+export const RISK_LIMIT_FIELDS = [
+  { key: 'maxDailyLoss', label: 'Max loss per day', kind: 'amount' },
+  { key: 'maxOpenPositions', label: 'Max open positions', kind: 'count' },
+  { key: 'maxOrderValue', label: 'Max order value', kind: 'amount' },
+  { key: 'maxQuantityPerSymbol', label: 'Max quantity per symbol', kind: 'count' },
+];
+
+/** Form values for `limits`: each field a string, '' for no limit. */
+export function limitsToDraft(limits) {
+  const draft = {
+    allowedProducts: [...(limits.allowedProducts || RISK_PRODUCTS.map(p => p.id))],
+    squareOffOnKill: Boolean(limits.squareOffOnKill),
+  };
+  for (const { key } of RISK_LIMIT_FIELDS) draft[key] = limits[key] == null ? '' : String(limits[key]);
+  return draft;
+}
+
+/**
+ * Limits to send for a form's values; a blank field is no limit.
+ * @returns {{ limits: Object }|{ error: string }}
+ */
+export function draftToLimits(draft) {
+  const limits = {
+    allowedProducts: RISK_PRODUCTS.map(p => p.id).filter(id => draft.allowedProducts.includes(id)),
+    squareOffOnKill: Boolean(draft.squareOffOnKill),
+  };
+  for (const { key, label, kind } of RISK_LIMIT_FIELDS) {
+    const text = String(draft[key] ?? '').trim();
+    if (!text) {
+      limits[key] = null;
+      continue;
+    }
+    const value = Number(text);
+    if (kind === 'count' ? !(Number.isInteger(value) && value > 0) : !(value > 0)) {
+      return { error: `${label} must be ${kind === 'count' ? 'a whole number' : 'an amount'} above zero, or blank for no limit` };
+    }
+    limits[key] = kind === 'amount' ? r2(value) : value;
+  }
+  if (limits.allowedProducts.length === 0) return { error: 'Allow at least one product' };
+  return { limits };
+}
+
+/**
+ * Today's P&L: what the server booked today (realised P&L less charges)
+ * plus open positions marked at live prices.
+ * @param {number} realised
+ * @param {Array} positions - open positions ({ symbol, side, quantity, avgPrice })
+ * @param {Object} livePrices - Map of symbol => { price, ... }
+ */
+export function liveDayPnL(realised, positions, livePrices = {}) {
+  const unrealised = positions.reduce((sum, pos) => {
+    const ltp = livePrices[pos.symbol]?.price ?? pos.avgPrice;
+    return sum + (pos.side === 'BUY' ? ltp - pos.avgPrice : pos.avgPrice - ltp) * pos.quantity;
+  }, 0);
+  return r2(realised + unrealised);
+}
+
+/** Share of the daily loss limit used by `dayPnL`, 0–100; null without a limit. */
+export function lossLimitUsed(dayPnL, maxDailyLoss) {
+  if (!maxDailyLoss) return null;
+  return Math.min(100, Math.max(0, r2(-dayPnL / maxDailyLoss * 100)));
+}
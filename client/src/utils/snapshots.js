@@ -0,0 +1,62 @@
+/**
+ * Snapshot helpers — turn end-of-day account snapshots into the equity
+ * curve the Balance panel draws against the NIFTY 50.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const SNAPSHOT_RANGES = [
+  { key: '1M', label: '1M', months: 1 },
+  { key: '3M', label: '3M', months: 3 },
+  { key: '1Y', label: '1Y', months: 12 },
+  { key: 'ALL', label: 'All', months: null },
+];
+
+/** Today's date in IST, as snapshots are dated. */
+export function istToday(now = Date.now()) {
+  return new Date(now + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * First date ('YYYY-MM-DD') of a range ending `today`, or null for all.
+ * Month ends clamp: 31 Mar less a month is 28/29 Feb.
+ */
+export function rangeStart(key, today) {
+  const range = SNAPSHOT_RANGES.find(r => r.key === key);
+  if (!range?.months) return null;
+  const [year, month, day] = today.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 - range.months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Snapshots since the account last started over, as two series rebased to
+ * 100 at the first: the account's time-weighted return — funds added or
+ * withdrawn between two closes are taken out of the change — and the
+ * NIFTY 50 (null where a snapshot has no benchmark level).
+ * @param {Array<Object>} snapshots oldest first
+ * @returns {Array<{ date: string, equity: number, portfolio: number, nifty: number|null }>}
+ */
+export function rebaseSnapshots(snapshots) {
+  if (snapshots.length === 0) return [];
+  const { since } = snapshots[snapshots.length - 1];
+  const run = snapshots.filter(s => s.since === since);
+  const base = run.find(s => s.benchmark)?.benchmark;
+
+  let index = 100;
+  return run.map((snapshot, i) => {
+    const prev = run[i - 1];
+    if (prev && prev.equity > 0) {
+      const flow = snapshot.netDeposits - prev.netDeposits;
+      index *= (snapshot.equity - flow) / prev.equity;
+    }
+    return {
+      date: snapshot.date,
+      equity: snapshot.equity,
+      portfolio: round2(index),
+      nifty: base && snapshot.benchmark ? round2(snapshot.benchmark / base * 100) : null,
+    };
+  });
+}
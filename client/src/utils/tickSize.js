@@ -0,0 +1,22 @@
+/**
+ * Tick- and lot-size helpers — mirror the server's order validation so the
+ * order form can reject off-grid prices and odd lots before submitting.
+ */
+
+export const DEFAULT_TICK_SIZE = 0.05;
+
+/** Round a price to the nearest multiple of `tick`, working in paise */
+export function roundToTick(price, tick = DEFAULT_TICK_SIZE) {
+  const paise = Math.round(tick * 100);
+  return (Math.round(Math.round(price * 100) / paise) * paise) / 100;
+}
+
+/** True when `price` lies on the `tick` grid */
+export function isOnTick(price, tick = DEFAULT_TICK_SIZE) {
+  return Math.abs(roundToTick(price, tick) - price) < 1e-6;
+}
+
+/** True when `quantity` is a whole number of lots */
+export function isLotMultiple(quantity, lotSize = 1) {
+  return Number.isInteger(quantity) && quantity > 0 && quantity % lotSize === 0;
+}
@@ -0,0 +1,19 @@
+/**
+ * Tradebook helpers — how the History tab reports a tradebook import.
+ */
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/** "Imported 4 trades, 1 holding · 2 rows rejected" for an import result. */
+export function describeImport(result) {
+  const rejected = result.rejected?.length || 0;
+  const parts = [];
+  if (result.success) parts.push(`Imported ${plural(result.imported, 'trade')}, ${plural(result.holdings, 'holding')}`);
+  if (rejected > 0) parts.push(`${plural(rejected, 'row')} rejected`);
+  return parts.join(' · ');
+}
+
+/** "Row 7: Unknown symbol "FOOBAR"" for one rejected row. */
+export function formatRejectedRow({ row, error }) {
+  return `Row ${row}: ${error}`;
+}
@@ -0,0 +1,33 @@
+/**
+ * Trailing stop-loss helpers — mirror the server's trailing logic so the
+ * order form can preview where a trailed stop will sit.
+ */
+
+/**
+ * Stop level `trailValue` points (or percent of price) behind `price`:
+ * below it for a long (BUY) position, above it for a short (SELL).
+ *
+ * @param {'BUY'|'SELL'} side
+ * @param {'POINTS'|'PERCENT'} trailType
+ * @param {number} trailValue
+ * @param {number} price
+ * @returns {number|null} stop level rounded to paise, or null for bad input
+ */
+export function trailStopLevel(side, trailType, trailValue, price) {
+  if (!(trailValue > 0) || !(price > 0)) return null;
+  const distance = trailType === 'PERCENT' ? price * trailValue / 100 : trailValue;
+  const level = side === 'BUY' ? price - distance : price + distance;
+  return Math.round(level * 100) / 100;
+}
+
+/**
+ * Describe a trailing stop for display, e.g. "5 pts" or "1.5%".
+ *
+ * @param {'POINTS'|'PERCENT'} trailType
+ * @param {number} trailValue
+ * @returns {string}
+ */
+export function formatTrail(trailType, trailValue) {
+  if (!trailValue) return '';
+  return trailType === 'PERCENT' ? `${trailValue}%` : `${trailValue} pts`;
+}
@@ -3,6 +3,8 @@
  *
  * Integrates:
  *   - MarketSimulator for realistic stock data simulation
+ *   - OrderEngine for server-side limit fills and SL/target triggers
+ *   - MarketScheduler for daily jobs such as the MIS square-off
  *   - Socket.IO WebSocket for real-time price streaming
  *   - REST API endpoints for quotes, charts, and search
  *   - Yahoo Finance as optional data enrichment
@@ -15,12 +17,17 @@ import cors from 'cors';
 import helmet from 'helmet';
 import MarketSimulator from './services/marketSimulator.js';
 import SocketManager from './services/socketManager.js';
+import OrderEngine from './services/orderEngine.js';
+import MarketScheduler from './services/marketScheduler.js';
 import quoteRouter from './routes/quote.js';
 import chartRouter from './routes/chart.js';
 import searchRouter from './routes/search.js';
 import tradingRouter from './routes/trading.js';
 import authRouter from './routes/auth.js';
+import corporateActionsRouter from './routes/corporateActions.js';
 import { getAuthDB } from './services/authDB.js';
+import { getJobLastRun, setJobLastRun } from './services/tradingDB.js';
+import { istDateKey } from './utils/marketTime.js';
 
 // ─── Initialize ─────────────────────────────────────────────────────────────
 
@@ -42,6 +49,43 @@ app.set('simulator', simulator);
 // Initialize WebSocket layer
 const socketManager = new SocketManager(httpServer, simulator);
 
+// Match pending orders and SL/target triggers on every tick
+const orderEngine = new OrderEngine(simulator);
+orderEngine.onEvent(({ userId, ...event }) => {
+  socketManager.emitToUser(userId, 'trading:update', event);
+});
+orderEngine.start();
+
+// Delivery (CNC) buys settle into holdings T+1, before the open, and
+// corporate actions then pay or adjust the settled holders; intraday (MIS)
+// positions are squared off daily, 15:20 IST by default; working DAY
+// orders placed before the 15:30 close expire then, the session's
+// contract notes are issued, each account's value is snapshotted and the
+// closing prices set the next session's price bands
+const scheduler = new MarketScheduler({ get: getJobLastRun, set: setJobLastRun });
+scheduler.daily('T+1 settlement', '09:00', () => {
+  orderEngine.settleHoldings();
+});
+scheduler.daily('Corporate actions', '09:00', (now) => {
+  orderEngine.applyCorporateActions(istDateKey(now));
+});
+scheduler.daily('MIS square-off', process.env.MIS_SQUARE_OFF_TIME || '15:20', () => {
+  orderEngine.squareOffIntraday('Auto square-off');
+});
+scheduler.daily('DAY order expiry', '15:30', (now) => {
+  orderEngine.expireDayOrders(new Date(`${istDateKey(now)}T15:30:00+05:30`).getTime());
+});
+scheduler.daily('Contract notes', '15:30', (now) => {
+  orderEngine.issueContractNotes(now);
+});
+scheduler.daily('EOD snapshots', '15:30', (now) => {
+  orderEngine.takeSnapshots(now);
+});
+scheduler.daily('Price bands', '15:30', () => {
+  simulator.closeSession();
+});
+scheduler.start();
+
 // ─── Middleware ──────────────────────────────────────────────────────────────
 
 app.use(helmet());
@@ -54,7 +98,9 @@ const allowedOrigins = process.env.CLIENT_URL
 app.use(
   cors({
     origin: allowedOrigins,
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    // Report downloads name their file here
+    exposedHeaders: ['Content-Disposition'],
   })
 );
 
@@ -67,6 +113,7 @@ app.use('/api/quote', quoteRouter);
 app.use('/api/chart', chartRouter);
 app.use('/api/search', searchRouter);
 app.use('/api/trading', tradingRouter);
+app.use('/api/corporate-actions', corporateActionsRouter);
 
 // Health check with system info
 app.get('/api/health', (_req, res) => {
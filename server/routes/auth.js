@@ -25,6 +25,7 @@ import {
   userExists,
 } from '../services/authDB.js';
 import { authenticate, JWT_SECRET } from '../middleware/authMiddleware.js';
+import { createTradingAccount } from '../services/tradingDB.js';
 import { sendOTP, verifyOTP, isEmailVerified, clearOTP, getOTPTimeRemaining } from '../services/emailService.js';
 
 const router = Router();
@@ -110,6 +111,9 @@ router.post('/signup', async (req, res) => {
       fullName: fullName?.trim() || '',
     });
 
+    // Open the user's paper trading account
+    createTradingAccount(user.id);
+
     // Clear OTP after successful signup
     clearOTP(email);
 
@@ -0,0 +1,85 @@
+/**
+ * Corporate Action Routes — the dividend, split and bonus calendar.
+ *
+ * Endpoints:
+ *   GET    /api/corporate-actions      — every action, by record date (?symbol= to filter)
+ *   POST   /api/corporate-actions      — add an action (admin)
+ *   DELETE /api/corporate-actions/:id  — remove an action not yet applied (admin)
+ *
+ * Actions are applied to prices and accounts on their record date by the
+ * OrderEngine; see services/corporateActions.js for the fields.
+ */
+
+import { Router } from 'express';
+import { authenticate, requireRole } from '../middleware/authMiddleware.js';
+import {
+  ACTION_TYPES, getCorporateActions, addCorporateAction, deleteCorporateAction,
+} from '../services/corporateActions.js';
+import { istDateKey } from '../utils/marketTime.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+const isRatio = (ratio) => Array.isArray(ratio) && ratio.length === 2 && ratio.every(n => Number.isInteger(n) && n > 0);
+
+/**
+ * Validate a new action against the simulator's stocks.
+ * @returns {string|null} error message, or null if the action is valid
+ */
+function checkAction({ symbol, type, recordDate, amount, ratio }, simulator) {
+  if (!symbol || !simulator.getPriceBand(symbol)) return 'Unknown stock symbol';
+  if (!ACTION_TYPES.includes(type)) return 'Type must be DIVIDEND, SPLIT or BONUS';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(recordDate || '') || istDateKey(new Date(`${recordDate}T12:00:00+05:30`)) !== recordDate) {
+    return 'Record date must be a date (YYYY-MM-DD)';
+  }
+  if (recordDate < istDateKey()) return 'Record date cannot be in the past';
+
+  if (type === 'DIVIDEND') {
+    if (!(amount > 0)) return 'Dividend amount must be positive';
+    if (amount >= simulator.getBestPrices(symbol).ltp) return 'Dividend cannot exceed the share price';
+  } else if (!isRatio(ratio)) {
+    return 'Ratio must be two positive whole numbers';
+  } else if (type === 'SPLIT' && ratio[1] <= ratio[0]) {
+    return 'A split must increase the share count';
+  }
+  return null;
+}
+
+// ── GET / ──
+router.get('/', (req, res) => {
+  try {
+    const { symbol } = req.query;
+    const actions = getCorporateActions().filter(a => !symbol || a.symbol === symbol);
+    res.json({ actions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST / ── (admin)
+router.post('/', requireRole('admin'), (req, res) => {
+  try {
+    const error = checkAction(req.body, req.app.get('simulator'));
+    if (error) return res.status(400).json({ success: false, error });
+
+    const { symbol, type, recordDate, amount, ratio } = req.body;
+    const action = addCorporateAction({ symbol, type, recordDate, amount, ratio });
+    res.json({ success: true, action });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── DELETE /:id ── (admin)
+router.delete('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const deleted = deleteCorporateAction(parseInt(req.params.id, 10));
+    if (!deleted) return res.status(400).json({ success: false, error: 'Action not found or already applied' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+export default router;
@@ -1,31 +1,162 @@
 /**
  * Trading API Routes — REST endpoints for the trading simulation engine.
  *
- * All trading state is stored in SQLite via tradingDB.
+ * All trading state is stored per user via tradingDB. Every route requires
+ * a valid JWT and operates on the authenticated user's account.
  * Endpoints:
  *   GET  /api/trading/account     — account balance, margin, P&L
  *   GET  /api/trading/positions   — open positions
  *   GET  /api/trading/orders      — open + executed orders
- *   POST /api/trading/order       — place a new order
- *   POST /api/trading/close/:id   — close a position
- *   POST /api/trading/cancel/:id  — cancel a limit order
+ *   GET  /api/trading/margin      — MTM equity vs maintenance margin, margin events
+ *   GET  /api/trading/holdings    — settled delivery holdings, valued at LTP
+ *   GET  /api/trading/corporate-actions — upcoming actions on held symbols, actions applied
+ *   POST /api/trading/order       — place a new order (fills at server prices)
+ *   POST /api/trading/close/:id   — close a position at the current bid/ask
+ *   POST /api/trading/cancel/:id  — cancel a pending limit / stop order
+ *   POST /api/trading/convert/:id — convert an open position MIS ↔ CNC
+ *   PATCH /api/trading/order/:id  — modify a pending order (qty, limit, trigger)
+ *   GET  /api/trading/gtt         — good-till-triggered orders
+ *   POST /api/trading/gtt         — create a GTT
+ *   POST /api/trading/gtt/cancel/:id — cancel an active GTT
+ *   GET  /api/trading/baskets     — saved basket orders
+ *   POST /api/trading/baskets     — save a new basket
+ *   PATCH /api/trading/baskets/:id — rename a basket or replace its legs
+ *   DELETE /api/trading/baskets/:id — delete a basket
+ *   POST /api/trading/baskets/margin — margin a list of legs would require
+ *   POST /api/trading/baskets/:id/execute — place every leg of a basket
+ *   GET  /api/trading/tax-pnl     — capital gains / speculative P&L by financial year (?fy=2026-27)
+ *   GET  /api/trading/tax-pnl/csv — the same report as a CSV download
+ *   GET  /api/trading/contract-notes       — contract notes issued, newest session first
+ *   GET  /api/trading/contract-notes/:date — a session's contract note as HTML (?print=1 for paper)
+ *   GET  /api/trading/analytics   — allocation, beta, XIRR, drawdown, equity curve and trade statistics
+ *   GET  /api/trading/snapshots   — end-of-day account value, oldest first (?from=&to= dates)
+ *   GET  /api/trading/tradebook/csv     — every fill as a broker-style tradebook CSV
+ *   POST /api/trading/tradebook/import  — rebuild trades and holdings from a tradebook CSV (text/csv body)
+ *   GET  /api/trading/risk-limits   — risk limits, today's kill switch and day P&L
+ *   PATCH /api/trading/risk-limits  — change risk limits (max daily loss, positions, order value, …)
+ *   GET  /api/trading/ledger      — funds statement, newest first (?page=&limit=&type=)
+ *   POST /api/trading/add-money   — add funds to the balance
+ *   POST /api/trading/withdraw    — withdraw funds not needed as margin
  *   POST /api/trading/reset       — reset account to defaults
+ *
+ * Limit fills and SL/target exits are handled server-side by OrderEngine.
  */
 
-import { Router } from 'express';
+import { Router, text } from 'express';
 import {
   getAccount, updateAccount, nextOrderId,
-  getOpenPositions, insertPosition, getPositionById, updatePosition,
-  getOpenOrders, getExecutedOrders, insertOrder, updateOrder,
-  getAllPositions, resetAccount as dbReset,
+  getOpenPositions, getPositionById,
+  getOpenOrders, getExecutedOrders, getOrderById, insertOrder, updateOrder,
+  addOrderModification, getHoldings, getHolding, getMarginEvents,
+  getAllPositions, getGtts, insertGtt, updateGtt, nextGttId,
+  getBaskets, getBasket, insertBasket, updateBasket, deleteBasket, getCorporateActionEvents,
+  getLedger, LEDGER_TYPES, getAllOrders, getContractNotes, getContractNote, getSnapshots,
+  getRiskLimits, saveRiskLimits, getKillSwitch,
+  resetAccount as dbReset,
 } from '../services/tradingDB.js';
+import { r2, convertPosition, closePosition, isBracketVariety, walkBook, fillOrder, TRAIL_TYPES } from '../services/orderExecution.js';
+import { leverageFor, positionLeverage, accountMargin, getMarginConfig } from '../services/marginEngine.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { istDateKey } from '../utils/marketTime.js';
+import { isOnTick } from '../utils/tickSize.js';
+import { getCorporateActions } from '../services/corporateActions.js';
+import { buildTaxReport, taxReportCsv } from '../services/taxReport.js';
+import { renderContractNote } from '../services/contractNotes.js';
+import { buildPortfolioAnalytics } from '../services/portfolioAnalytics.js';
+import { validateRiskLimits, checkOrderRisk, checkImportRisk, isKillSwitchOn, dayPnL } from '../services/riskLimits.js';
+import { exportTradebook, knownTradeIds, parseTradebook, planImport, checkImportFunds, applyImport } from '../services/tradebook.js';
 
 const router = Router();
 
+// How far a client-reported price may stray from the market before the
+// request is treated as stale
+const PRICE_TOLERANCE = 0.05;
+
+// MARKET/LIMIT plus stop-limit (SL) and stop-market (SL-M)
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'SL', 'SL-M'];
+
+// Regular orders, bracket orders (entry + target + stop, OCO) and cover
+// orders (MIS entry with a mandatory stop)
+const VARIETIES = ['REGULAR', 'BO', 'CO'];
+
+// DAY orders rest until the close; IOC orders cancel whatever does not
+// fill on placement
+const VALIDITIES = ['DAY', 'IOC'];
+
+// A GTT stays active for a year unless triggered or cancelled
+const GTT_VALIDITY_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Regular orders a basket may hold
+const MAX_BASKET_LEGS = 20;
+
+router.use(authenticate);
+
+/**
+ * Sanity-check the price the client saw against the server's LTP.
+ * The client price is optional and never used for execution.
+ * @returns {string|null} error message, or null if acceptable
+ */
+function checkClientPrice(clientPrice, ltp) {
+  if (clientPrice === undefined || clientPrice === null) return null;
+  if (!(clientPrice > 0)) return 'Invalid price';
+  if (Math.abs(clientPrice - ltp) / ltp > PRICE_TOLERANCE) {
+    return `Price has moved — market is now ₹${ltp.toFixed(2)}. Please retry.`;
+  }
+  return null;
+}
+
+/** @returns {string|null} error message when a price given is not a number */
+function checkPriceType(label, value) {
+  return typeof value === 'number' && Number.isFinite(value) ? null : `${label} must be a number`;
+}
+
+/**
+ * Check order prices against the symbol's daily price band.
+ * @param {{ lowerCircuit: number, upperCircuit: number }|null} band
+ * @param {Object<string, number|null>} prices label → price; empty entries are skipped
+ * @returns {string|null} error message, or null if all prices are numbers inside the band
+ */
+function checkPriceBand(band, prices) {
+  for (const [label, value] of Object.entries(prices)) {
+    if (!value) continue;
+    const typeError = checkPriceType(label, value);
+    if (typeError) return typeError;
+    if (band && (value < band.lowerCircuit || value > band.upperCircuit)) {
+      return `${label} ₹${value.toFixed(2)} is outside today's price band (₹${band.lowerCircuit.toFixed(2)} – ₹${band.upperCircuit.toFixed(2)})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check order prices against the symbol's tick size.
+ * @param {number} tickSize
+ * @param {Object<string, number|null>} prices label → price; empty entries are skipped
+ * @returns {string|null} error message, or null if every price is a number on the tick grid
+ */
+function checkTickSize(tickSize, prices) {
+  for (const [label, value] of Object.entries(prices)) {
+    if (!value) continue;
+    const typeError = checkPriceType(label, value);
+    if (typeError) return typeError;
+    if (!isOnTick(value, tickSize)) {
+      return `${label} ₹${value} is not a multiple of the ₹${tickSize.toFixed(2)} tick size`;
+    }
+  }
+  return null;
+}
+
+/** @returns {string|null} error message when `quantity` is not a whole number of lots */
+function checkLotSize(lotSize, quantity) {
+  if (quantity % lotSize === 0) return null;
+  return `Quantity must be a multiple of the lot size (${lotSize})`;
+}
+
 // ── GET /account ──
-router.get('/account', (_req, res) => {
+router.get('/account', (req, res) => {
   try {
-    const acc = getAccount();
+    const userId = req.user.id;
+    const acc = getAccount(userId);
     res.json(acc);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -33,10 +164,11 @@ router.get('/account', (_req, res) => {
 });
 
 // ── GET /positions ──
-router.get('/positions', (_req, res) => {
+router.get('/positions', (req, res) => {
   try {
-    const open = getOpenPositions();
-    const all = getAllPositions();
+    const userId = req.user.id;
+    const open = getOpenPositions(userId);
+    const all = getAllPositions(userId);
     const closed = all.filter(p => p.status === 'CLOSED').slice(0, 50);
     res.json({ open, closed });
   } catch (err) {
@@ -45,87 +177,451 @@ router.get('/positions', (_req, res) => {
 });
 
 // ── GET /orders ──
-router.get('/orders', (_req, res) => {
+router.get('/orders', (req, res) => {
   try {
-    const open = getOpenOrders();
-    const executed = getExecutedOrders(50);
+    const userId = req.user.id;
+    const open = getOpenOrders(userId);
+    const executed = getExecutedOrders(userId, 50);
     res.json({ open, executed });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ── POST /order ──
-router.post('/order', (req, res) => {
+// ── GET /holdings ──
+router.get('/holdings', (req, res) => {
   try {
-    const { symbol, side, quantity, price, type = 'MARKET', limitPrice, product = 'CNC', stopLoss, target } = req.body;
+    const userId = req.user.id;
+    const simulator = req.app.get('simulator');
+    const holdings = getHoldings(userId).map(h => {
+      const ltp = simulator.getBestPrices(h.symbol)?.ltp ?? h.avgPrice;
+      const invested = h.avgPrice * h.quantity;
+      const currentValue = ltp * h.quantity;
+      const pnl = currentValue - invested;
+      return {
+        ...h, ltp,
+        invested: r2(invested),
+        currentValue: r2(currentValue),
+        pnl: r2(pnl),
+        pnlPercent: invested ? r2((pnl / invested) * 100) : 0,
+      };
+    });
 
-    // Validation
-    if (!symbol) return res.status(400).json({ success: false, error: 'Symbol is required' });
-    if (!side || !['BUY', 'SELL'].includes(side)) return res.status(400).json({ success: false, error: 'Invalid side' });
-    if (!quantity || quantity <= 0 || !Number.isInteger(quantity)) return res.status(400).json({ success: false, error: 'Quantity must be a positive integer' });
-    if (!price || price <= 0) return res.status(400).json({ success: false, error: 'Invalid price' });
+    const invested = holdings.reduce((sum, h) => sum + h.invested, 0);
+    const currentValue = holdings.reduce((sum, h) => sum + h.currentValue, 0);
+    res.json({
+      holdings,
+      summary: {
+        invested: r2(invested),
+        currentValue: r2(currentValue),
+        pnl: r2(currentValue - invested),
+        pnlPercent: invested ? r2(((currentValue - invested) / invested) * 100) : 0,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const execPrice = type === 'LIMIT' ? (limitPrice || price) : price;
-    if (execPrice <= 0) return res.status(400).json({ success: false, error: 'Invalid execution price' });
+// ── GET /corporate-actions ──
+// Dividends, splits and bonuses still to come on symbols held or in open
+// positions, and those already applied to the account
+router.get('/corporate-actions', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const symbols = new Set([
+      ...getHoldings(userId).map(h => h.symbol),
+      ...getOpenPositions(userId).map(p => p.symbol),
+    ]);
+    res.json({
+      upcoming: getCorporateActions().filter(a => !a.appliedAt && symbols.has(a.symbol)),
+      events: getCorporateActionEvents(userId),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * The account's tax P&L report, limited to financial year `fy` if given.
+ * @returns {{ error: string }|{ report: Object, financialYears: string[] }}
+ */
+function accountTaxReport(userId, fy) {
+  if (fy && !/^\d{4}-\d{2}$/.test(fy)) return { error: 'Financial year must look like 2026-27' };
+
+  const actions = new Map(getCorporateActions().map(a => [a.id, a]));
+  const adjustments = getCorporateActionEvents(userId, Infinity)
+    .filter(e => e.action !== 'DIVIDEND' && actions.has(e.actionId))
+    .map(e => actions.get(e.actionId));
+  const report = buildTaxReport(getAllOrders(userId, Infinity).reverse(), adjustments);
+  return {
+    report: fy ? { years: report.years.filter(y => y.fy === fy) } : report,
+    financialYears: report.years.map(y => y.fy),
+  };
+}
+
+// ── GET /tax-pnl ──
+router.get('/tax-pnl', (req, res) => {
+  try {
+    const { error, report, financialYears } = accountTaxReport(req.user.id, req.query.fy);
+    if (error) return res.status(400).json({ success: false, error });
+    res.json({ ...report, financialYears });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /tax-pnl/csv ──
+router.get('/tax-pnl/csv', (req, res) => {
+  try {
+    const { fy } = req.query;
+    const { error, report } = accountTaxReport(req.user.id, fy);
+    if (error) return res.status(400).json({ success: false, error });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="tax-pnl${fy ? `-FY${fy}` : ''}.csv"`);
+    res.send(taxReportCsv(report));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /contract-notes ──
+router.get('/contract-notes', (req, res) => {
+  try {
+    const notes = getContractNotes(req.user.id).map(({ trades, ...note }) => ({ ...note, trades: trades.length }));
+    res.json({ notes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /contract-notes/:date ──
+router.get('/contract-notes/:date', (req, res) => {
+  try {
+    const note = getContractNote(req.user.id, req.params.date);
+    if (!note) return res.status(404).json({ success: false, error: 'No contract note for that date' });
+    const client = `${req.user.username} (ID ${req.user.id})`;
+    res.type('html').send(renderContractNote(note, { client, print: req.query.print === '1' }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // SL/Target validation — auto-correct instead of rejecting (simulator-friendly)
-    let validSL = (stopLoss && stopLoss > 0) ? stopLoss : null;
-    let validTarget = (target && target > 0) ? target : null;
+// ── GET /analytics ──
+router.get('/analytics', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const simulator = req.app.get('simulator');
+    res.json(buildPortfolioAnalytics({
+      account: getAccount(userId),
+      ledger: getLedger(userId, { limit: Infinity }).entries.reverse(),
+      orders: getAllOrders(userId, Infinity),
+      holdings: getHoldings(userId),
+      positions: getOpenPositions(userId),
+      ltpOf: (symbol) => simulator.getBestPrices(symbol)?.ltp ?? null,
+      infoOf: (symbol) => simulator.getQuote(symbol),
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (validSL) {
-      if (side === 'BUY' && validSL >= execPrice) validSL = null; // ignore bad SL
-      if (side === 'SELL' && validSL <= execPrice) validSL = null;
+// ── GET /snapshots ──
+router.get('/snapshots', (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    if ([from, to].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+      return res.status(400).json({ success: false, error: 'Dates must be YYYY-MM-DD' });
     }
-    if (validTarget) {
-      if (side === 'BUY' && validTarget <= execPrice) validTarget = null;
-      if (side === 'SELL' && validTarget >= execPrice) validTarget = null;
+    res.json({ snapshots: getSnapshots(req.user.id, { from, to }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── GET /tradebook/csv ──
+router.get('/tradebook/csv', (req, res) => {
+  try {
+    const orders = getAllOrders(req.user.id, Infinity).reverse();
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="tradebook-${istDateKey()}.csv"`);
+    res.send(exportTradebook(orders));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /tradebook/import ──
+// Rows that fail a check or the risk limits are skipped and reported; the
+// rest are booked, provided the balance covers the holdings they leave.
+router.post('/tradebook/import', text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const simulator = req.app.get('simulator');
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ success: false, error: 'Send the tradebook as a text/csv body' });
     }
 
-    const acc = getAccount();
-    const orderValue = execPrice * quantity;
+    const parsed = parseTradebook(req.body, {
+      isKnownSymbol: (symbol) => !!simulator.getPriceBand(symbol),
+      importedIds: knownTradeIds(getAllOrders(userId, Infinity)),
+    });
+    if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
 
-    // CNC SELL — if no existing BUY position, auto-switch to MIS (short sell)
-    let finalProduct = product;
-    if (side === 'SELL' && product === 'CNC') {
-      const openPos = getOpenPositions();
-      const existing = openPos.find(p => p.symbol === symbol && p.side === 'BUY');
-      if (!existing || existing.quantity < quantity) {
-        finalProduct = 'MIS'; // auto-convert to intraday short
-      }
+    let plan = planImport(parsed.trades);
+    const risk = checkImportRisk(plan, {
+      limits: getRiskLimits(userId),
+      killSwitch: getKillSwitch(userId),
+      holdings: getHoldings(userId),
+    });
+    if (risk.error) return res.status(400).json({ success: false, error: risk.error });
+    if (risk.rejected.length > 0) {
+      const dropped = new Set(risk.rejected.map(r => r.row));
+      plan = planImport(parsed.trades.filter(t => !dropped.has(t.row)));
+    }
+    const rejected = [...parsed.rejected, ...risk.rejected, ...plan.rejected].sort((a, b) => a.row - b.row);
+    if (plan.trades.length === 0) {
+      return res.status(400).json({ success: false, error: 'No rows could be imported', rejected });
     }
 
-    // Balance check for BUY
-    if (side === 'BUY') {
-      const marginRequired = finalProduct === 'MIS' ? orderValue * 0.2 : orderValue;
-      if (marginRequired > acc.balance) {
-        return res.status(400).json({ success: false, error: `Insufficient balance. Required: ₹${marginRequired.toFixed(2)}, Available: ₹${acc.balance.toFixed(2)}` });
-      }
+    const fundsError = checkImportFunds(plan, getAccount(userId).balance);
+    if (fundsError) return res.status(400).json({ success: false, error: fundsError, rejected });
+
+    const { orders, holdings } = applyImport(userId, plan);
+    res.json({ success: true, imported: orders, holdings, realisedPnL: plan.realised, rejected });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /margin ──
+router.get('/margin', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const simulator = req.app.get('simulator');
+    const { positions, ...margin } = accountMargin(userId, (symbol) => simulator.getBestPrices(symbol)?.ltp ?? null);
+    const { maintenanceRatio, marginCallGraceSeconds } = getMarginConfig();
+    res.json({
+      ...margin,
+      positions: positions.map(p => ({ id: p.position.id, symbol: p.position.symbol, ltp: p.ltp, mtm: p.mtm })),
+      maintenanceRatio,
+      marginCallGraceSeconds,
+      marginCallAt: getAccount(userId).marginCallAt,
+      events: getMarginEvents(userId),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Price an order against the book. Market orders walk the opposite side; a
+ * limit order that is already marketable walks it too, down to its limit
+ * price. `value` is what the order costs: the book's prices for the filled
+ * part, its limit (or trigger) for whatever rests.
+ * @returns {{ fillNow: boolean, fills: Array<{ price: number, quantity: number }>, execPrice: number, value: number }}
+ */
+function priceOrder(depth, { side, type, quantity, limitPrice, triggerPrice }) {
+  const marketPrice = side === 'BUY' ? depth.asks[0].price : depth.bids[0].price;
+  const fillNow = type === 'MARKET' ||
+    (type === 'LIMIT' && (side === 'BUY' ? marketPrice <= limitPrice : marketPrice >= limitPrice));
+  const fills = fillNow ? walkBook(depth, side, quantity, type === 'LIMIT' ? limitPrice : null) : [];
+  const execPrice = fillNow ? marketPrice : (type === 'SL-M' ? triggerPrice : limitPrice);
+
+  const filledQty = fills.reduce((sum, f) => sum + f.quantity, 0);
+  const value = fillNow
+    ? fills.reduce((sum, f) => sum + f.price * f.quantity, 0) + (type === 'LIMIT' ? (quantity - filledQty) * limitPrice : 0)
+    : execPrice * quantity;
+  return { fillNow, fills, execPrice, value };
+}
+
+/** Margin the balance check requires of an order worth `value`: buys only. */
+function requiredMargin(side, value, product, symbol) {
+  return side === 'BUY' ? value / leverageFor(product, symbol) : 0;
+}
+
+/**
+ * Validate and place one order for `userId` — the logic behind POST /order,
+ * shared with basket execution. Fills at the simulator's prices.
+ * @returns {{ success: true, order: Object, fillPrice: number|null, filledQuantity: number }
+ *   |{ success: false, error: string }}
+ */
+function placeOrder(userId, params, simulator) {
+  const { symbol, side, quantity, price, type = 'MARKET', limitPrice, triggerPrice, product = 'CNC', stopLoss, target, variety = 'REGULAR', trailType, trailValue, btst = false, validity = 'DAY' } = params;
+
+  // Validation
+  if (!symbol) return { success: false, error: 'Symbol is required' };
+  if (!side || !['BUY', 'SELL'].includes(side)) return { success: false, error: 'Invalid side' };
+  if (!quantity || quantity <= 0 || !Number.isInteger(quantity)) return { success: false, error: 'Quantity must be a positive integer' };
+  if (!ORDER_TYPES.includes(type)) return { success: false, error: 'Invalid order type' };
+  if (!VARIETIES.includes(variety)) return { success: false, error: 'Invalid order variety' };
+  if (!VALIDITIES.includes(validity)) return { success: false, error: 'Validity must be DAY or IOC' };
+  if (validity === 'IOC' && (variety !== 'REGULAR' || !['MARKET', 'LIMIT'].includes(type))) {
+    return { success: false, error: 'IOC is only available on regular MARKET and LIMIT orders' };
+  }
+
+  const isBracket = isBracketVariety(variety);
+  if (isBracket && !['MARKET', 'LIMIT'].includes(type)) return { success: false, error: 'Bracket and cover orders must be MARKET or LIMIT' };
+
+  const trailing = trailValue !== undefined && trailValue !== null;
+  if (trailing) {
+    if (!TRAIL_TYPES.includes(trailType)) return { success: false, error: 'Trailing stop type must be POINTS or PERCENT' };
+    if (!(trailValue > 0) || (trailType === 'PERCENT' && trailValue >= 100)) return { success: false, error: 'Invalid trailing stop amount' };
+  }
+
+  const isStop = type === 'SL' || type === 'SL-M';
+  if ((type === 'LIMIT' || type === 'SL') && (!limitPrice || limitPrice <= 0)) return { success: false, error: 'Invalid limit price' };
+  if (isStop && (!triggerPrice || triggerPrice <= 0)) return { success: false, error: 'Invalid trigger price' };
+
+  // Only stocks trade: indices such as ^NSEI, like unknown symbols, have no band
+  const band = simulator.getPriceBand(symbol);
+  if (!band) return { success: false, error: `${symbol} is not a tradable stock` };
+
+  // Execution prices come from the market, never from the client
+  const market = simulator.getBestPrices(symbol);
+  if (!market) return { success: false, error: 'No market price available for this symbol' };
+
+  const priceError = checkClientPrice(price, market.ltp);
+  if (priceError) return { success: false, error: priceError };
+
+  const { tickSize, lotSize } = simulator.getInstrument(symbol);
+  const lotError = checkLotSize(lotSize, quantity);
+  if (lotError) return { success: false, error: lotError };
+
+  const tickError = checkTickSize(tickSize, {
+    'Limit price': type === 'LIMIT' || type === 'SL' ? limitPrice : null,
+    'Trigger price': isStop ? triggerPrice : null,
+    'Stop loss': stopLoss,
+    Target: target,
+    'Trailing stop': trailing && trailType === 'POINTS' ? trailValue : null,
+  });
+  if (tickError) return { success: false, error: tickError };
+
+  const bandError = checkPriceBand(band, {
+    'Limit price': type === 'LIMIT' || type === 'SL' ? limitPrice : null,
+    'Trigger price': isStop ? triggerPrice : null,
+  });
+  if (bandError) return { success: false, error: bandError };
+
+  // Stop orders wait for the price to move through the trigger
+  if (isStop) {
+    if (side === 'BUY' && triggerPrice <= market.ltp) return { success: false, error: 'Trigger price of a buy stop must be above the last traded price' };
+    if (side === 'SELL' && triggerPrice >= market.ltp) return { success: false, error: 'Trigger price of a sell stop must be below the last traded price' };
+    if (type === 'SL' && (side === 'BUY' ? limitPrice < triggerPrice : limitPrice > triggerPrice)) {
+      return { success: false, error: `Limit price must be ${side === 'BUY' ? 'at or above' : 'at or below'} the trigger price` };
     }
+  }
 
-    // Create order
-    const orderId = nextOrderId();
-    const order = {
-      id: orderId,
-      symbol, side, quantity,
-      price: execPrice,
-      type, product: finalProduct,
-      stopLoss: validSL,
-      target: validTarget,
-      status: type === 'MARKET' ? 'EXECUTED' : 'OPEN',
-      timestamp: Date.now(),
-      executedAt: type === 'MARKET' ? Date.now() : null,
-      note: null,
-    };
+  const depth = simulator.getOrderBook(symbol, 5);
+  const { fillNow, fills, execPrice, value: orderValue } = priceOrder(depth, { side, type, quantity, limitPrice, triggerPrice });
+
+  // SL/Target validation — auto-correct instead of rejecting (simulator-friendly)
+  let validSL = (stopLoss && stopLoss > 0) ? stopLoss : null;
+  let validTarget = (target && target > 0) ? target : null;
+
+  if (validSL) {
+    if (side === 'BUY' && validSL >= execPrice) validSL = null; // ignore bad SL
+    if (side === 'SELL' && validSL <= execPrice) validSL = null;
+  }
+  if (validTarget) {
+    if (side === 'BUY' && validTarget <= execPrice) validTarget = null;
+    if (side === 'SELL' && validTarget >= execPrice) validTarget = null;
+  }
 
-    insertOrder(order);
+  // Bracket/cover legs become real orders, so a bad SL/target is an error
+  if (isBracket) {
+    if (!validSL) return { success: false, error: `A valid stop loss ${side === 'BUY' ? 'below' : 'above'} the entry price is required` };
+    if (variety === 'BO' && !validTarget) return { success: false, error: `A valid target ${side === 'BUY' ? 'above' : 'below'} the entry price is required` };
+    if (variety === 'CO') validTarget = null;
 
-    // Execute market order immediately
-    if (type === 'MARKET') {
-      executeOrder(order);
+    const legBandError = checkPriceBand(band, { 'Stop loss': validSL, Target: validTarget });
+    if (legBandError) return { success: false, error: legBandError };
+  }
+
+  if (trailing && trailType === 'POINTS' && trailValue >= execPrice) {
+    return { success: false, error: 'Trailing stop must be smaller than the price' };
+  }
+
+  const acc = getAccount(userId);
+
+  // Bracket and cover orders are intraday only.
+  // CNC SELL delivers settled holdings; shares bought but not yet settled
+  // (T+1) can only go out as BTST. With nothing to deliver at all it
+  // auto-switches to MIS (short sell).
+  let finalProduct = isBracket ? 'MIS' : product;
+  if (side === 'SELL' && finalProduct === 'CNC') {
+    const settled = getHolding(userId, symbol)?.quantity || 0;
+    const unsettled = getOpenPositions(userId)
+      .filter(p => p.symbol === symbol && p.side === 'BUY' && p.product === 'CNC')
+      .reduce((sum, p) => sum + p.quantity, 0);
+    if (settled + unsettled === 0) {
+      finalProduct = 'MIS'; // auto-convert to intraday short
+    } else if (quantity > settled + (btst ? unsettled : 0)) {
+      const hint = !btst && quantity <= settled + unsettled
+        ? ` ${unsettled} more settle T+1 — place the order as BTST to sell them today.`
+        : '';
+      return { success: false, error: `Only ${settled} ${symbol} settled in holdings.${hint}` };
     }
+  }
+
+  // The account's own risk limits, and its kill switch
+  const riskError = checkOrderRisk({
+    order: { symbol, side, quantity, product: finalProduct, value: orderValue, bracket: isBracket },
+    limits: getRiskLimits(userId),
+    killSwitch: getKillSwitch(userId),
+    positions: getOpenPositions(userId),
+    holdings: getHoldings(userId),
+  });
+  if (riskError) return { success: false, error: riskError };
+
+  // Balance check for BUY
+  const required = requiredMargin(side, orderValue, finalProduct, symbol);
+  if (required > acc.balance) {
+    return { success: false, error: `Insufficient balance. Required: ₹${required.toFixed(2)}, Available: ₹${acc.balance.toFixed(2)}` };
+  }
+
+  // Create order
+  const orderId = nextOrderId(userId);
+  const order = {
+    id: orderId,
+    symbol, side, quantity,
+    price: execPrice,
+    limitPrice: type === 'LIMIT' || type === 'SL' ? limitPrice : null,
+    triggerPrice: isStop ? triggerPrice : null,
+    type, product: finalProduct,
+    variety,
+    legType: isBracket ? 'ENTRY' : null,
+    stopLoss: validSL,
+    target: validTarget,
+    trailType: trailing ? trailType : null,
+    trailValue: trailing ? trailValue : null,
+    btst: finalProduct === 'CNC' && side === 'SELL' && Boolean(btst),
+    validity,
+    status: isStop ? 'TRIGGER_PENDING' : 'OPEN',
+    timestamp: Date.now(),
+    note: null,
+  };
 
-    res.json({ success: true, order });
+  insertOrder(userId, order);
+
+  // Fill market / marketable limit orders against the book right away;
+  // whatever a market or IOC order cannot fill is cancelled
+  const cancelRemainder = type === 'MARKET' || validity === 'IOC';
+  const placed = fillNow || cancelRemainder ? fillOrder(userId, order, fills, cancelRemainder) : getOrderById(userId, orderId);
+
+  return {
+    success: true,
+    order: placed,
+    fillPrice: placed.filledQuantity > 0 ? placed.avgFillPrice : null,
+    filledQuantity: placed.filledQuantity,
+  };
+}
+
+// ── POST /order ──
+router.post('/order', (req, res) => {
+  try {
+    const result = placeOrder(req.user.id, req.body, req.app.get('simulator'));
+    res.status(result.success ? 200 : 400).json(result);
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -134,51 +630,61 @@ router.post('/order', (req, res) => {
 // ── POST /close/:id ──
 router.post('/close/:id', (req, res) => {
   try {
+    const userId = req.user.id;
     const posId = parseInt(req.params.id, 10);
     const { currentPrice } = req.body;
 
-    if (!currentPrice || currentPrice <= 0) return res.status(400).json({ success: false, error: 'Invalid price' });
-
-    const pos = getPositionById(posId);
+    const pos = getPositionById(userId, posId);
     if (!pos || pos.status !== 'OPEN') return res.status(400).json({ success: false, error: 'Position not found or already closed' });
 
-    let pnl;
-    if (pos.side === 'BUY') {
-      pnl = (currentPrice - pos.avgPrice) * pos.quantity;
-    } else {
-      pnl = (pos.avgPrice - currentPrice) * pos.quantity;
-    }
+    const market = req.app.get('simulator').getBestPrices(pos.symbol);
+    if (!market) return res.status(400).json({ success: false, error: 'No market price available for this symbol' });
 
-    const acc = getAccount();
-    const marginPerShare = pos.product === 'MIS' ? pos.avgPrice * 0.2 : pos.avgPrice;
-    const returnAmount = marginPerShare * pos.quantity + pnl;
+    const priceError = checkClientPrice(currentPrice, market.ltp);
+    if (priceError) return res.status(400).json({ success: false, error: priceError });
 
-    updateAccount({
-      balance: acc.balance + returnAmount,
-      usedMargin: Math.max(0, acc.usedMargin - marginPerShare * pos.quantity),
-      realisedPnL: acc.realisedPnL + pnl,
-    });
+    // Exit a long at the bid, cover a short at the ask
+    const fillPrice = pos.side === 'BUY' ? market.bid : market.ask;
+    const { pnl, charges } = closePosition(userId, pos, fillPrice);
 
-    updatePosition(posId, { status: 'CLOSED', closedAt: Date.now(), exitPrice: currentPrice });
-
-    // Create closing order
-    const closingOrderId = nextOrderId();
-    insertOrder({
-      id: closingOrderId,
-      symbol: pos.symbol,
-      side: pos.side === 'BUY' ? 'SELL' : 'BUY',
-      quantity: pos.quantity,
-      price: currentPrice,
-      type: 'MARKET',
-      product: pos.product,
-      stopLoss: null, target: null,
-      status: 'EXECUTED',
-      timestamp: Date.now(),
-      executedAt: Date.now(),
-      note: 'Position closed',
+    res.json({
+      success: true,
+      pnl: Math.round(pnl * 100) / 100,
+      charges,
+      netPnL: Math.round((pnl - charges) * 100) / 100,
+      fillPrice,
     });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /convert/:id ──
+router.post('/convert/:id', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const posId = parseInt(req.params.id, 10);
+    const { product } = req.body;
+
+    const pos = getPositionById(userId, posId);
+    if (!pos || pos.status !== 'OPEN') return res.status(400).json({ success: false, error: 'Position not found or already closed' });
+    if (!['MIS', 'CNC'].includes(product)) return res.status(400).json({ success: false, error: 'Product must be MIS or CNC' });
+    if (product === pos.product) return res.status(400).json({ success: false, error: `Position is already ${product}` });
+    if (pos.parentOrderId) return res.status(400).json({ success: false, error: 'Bracket and cover positions are intraday only' });
 
-    res.json({ success: true, pnl: Math.round(pnl * 100) / 100 });
+    if (product === 'CNC') {
+      if (pos.side !== 'BUY') return res.status(400).json({ success: false, error: 'Short positions cannot be held for delivery' });
+      const required = pos.avgPrice * pos.quantity * (1 - 1 / positionLeverage(pos));
+      const acc = getAccount(userId);
+      if (required > acc.balance) {
+        return res.status(400).json({ success: false, error: `Insufficient balance. Required: ₹${required.toFixed(2)}, Available: ₹${acc.balance.toFixed(2)}` });
+      }
+    } else if (pos.tradeDate !== istDateKey()) {
+      return res.status(400).json({ success: false, error: 'Only delivery positions bought today can be converted to intraday' });
+    }
+
+    const { orderId, marginChange } = convertPosition(userId, pos, product);
+    res.json({ success: true, orderId, marginChange, position: getPositionById(userId, posId) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -187,209 +693,468 @@ router.post('/close/:id', (req, res) => {
 // ── POST /cancel/:id ──
 router.post('/cancel/:id', (req, res) => {
   try {
+    const userId = req.user.id;
     const orderId = parseInt(req.params.id, 10);
-    const openOrders = getOpenOrders();
+    const openOrders = getOpenOrders(userId);
     const order = openOrders.find(o => o.id === orderId);
     if (!order) return res.status(400).json({ success: false, error: 'Order not found' });
+    if (order.parentId) return res.status(400).json({ success: false, error: 'Bracket legs cannot be cancelled — exit the position instead' });
 
-    updateOrder(orderId, { status: 'CANCELLED' });
+    updateOrder(userId, orderId, { status: 'CANCELLED' });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ── POST /check-triggers ── (call from client on price updates)
-router.post('/check-triggers', (req, res) => {
+// ── PATCH /order/:id ── (modify a pending order in place)
+// Keeps the order's id and timestamp; every change is appended to its
+// `modifications` audit trail. Bracket/cover legs can only move their price.
+router.patch('/order/:id', (req, res) => {
   try {
-    const { livePrices } = req.body;
-    if (!livePrices) return res.json({ triggered: false });
+    const userId = req.user.id;
+    const orderId = parseInt(req.params.id, 10);
+    const { quantity, limitPrice, triggerPrice } = req.body;
 
-    let triggered = false;
-    const positions = getOpenPositions();
+    const order = getOpenOrders(userId).find(o => o.id === orderId);
+    if (!order) return res.status(400).json({ success: false, error: 'Order not found or no longer open' });
 
-    for (const pos of positions) {
-      const tick = livePrices[pos.symbol];
-      if (!tick || !tick.price) continue;
+    // Limits placed before limitPrice was stored kept it in `price`
+    const current = {
+      quantity: order.quantity,
+      limitPrice: order.limitPrice ?? (order.type === 'LIMIT' ? order.price : null),
+      triggerPrice: order.triggerPrice,
+    };
+    const next = { ...current };
 
-      const currentPrice = tick.price;
-      let shouldClose = false;
+    if (quantity !== undefined) {
+      if (order.parentId) return res.status(400).json({ success: false, error: 'Bracket leg quantity follows its position' });
+      if (!quantity || quantity <= 0 || !Number.isInteger(quantity)) return res.status(400).json({ success: false, error: 'Quantity must be a positive integer' });
+      if (quantity <= (order.filledQuantity || 0)) return res.status(400).json({ success: false, error: `Quantity must be more than the ${order.filledQuantity} already filled` });
+      next.quantity = quantity;
+    }
+    if (limitPrice !== undefined) {
+      if (order.type !== 'LIMIT' && order.type !== 'SL') return res.status(400).json({ success: false, error: `${order.type} orders have no limit price` });
+      if (!limitPrice || limitPrice <= 0) return res.status(400).json({ success: false, error: 'Invalid limit price' });
+      next.limitPrice = limitPrice;
+    }
+    if (triggerPrice !== undefined) {
+      if (order.status !== 'TRIGGER_PENDING') return res.status(400).json({ success: false, error: 'Only untriggered stop orders have a trigger price to modify' });
+      if (!triggerPrice || triggerPrice <= 0) return res.status(400).json({ success: false, error: 'Invalid trigger price' });
+      next.triggerPrice = triggerPrice;
+    }
 
-      // Stop Loss
-      if (pos.stopLoss && pos.stopLoss > 0) {
-        if (pos.side === 'BUY' && currentPrice <= pos.stopLoss) shouldClose = true;
-        if (pos.side === 'SELL' && currentPrice >= pos.stopLoss) shouldClose = true;
-      }
+    const changes = {};
+    for (const field of Object.keys(next)) {
+      if (next[field] !== current[field]) changes[field] = { from: current[field], to: next[field] };
+    }
+    if (Object.keys(changes).length === 0) return res.status(400).json({ success: false, error: 'Nothing to modify' });
 
-      // Target
-      if (!shouldClose && pos.target && pos.target > 0) {
-        if (pos.side === 'BUY' && currentPrice >= pos.target) shouldClose = true;
-        if (pos.side === 'SELL' && currentPrice <= pos.target) shouldClose = true;
+    const market = req.app.get('simulator').getBestPrices(order.symbol);
+    if (!market) return res.status(400).json({ success: false, error: 'No market price available for this symbol' });
+
+    const instrument = req.app.get('simulator').getInstrument(order.symbol);
+    const lotError = changes.quantity ? checkLotSize(instrument.lotSize, next.quantity) : null;
+    if (lotError) return res.status(400).json({ success: false, error: lotError });
+
+    const tickError = checkTickSize(instrument.tickSize, {
+      'Limit price': changes.limitPrice ? next.limitPrice : null,
+      'Trigger price': changes.triggerPrice ? next.triggerPrice : null,
+    });
+    if (tickError) return res.status(400).json({ success: false, error: tickError });
+
+    const bandError = checkPriceBand(req.app.get('simulator').getPriceBand(order.symbol), {
+      'Limit price': changes.limitPrice ? next.limitPrice : null,
+      'Trigger price': changes.triggerPrice ? next.triggerPrice : null,
+    });
+    if (bandError) return res.status(400).json({ success: false, error: bandError });
+
+    if (order.parentId) {
+      // A SELL leg exits a long: target above the market, stop below it (and vice versa)
+      const legPrice = order.legType === 'TARGET' ? next.limitPrice : next.triggerPrice;
+      const above = legPrice > market.ltp;
+      if (order.legType === 'TARGET' && above !== (order.side === 'SELL')) {
+        return res.status(400).json({ success: false, error: `Target must be ${order.side === 'SELL' ? 'above' : 'below'} the last traded price` });
+      }
+      if (order.legType === 'STOPLOSS' && above !== (order.side === 'BUY')) {
+        return res.status(400).json({ success: false, error: `Stop loss must be ${order.side === 'SELL' ? 'below' : 'above'} the last traded price` });
+      }
+    } else {
+      if (changes.triggerPrice) {
+        if (order.side === 'BUY' && next.triggerPrice <= market.ltp) return res.status(400).json({ success: false, error: 'Trigger price of a buy stop must be above the last traded price' });
+        if (order.side === 'SELL' && next.triggerPrice >= market.ltp) return res.status(400).json({ success: false, error: 'Trigger price of a sell stop must be below the last traded price' });
+      }
+      if (order.type === 'SL' && order.status === 'TRIGGER_PENDING' &&
+          (order.side === 'BUY' ? next.limitPrice < next.triggerPrice : next.limitPrice > next.triggerPrice)) {
+        return res.status(400).json({ success: false, error: `Limit price must be ${order.side === 'BUY' ? 'at or above' : 'at or below'} the trigger price` });
       }
 
-      if (shouldClose) {
-        // Close position
-        let pnl;
-        if (pos.side === 'BUY') pnl = (currentPrice - pos.avgPrice) * pos.quantity;
-        else pnl = (pos.avgPrice - currentPrice) * pos.quantity;
-
-        const acc = getAccount();
-        const mps = pos.product === 'MIS' ? pos.avgPrice * 0.2 : pos.avgPrice;
-        updateAccount({
-          balance: acc.balance + mps * pos.quantity + pnl,
-          usedMargin: Math.max(0, acc.usedMargin - mps * pos.quantity),
-          realisedPnL: acc.realisedPnL + pnl,
-        });
-
-        updatePosition(pos.id, { status: 'CLOSED', closedAt: Date.now(), exitPrice: currentPrice });
-
-        const cid = nextOrderId();
-        insertOrder({
-          id: cid, symbol: pos.symbol,
-          side: pos.side === 'BUY' ? 'SELL' : 'BUY',
-          quantity: pos.quantity, price: currentPrice,
-          type: 'MARKET', product: pos.product,
-          stopLoss: null, target: null,
-          status: 'EXECUTED', timestamp: Date.now(), executedAt: Date.now(),
-          note: pos.stopLoss && ((pos.side === 'BUY' && currentPrice <= pos.stopLoss) || (pos.side === 'SELL' && currentPrice >= pos.stopLoss))
-            ? 'Stop Loss triggered' : 'Target reached',
-        });
-
-        triggered = true;
+      // Margin is blocked at fill time, so a larger BUY must still be affordable
+      if (order.side === 'BUY' && (changes.quantity || changes.limitPrice)) {
+        const refPrice = order.type === 'SL-M' ? next.triggerPrice : next.limitPrice;
+        const orderValue = refPrice * next.quantity;
+        const marginRequired = orderValue / leverageFor(order.product, order.symbol);
+        const acc = getAccount(userId);
+        if (marginRequired > acc.balance) {
+          return res.status(400).json({ success: false, error: `Insufficient balance. Required: ₹${marginRequired.toFixed(2)}, Available: ₹${acc.balance.toFixed(2)}` });
+        }
       }
     }
 
-    // Check limit orders
-    const openOrders = getOpenOrders();
-    for (const order of openOrders) {
-      if (order.type !== 'LIMIT') continue;
-      const tick = livePrices[order.symbol];
-      if (!tick || !tick.price) continue;
-
-      const cp = tick.price;
-      if ((order.side === 'BUY' && cp <= order.price) || (order.side === 'SELL' && cp >= order.price)) {
-        updateOrder(order.id, { status: 'EXECUTED', executedAt: Date.now() });
-        executeOrder({ ...order, status: 'EXECUTED' });
-        triggered = true;
-      }
+    updateOrder(userId, orderId, {
+      ...next,
+      price: order.type === 'SL-M' ? next.triggerPrice : next.limitPrice,
+    });
+    addOrderModification(userId, orderId, { at: Date.now(), changes });
+
+    res.json({ success: true, order: getOrderById(userId, orderId) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── GET /gtt ──
+router.get('/gtt', (req, res) => {
+  try {
+    const gtts = getGtts(req.user.id);
+    res.json({
+      active: gtts.filter(g => g.status === 'ACTIVE'),
+      closed: gtts.filter(g => g.status !== 'ACTIVE').slice(0, 50),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /gtt ── (good-till-triggered)
+// Stores a trigger; when the LTP crosses it, OrderEngine places a DAY limit
+// order at `limitPrice`. The direction is fixed by where the market is now.
+router.post('/gtt', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { symbol, side, quantity, triggerPrice, limitPrice, product = 'CNC' } = req.body;
+
+    if (!symbol) return res.status(400).json({ success: false, error: 'Symbol is required' });
+    if (!side || !['BUY', 'SELL'].includes(side)) return res.status(400).json({ success: false, error: 'Invalid side' });
+    if (!['CNC', 'MIS'].includes(product)) return res.status(400).json({ success: false, error: 'Product must be CNC or MIS' });
+    if (!quantity || quantity <= 0 || !Number.isInteger(quantity)) return res.status(400).json({ success: false, error: 'Quantity must be a positive integer' });
+    if (!(triggerPrice > 0)) return res.status(400).json({ success: false, error: 'Invalid trigger price' });
+    if (!(limitPrice > 0)) return res.status(400).json({ success: false, error: 'Invalid limit price' });
+
+    const simulator = req.app.get('simulator');
+    if (!simulator.getPriceBand(symbol)) return res.status(400).json({ success: false, error: `${symbol} is not a tradable stock` });
+    const market = simulator.getBestPrices(symbol);
+    if (!market) return res.status(400).json({ success: false, error: 'No market price available for this symbol' });
+
+    const { tickSize, lotSize } = simulator.getInstrument(symbol);
+    const lotError = checkLotSize(lotSize, quantity);
+    if (lotError) return res.status(400).json({ success: false, error: lotError });
+    const tickError = checkTickSize(tickSize, { 'Trigger price': triggerPrice, 'Limit price': limitPrice });
+    if (tickError) return res.status(400).json({ success: false, error: tickError });
+
+    if (triggerPrice === market.ltp) return res.status(400).json({ success: false, error: 'Trigger price must differ from the last traded price' });
+
+    // A delivery sell GTT needs the shares, settled or on their way
+    if (side === 'SELL' && product === 'CNC') {
+      const owned = (getHolding(userId, symbol)?.quantity || 0) + getOpenPositions(userId)
+        .filter(p => p.symbol === symbol && p.side === 'BUY' && p.product === 'CNC')
+        .reduce((sum, p) => sum + p.quantity, 0);
+      if (quantity > owned) return res.status(400).json({ success: false, error: `Only ${owned} ${symbol} held for delivery` });
+    }
+
+    const createdAt = Date.now();
+    const gtt = {
+      id: nextGttId(userId),
+      symbol, side, quantity, product, triggerPrice, limitPrice,
+      direction: triggerPrice > market.ltp ? 'ABOVE' : 'BELOW',
+      createdAt,
+      expiresAt: createdAt + GTT_VALIDITY_MS,
+    };
+    insertGtt(userId, gtt);
+    res.json({ success: true, gtt: getGtts(userId).find(g => g.id === gtt.id) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /gtt/cancel/:id ──
+router.post('/gtt/cancel/:id', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const gttId = parseInt(req.params.id, 10);
+    const gtt = getGtts(userId).find(g => g.id === gttId);
+    if (!gtt || gtt.status !== 'ACTIVE') return res.status(400).json({ success: false, error: 'GTT not found or no longer active' });
+
+    updateGtt(userId, gttId, { status: 'CANCELLED' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * Validate and normalise the legs of a basket. Only their shape is checked
+ * here; prices, funds and holdings are checked as each leg is placed.
+ * @returns {{ legs: Array<Object> }|{ error: string }}
+ */
+function normalizeBasketLegs(legs) {
+  if (!Array.isArray(legs) || legs.length === 0) return { error: 'A basket needs at least one leg' };
+  if (legs.length > MAX_BASKET_LEGS) return { error: `A basket holds at most ${MAX_BASKET_LEGS} legs` };
+
+  const normalized = [];
+  for (const [i, leg] of legs.entries()) {
+    const { symbol, side, quantity, type = 'MARKET', product = 'CNC', limitPrice, triggerPrice, validity = 'DAY' } = leg || {};
+    const needsLimit = type === 'LIMIT' || type === 'SL';
+    const needsTrigger = type === 'SL' || type === 'SL-M';
+    let error = null;
+    if (!symbol || typeof symbol !== 'string') error = 'symbol is required';
+    else if (!['BUY', 'SELL'].includes(side)) error = 'invalid side';
+    else if (!Number.isInteger(quantity) || quantity <= 0) error = 'quantity must be a positive integer';
+    else if (!ORDER_TYPES.includes(type)) error = 'invalid order type';
+    else if (!['CNC', 'MIS'].includes(product)) error = 'product must be CNC or MIS';
+    else if (!VALIDITIES.includes(validity)) error = 'validity must be DAY or IOC';
+    else if (needsLimit && !(limitPrice > 0)) error = 'invalid limit price';
+    else if (needsTrigger && !(triggerPrice > 0)) error = 'invalid trigger price';
+    if (error) return { error: `Leg ${i + 1}: ${error}` };
+
+    normalized.push({
+      symbol, side, quantity, type, product, validity,
+      limitPrice: needsLimit ? limitPrice : null,
+      triggerPrice: needsTrigger ? triggerPrice : null,
+    });
+  }
+  return { legs: normalized };
+}
+
+/**
+ * Margin each leg requires by the rules of the single-order balance check,
+ * priced against the current book, and the basket's total.
+ */
+function basketMargin(legs, simulator) {
+  let totalMargin = 0;
+  const perLeg = legs.map(leg => {
+    if (!simulator.getBestPrices(leg.symbol)) {
+      return { symbol: leg.symbol, value: null, margin: null, error: 'No market price available for this symbol' };
+    }
+    const { value } = priceOrder(simulator.getOrderBook(leg.symbol, 5), leg);
+    const margin = requiredMargin(leg.side, value, leg.product, leg.symbol);
+    totalMargin += margin;
+    return { symbol: leg.symbol, value: r2(value), margin: r2(margin) };
+  });
+  return { legs: perLeg, totalMargin: r2(totalMargin) };
+}
+
+/** @returns {string|null} error message for an unusable basket name */
+function checkBasketName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'Basket name is required';
+  if (name.trim().length > 40) return 'Basket name must be at most 40 characters';
+  return null;
+}
+
+// ── GET /baskets ──
+router.get('/baskets', (req, res) => {
+  try {
+    res.json({ baskets: getBaskets(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── POST /baskets ──
+router.post('/baskets', (req, res) => {
+  try {
+    const { name, legs } = req.body;
+    const nameError = checkBasketName(name);
+    if (nameError) return res.status(400).json({ success: false, error: nameError });
+    const checked = normalizeBasketLegs(legs);
+    if (checked.error) return res.status(400).json({ success: false, error: checked.error });
+
+    const basket = insertBasket(req.user.id, { name: name.trim(), legs: checked.legs });
+    res.json({ success: true, basket });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /baskets/margin ── (preview, nothing is placed)
+router.post('/baskets/margin', (req, res) => {
+  try {
+    const checked = normalizeBasketLegs(req.body.legs);
+    if (checked.error) return res.status(400).json({ success: false, error: checked.error });
+
+    const margin = basketMargin(checked.legs, req.app.get('simulator'));
+    const available = getAccount(req.user.id).balance;
+    res.json({ success: true, ...margin, available, sufficient: margin.totalMargin <= available });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── PATCH /baskets/:id ── (rename, or replace the legs — edits and reordering)
+router.patch('/baskets/:id', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const basketId = parseInt(req.params.id, 10);
+    if (!getBasket(userId, basketId)) return res.status(400).json({ success: false, error: 'Basket not found' });
+
+    const { name, legs } = req.body;
+    const fields = {};
+    if (name !== undefined) {
+      const nameError = checkBasketName(name);
+      if (nameError) return res.status(400).json({ success: false, error: nameError });
+      fields.name = name.trim();
     }
+    if (legs !== undefined) {
+      const checked = normalizeBasketLegs(legs);
+      if (checked.error) return res.status(400).json({ success: false, error: checked.error });
+      fields.legs = checked.legs;
+    }
+    if (Object.keys(fields).length === 0) return res.status(400).json({ success: false, error: 'Nothing to update' });
+
+    res.json({ success: true, basket: updateBasket(userId, basketId, fields) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── DELETE /baskets/:id ──
+router.delete('/baskets/:id', (req, res) => {
+  try {
+    const deleted = deleteBasket(req.user.id, parseInt(req.params.id, 10));
+    if (!deleted) return res.status(400).json({ success: false, error: 'Basket not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── POST /baskets/:id/execute ──
+// Places the legs in order through the same logic as POST /order. A leg
+// that is rejected does not stop the rest; each gets its own result.
+router.post('/baskets/:id/execute', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const basket = getBasket(userId, parseInt(req.params.id, 10));
+    if (!basket) return res.status(400).json({ success: false, error: 'Basket not found' });
+
+    const simulator = req.app.get('simulator');
+    const results = basket.legs.map((leg, index) => {
+      const result = placeOrder(userId, { ...leg, variety: 'REGULAR' }, simulator);
+      return { index, symbol: leg.symbol, side: leg.side, ...result };
+    });
+    updateBasket(userId, basket.id, { lastExecutedAt: Date.now() });
+
+    res.json({
+      success: true,
+      placed: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    res.json({ triggered });
+// ── GET /risk-limits ──
+router.get('/risk-limits', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const simulator = req.app.get('simulator');
+    const killSwitch = getKillSwitch(userId);
+    res.json({
+      limits: getRiskLimits(userId),
+      killSwitch: isKillSwitchOn(killSwitch) ? killSwitch : null,
+      dayPnL: dayPnL({
+        ledger: getLedger(userId, { limit: Infinity }).entries,
+        positions: getOpenPositions(userId),
+        ltpOf: (symbol) => simulator.getBestPrices(symbol)?.ltp ?? null,
+      }),
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// ── PATCH /risk-limits ──
+// A kill switch already set today stays on whatever the new limits are.
+router.patch('/risk-limits', (req, res) => {
+  try {
+    const { limits, error } = validateRiskLimits(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+    res.json({ success: true, limits: saveRiskLimits(req.user.id, limits) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // ── POST /reset ──
-router.post('/reset', (_req, res) => {
+router.post('/reset', (req, res) => {
   try {
-    dbReset();
+    const userId = req.user.id;
+    dbReset(userId);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// ── GET /ledger ──
+router.get('/ledger', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const type = req.query.type || null;
+    if (type && !LEDGER_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `Type must be one of ${LEDGER_TYPES.join(', ')}` });
+    }
+    const { entries, total } = getLedger(userId, { page, limit, type });
+    res.json({ entries, page, limit, total, pages: Math.max(1, Math.ceil(total / limit)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── POST /add-money ──
 router.post('/add-money', (req, res) => {
   try {
+    const userId = req.user.id;
     const { amount } = req.body;
-    if (!amount || amount <= 0 || amount > 10000000) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || amount > 10000000) {
       return res.status(400).json({ success: false, error: 'Enter a valid amount (₹1 to ₹1,00,00,000)' });
     }
-    const acc = getAccount();
-    updateAccount({ balance: acc.balance + amount });
-    res.json({ success: true, newBalance: acc.balance + amount });
+    const acc = getAccount(userId);
+    const newBalance = r2(acc.balance + amount);
+    updateAccount(userId, { balance: newBalance }, { type: 'FUNDS_ADDED', amount, description: 'Funds added' });
+    res.json({ success: true, newBalance });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ── Helper: execute an order (create/update position, adjust balance) ──
-function executeOrder(order) {
-  const acc = getAccount();
-
-  if (order.side === 'BUY') {
-    const orderValue = order.price * order.quantity;
-    const marginReq = order.product === 'MIS' ? orderValue * 0.2 : orderValue;
-
-    // Check existing open position to average
-    const openPos = getOpenPositions();
-    const existing = openPos.find(p => p.symbol === order.symbol && p.side === 'BUY' && p.product === order.product);
-
-    if (existing) {
-      const totalQty = existing.quantity + order.quantity;
-      const totalVal = (existing.avgPrice * existing.quantity) + (order.price * order.quantity);
-      updatePosition(existing.id, {
-        avgPrice: totalVal / totalQty,
-        quantity: totalQty,
-        stopLoss: order.stopLoss || existing.stopLoss,
-        target: order.target || existing.target,
-      });
-    } else {
-      insertPosition({
-        id: order.id,
-        symbol: order.symbol,
-        side: 'BUY',
-        quantity: order.quantity,
-        avgPrice: order.price,
-        product: order.product,
-        stopLoss: order.stopLoss,
-        target: order.target,
-        status: 'OPEN',
-        openedAt: Date.now(),
-      });
+// ── POST /withdraw ──
+// Only free balance can leave the account, and only as much of it as keeps
+// the intraday book above its maintenance margin at current prices.
+router.post('/withdraw', (req, res) => {
+  try {
+    const userId = req.user.id;
+    const simulator = req.app.get('simulator');
+    const { amount } = req.body;
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ success: false, error: 'Enter a valid amount' });
     }
-
-    updateAccount({
-      balance: acc.balance - marginReq,
-      usedMargin: acc.usedMargin + marginReq,
-    });
-  } else {
-    // SELL
-    const openPos = getOpenPositions();
-    const existingBuy = openPos.find(p => p.symbol === order.symbol && p.side === 'BUY');
-
-    if (existingBuy && existingBuy.quantity >= order.quantity) {
-      const pnl = (order.price - existingBuy.avgPrice) * order.quantity;
-      const mps = existingBuy.product === 'MIS' ? existingBuy.avgPrice * 0.2 : existingBuy.avgPrice;
-
-      updateAccount({
-        balance: acc.balance + mps * order.quantity + pnl,
-        usedMargin: Math.max(0, acc.usedMargin - mps * order.quantity),
-        realisedPnL: acc.realisedPnL + pnl,
-      });
-
-      const newQty = existingBuy.quantity - order.quantity;
-      if (newQty <= 0) {
-        updatePosition(existingBuy.id, { status: 'CLOSED', closedAt: Date.now(), exitPrice: order.price, quantity: 0 });
-      } else {
-        updatePosition(existingBuy.id, { quantity: newQty });
-      }
-    } else {
-      // Short sell (MIS only)
-      const orderValue = order.price * order.quantity;
-      const marginReq = order.product === 'MIS' ? orderValue * 0.2 : orderValue;
-
-      insertPosition({
-        id: order.id,
-        symbol: order.symbol,
-        side: 'SELL',
-        quantity: order.quantity,
-        avgPrice: order.price,
-        product: order.product,
-        stopLoss: order.stopLoss,
-        target: order.target,
-        status: 'OPEN',
-        openedAt: Date.now(),
-      });
-
-      updateAccount({
-        balance: acc.balance - marginReq,
-        usedMargin: acc.usedMargin + marginReq,
-      });
+    const acc = getAccount(userId);
+    const { equity, maintenanceMargin } = accountMargin(userId, (symbol) => simulator.getBestPrices(symbol)?.ltp ?? null);
+    const withdrawable = r2(Math.max(0, Math.min(acc.balance, equity - maintenanceMargin)));
+    if (amount > withdrawable) {
+      return res.status(400).json({ success: false, error: `Only ₹${withdrawable.toLocaleString('en-IN')} can be withdrawn`, withdrawable });
     }
+    const newBalance = r2(acc.balance - amount);
+    updateAccount(userId, { balance: newBalance }, { type: 'WITHDRAWAL', amount: -amount, description: 'Funds withdrawn' });
+    res.json({ success: true, newBalance });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
   }
-}
+});
 
 export default router;
@@ -95,3 +95,11 @@ export function updateLastLogin(userId) {
 export function userExists(email, username) {
   return users.some(u => u.email === email || u.username === username);
 }
+
+/** Oldest admin account (lowest ID), or null if there are no admins. */
+export function findFirstAdmin() {
+  const admins = users.filter(u => u.role === 'admin');
+  if (admins.length === 0) return null;
+  const { password_hash, ...safe } = admins.reduce((a, b) => (a.id < b.id ? a : b));
+  return safe;
+}
@@ -0,0 +1,73 @@
+/**
+ * ChargesEngine — Brokerage and statutory charges on Indian equity trades.
+ *
+ * Rates come from data/charges.json with one schedule per product:
+ *   brokerage   rate × turnover, capped per order (₹0 for delivery)
+ *   STT         on buy and sell for CNC, sell side only for MIS
+ *   exchange    transaction charge, NSE or BSE rate by symbol suffix
+ *   SEBI fee    ₹10 per crore of turnover
+ *   stamp duty  buy side only
+ *   GST         on brokerage + exchange charge + SEBI fee
+ *
+ * Charges are computed per fill; the brokerage cap applies to the order as
+ * a whole, so callers pass the brokerage already charged on earlier fills.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEDULE_PATH = path.join(__dirname, '..', 'data', 'charges.json');
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+let schedule = null;
+
+/** The charge schedule, loaded from data/charges.json on first use. */
+export function getChargeSchedule() {
+  if (!schedule) {
+    schedule = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
+  }
+  return schedule;
+}
+
+/** Charges of zero, in the shape calculateCharges returns. */
+export function emptyCharges() {
+  return { brokerage: 0, stt: 0, exchangeTxn: 0, sebiFee: 0, stampDuty: 0, gst: 0, total: 0 };
+}
+
+/**
+ * Charges for one fill.
+ * @param {{ symbol: string, side: 'BUY'|'SELL', product: 'CNC'|'MIS', price: number, quantity: number }} fill
+ * @param {number} [brokerageSoFar=0] brokerage already charged on this order
+ * @returns {{ brokerage, stt, exchangeTxn, sebiFee, stampDuty, gst, total }}
+ */
+export function calculateCharges({ symbol, side, product, price, quantity }, brokerageSoFar = 0) {
+  const cfg = getChargeSchedule();
+  const rates = cfg.products[product] || cfg.products.CNC;
+  const turnover = price * quantity;
+  const exchange = symbol.endsWith('.BO') ? 'BSE' : 'NSE';
+
+  const brokerage = r2(Math.max(0, Math.min(
+    turnover * rates.brokerage.rate,
+    rates.brokerage.maxPerOrder - brokerageSoFar,
+  )));
+  const stt = r2(turnover * (side === 'BUY' ? rates.sttBuyRate : rates.sttSellRate));
+  const exchangeTxn = r2(turnover * cfg.exchangeTxnRate[exchange]);
+  const sebiFee = r2(turnover * cfg.sebiFeeRate);
+  const stampDuty = side === 'BUY' ? r2(turnover * rates.stampDutyBuyRate) : 0;
+  const gst = r2((brokerage + exchangeTxn + sebiFee) * cfg.gstRate);
+
+  return {
+    brokerage, stt, exchangeTxn, sebiFee, stampDuty, gst,
+    total: r2(brokerage + stt + exchangeTxn + sebiFee + stampDuty + gst),
+  };
+}
+
+/** Component-wise sum of two charge breakdowns. */
+export function addCharges(a, b) {
+  const sum = {};
+  for (const key of Object.keys(emptyCharges())) sum[key] = r2((a?.[key] || 0) + (b?.[key] || 0));
+  return sum;
+}
@@ -0,0 +1,252 @@
+/**
+ * ContractNotes — Per-session contract notes of simulated trades.
+ *
+ * A session runs to the 15:30 IST close; fills after the close, or on a
+ * holiday, belong to the next trading day's session, as after-market
+ * orders would. Once a session has closed its note is built from the
+ * account's fills: one row per fill with its order, time, quantity, price
+ * and charges, the buys and sells netted per security, and the net
+ * obligation — what the client pays (negative) or receives (positive) for
+ * the session.
+ *
+ * Orders imported from a tradebook were not traded here and get no note.
+ * Notes are stored by OrderEngine.issueContractNotes and rendered as HTML
+ * on request, for the screen or for printing.
+ */
+
+import { istParts, istDateKey, isTradingDay, nextTradingDay } from '../utils/marketTime.js';
+import { orderFills } from './orderExecution.js';
+import { emptyCharges } from './chargesEngine.js';
+
+const CLOSE_MINUTES = 15 * 60 + 30;
+const CHARGE_KEYS = ['brokerage', 'stt', 'exchangeTxn', 'sebiFee', 'stampDuty', 'gst', 'total'];
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+/** Session (IST trading day) a fill at `at` belongs to. */
+export function sessionDate(at) {
+  const date = new Date(at);
+  const key = istDateKey(date);
+  if (isTradingDay(date) && istParts(date).minutes < CLOSE_MINUTES) return key;
+  return nextTradingDay(key);
+}
+
+/** Whether the session of `date` has closed by `now`. */
+export function isSessionClosed(date, now = new Date()) {
+  const today = istDateKey(now);
+  return date < today || (date === today && istParts(now).minutes >= CLOSE_MINUTES);
+}
+
+/** Closed sessions with fills in `orders` that are not in `issued`, oldest first. */
+export function pendingSessions(orders, issued, now = new Date()) {
+  const dates = new Set();
+  for (const order of orders) {
+    if (order.imported) continue;
+    for (const fill of orderFills(order)) dates.add(sessionDate(fill.at));
+  }
+  return [...dates].filter(d => !issued.has(d) && isSessionClosed(d, now)).sort();
+}
+
+/**
+ * The contract note of session `date`: every fill in time order, the fills
+ * netted per security and the session totals.
+ * @returns {{ date: string, trades: Array<Object>, securities: Array<Object>, totals: Object }|null}
+ *   null without fills
+ */
+export function buildContractNote(orders, date) {
+  const trades = [];
+  for (const order of orders) {
+    if (order.imported) continue;
+    for (const fill of orderFills(order)) {
+      if (sessionDate(fill.at) !== date) continue;
+      const charges = { ...emptyCharges(), ...fill.charges };
+      const value = r2(fill.price * fill.quantity);
+      trades.push({
+        orderId: order.id,
+        at: fill.at,
+        symbol: order.symbol,
+        side: order.side,
+        product: order.product,
+        quantity: fill.quantity,
+        price: fill.price,
+        value,
+        charges,
+        net: r2(order.side === 'BUY' ? -value - charges.total : value - charges.total),
+      });
+    }
+  }
+  if (trades.length === 0) return null;
+  trades.sort((a, b) => a.at - b.at || a.orderId - b.orderId);
+
+  const charges = emptyCharges();
+  let buyValue = 0;
+  let sellValue = 0;
+  let net = 0;
+  for (const trade of trades) {
+    if (trade.side === 'BUY') buyValue += trade.value;
+    else sellValue += trade.value;
+    net += trade.net;
+    for (const key of CHARGE_KEYS) charges[key] += trade.charges[key] || 0;
+  }
+  for (const key of CHARGE_KEYS) charges[key] = r2(charges[key]);
+
+  return {
+    date,
+    trades,
+    securities: netBySecurity(trades),
+    totals: { buyValue: r2(buyValue), sellValue: r2(sellValue), charges, netObligation: r2(net) },
+  };
+}
+
+/**
+ * Buys and sells of each symbol netted: quantities and values bought and
+ * sold, the net quantity (positive bought) and the net obligation after
+ * charges. By symbol.
+ */
+function netBySecurity(trades) {
+  const securities = new Map();
+  for (const trade of trades) {
+    if (!securities.has(trade.symbol)) {
+      securities.set(trade.symbol, {
+        symbol: trade.symbol, buyQuantity: 0, buyValue: 0, sellQuantity: 0, sellValue: 0, charges: 0, net: 0,
+      });
+    }
+    const row = securities.get(trade.symbol);
+    if (trade.side === 'BUY') {
+      row.buyQuantity += trade.quantity;
+      row.buyValue += trade.value;
+    } else {
+      row.sellQuantity += trade.quantity;
+      row.sellValue += trade.value;
+    }
+    row.charges += trade.charges.total;
+    row.net += trade.net;
+  }
+  return [...securities.values()]
+    .sort((a, b) => a.symbol.localeCompare(b.symbol))
+    .map(row => ({
+      ...row,
+      buyValue: r2(row.buyValue),
+      sellValue: r2(row.sellValue),
+      netQuantity: row.buyQuantity - row.sellQuantity,
+      charges: r2(row.charges),
+      net: r2(row.net),
+    }));
+}
+
+// ── HTML ──
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[c]));
+
+const money = (n) => Number(n).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const time = (at) => new Date(at).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour12: false });
+const longDate = (date) => new Date(`${date}T12:00:00+05:30`).toLocaleDateString('en-IN', {
+  timeZone: 'Asia/Kolkata', day: 'numeric', month: 'long', year: 'numeric',
+});
+
+const SCREEN_CSS = `
+  body { font: 13px/1.45 system-ui, sans-serif; margin: 24px; color: #1c1c28; background: #f5f6fa; }
+  main { max-width: 1100px; margin: 0 auto; background: #fff; padding: 24px; border-radius: 8px; }`;
+const PRINT_CSS = `
+  @page { size: A4 landscape; margin: 12mm; }
+  body { font: 10px/1.35 Georgia, serif; margin: 0; color: #000; }`;
+const COMMON_CSS = `
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 16px 0 6px; }
+  .meta { display: flex; gap: 24px; flex-wrap: wrap; margin: 8px 0 16px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 4px 6px; border-bottom: 1px solid #ccc; text-align: right; white-space: nowrap; }
+  th:nth-child(-n+5), td:nth-child(-n+5) { text-align: left; }
+  .securities th:nth-child(n+2), .securities td:nth-child(n+2) { text-align: right; }
+  tfoot td { font-weight: 700; border-top: 2px solid #000; }
+  .obligation { margin-top: 16px; font-size: 1.2em; font-weight: 700; }
+  .disclaimer { margin-top: 16px; font-size: 0.85em; color: #555; }`;
+
+/**
+ * The note as a standalone HTML document. `print` lays it out for paper
+ * (A4 landscape, black on white) instead of the screen.
+ * @param {Object} note a stored contract note
+ * @param {{ client: string, print?: boolean }} options
+ */
+export function renderContractNote(note, { client, print = false }) {
+  // Fills after the previous close carry their own date
+  const when = (at) => {
+    const date = istDateKey(new Date(at));
+    return date === note.date ? time(at) : `${date.slice(8)}/${date.slice(5, 7)} ${time(at)}`;
+  };
+  const rows = note.trades.map(t => `
+      <tr>
+        <td>${t.orderId}</td><td>${when(t.at)}</td><td>${escapeHtml(t.symbol)}</td><td>${t.side}</td><td>${t.product}</td>
+        <td>${t.quantity}</td><td>${money(t.price)}</td><td>${money(t.value)}</td>
+        <td>${money(t.charges.brokerage)}</td><td>${money(t.charges.stt)}</td><td>${money(t.charges.exchangeTxn)}</td>
+        <td>${money(t.charges.sebiFee)}</td><td>${money(t.charges.stampDuty)}</td><td>${money(t.charges.gst)}</td>
+        <td>${money(t.charges.total)}</td><td>${money(t.net)}</td>
+      </tr>`).join('');
+  // Notes issued before securities were netted have no summary
+  const securities = (note.securities || []).map(sec => `
+      <tr>
+        <td>${escapeHtml(sec.symbol)}</td><td>${sec.buyQuantity}</td><td>${money(sec.buyValue)}</td>
+        <td>${sec.sellQuantity}</td><td>${money(sec.sellValue)}</td><td>${sec.netQuantity}</td>
+        <td>${money(sec.charges)}</td><td>${money(sec.net)}</td>
+      </tr>`).join('');
+  const { totals } = note;
+  const c = totals.charges;
+  const obligation = totals.netObligation < 0
+    ? `Net amount payable by client: ₹${money(-totals.netObligation)}`
+    : `Net amount receivable by client: ₹${money(totals.netObligation)}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Contract note ${note.id} — ${note.date}</title>
+<style>${print ? PRINT_CSS : SCREEN_CSS}${COMMON_CSS}</style>
+</head>
+<body>
+<main>
+  <h1>Contract Note No. ${note.id}</h1>
+  <div class="meta">
+    <span>Trade date: <strong>${longDate(note.date)}</strong></span>
+    <span>Client: <strong>${escapeHtml(client)}</strong></span>
+    <span>Segment: Equity (NSE/BSE) — simulated</span>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Order</th><th>Time</th><th>Symbol</th><th>B/S</th><th>Product</th>
+        <th>Qty</th><th>Price (₹)</th><th>Value (₹)</th>
+        <th>Brokerage</th><th>STT</th><th>Exch. txn</th><th>SEBI fee</th><th>Stamp duty</th><th>GST</th>
+        <th>Charges</th><th>Net (₹)</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="7">Buy ₹${money(totals.buyValue)} · Sell ₹${money(totals.sellValue)}</td><td></td>
+        <td>${money(c.brokerage)}</td><td>${money(c.stt)}</td><td>${money(c.exchangeTxn)}</td>
+        <td>${money(c.sebiFee)}</td><td>${money(c.stampDuty)}</td><td>${money(c.gst)}</td>
+        <td>${money(c.total)}</td><td>${money(totals.netObligation)}</td>
+      </tr>
+    </tfoot>
+  </table>${securities ? `
+  <h2>Obligation by security</h2>
+  <table class="securities">
+    <thead>
+      <tr>
+        <th>Symbol</th><th>Bought</th><th>Buy value (₹)</th><th>Sold</th><th>Sell value (₹)</th>
+        <th>Net qty</th><th>Charges</th><th>Net (₹)</th>
+      </tr>
+    </thead>
+    <tbody>${securities}
+    </tbody>
+  </table>` : ''}
+  <p class="obligation">${obligation}</p>
+  <p class="disclaimer">Issued for a simulated trading account. No securities or funds changed hands.</p>
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,134 @@
+/**
+ * CorporateActions — Dividend, split and bonus calendar.
+ *
+ * The calendar is seeded from data/corporateActions.json, which is never
+ * written. One entry per action:
+ *   DIVIDEND  amount   ₹ per share, paid to holders on the record date
+ *   SPLIT     ratio    [1, 5] — every share becomes 5
+ *   BONUS     ratio    [1, 2] — 1 bonus share for every 2 held
+ * What changes at runtime — actions an admin adds or deletes, and when each
+ * was applied — is kept in data/corporateActions.state.json (not tracked,
+ * like trading.json) and laid over the seed on load.
+ *
+ * An action is applied once, on the first trading-day run on or after its
+ * record date (OrderEngine.applyCorporateActions), and stamped with
+ * `appliedAt`. Splits and bonuses multiply share counts by their factor and
+ * divide prices by it; the simulator uses the applied ones to scale its
+ * prices and to back-adjust chart history.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SEED_PATH = path.join(__dirname, '..', 'data', 'corporateActions.json');
+const STATE_PATH = path.join(__dirname, '..', 'data', 'corporateActions.state.json');
+
+export const ACTION_TYPES = ['DIVIDEND', 'SPLIT', 'BONUS'];
+
+let actions = null;
+// { added: [action], deleted: [id], applied: { [id]: epoch ms } }
+let state = null;
+
+function readJSON(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : fallback;
+}
+
+function load() {
+  if (!actions) {
+    try {
+      state = { added: [], deleted: [], applied: {}, ...readJSON(STATE_PATH, {}) };
+      const deleted = new Set(state.deleted);
+      actions = [...readJSON(SEED_PATH, []).filter(a => !deleted.has(a.id)), ...state.added]
+        // appliedAt in the seed: stamped there before state was kept apart
+        .map(a => ({ ...a, appliedAt: state.applied[a.id] ?? a.appliedAt ?? null }));
+    } catch (err) {
+      console.error('CorporateActions: failed to load', err.message);
+      state = { added: [], deleted: [], applied: {} };
+      actions = [];
+    }
+  }
+  return actions;
+}
+
+function save() {
+  try {
+    fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2) + '\n', 'utf-8');
+  } catch (err) {
+    console.error('CorporateActions: failed to save', err.message);
+  }
+}
+
+/** Every action, by record date. */
+export function getCorporateActions() {
+  return [...load()].sort((a, b) => a.recordDate.localeCompare(b.recordDate) || a.id - b.id);
+}
+
+/**
+ * Add an action to the calendar. Fields are expected to be validated.
+ * @returns {Object} the stored action
+ */
+export function addCorporateAction({ symbol, type, recordDate, amount, ratio }) {
+  const list = load();
+  const action = {
+    // Ids of deleted seed actions are not reused
+    id: Math.max(0, ...list.map(a => a.id), ...state.deleted) + 1,
+    symbol,
+    type,
+    recordDate,
+    ...(type === 'DIVIDEND' ? { amount } : { ratio }),
+    createdAt: Date.now(),
+    appliedAt: null,
+  };
+  list.push(action);
+  state.added.push({ ...action });
+  save();
+  return action;
+}
+
+/**
+ * Remove an action that has not been applied yet.
+ * @returns {boolean} whether it was removed
+ */
+export function deleteCorporateAction(id) {
+  const list = load();
+  const idx = list.findIndex(a => a.id === id && !a.appliedAt);
+  if (idx === -1) return false;
+  list.splice(idx, 1);
+  const added = state.added.findIndex(a => a.id === id);
+  if (added === -1) state.deleted.push(id);
+  else state.added.splice(added, 1);
+  save();
+  return true;
+}
+
+/** Unapplied actions whose record date is `today` or earlier, oldest first. */
+export function getDueActions(today) {
+  return getCorporateActions().filter(a => !a.appliedAt && a.recordDate <= today);
+}
+
+export function markApplied(id, at = Date.now()) {
+  const action = load().find(a => a.id === id);
+  if (!action) return;
+  action.appliedAt = at;
+  state.applied[id] = at;
+  save();
+}
+
+/** Applied splits and bonuses of `symbol`, by record date. */
+export function getAppliedAdjustments(symbol) {
+  return getCorporateActions().filter(a => a.symbol === symbol && a.appliedAt && a.type !== 'DIVIDEND');
+}
+
+/** How many shares one share becomes: 1 for dividends. */
+export function shareFactor(action) {
+  if (action.type === 'SPLIT') return action.ratio[1] / action.ratio[0];
+  if (action.type === 'BONUS') return (action.ratio[0] + action.ratio[1]) / action.ratio[1];
+  return 1;
+}
+
+/** Start of the action's record date in IST, as epoch ms. */
+export function recordTime(action) {
+  return new Date(`${action.recordDate}T00:00:00+05:30`).getTime();
+}
@@ -0,0 +1,102 @@
+/**
+ * MarginEngine — Intraday leverage and mark-to-market margin monitoring.
+ *
+ * MIS leverage is set per symbol by the `misLeverage` column of
+ * data/stocks.csv (data/margin.json's defaultMisLeverage where blank), so
+ * an MIS position blocks value ÷ leverage; delivery (CNC) is fully paid.
+ * Each position keeps the leverage it was opened at.
+ *
+ * The intraday book is marked to market against:
+ *   equity       free balance + margin blocked on MIS positions + their MTM
+ *   maintenance  maintenanceRatio × margin the MIS positions need at LTP
+ * Delivery positions and holdings are fully paid and stay out of both.
+ * When equity falls below maintenance the account is on margin call;
+ * OrderEngine liquidates it if the call is not met within
+ * marginCallGraceSeconds (or at once if equity is gone).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCSV } from '../utils/csv.js';
+import { getAccount, getOpenPositions } from './tradingDB.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = path.join(__dirname, '..', 'data', 'margin.json');
+const STOCKS_PATH = path.join(__dirname, '..', 'data', 'stocks.csv');
+
+// MIS positions opened before per-symbol leverage blocked a flat 20%
+const LEGACY_MIS_LEVERAGE = 5;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+let config = null;
+let leverageBySymbol = null;
+
+/** Margin settings, loaded from data/margin.json on first use. */
+export function getMarginConfig() {
+  if (!config) {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+  }
+  return config;
+}
+
+/** MIS leverage for `symbol` from data/stocks.csv. */
+export function misLeverage(symbol) {
+  if (!leverageBySymbol) {
+    leverageBySymbol = new Map();
+    for (const row of parseCSV(fs.readFileSync(STOCKS_PATH, 'utf-8'))) {
+      if (row.misLeverage > 0) leverageBySymbol.set(row.symbol, row.misLeverage);
+    }
+  }
+  return leverageBySymbol.get(symbol) || getMarginConfig().defaultMisLeverage;
+}
+
+/** Leverage a new position in `symbol` gets: 1 for delivery. */
+export function leverageFor(product, symbol) {
+  return product === 'MIS' ? misLeverage(symbol) : 1;
+}
+
+/** Leverage an open position was opened at. */
+export function positionLeverage(pos) {
+  if (pos.leverage) return pos.leverage;
+  return pos.product === 'MIS' ? LEGACY_MIS_LEVERAGE : 1;
+}
+
+/**
+ * Mark the account's intraday book to market.
+ * @param {number} userId
+ * @param {(symbol: string) => number|null} ltpOf last traded price lookup
+ * @returns {{ equity: number, blockedMargin: number, mtm: number, maintenanceMargin: number,
+ *   shortfall: number, positions: Array<{ position: Object, ltp: number, mtm: number }> }}
+ */
+export function accountMargin(userId, ltpOf) {
+  const { maintenanceRatio } = getMarginConfig();
+  const { balance } = getAccount(userId);
+
+  let blockedMargin = 0;
+  let mtm = 0;
+  let required = 0;
+  const positions = [];
+  for (const pos of getOpenPositions(userId)) {
+    if (pos.product !== 'MIS') continue;
+    const ltp = ltpOf(pos.symbol) ?? pos.avgPrice;
+    const leverage = positionLeverage(pos);
+    const posMtm = (pos.side === 'BUY' ? ltp - pos.avgPrice : pos.avgPrice - ltp) * pos.quantity;
+    blockedMargin += pos.avgPrice * pos.quantity / leverage;
+    required += ltp * pos.quantity / leverage;
+    mtm += posMtm;
+    positions.push({ position: pos, ltp, mtm: r2(posMtm) });
+  }
+
+  const equity = balance + blockedMargin + mtm;
+  const maintenanceMargin = required * maintenanceRatio;
+  return {
+    equity: r2(equity),
+    blockedMargin: r2(blockedMargin),
+    mtm: r2(mtm),
+    maintenanceMargin: r2(maintenanceMargin),
+    shortfall: r2(Math.max(0, maintenanceMargin - equity)),
+    positions,
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * MarketScheduler — Runs jobs once per trading day at a set IST time.
+ *
+ * Jobs are checked every 15 seconds. A job whose time has already passed
+ * when the server starts runs on the first check, so a restart after the
+ * cut-off still catches up on that day's run. The date each job last ran is
+ * kept in the store given to the constructor (trading.json in the server),
+ * so a restart after a job has run does not run it again that day. Jobs due
+ * on the same check run in the order they were registered.
+ *
+ * Usage:
+ *   const scheduler = new MarketScheduler({ get: getJobLastRun, set: setJobLastRun });
+ *   scheduler.daily('mis-square-off', '15:20', () => orderEngine.squareOffIntraday());
+ *   scheduler.start();
+ */
+
+import { istParts, istDateKey, isTradingDay, parseClockTime } from '../utils/marketTime.js';
+
+const CHECK_INTERVAL_MS = 15_000;
+
+/** Last runs kept in memory only: lost on restart. */
+function memoryStore() {
+  const lastRuns = new Map();
+  return {
+    get: (name) => lastRuns.get(name) ?? null,
+    set: (name, date) => lastRuns.set(name, date),
+  };
+}
+
+export default class MarketScheduler {
+  /**
+   * @param {{ get: (name: string) => string|null, set: (name: string, date: string) => void }} [lastRuns]
+   *   where the IST date each job last ran is kept
+   */
+  constructor(lastRuns = memoryStore()) {
+    this.jobs = [];
+    this.interval = null;
+    this.lastRuns = lastRuns;
+  }
+
+  /**
+   * Register a job to run on every trading day at `time` ('HH:MM' IST).
+   * @throws {Error} if `time` is not a valid clock time
+   */
+  daily(name, time, fn) {
+    const minutes = parseClockTime(time);
+    if (minutes === null) throw new Error(`Invalid time "${time}" for job ${name}`);
+    this.jobs.push({ name, time, minutes, fn });
+  }
+
+  /** Start checking jobs */
+  start() {
+    if (this.interval) return;
+    this._check();
+    this.interval = setInterval(() => this._check(), CHECK_INTERVAL_MS);
+    this.interval.unref?.();
+    for (const job of this.jobs) console.log(`⏰ Scheduled ${job.name} at ${job.time} IST`);
+  }
+
+  /** Stop checking jobs */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  _check(now = new Date()) {
+    if (!isTradingDay(now)) return;
+    const { minutes } = istParts(now);
+    const today = istDateKey(now);
+
+    for (const job of this.jobs) {
+      if (minutes < job.minutes || this.lastRuns.get(job.name) === today) continue;
+      this.lastRuns.set(job.name, today);
+      try {
+        job.fn(now);
+      } catch (err) {
+        console.error(`Scheduled job ${job.name} failed:`, err.message);
+      }
+    }
+  }
+}
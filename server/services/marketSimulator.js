@@ -5,11 +5,30 @@
  * and runs a continuous tick engine using Geometric Brownian Motion (GBM)
  * for realistic price movements. Provides APIs for quotes, chart data,
  * order books, and trade feeds.
+ *
+ * Each stock trades within a daily price band (`priceBand` column: 2, 5,
+ * 10 or 20% of the previous close). A tick that would cross the band is
+ * frozen at the upper or lower circuit, and the order book never quotes
+ * outside it. Indices have no band. At each close (closeSession) the last
+ * price becomes the previous close and the band is re-derived from it.
+ *
+ * Stock prices move on the symbol's tick size (`tickSize` column) and are
+ * traded in multiples of its `lotSize`; both are carried into quotes.
+ *
+ * Corporate actions (see CorporateActions) move prices on their record
+ * date: a split or bonus divides them by its share factor, a dividend takes
+ * its amount off as the stock goes ex. Applied splits and bonuses are
+ * re-applied to the CSV prices on load, and chart history is back-adjusted
+ * for them so it runs on without a gap.
  */
 
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { misLeverage } from './marginEngine.js';
+import { parseCSV } from '../utils/csv.js';
+import { roundToTick, DEFAULT_TICK_SIZE } from '../utils/tickSize.js';
+import { getAppliedAdjustments, shareFactor, recordTime } from './corporateActions.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -26,21 +45,34 @@ function gaussianRandom() {
 /** Round to 2 decimal places */
 const r2 = (n) => Math.round(n * 100) / 100;
 
-/** Parse CSV row respecting commas in quoted values */
-function parseCSV(text) {
-  const lines = text.trim().split('\n');
-  const headers = lines[0].split(',').map(h => h.trim());
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const vals = lines[i].split(',').map(v => v.trim());
-    const row = {};
-    headers.forEach((h, idx) => {
-      const v = vals[idx];
-      row[h] = isNaN(v) || v === '' ? v : parseFloat(v);
-    });
-    rows.push(row);
-  }
-  return rows;
+/** 'UPPER' / 'LOWER' when a stock is frozen at a circuit, else null */
+function circuitStatus(stock) {
+  if (stock.currentPrice >= stock.upperCircuit) return 'UPPER';
+  if (stock.currentPrice <= stock.lowerCircuit) return 'LOWER';
+  return null;
+}
+
+/**
+ * Back-adjust candles for splits and bonuses: every candle before an
+ * adjustment's time has its prices divided by the share factor and its
+ * volume multiplied, leaving no gap in the series.
+ * @param {Array<{ time: number, factor: number }>} adjustments
+ */
+export function backAdjustCandles(candles, adjustments) {
+  if (adjustments.length === 0) return candles;
+  return candles.map(candle => {
+    const time = new Date(candle.date).getTime();
+    const factor = adjustments.reduce((f, a) => (time < a.time ? f * a.factor : f), 1);
+    if (factor === 1) return candle;
+    return {
+      ...candle,
+      open: r2(candle.open / factor),
+      high: r2(candle.high / factor),
+      low: r2(candle.low / factor),
+      close: r2(candle.close / factor),
+      volume: Math.round(candle.volume * factor),
+    };
+  });
 }
 
 // ─── MarketSimulator Class ──────────────────────────────────────────────────
@@ -64,10 +96,14 @@ export default class MarketSimulator {
     for (const row of rows) {
       const symbol = row.symbol;
       const basePrice = row.basePrice || 1000;
+      const tickSize = row.tickSize || DEFAULT_TICK_SIZE;
+      const tick = (n) => roundToTick(n, tickSize);
 
       // Add slight randomness so each server start is unique
       const jitter = 1 + (Math.random() - 0.5) * 0.01;
-      const currentPrice = r2(basePrice * jitter);
+      const currentPrice = tick(basePrice * jitter);
+      const previousClose = row.previousClose || tick(basePrice * 0.998);
+      const priceBand = row.priceBand || 20;
 
       this.stocks.set(symbol, {
         // Identity
@@ -81,10 +117,10 @@ export default class MarketSimulator {
         // Prices
         basePrice,
         currentPrice,
-        previousClose: row.previousClose || r2(basePrice * 0.998),
-        open: r2(currentPrice + (Math.random() - 0.5) * basePrice * 0.005),
-        dayHigh: r2(currentPrice * (1 + Math.random() * 0.008)),
-        dayLow: r2(currentPrice * (1 - Math.random() * 0.008)),
+        previousClose,
+        open: tick(currentPrice + (Math.random() - 0.5) * basePrice * 0.005),
+        dayHigh: tick(currentPrice * (1 + Math.random() * 0.008)),
+        dayLow: tick(currentPrice * (1 - Math.random() * 0.008)),
         fiftyTwoWeekHigh: row.fiftyTwoWeekHigh || r2(basePrice * 1.25),
         fiftyTwoWeekLow: row.fiftyTwoWeekLow || r2(basePrice * 0.75),
 
@@ -102,6 +138,16 @@ export default class MarketSimulator {
         dividendYield: row.dividendYield || null,
         beta: row.beta || 1.0,
 
+        // Price band
+        priceBand,
+        lowerCircuit: tick(previousClose * (1 - priceBand / 100)),
+        upperCircuit: tick(previousClose * (1 + priceBand / 100)),
+        circuit: null,
+
+        // Trading rules
+        tickSize,
+        lotSize: row.lotSize || 1,
+
         // Simulation state
         volatility: (row.beta || 1.0) * 0.20, // annualized vol scaled by beta
         drift: 0.00005,
@@ -135,14 +181,72 @@ export default class MarketSimulator {
         volume: 0, avgVolume: 50000000, lastTradeQty: 0,
         marketCap: idx.marketCap, peRatio: null, pbRatio: null,
         eps: null, bookValue: null, dividendYield: null, beta: idx.beta,
+        tickSize: 0.01, lotSize: 1,
         volatility: idx.beta * 0.15, drift: 0.00003, lastTickTime: Date.now(),
         marketState: 'REGULAR', currency: 'INR',
       });
     }
 
+    // CSV prices predate the splits and bonuses already applied
+    for (const stock of this.stocks.values()) {
+      for (const action of getAppliedAdjustments(stock.symbol)) this._adjustForAction(stock, action);
+    }
+
     console.log(`📊 Market simulator loaded ${this.stocks.size} stocks (incl. indices)`);
   }
 
+  /**
+   * Move a stock's prices for a corporate action. Circuits are re-derived
+   * from the adjusted previous close.
+   */
+  _adjustForAction(stock, action) {
+    const factor = shareFactor(action);
+    const adjust = action.type === 'DIVIDEND'
+      ? (p) => Math.max(stock.tickSize, p - action.amount)
+      : (p) => p / factor;
+    for (const key of ['currentPrice', 'previousClose', 'open', 'dayHigh', 'dayLow']) {
+      stock[key] = roundToTick(adjust(stock[key]), stock.tickSize);
+    }
+    if (action.type !== 'DIVIDEND') {
+      stock.fiftyTwoWeekHigh = r2(stock.fiftyTwoWeekHigh / factor);
+      stock.fiftyTwoWeekLow = r2(stock.fiftyTwoWeekLow / factor);
+      if (stock.eps) stock.eps = r2(stock.eps / factor);
+      if (stock.bookValue) stock.bookValue = r2(stock.bookValue / factor);
+    }
+    if (stock.priceBand) this._setCircuits(stock);
+  }
+
+  /** Derive a stock's circuits from its previous close and price band */
+  _setCircuits(stock) {
+    stock.lowerCircuit = roundToTick(stock.previousClose * (1 - stock.priceBand / 100), stock.tickSize);
+    stock.upperCircuit = roundToTick(stock.previousClose * (1 + stock.priceBand / 100), stock.tickSize);
+    stock.circuit = circuitStatus(stock);
+  }
+
+  /**
+   * Close the day's session: every symbol's last price becomes its previous
+   * close, the day's open, high, low and volume start again from it, and
+   * each stock's circuits are re-derived for the next session.
+   */
+  closeSession() {
+    for (const stock of this.stocks.values()) {
+      stock.previousClose = stock.currentPrice;
+      stock.open = stock.dayHigh = stock.dayLow = stock.currentPrice;
+      stock.volume = 0;
+      if (stock.priceBand) this._setCircuits(stock);
+    }
+  }
+
+  /** Apply a corporate action on its record date */
+  applyCorporateAction(action) {
+    const stock = this.stocks.get(action.symbol);
+    if (!stock) return;
+    this._adjustForAction(stock, action);
+    for (const key of this.historicalCache.keys()) {
+      if (key.startsWith(`${action.symbol}:`)) this.historicalCache.delete(key);
+    }
+  }
+
   /** Start the tick engine */
   start(intervalMs = 1000) {
     if (this.tickInterval) return;
@@ -179,7 +283,13 @@ export default class MarketSimulator {
       const z = gaussianRandom();
       const dS = stock.currentPrice * (mu * dt + sigma * Math.sqrt(dt) * z);
 
-      stock.currentPrice = r2(Math.max(1, stock.currentPrice + dS));
+      stock.currentPrice = roundToTick(Math.max(1, stock.currentPrice + dS), stock.tickSize);
+
+      // Freeze at the circuit rather than trade through the band
+      if (stock.priceBand) {
+        stock.currentPrice = Math.min(stock.upperCircuit, Math.max(stock.lowerCircuit, stock.currentPrice));
+        stock.circuit = circuitStatus(stock);
+      }
 
       // Update day high/low
       if (stock.currentPrice > stock.dayHigh) stock.dayHigh = stock.currentPrice;
@@ -203,6 +313,7 @@ export default class MarketSimulator {
         dayHigh: stock.dayHigh,
         dayLow: stock.dayLow,
         lastTradeQty: tickVol,
+        circuit: stock.circuit,
         timestamp: now,
       });
     }
@@ -255,6 +366,13 @@ export default class MarketSimulator {
       industry: stock.industry || null,
       avgVolume: stock.avgVolume || null,
       beta: stock.beta || null,
+      misLeverage: misLeverage(stock.symbol),
+      priceBand: stock.priceBand || null,
+      lowerCircuit: stock.lowerCircuit || null,
+      upperCircuit: stock.upperCircuit || null,
+      circuit: stock.circuit || null,
+      tickSize: stock.tickSize,
+      lotSize: stock.lotSize,
     };
   }
 
@@ -297,7 +415,8 @@ export default class MarketSimulator {
     };
 
     const cfg = configs[range] || configs['1mo'];
-    const candles = this._generateCandles(stock.basePrice, cfg.count, cfg.intervalMs, cfg.volatility, range);
+    const adjustments = getAppliedAdjustments(symbol).map(a => ({ time: recordTime(a), factor: shareFactor(a) }));
+    const candles = this._generateCandles(stock.basePrice, cfg.count, cfg.intervalMs, cfg.volatility, range, adjustments);
 
     const result = { symbol, range, data: candles };
     this.historicalCache.set(cacheKey, result);
@@ -305,8 +424,12 @@ export default class MarketSimulator {
     return result;
   }
 
-  /** Generate realistic OHLCV candles using random walk */
-  _generateCandles(basePrice, count, intervalMs, volatility, range) {
+  /**
+   * Generate realistic OHLCV candles using random walk. The walk gaps down
+   * on each split/bonus in `adjustments`, as the stock traded, and the
+   * candles are then back-adjusted.
+   */
+  _generateCandles(basePrice, count, intervalMs, volatility, range, adjustments = []) {
     const candles = [];
     let price = basePrice * (0.93 + Math.random() * 0.07);
     const now = Date.now();
@@ -329,6 +452,13 @@ export default class MarketSimulator {
     };
     startTime = cfg[range] ? cfg[range]() : now - count * intervalMs;
 
+    // basePrice is from before any adjustment; those before the range
+    // already apply at its start
+    for (const a of adjustments) {
+      if (a.time <= startTime) price /= a.factor;
+    }
+    const pending = adjustments.filter(a => a.time > startTime).sort((a, b) => a.time - b.time);
+
     // Determine if we should skip weekends
     const isDailyOrMore = intervalMs >= 24 * 60 * 60 * 1000;
 
@@ -351,6 +481,8 @@ export default class MarketSimulator {
       // Don't generate future candles
       if (timestamp > now) break;
 
+      while (pending.length && pending[0].time <= timestamp) price /= pending.shift().factor;
+
       const open = r2(price);
 
       // Generate realistic intra-candle price action with trend bias
@@ -378,7 +510,7 @@ export default class MarketSimulator {
       price = Math.max(1, close);
     }
 
-    return candles;
+    return backAdjustCandles(candles, adjustments);
   }
 
   /** Generate a realistic order book */
@@ -391,9 +523,13 @@ export default class MarketSimulator {
     const bids = [];
     const asks = [];
 
+    // Quotes stay inside the price band
+    const lower = stock.lowerCircuit || 0;
+    const upper = stock.upperCircuit || Infinity;
+
     for (let i = 0; i < levels; i++) {
-      const bidPrice = r2(price - spread * (i + 1) - Math.random() * spread * 0.3);
-      const askPrice = r2(price + spread * (i + 1) + Math.random() * spread * 0.3);
+      const bidPrice = roundToTick(Math.max(lower, price - spread * (i + 1) - Math.random() * spread * 0.3), stock.tickSize);
+      const askPrice = roundToTick(Math.min(upper, price + spread * (i + 1) + Math.random() * spread * 0.3), stock.tickSize);
       const bidQty = Math.floor(50 + Math.random() * 2000);
       const askQty = Math.floor(50 + Math.random() * 2000);
 
@@ -409,6 +545,40 @@ export default class MarketSimulator {
     return { bids, asks, spread: r2(asks[0].price - bids[0].price) };
   }
 
+  /**
+   * Best bid/ask and last traded price — the prices paper orders execute
+   * at. Returns null for unknown symbols.
+   */
+  getBestPrices(symbol) {
+    const stock = this.stocks.get(symbol);
+    if (!stock) return null;
+    const { bids, asks } = this.getOrderBook(symbol, 1);
+    return { bid: bids[0].price, ask: asks[0].price, ltp: stock.currentPrice };
+  }
+
+  /**
+   * Price band of a symbol.
+   * @returns {{ priceBand: number, lowerCircuit: number, upperCircuit: number, circuit: 'UPPER'|'LOWER'|null }|null}
+   *   null for unknown symbols and indices
+   */
+  getPriceBand(symbol) {
+    const stock = this.stocks.get(symbol);
+    if (!stock?.priceBand) return null;
+    const { priceBand, lowerCircuit, upperCircuit, circuit } = stock;
+    return { priceBand, lowerCircuit, upperCircuit, circuit };
+  }
+
+  /**
+   * Trading rules of a symbol: prices must sit on the `tickSize` grid and
+   * quantities be multiples of `lotSize`.
+   * @returns {{ tickSize: number, lotSize: number }|null} null for unknown symbols
+   */
+  getInstrument(symbol) {
+    const stock = this.stocks.get(symbol);
+    if (!stock) return null;
+    return { tickSize: stock.tickSize, lotSize: stock.lotSize };
+  }
+
   /** Generate recent trades */
   getRecentTrades(symbol, count = 30) {
     const stock = this.stocks.get(symbol);
@@ -420,7 +590,7 @@ export default class MarketSimulator {
 
     for (let i = 0; i < count; i++) {
       const change = price * 0.001 * gaussianRandom();
-      price = r2(Math.max(1, price + change));
+      price = roundToTick(Math.max(1, price + change), stock.tickSize);
       const isBuy = Math.random() > 0.45;
       const ts = now - (count - i) * 1500;
 
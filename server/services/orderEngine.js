@@ -0,0 +1,557 @@
+/**
+ * OrderEngine — Server-side matching of pending orders and position triggers.
+ *
+ * Subscribes to MarketSimulator ticks and, for every trading account,
+ * triggers stop orders, fills OPEN limit orders and closes positions whose stop loss or target
+ * has been hit — using the simulator's price rather than anything the
+ * client reports, and whether or not the user has a browser tab open.
+ *
+ * Triggers are evaluated against the last traded price. Orders fill by
+ * walking the simulated 5-level book up to their limit (market orders: the
+ * whole book), so a large order may fill in parts across several ticks.
+ * Bracket/cover exit legs are ordinary LIMIT / SL-M orders here; their
+ * fills are routed to fillBracketLeg so the sibling leg is cancelled.
+ * Trailing stops are ratcheted after exits have been checked, so a stop
+ * only ever moves in the position's favour. Last, the intraday book is
+ * marked to market (see MarginEngine): an account whose equity drops below
+ * maintenance margin gets a margin call and, if that is not met in time,
+ * its MIS positions are liquidated at market — biggest MTM loss first —
+ * until equity covers maintenance again. Every step is recorded as a margin
+ * event. Then the day's loss is checked against the account's risk limit
+ * (see RiskLimits): reaching it sets the kill switch for the rest of the
+ * day, cancels every working order that is not an exit — delivery orders
+ * included — and, if the account asks for it, squares off its intraday book.
+ *
+ * Active GTTs are checked before working orders, so the limit order a GTT
+ * places can fill on the tick that crossed its trigger; while the kill
+ * switch is on, GTTs that would open a position are rejected. GTTs lapse
+ * a year after creation; DAY orders expire at the close (expireDayOrders).
+ * Dividends, splits and bonuses are applied on their record date, after
+ * T+1 settlement (applyCorporateActions). After the close every account
+ * with fills in the session is issued a contract note (issueContractNotes),
+ * and every account's value is recorded in a daily snapshot (takeSnapshots).
+ *
+ * Events (via onEvent):
+ *   { userId, type: 'ORDER_TRIGGERED', orderId, symbol }
+ *   { userId, type: 'ORDER_EXECUTED',  orderId, symbol }
+ *   { userId, type: 'ORDER_PARTIALLY_FILLED', orderId, symbol, filledQuantity }
+ *   { userId, type: 'ORDER_CANCELLED', orderId, symbol, note }
+ *   { userId, type: 'POSITION_CLOSED', positionId, orderId, symbol, note }
+ *   { userId, type: 'STOP_TRAILED',    positionId, symbol, stopLoss }
+ *   { userId, type: 'AUTO_SQUARE_OFF', closed, cancelled }
+ *   { userId, type: 'HOLDINGS_SETTLED', settled }
+ *   { userId, type: 'MARGIN_CALL',     equity, maintenanceMargin, shortfall }
+ *   { userId, type: 'LIQUIDATION',     positionId, orderId, symbol, pnl }
+ *   { userId, type: 'MARGIN_RESTORED', equity, maintenanceMargin }
+ *   { userId, type: 'GTT_TRIGGERED',   gttId, orderId, symbol }
+ *   { userId, type: 'GTT_REJECTED',    gttId, symbol, note }
+ *   { userId, type: 'ORDERS_EXPIRED',  expired }
+ *   { userId, type: 'CORPORATE_ACTION', actionId, symbol, action, quantity, amount | newQuantity }
+ *   { userId, type: 'CONTRACT_NOTES',  dates }
+ *   { userId, type: 'KILL_SWITCH',     loss, limit, closed, cancelled }
+ */
+
+import {
+  getAccountIds, getAccount, updateAccount, getOpenPositions, getOpenOrders,
+  updateOrder, updatePosition, insertMarginEvent, getActiveGtts, updateGtt,
+  getAllOrders, getContractNotes, insertContractNote, getHoldings, getLedger, saveSnapshot,
+  getRiskLimits, getKillSwitch, setKillSwitch,
+} from './tradingDB.js';
+import { accountMargin, getMarginConfig } from './marginEngine.js';
+import {
+  closePosition, fillBracketLeg, trailStopLevel, walkBook, fillOrder,
+  settleDeliveries, triggerGtt, applyCorporateAction, isBracketVariety,
+} from './orderExecution.js';
+import { getDueActions, markApplied } from './corporateActions.js';
+import { pendingSessions, buildContractNote } from './contractNotes.js';
+import { valueAccount, fundsSinceReset } from './portfolioAnalytics.js';
+import { dayPnL, isExit, isKillSwitchOn } from './riskLimits.js';
+import { istDateKey } from '../utils/marketTime.js';
+
+// Index recorded in snapshots as the benchmark for account value
+const BENCHMARK_SYMBOL = '^NSEI';
+
+const KILL_SWITCH_NOTE = 'Kill switch is on — only exits are allowed today';
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+export default class OrderEngine {
+  /**
+   * @param {import('./marketSimulator.js').default} simulator
+   */
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.listeners = [];
+    this.unsubscribe = null;
+  }
+
+  /** Start evaluating triggers on every simulator tick */
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.simulator.onTick((updates) => this._onTick(updates));
+    console.log('⚙️  Order engine started');
+  }
+
+  /** Stop evaluating triggers */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /** Subscribe to fill / trigger events */
+  onEvent(fn) {
+    this.listeners.push(fn);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== fn);
+    };
+  }
+
+  _emit(event) {
+    for (const fn of this.listeners) {
+      try { fn(event); } catch (e) { console.error('Order engine listener error:', e); }
+    }
+  }
+
+  _onTick(updates) {
+    const prices = new Map();
+    for (const tick of updates) prices.set(tick.symbol, tick.price);
+
+    for (const userId of getAccountIds()) {
+      try {
+        this._checkPositions(userId, prices);
+        this._checkGtts(userId, prices);
+        this._checkOrders(userId, prices);
+        this._trailStops(userId, prices);
+        this._checkMargin(userId, prices);
+        this._checkRiskLimits(userId, prices);
+      } catch (err) {
+        console.error(`Order engine error [user ${userId}]:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * T+1 settlement: move every account's delivery buys that are due into
+   * holdings.
+   */
+  settleHoldings() {
+    for (const userId of getAccountIds()) {
+      try {
+        const settled = settleDeliveries(userId);
+        if (settled) {
+          console.log(`📦 Settled ${settled} delivery position(s) [user ${userId}]`);
+          this._emit({ userId, type: 'HOLDINGS_SETTLED', settled });
+        }
+      } catch (err) {
+        console.error(`Settlement error [user ${userId}]:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Intraday square-off: close every open MIS position at market and
+   * cancel working MIS orders, for every account. Closing orders and
+   * cancelled orders carry `note`.
+   */
+  squareOffIntraday(note = 'Auto square-off') {
+    for (const userId of getAccountIds()) {
+      try {
+        const { closed, cancelled } = this._squareOffAccount(userId, note);
+        if (closed || cancelled) {
+          console.log(`🔔 ${note} [user ${userId}]: ${closed} closed, ${cancelled} cancelled`);
+          this._emit({ userId, type: 'AUTO_SQUARE_OFF', closed, cancelled });
+        }
+      } catch (err) {
+        console.error(`Square-off error [user ${userId}]:`, err.message);
+      }
+    }
+  }
+
+  /** Square off one account's intraday book. */
+  _squareOffAccount(userId, note) {
+    let cancelled = 0;
+    for (const order of getOpenOrders(userId)) {
+      // Bracket/cover legs go with their position below
+      if (order.product !== 'MIS' || order.parentId) continue;
+      updateOrder(userId, order.id, { status: 'CANCELLED', note });
+      cancelled++;
+    }
+
+    let closed = 0;
+    for (const pos of getOpenPositions(userId)) {
+      if (pos.product !== 'MIS') continue;
+      const market = this.simulator.getBestPrices(pos.symbol);
+      if (!market) continue;
+      const fillPrice = pos.side === 'BUY' ? market.bid : market.ask;
+      closePosition(userId, pos, fillPrice, note);
+      closed++;
+    }
+    return { closed, cancelled };
+  }
+
+  /**
+   * Market close: working DAY orders placed before `placedBefore` (bracket/
+   * cover legs aside) expire, for every account. Parts already filled stay
+   * filled.
+   */
+  expireDayOrders(placedBefore = Date.now()) {
+    for (const userId of getAccountIds()) {
+      try {
+        let expired = 0;
+        for (const order of getOpenOrders(userId)) {
+          if (order.parentId || (order.validity || 'DAY') !== 'DAY' || order.timestamp >= placedBefore) continue;
+          updateOrder(userId, order.id, { status: 'EXPIRED', note: 'Expired at market close' });
+          expired++;
+        }
+        if (expired) {
+          console.log(`⌛ Expired ${expired} DAY order(s) [user ${userId}]`);
+          this._emit({ userId, type: 'ORDERS_EXPIRED', expired });
+        }
+      } catch (err) {
+        console.error(`Order expiry error [user ${userId}]:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Apply every corporate action whose record date has arrived by `today`:
+   * the simulator's prices first, then each account. An action is applied
+   * once; a late run catches up on the ones missed.
+   */
+  applyCorporateActions(today = istDateKey()) {
+    for (const action of getDueActions(today)) {
+      this.simulator.applyCorporateAction(action);
+      for (const userId of getAccountIds()) {
+        try {
+          const event = applyCorporateAction(userId, action);
+          if (event) this._emit({ userId, type: 'CORPORATE_ACTION', ...event });
+        } catch (err) {
+          console.error(`Corporate action error [user ${userId}]:`, err.message);
+        }
+      }
+      markApplied(action.id);
+      console.log(`🏛️  Applied ${action.type} of ${action.symbol} (record date ${action.recordDate})`);
+    }
+  }
+
+  /**
+   * Issue contract notes for every closed session with fills that does not
+   * have one yet, for every account — a late run catches up on the
+   * sessions missed.
+   */
+  issueContractNotes(now = new Date()) {
+    for (const userId of getAccountIds()) {
+      try {
+        const orders = getAllOrders(userId, Infinity);
+        const issued = new Set(getContractNotes(userId).map(n => n.date));
+        const dates = pendingSessions(orders, issued, now);
+        for (const date of dates) insertContractNote(userId, buildContractNote(orders, date));
+        if (dates.length) {
+          console.log(`🧾 Issued ${dates.length} contract note(s) [user ${userId}]`);
+          this._emit({ userId, type: 'CONTRACT_NOTES', dates });
+        }
+      } catch (err) {
+        console.error(`Contract note error [user ${userId}]:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Record every account's value at the close: cash, margin blocked, holdings
+   * and positions at last traded price, realised and unrealised P&L, the
+   * funds put in since the last reset and the NIFTY 50 level to compare
+   * with. A second run on the same day replaces that day's snapshot.
+   */
+  takeSnapshots(now = new Date()) {
+    const date = istDateKey(now);
+    const ltpOf = (symbol) => this.simulator.getBestPrices(symbol)?.ltp ?? null;
+    const benchmark = this.simulator.getQuote(BENCHMARK_SYMBOL)?.price ?? null;
+    let taken = 0;
+    for (const userId of getAccountIds()) {
+      try {
+        const account = getAccount(userId);
+        const { holdingsValue, positionsValue, unrealisedPnL, equity } = valueAccount({
+          account, holdings: getHoldings(userId), positions: getOpenPositions(userId), ltpOf,
+        });
+        const { since, netDeposits } = fundsSinceReset(getLedger(userId, { limit: Infinity }).entries.reverse());
+        saveSnapshot(userId, {
+          date,
+          at: now.getTime(),
+          cash: r2(account.balance),
+          usedMargin: r2(account.usedMargin),
+          holdingsValue,
+          positionsValue,
+          realisedPnL: r2(account.realisedPnL),
+          unrealisedPnL,
+          chargesPaid: r2(account.chargesPaid || 0),
+          equity,
+          netDeposits,
+          since,
+          benchmark,
+        });
+        taken++;
+      } catch (err) {
+        console.error(`Snapshot error [user ${userId}]:`, err.message);
+      }
+    }
+    if (taken) console.log(`📸 Took ${taken} end-of-day snapshot(s) for ${date}`);
+  }
+
+  /**
+   * Fire GTTs whose trigger the LTP has crossed in their direction, and
+   * expire those past their validity.
+   */
+  _checkGtts(userId, prices) {
+    const now = Date.now();
+    const killed = isKillSwitchOn(getKillSwitch(userId));
+    for (const gtt of getActiveGtts(userId)) {
+      if (now > gtt.expiresAt) {
+        updateGtt(userId, gtt.id, { status: 'EXPIRED', note: 'Expired after one year' });
+        continue;
+      }
+      const ltp = prices.get(gtt.symbol);
+      if (!ltp) continue;
+      const crossed = gtt.direction === 'ABOVE' ? ltp >= gtt.triggerPrice : ltp <= gtt.triggerPrice;
+      if (!crossed) continue;
+
+      if (killed && !isExit(gtt, getOpenPositions(userId))) {
+        updateGtt(userId, gtt.id, { status: 'REJECTED', triggeredAt: now, note: KILL_SWITCH_NOTE });
+        this._emit({ userId, type: 'GTT_REJECTED', gttId: gtt.id, symbol: gtt.symbol, note: KILL_SWITCH_NOTE });
+        continue;
+      }
+
+      const result = triggerGtt(userId, gtt, this.simulator.getPriceBand(gtt.symbol));
+      if (result.error) {
+        this._emit({ userId, type: 'GTT_REJECTED', gttId: gtt.id, symbol: gtt.symbol, note: result.error });
+      } else {
+        this._emit({ userId, type: 'GTT_TRIGGERED', gttId: gtt.id, orderId: result.orderId, symbol: gtt.symbol });
+      }
+    }
+  }
+
+  /** Last traded price: this tick's, else the simulator's current one */
+  _ltp(symbol, prices) {
+    return prices.get(symbol) ?? this.simulator.getBestPrices(symbol)?.ltp ?? null;
+  }
+
+  _checkMargin(userId, prices) {
+    const ltpOf = (symbol) => this._ltp(symbol, prices);
+    let margin = accountMargin(userId, ltpOf);
+    const { marginCallAt } = getAccount(userId);
+
+    if (margin.shortfall <= 0) {
+      if (marginCallAt) this._restoreMargin(userId, margin);
+      return;
+    }
+
+    if (!marginCallAt) {
+      updateAccount(userId, { marginCallAt: Date.now() });
+      const event = { type: 'MARGIN_CALL', equity: margin.equity, maintenanceMargin: margin.maintenanceMargin, shortfall: margin.shortfall };
+      insertMarginEvent(userId, event);
+      console.log(`⚠️  Margin call [user ${userId}]: equity ₹${margin.equity}, maintenance ₹${margin.maintenanceMargin}`);
+      this._emit({ userId, ...event });
+      if (margin.equity > 0) return;
+    } else if (margin.equity > 0 && Date.now() - marginCallAt < getMarginConfig().marginCallGraceSeconds * 1000) {
+      return;
+    }
+
+    // Liquidate, biggest loss first, until maintenance is covered
+    const queue = [...margin.positions].sort((a, b) => a.mtm - b.mtm);
+    for (const { position } of queue) {
+      const market = this.simulator.getBestPrices(position.symbol);
+      if (!market) continue;
+      const fillPrice = position.side === 'BUY' ? market.bid : market.ask;
+      const { pnl, orderId } = closePosition(userId, position, fillPrice, 'Margin call liquidation');
+      margin = accountMargin(userId, ltpOf);
+
+      const event = {
+        type: 'LIQUIDATION', positionId: position.id, orderId, symbol: position.symbol,
+        pnl: Math.round(pnl * 100) / 100, equity: margin.equity, maintenanceMargin: margin.maintenanceMargin,
+      };
+      insertMarginEvent(userId, event);
+      console.log(`🔻 Liquidated #${position.id} ${position.symbol} [user ${userId}] @ ₹${fillPrice}`);
+      this._emit({ userId, type: 'LIQUIDATION', positionId: position.id, orderId, symbol: position.symbol, pnl: event.pnl });
+      if (margin.shortfall <= 0) break;
+    }
+
+    if (margin.shortfall <= 0) this._restoreMargin(userId, margin);
+  }
+
+  /**
+   * Set the kill switch once the day's loss reaches the account's limit,
+   * cancelling working entry orders and squaring off the intraday book if
+   * the account asks for that.
+   */
+  _checkRiskLimits(userId, prices) {
+    const { maxDailyLoss, squareOffOnKill } = getRiskLimits(userId);
+    if (maxDailyLoss == null || isKillSwitchOn(getKillSwitch(userId))) return;
+
+    const { total } = dayPnL({
+      ledger: getLedger(userId, { limit: Infinity }).entries,
+      positions: getOpenPositions(userId),
+      ltpOf: (symbol) => this._ltp(symbol, prices),
+    });
+    if (-total < maxDailyLoss) return;
+
+    const loss = r2(-total);
+    setKillSwitch(userId, { date: istDateKey(), at: Date.now(), loss, limit: maxDailyLoss });
+    const squaredOff = squareOffOnKill ? this._squareOffAccount(userId, 'Kill switch') : { closed: 0, cancelled: 0 };
+    const { closed } = squaredOff;
+    const cancelled = squaredOff.cancelled + this._cancelEntries(userId).length;
+    console.log(`🛑 Kill switch [user ${userId}]: day loss ₹${loss} reached ₹${maxDailyLoss}`);
+    this._emit({ userId, type: 'KILL_SWITCH', loss, limit: maxDailyLoss, closed, cancelled });
+  }
+
+  /**
+   * Cancel working orders that would open or add to a position — anything
+   * but an exit (see isExit). Bracket/cover entries count as entries; their
+   * exit legs stay. Returns the orders cancelled.
+   */
+  _cancelEntries(userId) {
+    const positions = getOpenPositions(userId);
+    const entries = getOpenOrders(userId)
+      .filter(o => !o.parentId && (isBracketVariety(o.variety) || !isExit(o, positions)));
+    for (const order of entries) updateOrder(userId, order.id, { status: 'CANCELLED', note: KILL_SWITCH_NOTE });
+    return entries;
+  }
+
+  _restoreMargin(userId, margin) {
+    updateAccount(userId, { marginCallAt: null });
+    const event = { type: 'MARGIN_RESTORED', equity: margin.equity, maintenanceMargin: margin.maintenanceMargin };
+    insertMarginEvent(userId, event);
+    this._emit({ userId, ...event });
+  }
+
+  /** Close positions whose stop loss or target has been reached */
+  _checkPositions(userId, prices) {
+    for (const pos of getOpenPositions(userId)) {
+      const currentPrice = prices.get(pos.symbol);
+      if (!currentPrice) continue;
+
+      let note = null;
+
+      // Stop Loss
+      if (pos.stopLoss && pos.stopLoss > 0) {
+        if ((pos.side === 'BUY' && currentPrice <= pos.stopLoss) ||
+            (pos.side === 'SELL' && currentPrice >= pos.stopLoss)) {
+          note = 'Stop Loss triggered';
+        }
+      }
+
+      // Target
+      if (!note && pos.target && pos.target > 0) {
+        if ((pos.side === 'BUY' && currentPrice >= pos.target) ||
+            (pos.side === 'SELL' && currentPrice <= pos.target)) {
+          note = 'Target reached';
+        }
+      }
+
+      if (note) {
+        const market = this.simulator.getBestPrices(pos.symbol);
+        const fillPrice = pos.side === 'BUY' ? market.bid : market.ask;
+        const { orderId } = closePosition(userId, pos, fillPrice, note);
+        this._emit({ userId, type: 'POSITION_CLOSED', positionId: pos.id, orderId, symbol: pos.symbol, note });
+      }
+    }
+  }
+
+  /**
+   * Move trailing stops up behind new highs (longs) or down behind new lows
+   * (shorts). Regular positions keep the stop in `stopLoss`; bracket/cover
+   * positions move the trigger of their STOPLOSS leg.
+   */
+  _trailStops(userId, prices) {
+    for (const pos of getOpenPositions(userId)) {
+      if (!pos.trailType) continue;
+      const ltp = prices.get(pos.symbol);
+      if (!ltp) continue;
+
+      const level = trailStopLevel(pos.side, pos.trailType, pos.trailValue, ltp);
+      const tighter = (current) => !current || (pos.side === 'BUY' ? level > current : level < current);
+
+      if (pos.parentOrderId) {
+        const leg = getOpenOrders(userId).find(o => o.parentId === pos.parentOrderId && o.legType === 'STOPLOSS');
+        if (!leg || !tighter(leg.triggerPrice)) continue;
+        updateOrder(userId, leg.id, { price: level, triggerPrice: level });
+      } else {
+        if (!tighter(pos.stopLoss)) continue;
+        updatePosition(userId, pos.id, { stopLoss: level });
+      }
+      this._emit({ userId, type: 'STOP_TRAILED', positionId: pos.id, symbol: pos.symbol, stopLoss: level });
+    }
+  }
+
+  /**
+   * Trigger stop orders whose trigger price has been crossed, then fill
+   * resting limit orders once the book crosses their price.
+   *
+   * Stop lifecycle: TRIGGER_PENDING → (SL-M) EXECUTED at market
+   *                 TRIGGER_PENDING → (SL) OPEN limit → EXECUTED
+   * Limits may pass through PARTIALLY_FILLED while the book is thin.
+   * While the kill switch is on, entry orders are cancelled, not filled.
+   */
+  _checkOrders(userId, prices) {
+    if (isKillSwitchOn(getKillSwitch(userId))) {
+      for (const order of this._cancelEntries(userId)) {
+        this._emit({ userId, type: 'ORDER_CANCELLED', orderId: order.id, symbol: order.symbol, note: KILL_SWITCH_NOTE });
+      }
+    }
+    for (let order of getOpenOrders(userId)) {
+      // An earlier fill this tick may have cancelled this order (OCO legs)
+      if (!['OPEN', 'TRIGGER_PENDING', 'PARTIALLY_FILLED'].includes(order.status)) continue;
+      const ltp = prices.get(order.symbol);
+      if (!ltp) continue;
+
+      const depth = this.simulator.getOrderBook(order.symbol, 5);
+
+      if (order.status === 'TRIGGER_PENDING') {
+        const crossed = order.side === 'BUY' ? ltp >= order.triggerPrice : ltp <= order.triggerPrice;
+        if (!crossed) continue;
+
+        if (order.type === 'SL-M') {
+          this._fill(userId, order, depth, null);
+          continue;
+        }
+
+        const triggeredAt = Date.now();
+        updateOrder(userId, order.id, { status: 'OPEN', triggeredAt });
+        order = { ...order, status: 'OPEN', triggeredAt };
+        this._emit({ userId, type: 'ORDER_TRIGGERED', orderId: order.id, symbol: order.symbol });
+      }
+
+      // Resting limit (LIMIT, or SL after its trigger)
+      const limit = order.limitPrice || order.price;
+      const best = order.side === 'BUY' ? depth.asks[0].price : depth.bids[0].price;
+      if ((order.side === 'BUY' && best <= limit) || (order.side === 'SELL' && best >= limit)) {
+        this._fill(userId, order, depth, limit);
+      }
+    }
+  }
+
+  /**
+   * Fill `order` against `depth` up to `limit` (null = market). Bracket
+   * exit legs close their whole position at the best price instead.
+   */
+  _fill(userId, order, depth, limit) {
+    if (order.parentId) {
+      const fillPrice = order.side === 'BUY' ? depth.asks[0].price : depth.bids[0].price;
+      const { positionId } = fillBracketLeg(userId, order, fillPrice);
+      const note = order.legType === 'TARGET' ? 'Target reached' : 'Stop Loss triggered';
+      this._emit({ userId, type: 'POSITION_CLOSED', positionId, orderId: order.id, symbol: order.symbol, note });
+      return;
+    }
+
+    const filledBefore = order.filledQuantity || 0;
+    const fills = walkBook(depth, order.side, order.quantity - filledBefore, limit);
+    const updated = fillOrder(userId, order, fills, limit == null);
+    if (updated.status === 'CANCELLED' && (updated.filledQuantity || 0) === filledBefore) {
+      this._emit({ userId, type: 'ORDER_CANCELLED', orderId: order.id, symbol: order.symbol, note: updated.note });
+    } else if (updated.status === 'PARTIALLY_FILLED') {
+      this._emit({ userId, type: 'ORDER_PARTIALLY_FILLED', orderId: order.id, symbol: order.symbol, filledQuantity: updated.filledQuantity });
+    } else {
+      this._emit({ userId, type: 'ORDER_EXECUTED', orderId: order.id, symbol: order.symbol });
+    }
+  }
+}
@@ -0,0 +1,767 @@
+/**
+ * OrderExecution — Book-keeping for fills and position exits.
+ *
+ * Shared by the trading routes and the server-side OrderEngine so that a
+ * fill is accounted for identically whether it came from a user request
+ * or from a trigger evaluated on a simulator tick.
+ *
+ * Bracket (BO) and cover (CO) entries open their own position instead of
+ * averaging into an existing one, and spawn exit legs linked by parentId:
+ * a TARGET limit leg (BO only) and a STOPLOSS SL-M leg. The legs are
+ * one-cancels-other — filling either cancels the rest.
+ *
+ * A position may carry a trailing stop (trailType POINTS | PERCENT plus
+ * trailValue): its stop is kept that far behind the best price seen since
+ * entry. For bracket/cover positions the trailed level lives on the
+ * STOPLOSS leg rather than on the position.
+ *
+ * Entry orders fill by walking the simulated 5-level book (walkBook →
+ * fillOrder), so large orders fill in parts at a volume-weighted price.
+ * Exits — position closes, SL/target hits and bracket legs — still fill in
+ * full at the best bid/ask.
+ *
+ * Every fill is charged via the ChargesEngine: the charges come straight off
+ * the balance and accumulate on the order (`charges`), while `pnl` on the
+ * order and `realisedPnL` on the account stay gross.
+ *
+ * Delivery (CNC) buys settle T+1: until their settlementDate they stay open
+ * positions, after which settleDeliveries moves them into holdings. A CNC
+ * sell delivers from holdings, and from unsettled buys only when flagged
+ * BTST (buy today, sell tomorrow).
+ *
+ * Orders are DAY orders (a resting remainder expires at the close) or IOC
+ * (whatever does not fill on placement is cancelled). A GTT becomes a DAY
+ * limit order when its trigger is crossed — see triggerGtt.
+ *
+ * Every balance change is posted to the account's ledger with what caused
+ * it: TRADE (funds blocked for, or released by, a fill), PNL (realised on an
+ * exit), CHARGES, CONVERSION (margin difference) and DIVIDEND.
+ *
+ * Corporate actions reach accounts through applyCorporateAction: dividends
+ * are paid on settled holdings, splits and bonuses rescale holdings and open
+ * positions.
+ */
+
+import {
+  getAccount, updateAccount, nextOrderId,
+  getOpenPositions, insertPosition, updatePosition, insertOrder,
+  getOpenOrders, getOrderById, updateOrder, addOrderFill,
+  getHolding, saveHolding, updateGtt, getActiveGtts, insertCorporateActionEvent,
+} from './tradingDB.js';
+import { istDateKey, nextTradingDay } from '../utils/marketTime.js';
+import { calculateCharges, addCharges } from './chargesEngine.js';
+import { leverageFor, positionLeverage } from './marginEngine.js';
+import { shareFactor } from './corporateActions.js';
+
+export const r2 = (n) => Math.round(n * 100) / 100;
+
+export const TRAIL_TYPES = ['POINTS', 'PERCENT'];
+
+/** Ledger description of a fill: "BUY 10 INFY.NS @ 1550" */
+const tradeText = (side, quantity, symbol, price) => `${side} ${quantity} ${symbol} @ ${r2(price)}`;
+
+/**
+ * Where a trailing stop sits when the market is at `price`: `trailValue`
+ * points (or percent of price) on the losing side of a `side` position.
+ */
+export function trailStopLevel(side, trailType, trailValue, price) {
+  const distance = trailType === 'PERCENT' ? price * trailValue / 100 : trailValue;
+  const level = side === 'BUY' ? price - distance : price + distance;
+  return r2(level);
+}
+
+/** Opening stop of a fill: the order's own SL, else the trail from the fill price. */
+function initialStop(order) {
+  if (order.stopLoss) return order.stopLoss;
+  if (!order.trailType) return null;
+  return trailStopLevel(order.side, order.trailType, order.trailValue, order.price);
+}
+
+/** Bracket/cover entries and their positions are managed by their legs. */
+export function isBracketVariety(variety) {
+  return variety === 'BO' || variety === 'CO';
+}
+
+/**
+ * The open position a fill of `order` averages into, if any: a bracket/cover
+ * entry's own position, or for a buy one of the same product — for delivery,
+ * only one bought the same day, since each day's buys settle separately.
+ */
+function averagingPosition(userId, order) {
+  const open = getOpenPositions(userId);
+  if (isBracketVariety(order.variety)) return open.find(p => p.parentOrderId === order.id);
+  if (order.side !== 'BUY') return undefined;
+  const tradeDate = istDateKey();
+  return open.find(p => p.symbol === order.symbol && p.side === 'BUY' && p.product === order.product && !p.parentOrderId &&
+    (order.product !== 'CNC' || p.tradeDate === tradeDate));
+}
+
+/** Leverage a fill is booked at: the position's it averages into, else the product's now. */
+function fillLeverage(order, existing) {
+  return existing ? positionLeverage(existing) : leverageFor(order.product, order.symbol);
+}
+
+/**
+ * Apply an executed order to the user's book: create/average a position
+ * or reduce an existing one, and adjust balance and margin.
+ * @returns {number} gross P&L realised by the order (0 when it opens/adds)
+ */
+export function executeOrder(userId, order) {
+  if (isBracketVariety(order.variety)) {
+    openBracketPosition(userId, order);
+    return 0;
+  }
+
+  const acc = getAccount(userId);
+
+  if (order.side === 'BUY') {
+    const tradeDate = istDateKey();
+    const existing = averagingPosition(userId, order);
+    const leverage = fillLeverage(order, existing);
+    const marginReq = order.price * order.quantity / leverage;
+
+    if (existing) {
+      const totalQty = existing.quantity + order.quantity;
+      const totalVal = (existing.avgPrice * existing.quantity) + (order.price * order.quantity);
+      updatePosition(userId, existing.id, {
+        avgPrice: totalVal / totalQty,
+        quantity: totalQty,
+        stopLoss: initialStop(order) || existing.stopLoss,
+        target: order.target || existing.target,
+        trailType: order.trailType || existing.trailType,
+        trailValue: order.trailValue || existing.trailValue,
+      });
+    } else {
+      insertPosition(userId, {
+        id: order.id,
+        symbol: order.symbol,
+        side: 'BUY',
+        quantity: order.quantity,
+        avgPrice: order.price,
+        product: order.product,
+        leverage,
+        stopLoss: initialStop(order),
+        target: order.target,
+        trailType: order.trailType,
+        trailValue: order.trailValue,
+        ...(order.product === 'CNC' && { tradeDate, settlementDate: nextTradingDay(tradeDate) }),
+        status: 'OPEN',
+        openedAt: Date.now(),
+      });
+    }
+
+    updateAccount(userId, {
+      balance: acc.balance - marginReq,
+      usedMargin: acc.usedMargin + marginReq,
+    }, {
+      type: 'TRADE', amount: -marginReq, orderId: order.id, positionId: existing?.id ?? order.id,
+      description: tradeText('BUY', order.quantity, order.symbol, order.price),
+    });
+  } else if (order.product === 'CNC') {
+    return sellDelivery(userId, order);
+  } else {
+    // SELL (intraday)
+    const openPos = getOpenPositions(userId);
+    const existingBuy = openPos.find(p => p.symbol === order.symbol && p.side === 'BUY' && p.product === order.product && !p.parentOrderId);
+
+    if (existingBuy && existingBuy.quantity >= order.quantity) {
+      const pnl = (order.price - existingBuy.avgPrice) * order.quantity;
+      const mps = existingBuy.avgPrice / positionLeverage(existingBuy);
+
+      const refs = { orderId: order.id, positionId: existingBuy.id };
+      updateAccount(userId, {
+        balance: acc.balance + mps * order.quantity + pnl,
+        usedMargin: Math.max(0, acc.usedMargin - mps * order.quantity),
+        realisedPnL: acc.realisedPnL + pnl,
+      }, [
+        { type: 'TRADE', amount: mps * order.quantity, ...refs, description: tradeText('SELL', order.quantity, order.symbol, order.price) },
+        { type: 'PNL', amount: pnl, ...refs, description: `Realised on ${order.symbol}` },
+      ]);
+
+      const newQty = existingBuy.quantity - order.quantity;
+      if (newQty <= 0) {
+        updatePosition(userId, existingBuy.id, { status: 'CLOSED', closedAt: Date.now(), exitPrice: order.price, quantity: 0 });
+      } else {
+        updatePosition(userId, existingBuy.id, { quantity: newQty });
+      }
+      return pnl;
+    } else {
+      // Short sell (MIS only)
+      const leverage = leverageFor(order.product, order.symbol);
+      const marginReq = order.price * order.quantity / leverage;
+
+      insertPosition(userId, {
+        id: order.id,
+        symbol: order.symbol,
+        side: 'SELL',
+        quantity: order.quantity,
+        avgPrice: order.price,
+        product: order.product,
+        leverage,
+        stopLoss: initialStop(order),
+        target: order.target,
+        trailType: order.trailType,
+        trailValue: order.trailValue,
+        status: 'OPEN',
+        openedAt: Date.now(),
+      });
+
+      updateAccount(userId, {
+        balance: acc.balance - marginReq,
+        usedMargin: acc.usedMargin + marginReq,
+      }, {
+        type: 'TRADE', amount: -marginReq, orderId: order.id, positionId: order.id,
+        description: tradeText('SELL', order.quantity, order.symbol, order.price),
+      });
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Deliver shares against a CNC sell: settled holdings first, then — only for
+ * a BTST order — delivery buys still awaiting settlement, oldest first.
+ * Delivery is fully paid for, so the cost comes back out of usedMargin.
+ * @returns {number} gross P&L realised
+ */
+function sellDelivery(userId, order) {
+  let remaining = order.quantity;
+  let pnl = 0;
+  let cost = 0;
+
+  const holding = getHolding(userId, order.symbol);
+  if (holding) {
+    const qty = Math.min(remaining, holding.quantity);
+    pnl += (order.price - holding.avgPrice) * qty;
+    cost += holding.avgPrice * qty;
+    saveHolding(userId, { symbol: holding.symbol, quantity: holding.quantity - qty, avgPrice: holding.avgPrice });
+    remaining -= qty;
+  }
+
+  if (remaining > 0 && order.btst) {
+    const unsettled = getOpenPositions(userId)
+      .filter(p => p.symbol === order.symbol && p.side === 'BUY' && p.product === 'CNC')
+      .sort((a, b) => a.openedAt - b.openedAt);
+    for (const pos of unsettled) {
+      if (remaining <= 0) break;
+      const qty = Math.min(remaining, pos.quantity);
+      pnl += (order.price - pos.avgPrice) * qty;
+      cost += pos.avgPrice * qty;
+      if (qty === pos.quantity) {
+        updatePosition(userId, pos.id, { status: 'CLOSED', closedAt: Date.now(), exitPrice: order.price, quantity: 0 });
+      } else {
+        updatePosition(userId, pos.id, { quantity: pos.quantity - qty });
+      }
+      remaining -= qty;
+    }
+  }
+
+  const acc = getAccount(userId);
+  updateAccount(userId, {
+    balance: acc.balance + cost + pnl,
+    usedMargin: Math.max(0, acc.usedMargin - cost),
+    realisedPnL: acc.realisedPnL + pnl,
+  }, [
+    { type: 'TRADE', amount: cost, orderId: order.id, description: tradeText('SELL', order.quantity, order.symbol, order.price) },
+    { type: 'PNL', amount: pnl, orderId: order.id, description: `Realised on ${order.symbol}` },
+  ]);
+  return pnl;
+}
+
+/**
+ * Move delivery buys whose T+1 settlement date has arrived into holdings,
+ * averaging with any shares already held. Stop-loss/target set on the
+ * position do not carry over to the holding.
+ * @returns {number} positions settled
+ */
+export function settleDeliveries(userId, today = istDateKey()) {
+  let settled = 0;
+  for (const pos of getOpenPositions(userId)) {
+    if (pos.product !== 'CNC' || pos.side !== 'BUY') continue;
+    // Positions from before settlement dates were tracked settle right away
+    if (pos.settlementDate && pos.settlementDate > today) continue;
+
+    const holding = getHolding(userId, pos.symbol);
+    const heldQty = holding?.quantity || 0;
+    const quantity = heldQty + pos.quantity;
+    const avgPrice = ((holding?.avgPrice || 0) * heldQty + pos.avgPrice * pos.quantity) / quantity;
+    saveHolding(userId, { symbol: pos.symbol, quantity, avgPrice: r2(avgPrice) });
+    updatePosition(userId, pos.id, { status: 'SETTLED', closedAt: Date.now() });
+    settled++;
+  }
+  return settled;
+}
+
+/**
+ * Open the standalone position of a filled BO/CO entry and place its legs.
+ * Later partial fills of the same entry average into that position and
+ * grow its legs.
+ */
+function openBracketPosition(userId, entry) {
+  const existing = averagingPosition(userId, entry);
+  const leverage = fillLeverage(entry, existing);
+  const marginReq = entry.price * entry.quantity / leverage;
+
+  const acc = getAccount(userId);
+  updateAccount(userId, {
+    balance: acc.balance - marginReq,
+    usedMargin: acc.usedMargin + marginReq,
+  }, {
+    type: 'TRADE', amount: -marginReq, orderId: entry.id, positionId: existing?.id ?? entry.id,
+    description: tradeText(entry.side, entry.quantity, entry.symbol, entry.price),
+  });
+
+  if (existing) {
+    const totalQty = existing.quantity + entry.quantity;
+    updatePosition(userId, existing.id, {
+      avgPrice: (existing.avgPrice * existing.quantity + entry.price * entry.quantity) / totalQty,
+      quantity: totalQty,
+    });
+    for (const leg of getOpenOrders(userId)) {
+      if (leg.parentId === entry.id) updateOrder(userId, leg.id, { quantity: totalQty });
+    }
+    return;
+  }
+
+  insertPosition(userId, {
+    id: entry.id,
+    symbol: entry.symbol,
+    side: entry.side,
+    quantity: entry.quantity,
+    avgPrice: entry.price,
+    product: entry.product,
+    leverage,
+    trailType: entry.trailType,
+    trailValue: entry.trailValue,
+    parentOrderId: entry.id,
+    status: 'OPEN',
+    openedAt: Date.now(),
+  });
+
+  const exitSide = entry.side === 'BUY' ? 'SELL' : 'BUY';
+  const leg = {
+    symbol: entry.symbol,
+    side: exitSide,
+    quantity: entry.quantity,
+    product: entry.product,
+    variety: entry.variety,
+    parentId: entry.id,
+    timestamp: Date.now(),
+  };
+
+  if (entry.variety === 'BO' && entry.target) {
+    insertOrder(userId, {
+      ...leg,
+      id: nextOrderId(userId),
+      legType: 'TARGET',
+      type: 'LIMIT',
+      price: entry.target,
+      limitPrice: entry.target,
+      status: 'OPEN',
+    });
+  }
+
+  insertOrder(userId, {
+    ...leg,
+    id: nextOrderId(userId),
+    legType: 'STOPLOSS',
+    type: 'SL-M',
+    price: entry.stopLoss,
+    triggerPrice: entry.stopLoss,
+    status: 'TRIGGER_PENDING',
+  });
+}
+
+/**
+ * Record one fill against an order, charge it (brokerage and statutory
+ * levies per the product's schedule), deduct the charges from the balance
+ * and roll them into the order's running charge breakdown.
+ * @returns {Object} the fill's charges
+ */
+function recordFill(userId, order, fill) {
+  const current = getOrderById(userId, order.id);
+  const charges = calculateCharges({
+    symbol: order.symbol,
+    side: order.side,
+    product: order.product,
+    price: fill.price,
+    quantity: fill.quantity,
+  }, current.charges?.brokerage || 0);
+
+  addOrderFill(userId, order.id, { ...fill, charges });
+  updateOrder(userId, order.id, { charges: addCharges(current.charges, charges) });
+
+  const acc = getAccount(userId);
+  updateAccount(userId, {
+    balance: acc.balance - charges.total,
+    chargesPaid: r2(acc.chargesPaid + charges.total),
+  }, { type: 'CHARGES', amount: -charges.total, orderId: order.id, description: `Charges on order #${order.id}` });
+  return charges;
+}
+
+/**
+ * The fills of an order: its recorded fills, or one fill at the order price
+ * for an executed order from before fills were recorded. Conversions are
+ * not trades and have none.
+ * @returns {Array<{ price: number, quantity: number, at: number, charges: Object|null }>}
+ */
+export function orderFills(order) {
+  if (order.type === 'CONVERSION') return [];
+  if (order.fills?.length) return order.fills;
+  if (order.status !== 'EXECUTED') return [];
+  return [{ price: order.price, quantity: order.quantity, at: order.executedAt || order.timestamp, charges: order.charges || null }];
+}
+
+/**
+ * Walk one side of a depth snapshot for `quantity` shares — asks for a BUY,
+ * bids for a SELL — taking each level in turn while it is within
+ * `limitPrice` (no limit for market orders).
+ * @returns {Array<{ price: number, quantity: number }>} fills, best price first
+ */
+export function walkBook(book, side, quantity, limitPrice = null) {
+  const levels = side === 'BUY' ? book.asks : book.bids;
+  const fills = [];
+  let remaining = quantity;
+  for (const level of levels) {
+    if (remaining <= 0) break;
+    if (limitPrice != null && (side === 'BUY' ? level.price > limitPrice : level.price < limitPrice)) break;
+    const qty = Math.min(remaining, level.quantity);
+    fills.push({ price: level.price, quantity: qty });
+    remaining -= qty;
+  }
+  return fills;
+}
+
+/**
+ * Apply book fills to a working order: record each fill, book the filled
+ * quantity at its VWAP, and move the order to EXECUTED, PARTIALLY_FILLED or
+ * — for market orders the book could not absorb (`cancelRemainder`) —
+ * CANCELLED with the unfilled rest noted.
+ *
+ * A buy's margin is checked against the balance again at the fill, and a
+ * delivery sell's quantity against the shares left to deliver: a resting
+ * order may have been placed while funds or shares since used elsewhere
+ * were free. If the fills no longer fit, none are taken and the order is
+ * cancelled with the shortfall noted.
+ * @returns {Object} the updated order
+ */
+export function fillOrder(userId, order, fills, cancelRemainder = false) {
+  const at = Date.now();
+  const shortfall = fills.length > 0 &&
+    (order.side === 'BUY' ? marginShortfall(userId, order, fills) : deliveryShortfall(userId, order, fills));
+  if (shortfall) {
+    const filled = order.filledQuantity || 0;
+    updateOrder(userId, order.id, {
+      status: 'CANCELLED',
+      price: filled > 0 ? order.avgFillPrice : order.price,
+      note: filled > 0 ? `Filled ${filled} of ${order.quantity}; rest cancelled, ${shortfall}` : `Cancelled: ${shortfall}`,
+    });
+    return getOrderById(userId, order.id);
+  }
+
+  if (fills.length > 0) {
+    for (const fill of fills) recordFill(userId, order, { ...fill, at });
+    const qty = fills.reduce((sum, f) => sum + f.quantity, 0);
+    const vwap = fills.reduce((sum, f) => sum + f.price * f.quantity, 0) / qty;
+    const pnl = executeOrder(userId, { ...order, quantity: qty, price: r2(vwap) });
+    if (pnl) updateOrder(userId, order.id, { pnl: r2((getOrderById(userId, order.id).pnl || 0) + pnl) });
+  }
+
+  const updated = getOrderById(userId, order.id);
+  const filled = updated.filledQuantity || 0;
+  if (filled >= updated.quantity) {
+    updateOrder(userId, order.id, { status: 'EXECUTED', price: updated.avgFillPrice, executedAt: at });
+  } else if (cancelRemainder) {
+    const ioc = updated.validity === 'IOC';
+    updateOrder(userId, order.id, {
+      status: 'CANCELLED',
+      price: filled > 0 ? updated.avgFillPrice : updated.price,
+      note: filled > 0
+        ? `Filled ${filled} of ${updated.quantity}; rest cancelled, ${ioc ? 'IOC' : 'not enough depth'}`
+        : (ioc ? 'IOC: nothing fillable at the limit, cancelled' : 'Cancelled: no depth on the other side'),
+    });
+  } else if (filled > 0) {
+    updateOrder(userId, order.id, { status: 'PARTIALLY_FILLED' });
+  }
+  return getOrderById(userId, order.id);
+}
+
+/**
+ * Why the balance no longer covers the margin for `fills` of a buy, or null.
+ * The margin is worked out at the leverage the fills will be booked at.
+ */
+function marginShortfall(userId, order, fills) {
+  const value = fills.reduce((sum, f) => sum + f.price * f.quantity, 0);
+  const required = value / fillLeverage(order, averagingPosition(userId, order));
+  const { balance } = getAccount(userId);
+  return required > balance
+    ? `insufficient balance — ₹${required.toFixed(2)} required, ₹${r2(balance).toFixed(2)} available`
+    : null;
+}
+
+/**
+ * Why `fills` of a CNC sell can no longer be delivered — the shares were
+ * sold since it was placed — or null. Counts settled holdings, plus
+ * unsettled buys for a BTST order, as sellDelivery does.
+ */
+function deliveryShortfall(userId, order, fills) {
+  if (order.product !== 'CNC') return null;
+  const quantity = fills.reduce((sum, f) => sum + f.quantity, 0);
+  const settled = getHolding(userId, order.symbol)?.quantity || 0;
+  const unsettled = order.btst
+    ? getOpenPositions(userId)
+      .filter(p => p.symbol === order.symbol && p.side === 'BUY' && p.product === 'CNC')
+      .reduce((sum, p) => sum + p.quantity, 0)
+    : 0;
+  return quantity > settled + unsettled ? `only ${settled + unsettled} ${order.symbol} left to deliver` : null;
+}
+
+/**
+ * Fire a GTT whose trigger has been crossed: place its DAY limit order, or
+ * reject the GTT if the order could not be placed now (limit outside the
+ * price band, not enough funds or holdings). The order is matched like any
+ * other resting limit.
+ * @param {{ lowerCircuit: number, upperCircuit: number }|null} band
+ * @returns {{ orderId: number }|{ error: string }}
+ */
+export function triggerGtt(userId, gtt, band) {
+  const at = Date.now();
+  let error = null;
+  if (band && (gtt.limitPrice < band.lowerCircuit || gtt.limitPrice > band.upperCircuit)) {
+    error = `Limit ₹${gtt.limitPrice} is outside today's price band`;
+  } else if (gtt.side === 'BUY') {
+    const required = gtt.limitPrice * gtt.quantity / leverageFor(gtt.product, gtt.symbol);
+    if (required > getAccount(userId).balance) error = `Insufficient balance — ₹${required.toFixed(2)} required`;
+  } else if (gtt.product === 'CNC') {
+    const held = getHolding(userId, gtt.symbol)?.quantity || 0;
+    if (held < gtt.quantity) error = `Only ${held} ${gtt.symbol} in holdings`;
+  }
+  if (error) {
+    updateGtt(userId, gtt.id, { status: 'REJECTED', triggeredAt: at, note: error });
+    return { error };
+  }
+
+  const orderId = nextOrderId(userId);
+  insertOrder(userId, {
+    id: orderId,
+    symbol: gtt.symbol, side: gtt.side, quantity: gtt.quantity,
+    price: gtt.limitPrice,
+    limitPrice: gtt.limitPrice,
+    type: 'LIMIT', product: gtt.product, validity: 'DAY',
+    gttId: gtt.id,
+    status: 'OPEN',
+    timestamp: at,
+    note: `GTT #${gtt.id}`,
+  });
+  updateGtt(userId, gtt.id, { status: 'TRIGGERED', triggeredAt: at, orderId });
+  return { orderId };
+}
+
+/**
+ * Apply a corporate action to one account. A dividend is credited on the
+ * settled holding — holders on the record date, with T+1 settlement already
+ * run. A split or bonus multiplies the holding and open positions in the
+ * symbol by its share factor (fractional shares are dropped) at unchanged
+ * cost, scales their stop/target levels, and cancels working orders and
+ * active GTTs in the symbol, whose prices no longer apply.
+ * @returns {Object|null} the event recorded, or null if the account was untouched
+ */
+export function applyCorporateAction(userId, action) {
+  const holding = getHolding(userId, action.symbol);
+  const base = { actionId: action.id, symbol: action.symbol, action: action.type, recordDate: action.recordDate };
+
+  if (action.type === 'DIVIDEND') {
+    if (!holding) return null;
+    const amount = r2(holding.quantity * action.amount);
+    updateAccount(userId, { balance: getAccount(userId).balance + amount }, {
+      type: 'DIVIDEND', amount, description: `${action.symbol} dividend ₹${action.amount} × ${holding.quantity}`,
+    });
+    const event = { ...base, quantity: holding.quantity, amount };
+    insertCorporateActionEvent(userId, event);
+    return event;
+  }
+
+  const factor = shareFactor(action);
+  const rescale = (quantity, avgPrice) => {
+    const newQuantity = Math.floor(quantity * factor + 1e-9);
+    return { quantity: newQuantity, avgPrice: r2(quantity * avgPrice / newQuantity) };
+  };
+  const scaleLevel = (level) => (level ? r2(level / factor) : level);
+  const note = `Cancelled for ${action.type === 'SPLIT' ? 'stock split' : 'bonus issue'}`;
+
+  const heldQty = holding?.quantity || 0;
+  const rescaled = holding ? rescale(holding.quantity, holding.avgPrice) : null;
+  if (rescaled) saveHolding(userId, { symbol: action.symbol, ...rescaled });
+
+  const positions = getOpenPositions(userId).filter(p => p.symbol === action.symbol);
+  for (const pos of positions) {
+    updatePosition(userId, pos.id, {
+      ...rescale(pos.quantity, pos.avgPrice),
+      stopLoss: scaleLevel(pos.stopLoss),
+      target: scaleLevel(pos.target),
+      ...(pos.trailType === 'POINTS' ? { trailValue: scaleLevel(pos.trailValue) } : {}),
+    });
+  }
+
+  let cancelled = 0;
+  for (const order of getOpenOrders(userId)) {
+    if (order.symbol !== action.symbol) continue;
+    updateOrder(userId, order.id, { status: 'CANCELLED', note });
+    cancelled++;
+  }
+  for (const gtt of getActiveGtts(userId)) {
+    if (gtt.symbol !== action.symbol) continue;
+    updateGtt(userId, gtt.id, { status: 'CANCELLED', note });
+    cancelled++;
+  }
+
+  if (!holding && positions.length === 0 && cancelled === 0) return null;
+  const event = {
+    ...base,
+    quantity: heldQty,
+    newQuantity: rescaled?.quantity || 0,
+    positions: positions.length,
+    cancelled,
+  };
+  insertCorporateActionEvent(userId, event);
+  return event;
+}
+
+/** Cancel the still-working legs of a bracket/cover entry. */
+function cancelLegs(userId, parentId, note) {
+  for (const leg of getOpenOrders(userId)) {
+    if (leg.parentId === parentId) {
+      updateOrder(userId, leg.id, { status: 'CANCELLED', note });
+    }
+  }
+}
+
+/** Release margin, book P&L and mark the position closed by order `orderId`. */
+function settleExit(userId, pos, exitPrice, orderId) {
+  const pnl = pos.side === 'BUY'
+    ? (exitPrice - pos.avgPrice) * pos.quantity
+    : (pos.avgPrice - exitPrice) * pos.quantity;
+
+  const acc = getAccount(userId);
+  const mps = pos.avgPrice / positionLeverage(pos);
+
+  const refs = { orderId, positionId: pos.id };
+  updateAccount(userId, {
+    balance: acc.balance + mps * pos.quantity + pnl,
+    usedMargin: Math.max(0, acc.usedMargin - mps * pos.quantity),
+    realisedPnL: acc.realisedPnL + pnl,
+  }, [
+    {
+      type: 'TRADE', amount: mps * pos.quantity, ...refs,
+      description: tradeText(pos.side === 'BUY' ? 'SELL' : 'BUY', pos.quantity, pos.symbol, exitPrice),
+    },
+    { type: 'PNL', amount: pnl, ...refs, description: `Realised on ${pos.symbol}` },
+  ]);
+
+  updatePosition(userId, pos.id, { status: 'CLOSED', closedAt: Date.now(), exitPrice });
+  return pnl;
+}
+
+/**
+ * Close an open position at `exitPrice`, release its margin, book the P&L
+ * and record (and charge) the closing order. Any bracket legs still working
+ * are cancelled.
+ * @returns {{ pnl: number, charges: number, orderId: number }} gross P&L and the exit's charges
+ */
+export function closePosition(userId, pos, exitPrice, note = 'Position closed') {
+  const orderId = nextOrderId(userId);
+  const pnl = settleExit(userId, pos, exitPrice, orderId);
+
+  if (pos.parentOrderId) {
+    cancelLegs(userId, pos.parentOrderId, note);
+  }
+
+  const order = {
+    id: orderId,
+    symbol: pos.symbol,
+    side: pos.side === 'BUY' ? 'SELL' : 'BUY',
+    quantity: pos.quantity,
+    price: exitPrice,
+    type: 'MARKET',
+    product: pos.product,
+    // An open delivery position is by definition unsettled
+    btst: pos.product === 'CNC' && pos.side === 'BUY',
+    stopLoss: null, target: null,
+    status: 'EXECUTED',
+    timestamp: Date.now(),
+    executedAt: Date.now(),
+    note,
+  };
+  insertOrder(userId, order);
+  const charges = recordFill(userId, order, { price: exitPrice, quantity: pos.quantity, at: Date.now() });
+  updateOrder(userId, orderId, { pnl: r2(pnl) });
+
+  return { pnl, charges: charges.total, orderId };
+}
+
+/**
+ * Convert an open position between intraday (MIS) and delivery (CNC),
+ * blocking or releasing the difference in margin, and record the
+ * conversion in order history. Checks (balance, eligibility) are the
+ * caller's. A position converted to delivery settles T+1 from today.
+ * @returns {{ orderId: number, marginChange: number }} marginChange > 0 when more margin was blocked
+ */
+export function convertPosition(userId, pos, toProduct) {
+  const fromProduct = pos.product;
+  const leverage = leverageFor(toProduct, pos.symbol);
+  const marginChange = r2(pos.avgPrice * pos.quantity * (1 / leverage - 1 / positionLeverage(pos)));
+  const acc = getAccount(userId);
+  const orderId = nextOrderId(userId);
+  updateAccount(userId, {
+    balance: acc.balance - marginChange,
+    usedMargin: Math.max(0, acc.usedMargin + marginChange),
+  }, {
+    type: 'CONVERSION', amount: -marginChange, orderId, positionId: pos.id,
+    description: `${pos.symbol} ${fromProduct} → ${toProduct}`,
+  });
+
+  const tradeDate = toProduct === 'CNC' ? istDateKey() : null;
+  updatePosition(userId, pos.id, {
+    product: toProduct,
+    leverage,
+    tradeDate,
+    settlementDate: tradeDate && nextTradingDay(tradeDate),
+  });
+
+  insertOrder(userId, {
+    id: orderId,
+    symbol: pos.symbol,
+    side: pos.side,
+    quantity: pos.quantity,
+    price: pos.avgPrice,
+    type: 'CONVERSION',
+    product: toProduct,
+    convertedFrom: fromProduct,
+    status: 'EXECUTED',
+    timestamp: Date.now(),
+    executedAt: Date.now(),
+    note: `Position #${pos.id} converted ${fromProduct} → ${toProduct}`,
+  });
+
+  return { orderId, marginChange };
+}
+
+/**
+ * Fill one exit leg of a bracket/cover order: close the linked position at
+ * `fillPrice` and cancel the other leg (OCO).
+ * @returns {{ pnl: number, positionId: number|null }}
+ */
+export function fillBracketLeg(userId, leg, fillPrice) {
+  const note = leg.legType === 'TARGET' ? 'Target reached' : 'Stop Loss triggered';
+  updateOrder(userId, leg.id, { status: 'EXECUTED', executedAt: Date.now(), price: fillPrice, note });
+
+  const pos = getOpenPositions(userId).find(p => p.parentOrderId === leg.parentId);
+  if (!pos) return { pnl: 0, positionId: null };
+
+  recordFill(userId, leg, { price: fillPrice, quantity: pos.quantity, at: Date.now() });
+  const pnl = settleExit(userId, pos, fillPrice, leg.id);
+  updateOrder(userId, leg.id, { pnl: r2(pnl) });
+  cancelLegs(userId, leg.parentId, 'OCO: other leg filled');
+  return { pnl, positionId: pos.id };
+}
@@ -0,0 +1,260 @@
+/**
+ * PortfolioAnalytics — Allocation, risk and performance of one account.
+ *
+ * Exposure is what the account holds now — settled holdings and open
+ * positions, shorts negative — at last traded price. It is broken down by
+ * sector and market-cap band (from stocks.csv, through the simulator) and
+ * weighted by beta: ₹1 of a 1.5-beta stock moves like ₹1.5 of the index.
+ *
+ * Performance is read from the funds ledger since the last reset. Equity
+ * at cost — balance plus the margin and delivery cost blocked — moves only
+ * with deposits, withdrawals, realised P&L, charges and dividends; fills
+ * just move cash into margin. The equity curve steps on those entries and
+ * ends at today's marked-to-market equity.
+ *   XIRR          annualised return of the deposits and withdrawals,
+ *                 against today's equity
+ *   max drawdown  largest peak-to-trough fall of a time-weighted return
+ *                 index, so funds moving in or out are not gains or losses
+ * Trade statistics count every order that realised P&L, before charges.
+ */
+
+import { istDateKey } from '../utils/marketTime.js';
+
+// Approximates AMFI's large (top 100) and mid (101–250) cap cut-offs, in ₹
+export const MARKET_CAP_BANDS = [
+  ['Large cap', 1e12],
+  ['Mid cap', 3.3e11],
+  ['Small cap', 0],
+];
+
+const FUND_TYPES = ['OPENING', 'RESET', 'FUNDS_ADDED', 'WITHDRAWAL'];
+// Cash moving to and from blocked margin leaves equity at cost unchanged
+const MARGIN_TYPES = ['TRADE', 'CONVERSION'];
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+export function marketCapBand(marketCap) {
+  return MARKET_CAP_BANDS.find(([, floor]) => (marketCap || 0) >= floor)[0];
+}
+
+/**
+ * Internal rate of return of dated cash flows, annualised. Amounts are from
+ * the investor's side: money put in is negative, money out (and what is
+ * still held) positive.
+ * @param {Array<{ at: number, amount: number }>} flows
+ * @returns {number|null} e.g. 0.124 for 12.4% a year; null without both
+ *   signs, over less than a day, or if no rate fits
+ */
+export function xirr(flows) {
+  if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+  const start = Math.min(...flows.map(f => f.at));
+  const span = Math.max(...flows.map(f => f.at)) - start;
+  if (span < YEAR_MS / 365) return null;
+
+  const npv = (rate) => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, (f.at - start) / YEAR_MS), 0);
+  // Net present value falls as the rate rises; bisect for its root
+  let low = -0.9999;
+  let high = 1000;
+  if (npv(low) < 0 || npv(high) > 0) return null;
+  for (let i = 0; i < 200 && high - low > 1e-9; i++) {
+    const mid = (low + high) / 2;
+    if (npv(mid) > 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Equity curve since the last reset from ledger entries (oldest first),
+ * ending at `currentEquity`.
+ * @returns {{ points: Array<{ at, equity, pnl, index }>, flows: Array<{ at, amount }> }}
+ *   pnl is equity less net deposits; index the time-weighted return index
+ *   (1 at the start); flows the deposits and withdrawals for xirr
+ */
+export function equityCurve(ledger, currentEquity, now = Date.now()) {
+  let start = -1;
+  ledger.forEach((entry, i) => { if (entry.type === 'OPENING' || entry.type === 'RESET') start = i; });
+  if (start === -1) return { points: [], flows: [] };
+
+  let equity = ledger[start].balance;
+  let deposits = equity;
+  let index = 1;
+  const points = [{ at: ledger[start].at, equity: r2(equity), pnl: 0, index }];
+  const flows = [{ at: ledger[start].at, amount: -equity }];
+
+  const step = (at, amount, isFlow) => {
+    if (isFlow) {
+      deposits += amount;
+      flows.push({ at, amount: -amount });
+    } else if (equity > 0) {
+      index *= 1 + amount / equity;
+    }
+    equity += amount;
+    points.push({ at, equity: r2(equity), pnl: r2(equity - deposits), index });
+  };
+
+  for (const entry of ledger.slice(start + 1)) {
+    if (MARGIN_TYPES.includes(entry.type)) continue;
+    step(entry.at, entry.credit - entry.debit, FUND_TYPES.includes(entry.type));
+  }
+  // Unrealised P&L on what is held now
+  step(now, currentEquity - equity, false);
+  flows.push({ at: now, amount: currentEquity });
+  return { points, flows };
+}
+
+/**
+ * Largest fall of the return index from a running peak.
+ * @returns {{ percent: number, amount: number, peakAt: number|null, troughAt: number|null }}
+ *   amount is the fall in P&L between the same two points
+ */
+export function maxDrawdown(points) {
+  let peak = points[0];
+  let worstFall = 0;
+  let worst = { percent: 0, amount: 0, peakAt: null, troughAt: null };
+  for (const point of points) {
+    if (point.index > peak.index) peak = point;
+    const fall = 1 - point.index / peak.index;
+    if (fall > worstFall) {
+      worstFall = fall;
+      worst = { percent: r2(fall * 100), amount: r2(peak.pnl - point.pnl), peakAt: peak.at, troughAt: point.at };
+    }
+  }
+  return worst;
+}
+
+/** Win rate, average win and loss and profit factor of orders that realised P&L. */
+export function tradeStats(orders) {
+  const closed = orders.filter(o => o.pnl != null);
+  const wins = closed.filter(o => o.pnl > 0).map(o => o.pnl);
+  const losses = closed.filter(o => o.pnl < 0).map(o => o.pnl);
+  const grossWin = wins.reduce((sum, p) => sum + p, 0);
+  const grossLoss = losses.reduce((sum, p) => sum + p, 0);
+  return {
+    trades: closed.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: closed.length ? r2(wins.length / closed.length * 100) : null,
+    avgWin: wins.length ? r2(grossWin / wins.length) : null,
+    avgLoss: losses.length ? r2(grossLoss / losses.length) : null,
+    profitFactor: grossLoss ? r2(grossWin / -grossLoss) : null,
+  };
+}
+
+/** Gross value per group, largest first, with its share of the total in percent. */
+function allocate(items, groupOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const name = groupOf(item);
+    groups.set(name, (groups.get(name) || 0) + Math.abs(item.value));
+  }
+  const total = [...groups.values()].reduce((sum, v) => sum + v, 0);
+  return [...groups.entries()]
+    .map(([name, value]) => ({ name, value: r2(value), weight: total ? r2(value / total * 100) : 0 }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Allocation and beta of what is held.
+ * @param {Array<{ symbol: string, quantity: number, ltp: number }>} items signed quantities
+ * @param {(symbol: string) => { sector?: string, marketCap?: number, beta?: number }|null} infoOf
+ */
+export function exposure(items, infoOf) {
+  const valued = items.map(({ symbol, quantity, ltp }) => {
+    const info = infoOf(symbol) || {};
+    return {
+      symbol,
+      value: quantity * ltp,
+      sector: info.sector || 'Other',
+      band: marketCapBand(info.marketCap),
+      beta: info.beta ?? 1,
+    };
+  });
+
+  const net = valued.reduce((sum, i) => sum + i.value, 0);
+  const betaWeighted = valued.reduce((sum, i) => sum + i.value * i.beta, 0);
+  return {
+    gross: r2(valued.reduce((sum, i) => sum + Math.abs(i.value), 0)),
+    net: r2(net),
+    betaWeighted: r2(betaWeighted),
+    beta: net ? r2(betaWeighted / net) : null,
+    sectors: allocate(valued, i => i.sector),
+    marketCaps: allocate(valued, i => i.band),
+  };
+}
+
+/**
+ * What the account holds at last traded price (`ltpOf`, falling back to
+ * cost) and what it is worth.
+ * @returns {{ items: Array<{ symbol, quantity, avgPrice, ltp }>, holdingsValue: number,
+ *   positionsValue: number, unrealisedPnL: number, equity: number }}
+ *   items have signed quantities; positionsValue is negative for shorts
+ */
+export function valueAccount({ account, holdings, positions, ltpOf }) {
+  const items = [
+    ...holdings.map(h => ({ symbol: h.symbol, quantity: h.quantity, avgPrice: h.avgPrice, holding: true })),
+    ...positions.map(p => ({ symbol: p.symbol, quantity: p.side === 'BUY' ? p.quantity : -p.quantity, avgPrice: p.avgPrice })),
+  ]
+    .filter(i => i.quantity !== 0)
+    .map(i => ({ ...i, ltp: ltpOf(i.symbol) ?? i.avgPrice }));
+
+  const sum = (list, fn) => list.reduce((total, i) => total + fn(i), 0);
+  const unrealisedPnL = sum(items, i => (i.ltp - i.avgPrice) * i.quantity);
+  return {
+    items,
+    holdingsValue: r2(sum(items.filter(i => i.holding), i => i.ltp * i.quantity)),
+    positionsValue: r2(sum(items.filter(i => !i.holding), i => i.ltp * i.quantity)),
+    unrealisedPnL: r2(unrealisedPnL),
+    equity: r2(account.balance + account.usedMargin + unrealisedPnL),
+  };
+}
+
+/**
+ * Funds put in since the last reset — the opening or reset balance plus
+ * deposits, less withdrawals.
+ * @returns {{ since: number|null, netDeposits: number }} since is when the account last (re)started
+ */
+export function fundsSinceReset(ledger) {
+  let since = null;
+  let netDeposits = 0;
+  for (const entry of ledger) {
+    if (entry.type === 'OPENING' || entry.type === 'RESET') {
+      since = entry.at;
+      netDeposits = entry.balance;
+    } else if (FUND_TYPES.includes(entry.type)) {
+      netDeposits += entry.credit - entry.debit;
+    }
+  }
+  return { since, netDeposits: r2(netDeposits) };
+}
+
+/**
+ * Everything the analytics view shows.
+ * @param {Object} input
+ * @param {Object} input.account
+ * @param {Array<Object>} input.ledger every ledger entry, oldest first
+ * @param {Array<Object>} input.orders
+ * @param {Array<Object>} input.holdings
+ * @param {Array<Object>} input.positions open positions
+ * @param {(symbol: string) => number|null} input.ltpOf
+ * @param {(symbol: string) => { sector, marketCap, beta }|null} input.infoOf
+ */
+export function buildPortfolioAnalytics({ account, ledger, orders, holdings, positions, ltpOf, infoOf, now = Date.now() }) {
+  const { items, equity } = valueAccount({ account, holdings, positions, ltpOf });
+  const { points, flows } = equityCurve(ledger, equity, now);
+
+  // One point per IST day is plenty to chart
+  const daily = new Map();
+  for (const point of points) daily.set(istDateKey(new Date(point.at)), point);
+  const rate = xirr(flows);
+
+  return {
+    equity,
+    exposure: exposure(items, infoOf),
+    xirr: rate == null ? null : r2(rate * 100),
+    drawdown: maxDrawdown(points),
+    equityCurve: [...daily.entries()].map(([date, { equity: value, pnl }]) => ({ date, equity: value, pnl })),
+    trades: tradeStats(orders),
+  };
+}
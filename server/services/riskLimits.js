@@ -0,0 +1,191 @@
+/**
+ * RiskLimits — Per-account pre-trade risk rules and the daily-loss kill switch.
+ *
+ * Each account can set (a null limit is no limit):
+ *   maxDailyLoss          loss for the IST day at which the kill switch trips
+ *   maxOpenPositions      open positions the account may hold at once
+ *   maxOrderValue         value of a single order, at its expected fill
+ *   maxQuantityPerSymbol  shares held in one symbol on one side — open
+ *                         positions plus, for buys, settled holdings
+ *   allowedProducts       products orders may use (CNC, MIS)
+ *   squareOffOnKill       close MIS positions when the kill switch trips
+ *
+ * Orders that only reduce what the account holds — delivery sells, and
+ * intraday sells against an open intraday buy — are exits: they pass the
+ * position, quantity and kill-switch rules, so risk can always be cut.
+ *
+ * The day's P&L is the realised P&L and charges posted to the ledger today
+ * plus the unrealised P&L of open positions. Once its loss reaches the
+ * limit the kill switch is set for the rest of the day (OrderEngine), and
+ * survives resets and limit changes: until the next IST day only exits are
+ * accepted.
+ *
+ * A tradebook import is held to the product and per-symbol quantity rules,
+ * and refused while the kill switch is on (checkImportRisk).
+ */
+
+import { istDateKey } from '../utils/marketTime.js';
+
+export const RISK_PRODUCTS = ['CNC', 'MIS'];
+
+const AMOUNT_LIMITS = ['maxDailyLoss', 'maxOrderValue'];
+const COUNT_LIMITS = ['maxOpenPositions', 'maxQuantityPerSymbol'];
+
+const r2 = (n) => Math.round(n * 100) / 100;
+const fmt = (n) => `₹${n.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const killSwitchMessage = (killSwitch) =>
+  `Kill switch is on: today's loss of ${fmt(killSwitch.loss)} reached the ${fmt(killSwitch.limit)} limit.`;
+
+/**
+ * Check a (partial) update of an account's limits.
+ * @param {Object} input fields to change; omitted fields are left as they are
+ * @returns {{ limits: Object }|{ error: string }} limits holds only the fields given
+ */
+export function validateRiskLimits(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Risk limits must be an object' };
+  const limits = {};
+  for (const key of AMOUNT_LIMITS) {
+    if (!(key in input)) continue;
+    const value = input[key];
+    if (value !== null && !(typeof value === 'number' && value > 0 && value <= 1e10)) {
+      return { error: `${key} must be a positive amount or null` };
+    }
+    limits[key] = value === null ? null : r2(value);
+  }
+  for (const key of COUNT_LIMITS) {
+    if (!(key in input)) continue;
+    const value = input[key];
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      return { error: `${key} must be a positive whole number or null` };
+    }
+    limits[key] = value;
+  }
+  if ('allowedProducts' in input) {
+    const products = input.allowedProducts;
+    if (!Array.isArray(products) || products.length === 0 || products.some(p => !RISK_PRODUCTS.includes(p))) {
+      return { error: `allowedProducts must list at least one of ${RISK_PRODUCTS.join(', ')}` };
+    }
+    limits.allowedProducts = RISK_PRODUCTS.filter(p => products.includes(p));
+  }
+  if ('squareOffOnKill' in input) {
+    if (typeof input.squareOffOnKill !== 'boolean') return { error: 'squareOffOnKill must be true or false' };
+    limits.squareOffOnKill = input.squareOffOnKill;
+  }
+  return { limits };
+}
+
+/** Whether the kill switch was set today (IST). */
+export function isKillSwitchOn(killSwitch, today = istDateKey()) {
+  return Boolean(killSwitch) && killSwitch.date === today;
+}
+
+/**
+ * P&L of the IST day: today's realised P&L and charges from the ledger
+ * (newest first) and open positions marked at `ltpOf`, falling back to cost.
+ * @returns {{ realised: number, unrealised: number, total: number }}
+ */
+export function dayPnL({ ledger, positions, ltpOf, today = istDateKey() }) {
+  let realised = 0;
+  for (const entry of ledger) {
+    if (istDateKey(new Date(entry.at)) < today) break;
+    if (entry.type === 'PNL' || entry.type === 'CHARGES') realised += entry.credit - entry.debit;
+  }
+  const unrealised = positions.reduce((sum, p) => {
+    const ltp = ltpOf(p.symbol) ?? p.avgPrice;
+    return sum + (p.side === 'BUY' ? ltp - p.avgPrice : p.avgPrice - ltp) * p.quantity;
+  }, 0);
+  return { realised: r2(realised), unrealised: r2(unrealised), total: r2(realised + unrealised) };
+}
+
+/**
+ * Whether an order only reduces what the account holds: a delivery sell,
+ * or an intraday sell an open intraday buy covers (see executeOrder).
+ */
+export function isExit({ side, product, quantity, symbol }, positions) {
+  if (side !== 'SELL') return false;
+  if (product === 'CNC') return true;
+  return positions.some(p => p.symbol === symbol && p.side === 'BUY' && p.product === product &&
+    !p.parentOrderId && p.quantity >= quantity);
+}
+
+/**
+ * Check an order against the account's limits and kill switch.
+ * @param {Object} input
+ * @param {{ symbol, side, quantity, product, value, bracket?: boolean }} input.order
+ *   product after any CNC → MIS switch; value at the expected fill
+ * @param {Object} input.limits the account's limits
+ * @param {Object|null} input.killSwitch
+ * @param {Array<Object>} input.positions open positions
+ * @param {Array<Object>} input.holdings
+ * @returns {string|null} why the order is rejected, or null if it passes
+ */
+export function checkOrderRisk({ order, limits, killSwitch, positions, holdings, today = istDateKey() }) {
+  const { symbol, side, quantity, product, value, bracket = false } = order;
+
+  if (!limits.allowedProducts.includes(product)) {
+    return `${product} orders are not allowed on this account (risk limits allow ${limits.allowedProducts.join(', ')})`;
+  }
+  if (!bracket && isExit(order, positions)) return null;
+
+  if (isKillSwitchOn(killSwitch, today)) {
+    return `${killSwitchMessage(killSwitch)} Only exits are allowed until tomorrow.`;
+  }
+  if (limits.maxOrderValue != null && value > limits.maxOrderValue) {
+    return `Order value ${fmt(r2(value))} is over the ${fmt(limits.maxOrderValue)} limit per order`;
+  }
+
+  // A buy averages into an open buy of the same product (delivery: bought today)
+  const averages = !bracket && side === 'BUY' && positions.some(p => p.symbol === symbol && p.side === 'BUY' &&
+    p.product === product && !p.parentOrderId && (product !== 'CNC' || p.tradeDate === today));
+  if (limits.maxOpenPositions != null && !averages && positions.length >= limits.maxOpenPositions) {
+    return `Already ${positions.length} open position${positions.length === 1 ? '' : 's'} — the limit is ${limits.maxOpenPositions}`;
+  }
+
+  if (limits.maxQuantityPerSymbol != null) {
+    const held = positions
+      .filter(p => p.symbol === symbol && p.side === side)
+      .reduce((sum, p) => sum + p.quantity, 0)
+      + (side === 'BUY' ? holdings.find(h => h.symbol === symbol)?.quantity || 0 : 0);
+    if (held + quantity > limits.maxQuantityPerSymbol) {
+      return `${held + quantity} ${symbol} would be over the ${limits.maxQuantityPerSymbol} share limit per symbol${held ? ` (${held} already held)` : ''}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a planned tradebook import (planImport) against the account's
+ * limits: rows of a product the limits do not allow are rejected, and so
+ * are a symbol's delivery rows if the shares they leave, added to the
+ * holding, are over the per-symbol limit. Re-plan without the rejected rows.
+ * @param {{ trades: Array<Object>, holdings: Array<Object> }} plan
+ * @param {Object} input
+ * @param {Object} input.limits the account's limits
+ * @param {Object|null} input.killSwitch
+ * @param {Array<Object>} input.holdings the account's holdings
+ * @returns {{ error: string }|{ rejected: Array<{ row: number, error: string }> }}
+ */
+export function checkImportRisk({ trades, holdings: imported }, { limits, killSwitch, holdings, today = istDateKey() }) {
+  if (isKillSwitchOn(killSwitch, today)) {
+    return { error: `${killSwitchMessage(killSwitch)} Tradebooks can be imported again tomorrow.` };
+  }
+
+  const overLimit = new Map();
+  if (limits.maxQuantityPerSymbol != null) {
+    for (const h of imported) {
+      const total = h.quantity + (holdings.find(held => held.symbol === h.symbol)?.quantity || 0);
+      if (total > limits.maxQuantityPerSymbol) overLimit.set(h.symbol, total);
+    }
+  }
+
+  const rejected = [];
+  for (const t of trades) {
+    if (!limits.allowedProducts.includes(t.product)) {
+      rejected.push({ row: t.row, error: `${t.product} trades are not allowed on this account (risk limits allow ${limits.allowedProducts.join(', ')})` });
+    } else if (t.product === 'CNC' && overLimit.has(t.symbol)) {
+      rejected.push({ row: t.row, error: `Would leave ${overLimit.get(t.symbol)} ${t.symbol} held, over the ${limits.maxQuantityPerSymbol} share limit per symbol` });
+    }
+  }
+  return { rejected };
+}
@@ -11,6 +11,10 @@
  *   orderbook    — Order book snapshot for subscribed symbol
  *   trades       — Recent trades for subscribed symbol
  *   candle       — New candle for live chart streaming
+ *   trading:update — Fill / trigger on the authenticated user's account
+ *
+ * Clients that pass their JWT as `auth.token` in the handshake join a
+ * private `user:{id}` room used for account events.
  *
  * Events (Client → Server):
  *   subscribe    — { symbol } — join a symbol room
@@ -18,6 +22,8 @@
  */
 
 import { Server } from 'socket.io';
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET } from '../middleware/authMiddleware.js';
 
 export default class SocketManager {
   /**
@@ -49,6 +55,17 @@ export default class SocketManager {
     this.io.on('connection', (socket) => {
       console.log(`🔌 Client connected: ${socket.id}`);
 
+      // Join the private account room when a valid token is supplied
+      const token = socket.handshake.auth?.token;
+      if (token) {
+        try {
+          const user = jwt.verify(token, JWT_SECRET);
+          socket.join(`user:${user.id}`);
+        } catch {
+          // Invalid token — market data only
+        }
+      }
+
       // Subscribe to a symbol's room
       socket.on('subscribe', ({ symbol }) => {
         if (!symbol) return;
@@ -148,6 +165,11 @@ export default class SocketManager {
     });
   }
 
+  /** Send an event to every socket of one user */
+  emitToUser(userId, event, payload) {
+    this.io.to(`user:${userId}`).emit(event, payload);
+  }
+
   /** Get count of connected clients */
   getConnectionCount() {
     return this.io.engine?.clientsCount || 0;
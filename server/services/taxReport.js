@@ -0,0 +1,256 @@
+/**
+ * TaxReport — Capital gains tax P&L built from an account's trade history.
+ *
+ * Every fill is replayed in time order into FIFO lots kept per product and
+ * symbol. A sell is matched against the oldest open buy lots and each match
+ * becomes one row of the report:
+ *   STCG         delivery (CNC) shares held 12 months or less
+ *   LTCG         delivery shares held more than 12 months. Shares bought on
+ *                or before 31 Jan 2018 are grandfathered: their cost is the
+ *                higher of what was paid and that day's price (capped at the
+ *                sale price), from data/grandfathering.json
+ *   SPECULATIVE  intraday (MIS) trades, speculative business income; short
+ *                sells are matched against the buys that cover them
+ * MIS ↔ CNC conversions move lots between products, keeping their purchase
+ * date and price. Splits rescale lots; bonus shares are a new lot at zero
+ * cost acquired on the record date. A delivery sell with no lot to match
+ * (shares from before the history starts) is listed as unmatched.
+ *
+ * Rows are grouped by the financial year (April–March, IST) of the trade
+ * that closed them. Gains are before charges; each row carries its share of
+ * both trades' charges.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { istDateKey } from '../utils/marketTime.js';
+import { recordTime } from './corporateActions.js';
+import { orderFills } from './orderExecution.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GRANDFATHERING_PATH = path.join(__dirname, '..', 'data', 'grandfathering.json');
+
+export const TAX_CATEGORIES = ['STCG', 'LTCG', 'SPECULATIVE'];
+
+const r2 = (n) => Math.round(n * 100) / 100;
+// Quantities left after matching fractional bonus/split lots
+const EPSILON = 1e-6;
+
+let grandfathering = null;
+
+/** Grandfathering date and prices, loaded from data/grandfathering.json on first use. */
+export function getGrandfathering() {
+  if (!grandfathering) {
+    grandfathering = JSON.parse(fs.readFileSync(GRANDFATHERING_PATH, 'utf-8'));
+  }
+  return grandfathering;
+}
+
+/** Financial year of an IST date key: '2026-10-19' → '2026-27'. */
+export function financialYear(dateKey) {
+  const [year, month] = dateKey.split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/** Held more than 12 months: sold after the anniversary of the purchase. */
+export function isLongTerm(buyDate, sellDate) {
+  const anniversary = `${Number(buyDate.slice(0, 4)) + 1}${buyDate.slice(4)}`;
+  return sellDate > anniversary;
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86_400_000);
+
+/**
+ * Build the tax P&L report.
+ * @param {Array<Object>} orders the account's orders
+ * @param {Array<{ symbol: string, type: 'SPLIT'|'BONUS', ratio: number[], recordDate: string }>} [adjustments]
+ *   splits and bonuses applied to the account
+ * @returns {{ years: Array<{ fy: string, summary: Object, trades: Array<Object>, unmatched: Array<Object> }> }}
+ *   newest year first
+ */
+export function buildTaxReport(orders, adjustments = []) {
+  const { date: gfDate, prices: gfPrices } = getGrandfathering();
+
+  const events = [];
+  for (const order of orders) {
+    if (order.type === 'CONVERSION') {
+      events.push({ kind: 'convert', at: order.executedAt || order.timestamp, order });
+    } else {
+      for (const fill of orderFills(order)) {
+        const trade = {
+          symbol: order.symbol, side: order.side, product: order.product,
+          at: fill.at, price: fill.price, quantity: fill.quantity, charges: fill.charges?.total || 0,
+        };
+        events.push({ kind: 'trade', at: trade.at, trade });
+      }
+    }
+  }
+  for (const action of adjustments) events.push({ kind: 'adjust', at: recordTime(action), action });
+  // Adjustments take effect before the record date's trades
+  const rank = { adjust: 0, trade: 1, convert: 1 };
+  events.sort((a, b) => a.at - b.at || rank[a.kind] - rank[b.kind]);
+
+  const books = { CNC: new Map(), MIS: new Map() };
+  const lotsOf = (product, symbol) => {
+    const book = books[product] || books.CNC;
+    if (!book.has(symbol)) book.set(symbol, []);
+    return book.get(symbol);
+  };
+
+  const years = new Map();
+  const yearOf = (dateKey) => {
+    const fy = financialYear(dateKey);
+    if (!years.has(fy)) years.set(fy, { fy, trades: [], unmatched: [] });
+    return years.get(fy);
+  };
+
+  const match = (lot, trade, quantity) => {
+    const [buy, sell] = lot.side === 'BUY'
+      ? [{ date: lot.date, price: lot.price }, { date: istDateKey(new Date(trade.at)), price: trade.price }]
+      : [{ date: istDateKey(new Date(trade.at)), price: trade.price }, { date: lot.date, price: lot.price }];
+    const closeDate = istDateKey(new Date(trade.at));
+
+    let category = 'SPECULATIVE';
+    let costPrice = buy.price;
+    let fmv = null;
+    if (trade.product !== 'MIS') {
+      category = isLongTerm(buy.date, sell.date) ? 'LTCG' : 'STCG';
+      if (category === 'LTCG' && buy.date <= gfDate && gfPrices[trade.symbol] != null) {
+        fmv = gfPrices[trade.symbol];
+        costPrice = Math.max(buy.price, Math.min(fmv, sell.price));
+      }
+    }
+
+    const cost = costPrice * quantity;
+    const saleValue = sell.price * quantity;
+    yearOf(closeDate).trades.push({
+      symbol: trade.symbol,
+      category,
+      quantity: Math.round(quantity * 10000) / 10000,
+      buyDate: buy.date,
+      sellDate: sell.date,
+      buyPrice: r2(buy.price),
+      sellPrice: r2(sell.price),
+      fmv,
+      cost: r2(cost),
+      saleValue: r2(saleValue),
+      charges: r2((lot.chargesPerShare + trade.charges / trade.quantity) * quantity),
+      gain: r2(saleValue - cost),
+      holdingDays: daysBetween(buy.date, sell.date),
+    });
+  };
+
+  for (const event of events) {
+    if (event.kind === 'adjust') {
+      const { action } = event;
+      for (const book of Object.values(books)) {
+        const lots = book.get(action.symbol);
+        if (!lots) continue;
+        if (action.type === 'SPLIT') {
+          const factor = action.ratio[1] / action.ratio[0];
+          for (const lot of lots) {
+            lot.quantity *= factor;
+            lot.price /= factor;
+            lot.chargesPerShare /= factor;
+          }
+        } else {
+          // Whole shares, as credited to holdings
+          const held = lots.filter(l => l.side === 'BUY').reduce((sum, l) => sum + l.quantity, 0);
+          const bonus = Math.floor(held * action.ratio[0] / action.ratio[1] + 1e-9);
+          if (bonus > 0) {
+            lots.push({ side: 'BUY', quantity: bonus, price: 0, date: action.recordDate, chargesPerShare: 0 });
+          }
+        }
+      }
+    } else if (event.kind === 'convert') {
+      // Move the converted quantity, oldest lots first, to the new product
+      const { order } = event;
+      const from = lotsOf(order.convertedFrom, order.symbol);
+      const to = lotsOf(order.product, order.symbol);
+      let remaining = order.quantity;
+      while (remaining > EPSILON) {
+        const idx = from.findIndex(l => l.side === order.side);
+        if (idx === -1) break;
+        const lot = from[idx];
+        const moved = Math.min(lot.quantity, remaining);
+        to.push({ ...lot, quantity: moved });
+        lot.quantity -= moved;
+        if (lot.quantity <= EPSILON) from.splice(idx, 1);
+        remaining -= moved;
+      }
+    } else {
+      const { trade } = event;
+      const lots = lotsOf(trade.product, trade.symbol);
+      let remaining = trade.quantity;
+      while (remaining > EPSILON && lots.length > 0 && lots[0].side !== trade.side) {
+        const lot = lots[0];
+        const quantity = Math.min(lot.quantity, remaining);
+        match(lot, trade, quantity);
+        lot.quantity -= quantity;
+        if (lot.quantity <= EPSILON) lots.shift();
+        remaining -= quantity;
+      }
+      if (remaining <= EPSILON) continue;
+
+      if (trade.side === 'SELL' && trade.product !== 'MIS') {
+        const date = istDateKey(new Date(trade.at));
+        yearOf(date).unmatched.push({
+          symbol: trade.symbol, quantity: remaining, sellDate: date,
+          sellPrice: r2(trade.price), saleValue: r2(trade.price * remaining),
+        });
+      } else {
+        lots.push({
+          side: trade.side,
+          quantity: remaining,
+          price: trade.price,
+          date: istDateKey(new Date(trade.at)),
+          chargesPerShare: trade.charges / trade.quantity,
+        });
+      }
+    }
+  }
+
+  return {
+    years: [...years.values()]
+      .sort((a, b) => b.fy.localeCompare(a.fy))
+      .map(year => ({ ...year, summary: summarise(year) })),
+  };
+}
+
+/** Gains per category and total charges of one financial year. */
+function summarise({ trades, unmatched }) {
+  const summary = { stcg: 0, ltcg: 0, speculative: 0, charges: 0, trades: trades.length, unmatched: unmatched.length };
+  for (const row of trades) {
+    summary[row.category.toLowerCase()] += row.gain;
+    summary.charges += row.charges;
+  }
+  for (const key of ['stcg', 'ltcg', 'speculative', 'charges']) summary[key] = r2(summary[key]);
+  return summary;
+}
+
+const CSV_COLUMNS = [
+  ['Financial Year', 'fy'], ['Category', 'category'], ['Symbol', 'symbol'], ['Quantity', 'quantity'],
+  ['Buy Date', 'buyDate'], ['Sell Date', 'sellDate'], ['Holding Days', 'holdingDays'],
+  ['Buy Price', 'buyPrice'], ['Sell Price', 'sellPrice'], ['FMV 31-Jan-2018', 'fmv'],
+  ['Cost of Acquisition', 'cost'], ['Sale Value', 'saleValue'], ['Gain', 'gain'], ['Charges', 'charges'],
+];
+
+/** The report's rows as CSV, one line per matched lot; unmatched sells last with no gain. */
+export function taxReportCsv(report) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  for (const year of report.years) {
+    for (const row of year.trades) {
+      lines.push(CSV_COLUMNS.map(([, key]) => (key === 'fy' ? `FY ${year.fy}` : row[key] ?? '')).join(','));
+    }
+    for (const row of year.unmatched) {
+      lines.push(CSV_COLUMNS.map(([, key]) => {
+        if (key === 'fy') return `FY ${year.fy}`;
+        if (key === 'category') return 'UNMATCHED';
+        return row[key] ?? '';
+      }).join(','));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,275 @@
+/**
+ * Tradebook — Broker-style tradebook CSV export and import.
+ *
+ * The layout follows the equity tradebook downloads of Indian brokers
+ * (Zerodha Console's columns), one row per fill:
+ *   symbol, isin, trade_date, exchange, segment, series, trade_type,
+ *   auction, quantity, price, trade_id, order_id, order_execution_time
+ * Symbols are written without their exchange suffix; execution times are IST.
+ *
+ * An import rebuilds the trades of a tradebook into the account: every
+ * accepted row becomes an executed order with its original time, the net
+ * shares bought become holdings (averaged into any already held) and sells
+ * book realised P&L. Tradebooks carry no product, so a symbol's trades on a
+ * day that nets to zero are taken as intraday (MIS) and the rest as
+ * delivery (CNC); delivery sells must be covered by earlier delivery buys
+ * in the same file. Only trades from before today are imported, since
+ * they have settled. Rows are rejected individually, with the reason.
+ * Imported orders are marked `imported`: they were not traded here, so no
+ * contract note is issued for them.
+ */
+
+import {
+  getAccount, updateAccount, nextOrderId, insertOrder, updateOrder, addOrderFill,
+  getHolding, saveHolding,
+} from './tradingDB.js';
+import { orderFills } from './orderExecution.js';
+import { emptyCharges } from './chargesEngine.js';
+import { csvField, splitCSVLine } from '../utils/csv.js';
+import { istDateKey, isTradingDay } from '../utils/marketTime.js';
+import { sanitizeSymbol, ensureExchangeSuffix } from '../utils/sanitize.js';
+
+export const TRADEBOOK_COLUMNS = [
+  'symbol', 'isin', 'trade_date', 'exchange', 'segment', 'series', 'trade_type',
+  'auction', 'quantity', 'price', 'trade_id', 'order_id', 'order_execution_time',
+];
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+/** IST wall-clock time of `at` as 'YYYY-MM-DDTHH:MM:SS'. */
+function istTimestamp(at) {
+  const date = new Date(at);
+  const time = date.toLocaleTimeString('en-GB', { timeZone: 'Asia/Kolkata', hour12: false });
+  return `${istDateKey(date)}T${time}`;
+}
+
+/** Every fill in `orders` as a tradebook record, oldest first. */
+function tradebookRecords(orders) {
+  const rows = [];
+  for (const order of orders) {
+    orderFills(order).forEach((fill, i) => rows.push({ order, fill, seq: i + 1 }));
+  }
+  rows.sort((a, b) => a.fill.at - b.fill.at || a.order.id - b.order.id);
+
+  return rows.map(({ order, fill, seq }) => ({
+    symbol: order.symbol.replace(/\.(NS|BO)$/, ''),
+    isin: '',
+    trade_date: istDateKey(new Date(fill.at)),
+    exchange: order.symbol.endsWith('.BO') ? 'BSE' : 'NSE',
+    segment: 'EQ',
+    series: 'EQ',
+    trade_type: order.side.toLowerCase(),
+    auction: 'false',
+    quantity: fill.quantity,
+    price: r2(fill.price),
+    trade_id: order.importedTradeId || `${order.id}${String(seq).padStart(2, '0')}`,
+    order_id: order.id,
+    order_execution_time: istTimestamp(fill.at),
+  }));
+}
+
+/**
+ * The account's trades as tradebook CSV.
+ * @param {Array<Object>} orders
+ * @returns {string}
+ */
+export function exportTradebook(orders) {
+  const lines = [TRADEBOOK_COLUMNS.join(',')];
+  for (const record of tradebookRecords(orders)) {
+    lines.push(TRADEBOOK_COLUMNS.map(col => csvField(record[col])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/** Trade ids already in the account, so re-importing an export is caught. */
+export function knownTradeIds(orders) {
+  return new Set(tradebookRecords(orders).map(record => String(record.trade_id)));
+}
+
+/**
+ * Parse and check tradebook rows. `isKnownSymbol` says whether a symbol
+ * (with exchange suffix) can be traded.
+ * @returns {{ trades?: Array<Object>, rejected?: Array<{ row: number, error: string }>, error?: string }}
+ *   row numbers count the header as row 1, as a spreadsheet would; `error`
+ *   when the file as a whole cannot be read
+ */
+export function parseTradebook(text, { isKnownSymbol, today = istDateKey(), importedIds = new Set() }) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (lines.filter(line => line.trim()).length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `A tradebook can have at most ${MAX_IMPORT_ROWS} rows` };
+  }
+  const header = splitCSVLine(lines[0] || '').map(h => h.toLowerCase());
+  const missing = ['symbol', 'trade_date', 'trade_type', 'quantity', 'price'].filter(col => !header.includes(col));
+  if (missing.length) return { error: `Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` };
+
+  const trades = [];
+  const rejected = [];
+  const seenIds = new Set();
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const row = i + 1;
+    const fields = splitCSVLine(lines[i]);
+    const get = (col) => fields[header.indexOf(col)] ?? '';
+    const reject = (error) => rejected.push({ row, error });
+
+    const exchange = get('exchange').toUpperCase();
+    const base = sanitizeSymbol(get('symbol'));
+    const symbol = base && ensureExchangeSuffix(exchange === 'BSE' && !/\.(NS|BO)$/.test(base) ? `${base}.BO` : base);
+    if (!symbol || !isKnownSymbol(symbol)) { reject(`Unknown symbol "${get('symbol')}"`); continue; }
+
+    const side = get('trade_type').toUpperCase();
+    if (side !== 'BUY' && side !== 'SELL') { reject(`Trade type must be buy or sell, not "${get('trade_type')}"`); continue; }
+
+    const date = get('trade_date');
+    const noon = new Date(`${date}T12:00:00+05:30`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(noon) || istDateKey(noon) !== date) {
+      reject(`Trade date "${date}" is not a date (YYYY-MM-DD)`);
+      continue;
+    }
+    if (date >= today) { reject('Only trades from before today can be imported'); continue; }
+    if (!isTradingDay(noon)) { reject(`${date} is not a trading day`); continue; }
+
+    const quantity = Number(get('quantity'));
+    const price = Number(get('price'));
+    if (!Number.isInteger(quantity) || quantity <= 0) { reject('Quantity must be a positive whole number'); continue; }
+    if (!(price > 0)) { reject('Price must be positive'); continue; }
+
+    // Execution time on the trade date, else the open
+    const time = (get('order_execution_time').match(/[T ](\d{2}:\d{2}(:\d{2})?)/) || [])[1];
+    const at = new Date(`${date}T${time || '09:15:00'}+05:30`).getTime();
+
+    const tradeId = get('trade_id') || null;
+    if (tradeId && (importedIds.has(tradeId) || seenIds.has(tradeId))) {
+      reject(`Trade ${tradeId} has already been imported`);
+      continue;
+    }
+    if (tradeId) seenIds.add(tradeId);
+
+    trades.push({ row, symbol, side, quantity, price, date, at, tradeId });
+  }
+  return { trades, rejected };
+}
+
+/**
+ * Work out what importing `trades` does: each trade's product, the
+ * realised P&L of sells and intraday round trips, and the delivery shares
+ * left over per symbol. Delivery sells beyond the shares bought before them
+ * are rejected.
+ * @returns {{ trades: Array<Object>, rejected: Array<Object>, holdings: Array<{ symbol, quantity, cost }>, realised: number }}
+ */
+export function planImport(parsed) {
+  const netByDay = new Map();
+  for (const t of parsed) {
+    const key = `${t.symbol}|${t.date}`;
+    netByDay.set(key, (netByDay.get(key) || 0) + (t.side === 'BUY' ? t.quantity : -t.quantity));
+  }
+
+  const ordered = [...parsed].sort((a, b) => a.at - b.at || a.row - b.row);
+  const lots = new Map();
+  const trades = [];
+  const rejected = [];
+  let realised = 0;
+
+  for (const t of ordered) {
+    const product = netByDay.get(`${t.symbol}|${t.date}`) === 0 ? 'MIS' : 'CNC';
+    const key = `${product}|${t.symbol}${product === 'MIS' ? `|${t.date}` : ''}`;
+    if (!lots.has(key)) lots.set(key, []);
+    const queue = lots.get(key);
+
+    if (product === 'CNC' && t.side === 'SELL') {
+      const held = queue.reduce((sum, lot) => sum + lot.quantity, 0);
+      if (held < t.quantity) {
+        rejected.push({ row: t.row, error: `Sells ${t.quantity} ${t.symbol} but only ${held} bought before it in the file` });
+        continue;
+      }
+    }
+
+    // FIFO against lots on the other side; what is left opens a lot
+    let remaining = t.quantity;
+    let pnl = 0;
+    while (remaining > 0 && queue.length > 0 && queue[0].side !== t.side) {
+      const lot = queue[0];
+      const quantity = Math.min(lot.quantity, remaining);
+      pnl += (t.side === 'SELL' ? t.price - lot.price : lot.price - t.price) * quantity;
+      lot.quantity -= quantity;
+      remaining -= quantity;
+      if (lot.quantity === 0) queue.shift();
+    }
+    if (remaining > 0) queue.push({ side: t.side, quantity: remaining, price: t.price });
+
+    realised += pnl;
+    trades.push({ ...t, product, pnl: remaining < t.quantity ? r2(pnl) : null });
+  }
+
+  const holdings = [];
+  for (const [key, queue] of lots) {
+    if (!key.startsWith('CNC|')) continue;
+    const quantity = queue.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (quantity > 0) {
+      holdings.push({ symbol: key.slice(4), quantity, cost: r2(queue.reduce((sum, lot) => sum + lot.quantity * lot.price, 0)) });
+    }
+  }
+  return { trades, rejected, holdings, realised: r2(realised) };
+}
+
+/**
+ * Whether the balance covers what a planned import costs: its holdings at
+ * cost less the P&L it realises.
+ * @returns {string|null} error message, or null if it does
+ */
+export function checkImportFunds({ holdings, realised }, balance) {
+  const cost = r2(holdings.reduce((sum, h) => sum + h.cost, 0));
+  if (cost - realised <= balance) return null;
+  return `Holdings cost ₹${cost.toLocaleString('en-IN')}; the balance of ₹${r2(balance).toLocaleString('en-IN')} does not cover it`;
+}
+
+/**
+ * Book a planned import into the account: orders for the trades, holdings
+ * for what is left, and the cash — holdings at cost out, realised P&L in.
+ * Imported trades are not charged; tradebooks do not carry charges.
+ * @returns {{ orders: number, holdings: number }}
+ */
+export function applyImport(userId, { trades, holdings, realised }) {
+  for (const t of trades) {
+    const id = nextOrderId(userId);
+    insertOrder(userId, {
+      id,
+      symbol: t.symbol,
+      side: t.side,
+      quantity: t.quantity,
+      price: t.price,
+      type: 'MARKET',
+      product: t.product,
+      status: 'EXECUTED',
+      timestamp: t.at,
+      executedAt: t.at,
+      note: `Imported from tradebook${t.tradeId ? ` (trade ${t.tradeId})` : ''}`,
+      imported: true,
+      importedTradeId: t.tradeId,
+    });
+    addOrderFill(userId, id, { price: t.price, quantity: t.quantity, at: t.at, charges: emptyCharges() });
+    updateOrder(userId, id, { charges: emptyCharges(), pnl: t.pnl });
+  }
+
+  let cost = 0;
+  for (const h of holdings) {
+    const held = getHolding(userId, h.symbol);
+    const quantity = (held?.quantity || 0) + h.quantity;
+    const value = (held ? held.avgPrice * held.quantity : 0) + h.cost;
+    saveHolding(userId, { symbol: h.symbol, quantity, avgPrice: r2(value / quantity) });
+    cost += h.cost;
+  }
+
+  const acc = getAccount(userId);
+  updateAccount(userId, {
+    balance: acc.balance - cost + realised,
+    usedMargin: acc.usedMargin + cost,
+    realisedPnL: acc.realisedPnL + realised,
+  }, [
+    { type: 'TRADE', amount: -cost, description: 'Tradebook import: holdings at cost' },
+    { type: 'PNL', amount: realised, description: 'Tradebook import: realised P&L' },
+  ]);
+  return { orders: trades.length, holdings: holdings.length };
+}
@@ -1,38 +1,110 @@
 /**
  * TradingDB — JSON-file-backed trading persistence layer.
  *
- * Stores account, positions, and orders in a JSON file for cross-platform
- * compatibility. No native modules required.
+ * Stores one trading book (account, positions, holdings, orders) per user in a JSON
+ * file for cross-platform compatibility. No native modules required.
+ *
+ * Every helper takes the owning user's ID as its first argument. Books are
+ * created on first use, so a user who signed up before per-user accounts
+ * existed still gets a fresh ₹10L account on their first request.
+ *
+ * `positions` are intraday (MIS) trades and delivery (CNC) buys awaiting
+ * T+1 settlement; `holdings` are settled delivery shares, one per symbol.
+ * `marginEvents` is the record of margin calls and liquidations. `gtts` are
+ * good-till-triggered orders: stored triggers, not yet orders. `baskets` are
+ * named, ordered lists of order legs saved for placing together.
+ * `corporateActionEvents` records the dividends, splits and bonuses applied
+ * to the account.
+ *
+ * `ledger` is the append-only funds statement: every change to the balance
+ * is posted as one or more entries (type, references, debit/credit, running
+ * balance) by updateAccount, and it survives account resets. So do
+ * `contractNotes`, the per-session records of fills and charges issued
+ * after each close, and `snapshots`, the account's value at each close.
+ * `risk` holds the account's risk limits and its kill switch — kept across
+ * resets too, so a reset does not lift a kill switch set today.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getAuthDB, findFirstAdmin } from './authDB.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DB_PATH = path.join(__dirname, '..', 'data', 'trading.json');
+const DB_PATH = process.env.TRADING_DB_PATH || path.join(__dirname, '..', 'data', 'trading.json');
 
 const DEFAULT_ACCOUNT = {
   balance: 1000000,
   usedMargin: 0,
   realisedPnL: 0,
+  chargesPaid: 0,
+  marginCallAt: null,
   orderIdCounter: 1,
+  gttIdCounter: 1,
+  basketIdCounter: 1,
 };
 
-let data = { account: { ...DEFAULT_ACCOUNT }, positions: [], orders: [] };
+// Risk limits of a new account: everything allowed (see riskLimits.js)
+export const DEFAULT_RISK_LIMITS = {
+  maxDailyLoss: null,
+  maxOpenPositions: null,
+  maxOrderValue: null,
+  maxQuantityPerSymbol: null,
+  allowedProducts: ['CNC', 'MIS'],
+  squareOffOnKill: false,
+};
+
+export const LEDGER_TYPES = [
+  'OPENING', 'FUNDS_ADDED', 'WITHDRAWAL', 'TRADE', 'PNL', 'CHARGES', 'CONVERSION', 'DIVIDEND', 'RESET', 'ADJUSTMENT',
+];
+
+const r2 = (n) => Math.round(n * 100) / 100;
+
+function emptyBook(ledger = [openingEntry(DEFAULT_ACCOUNT.balance, 'Account opened')], contractNotes = [], snapshots = [], risk = emptyRisk()) {
+  return {
+    account: { ...DEFAULT_ACCOUNT },
+    positions: [], holdings: [], orders: [], marginEvents: [], gtts: [], baskets: [], corporateActionEvents: [],
+    ledger, contractNotes, snapshots, risk,
+  };
+}
+
+function emptyRisk() {
+  return { limits: { ...DEFAULT_RISK_LIMITS }, killSwitch: null };
+}
+
+function openingEntry(balance, description) {
+  return {
+    id: 1, at: Date.now(), type: 'OPENING', description, orderId: null, positionId: null,
+    debit: 0, credit: r2(balance), balance: r2(balance),
+  };
+}
+
+// accounts: userId → book. legacy: the pre-multi-user single book, kept until
+// the first admin's book adopts it. scheduler: job name → IST date it last ran.
+let data = { accounts: {}, legacy: null, scheduler: {} };
 let initialized = false;
+let legacyKeptLogged = false;
 
 function loadDB() {
   try {
     if (fs.existsSync(DB_PATH)) {
       const raw = fs.readFileSync(DB_PATH, 'utf-8');
       const parsed = JSON.parse(raw);
-      data.account = parsed.account || { ...DEFAULT_ACCOUNT };
-      data.positions = parsed.positions || [];
-      data.orders = parsed.orders || [];
+      if (parsed.accounts) {
+        data.accounts = parsed.accounts;
+        data.legacy = parsed.legacy || null;
+        data.scheduler = parsed.scheduler || {};
+      } else if (parsed.account) {
+        // Old single-account layout — hold on to it for migration
+        data.legacy = {
+          account: parsed.account,
+          positions: parsed.positions || [],
+          orders: parsed.orders || [],
+        };
+      }
     }
   } catch {
-    data = { account: { ...DEFAULT_ACCOUNT }, positions: [], orders: [] };
+    data = { accounts: {}, legacy: null, scheduler: {} };
   }
 }
 
@@ -46,58 +118,190 @@ function saveDB() {
   }
 }
 
+/** Whether a book is as signup left it: no orders, GTTs or baskets, and only the opening credit. */
+function isUntouched(b) {
+  return b.orders.length === 0 && !b.gtts?.length && !b.baskets?.length &&
+    (!b.ledger || (b.ledger.length === 1 && b.ledger[0].type === 'OPENING'));
+}
+
+/**
+ * Give the legacy single-account book to `userId` if that is the first
+ * admin and their book is missing or untouched — an admin signs up as a
+ * user and is promoted later, so their book usually exists by then. The
+ * untouched book's risk limits are kept. Runs whenever a book is opened.
+ */
+function migrateLegacy(userId) {
+  if (!data.legacy) return;
+  getAuthDB();
+  const admin = findFirstAdmin();
+  if (!admin || admin.id !== Number(userId)) return;
+  const existing = data.accounts[userId];
+  if (existing && !isUntouched(existing)) {
+    if (!legacyKeptLogged) {
+      console.warn(`💰 Legacy trading data kept: admin "${admin.username}" has already traded on their own account`);
+      legacyKeptLogged = true;
+    }
+    return;
+  }
+  data.accounts[userId] = existing ? { ...data.legacy, risk: existing.risk } : data.legacy;
+  data.legacy = null;
+  saveDB();
+  console.log(`💰 Migrated legacy trading account to admin "${admin.username}"`);
+}
+
 export function getDB() {
   if (!initialized) {
     loadDB();
     initialized = true;
-    console.log('💰 Trading DB loaded');
+    console.log(`💰 Trading DB loaded (${Object.keys(data.accounts).length} accounts)`);
+    if (data.legacy) console.log('💰 Legacy trading data will move to the first admin\'s account if it has not traded yet');
   }
   return { ready: true };
 }
 
-// ── Account helpers ──
+/** Get (creating if needed) the book for a user. */
+function book(userId) {
+  getDB();
+  migrateLegacy(userId);
+  if (!data.accounts[userId]) {
+    data.accounts[userId] = emptyBook();
+    saveDB();
+  }
+  // Books created before holdings / margin events / GTTs / baskets /
+  // corporate action events / contract notes / snapshots / risk limits existed
+  if (!data.accounts[userId].holdings) data.accounts[userId].holdings = [];
+  if (!data.accounts[userId].marginEvents) data.accounts[userId].marginEvents = [];
+  if (!data.accounts[userId].gtts) data.accounts[userId].gtts = [];
+  if (!data.accounts[userId].baskets) data.accounts[userId].baskets = [];
+  if (!data.accounts[userId].corporateActionEvents) data.accounts[userId].corporateActionEvents = [];
+  if (!data.accounts[userId].contractNotes) data.accounts[userId].contractNotes = [];
+  if (!data.accounts[userId].snapshots) data.accounts[userId].snapshots = [];
+  if (!data.accounts[userId].risk) data.accounts[userId].risk = emptyRisk();
+  if (!data.accounts[userId].ledger) {
+    data.accounts[userId].ledger = [openingEntry(data.accounts[userId].account.balance, 'Balance brought forward')];
+  }
+  return data.accounts[userId];
+}
 
-export function getAccount() {
+/** IDs of every user that has a trading account. */
+export function getAccountIds() {
   getDB();
-  return { ...data.account };
+  return Object.keys(data.accounts).map(Number);
 }
 
-export function updateAccount(fields) {
+/**
+ * Create the trading account for a newly registered user.
+ * Safe to call for a user who already has one.
+ */
+export function createTradingAccount(userId) {
+  book(userId);
+}
+
+// ── Scheduled jobs ──
+
+/** IST date (YYYY-MM-DD) a scheduled job last ran, or null. */
+export function getJobLastRun(name) {
   getDB();
-  if (fields.balance !== undefined) data.account.balance = fields.balance;
-  if (fields.usedMargin !== undefined) data.account.usedMargin = fields.usedMargin;
-  if (fields.realisedPnL !== undefined) data.account.realisedPnL = fields.realisedPnL;
-  if (fields.orderIdCounter !== undefined) data.account.orderIdCounter = fields.orderIdCounter;
+  return data.scheduler[name] ?? null;
+}
+
+export function setJobLastRun(name, date) {
+  getDB();
+  data.scheduler[name] = date;
+  saveDB();
+}
+
+// ── Account helpers ──
+
+export function getAccount(userId) {
+  return { ...DEFAULT_ACCOUNT, ...book(userId).account };
+}
+
+/**
+ * Update account fields. A balance change is posted to the ledger as the
+ * given entries — `{ type, amount, description?, orderId?, positionId? }`
+ * with `amount` signed, credit positive — and whatever part of the change
+ * they do not account for as an ADJUSTMENT. A balance or amount that is not
+ * a finite number throws before anything changes.
+ * @param {Object|Array<Object>} [ledger]
+ */
+export function updateAccount(userId, fields, ledger = []) {
+  const userBook = book(userId);
+  const { account } = userBook;
+  if (fields.balance !== undefined) {
+    postLedger(userBook.ledger, account.balance, fields.balance, [].concat(ledger));
+    account.balance = fields.balance;
+  }
+  if (fields.usedMargin !== undefined) account.usedMargin = fields.usedMargin;
+  if (fields.realisedPnL !== undefined) account.realisedPnL = fields.realisedPnL;
+  if (fields.chargesPaid !== undefined) account.chargesPaid = fields.chargesPaid;
+  if (fields.marginCallAt !== undefined) account.marginCallAt = fields.marginCallAt;
+  if (fields.orderIdCounter !== undefined) account.orderIdCounter = fields.orderIdCounter;
+  if (fields.gttIdCounter !== undefined) account.gttIdCounter = fields.gttIdCounter;
+  if (fields.basketIdCounter !== undefined) account.basketIdCounter = fields.basketIdCounter;
   saveDB();
 }
 
-export function nextOrderId() {
-  const acc = getAccount();
+const isAmount = (n) => typeof n === 'number' && Number.isFinite(n);
+
+/**
+ * Append `entries` for a balance moving `from` → `to`, with running balances.
+ * Throws, posting nothing, if the new balance or an amount is not a number.
+ */
+function postLedger(ledger, from, to, entries) {
+  if (!isAmount(to)) throw new Error(`Balance must be a number, got ${JSON.stringify(to)}`);
+  const bad = entries.find(e => !isAmount(e.amount));
+  if (bad) throw new Error(`Ledger ${bad.type} amount must be a number, got ${JSON.stringify(bad.amount)}`);
+  let running = from;
+  const post = ({ type, amount, description = null, orderId = null, positionId = null }) => {
+    running += amount;
+    ledger.push({
+      id: ledger.length + 1,
+      at: Date.now(),
+      type, description, orderId, positionId,
+      debit: amount < 0 ? r2(-amount) : 0,
+      credit: amount > 0 ? r2(amount) : 0,
+      balance: r2(running),
+    });
+  };
+  for (const entry of entries) {
+    if (Math.abs(entry.amount) >= 0.005) post(entry);
+  }
+  if (Math.abs(to - running) >= 0.005) post({ type: 'ADJUSTMENT', amount: to - running });
+}
+
+/**
+ * A page of the ledger, newest first, optionally of one entry type.
+ * @returns {{ entries: Array<Object>, total: number }}
+ */
+export function getLedger(userId, { page = 1, limit = 50, type = null } = {}) {
+  const entries = book(userId).ledger.filter(e => !type || e.type === type).reverse();
+  return { entries: entries.slice((page - 1) * limit, page * limit), total: entries.length };
+}
+
+export function nextOrderId(userId) {
+  const acc = getAccount(userId);
   const id = acc.orderIdCounter;
-  updateAccount({ orderIdCounter: id + 1 });
+  updateAccount(userId, { orderIdCounter: id + 1 });
   return id;
 }
 
 // ── Positions ──
 
-export function getOpenPositions() {
-  getDB();
-  return data.positions.filter(p => p.status === 'OPEN');
+export function getOpenPositions(userId) {
+  return book(userId).positions.filter(p => p.status === 'OPEN');
 }
 
-export function getAllPositions() {
-  getDB();
-  return [...data.positions].reverse().slice(0, 200);
+export function getAllPositions(userId) {
+  return [...book(userId).positions].reverse().slice(0, 200);
 }
 
-export function getPositionById(id) {
-  getDB();
-  return data.positions.find(p => p.id === id) || null;
+export function getPositionById(userId, id) {
+  return book(userId).positions.find(p => p.id === id) || null;
 }
 
-export function insertPosition(pos) {
-  getDB();
-  data.positions.push({
+export function insertPosition(userId, pos) {
+  book(userId).positions.push({
     id: pos.id,
     symbol: pos.symbol,
     side: pos.side,
@@ -106,6 +310,12 @@ export function insertPosition(pos) {
     product: pos.product,
     stopLoss: pos.stopLoss || null,
     target: pos.target || null,
+    trailType: pos.trailType || null,
+    trailValue: pos.trailValue || null,
+    leverage: pos.leverage || null,
+    tradeDate: pos.tradeDate || null,
+    settlementDate: pos.settlementDate || null,
+    parentOrderId: pos.parentOrderId || null,
     status: pos.status || 'OPEN',
     openedAt: pos.openedAt || Date.now(),
     closedAt: null,
@@ -114,75 +324,357 @@ export function insertPosition(pos) {
   saveDB();
 }
 
-export function updatePosition(id, fields) {
-  getDB();
-  const pos = data.positions.find(p => p.id === id);
+export function updatePosition(userId, id, fields) {
+  const pos = book(userId).positions.find(p => p.id === id);
   if (!pos) return;
   if (fields.quantity !== undefined) pos.quantity = fields.quantity;
   if (fields.avgPrice !== undefined) pos.avgPrice = fields.avgPrice;
   if (fields.stopLoss !== undefined) pos.stopLoss = fields.stopLoss;
   if (fields.target !== undefined) pos.target = fields.target;
+  if (fields.trailType !== undefined) pos.trailType = fields.trailType;
+  if (fields.trailValue !== undefined) pos.trailValue = fields.trailValue;
+  if (fields.product !== undefined) pos.product = fields.product;
+  if (fields.leverage !== undefined) pos.leverage = fields.leverage;
+  if (fields.tradeDate !== undefined) pos.tradeDate = fields.tradeDate;
+  if (fields.settlementDate !== undefined) pos.settlementDate = fields.settlementDate;
   if (fields.status !== undefined) pos.status = fields.status;
   if (fields.closedAt !== undefined) pos.closedAt = fields.closedAt;
   if (fields.exitPrice !== undefined) pos.exitPrice = fields.exitPrice;
   saveDB();
 }
 
+// ── Holdings ──
+
+export function getHoldings(userId) {
+  return book(userId).holdings.filter(h => h.quantity > 0);
+}
+
+export function getHolding(userId, symbol) {
+  return book(userId).holdings.find(h => h.symbol === symbol && h.quantity > 0) || null;
+}
+
+/**
+ * Create or update the holding for `symbol`. A quantity of 0 removes it.
+ */
+export function saveHolding(userId, { symbol, quantity, avgPrice }) {
+  const { holdings } = book(userId);
+  const idx = holdings.findIndex(h => h.symbol === symbol);
+  if (quantity <= 0) {
+    if (idx !== -1) holdings.splice(idx, 1);
+  } else if (idx === -1) {
+    holdings.push({ symbol, quantity, avgPrice, updatedAt: Date.now() });
+  } else {
+    Object.assign(holdings[idx], { quantity, avgPrice, updatedAt: Date.now() });
+  }
+  saveDB();
+}
+
+// ── Margin events ──
+
+/** Margin calls and liquidations, newest first. */
+export function getMarginEvents(userId, limit = 50) {
+  return [...book(userId).marginEvents].reverse().slice(0, limit);
+}
+
+export function insertMarginEvent(userId, event) {
+  book(userId).marginEvents.push({ ...event, at: event.at || Date.now() });
+  saveDB();
+}
+
+// ── Corporate action events ──
+
+/** Dividends credited and splits/bonuses applied to the account, newest first. */
+export function getCorporateActionEvents(userId, limit = 50) {
+  return [...book(userId).corporateActionEvents].reverse().slice(0, limit);
+}
+
+export function insertCorporateActionEvent(userId, event) {
+  book(userId).corporateActionEvents.push({ ...event, at: event.at || Date.now() });
+  saveDB();
+}
+
+// ── Contract notes ──
+
+/** Contract notes issued to the account, newest session first. */
+export function getContractNotes(userId) {
+  return [...book(userId).contractNotes].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+export function getContractNote(userId, date) {
+  return book(userId).contractNotes.find(n => n.date === date) || null;
+}
+
+/**
+ * Store the contract note of a session, numbered in issue order.
+ * @returns {Object} the stored note
+ */
+export function insertContractNote(userId, note) {
+  const notes = book(userId).contractNotes;
+  const stored = { id: notes.length + 1, ...note, generatedAt: Date.now() };
+  notes.push(stored);
+  saveDB();
+  return stored;
+}
+
+// ── End-of-day snapshots ──
+
+/** Daily snapshots, oldest first, optionally between two dates (inclusive). */
+export function getSnapshots(userId, { from = null, to = null } = {}) {
+  return book(userId).snapshots.filter(s => (!from || s.date >= from) && (!to || s.date <= to));
+}
+
+/** Store the snapshot of `snapshot.date`, replacing one already taken that day. */
+export function saveSnapshot(userId, snapshot) {
+  const snapshots = book(userId).snapshots;
+  const idx = snapshots.findIndex(s => s.date === snapshot.date);
+  if (idx === -1) snapshots.push(snapshot);
+  else snapshots[idx] = snapshot;
+  snapshots.sort((a, b) => a.date.localeCompare(b.date));
+  saveDB();
+}
+
+// ── Risk limits ──
+
+export function getRiskLimits(userId) {
+  return { ...DEFAULT_RISK_LIMITS, ...book(userId).risk.limits };
+}
+
+/**
+ * Change some of the account's risk limits.
+ * @returns {Object} all of the limits after the change
+ */
+export function saveRiskLimits(userId, fields) {
+  const risk = book(userId).risk;
+  risk.limits = { ...risk.limits, ...fields };
+  saveDB();
+  return getRiskLimits(userId);
+}
+
+/** The last kill switch set: `{ date, at, loss, limit }`, or null if never. */
+export function getKillSwitch(userId) {
+  return book(userId).risk.killSwitch;
+}
+
+export function setKillSwitch(userId, killSwitch) {
+  book(userId).risk.killSwitch = killSwitch;
+  saveDB();
+}
+
 // ── Orders ──
 
-export function getOpenOrders() {
-  getDB();
-  return data.orders.filter(o => o.status === 'OPEN');
+const WORKING_STATUSES = ['OPEN', 'TRIGGER_PENDING', 'PARTIALLY_FILLED'];
+
+/**
+ * Working orders: resting limits (OPEN), untriggered stops (TRIGGER_PENDING)
+ * and limits with part of their quantity still to fill (PARTIALLY_FILLED).
+ */
+export function getOpenOrders(userId) {
+  return book(userId).orders.filter(o => WORKING_STATUSES.includes(o.status));
 }
 
-export function getExecutedOrders(limit = 50) {
-  getDB();
-  return data.orders
-    .filter(o => o.status === 'EXECUTED')
+/**
+ * Fully executed orders, cancelled ones that had filled in part, and DAY
+ * orders that expired at the close.
+ */
+export function getExecutedOrders(userId, limit = 50) {
+  return book(userId).orders
+    .filter(o => o.status === 'EXECUTED' || o.status === 'EXPIRED' || (o.status === 'CANCELLED' && o.filledQuantity > 0))
     .reverse()
     .slice(0, limit);
 }
 
-export function getAllOrders(limit = 200) {
-  getDB();
-  return [...data.orders].reverse().slice(0, limit);
+export function getAllOrders(userId, limit = 200) {
+  return [...book(userId).orders].reverse().slice(0, limit);
 }
 
-export function insertOrder(order) {
-  getDB();
-  data.orders.push({
+export function getOrderById(userId, id) {
+  return book(userId).orders.find(o => o.id === id) || null;
+}
+
+export function insertOrder(userId, order) {
+  book(userId).orders.push({
     id: order.id,
     symbol: order.symbol,
     side: order.side,
     quantity: order.quantity,
     price: order.price,
+    limitPrice: order.limitPrice || null,
+    triggerPrice: order.triggerPrice || null,
     type: order.type,
     product: order.product,
+    variety: order.variety || 'REGULAR',
+    parentId: order.parentId || null,
+    legType: order.legType || null,
     stopLoss: order.stopLoss || null,
     target: order.target || null,
+    trailType: order.trailType || null,
+    trailValue: order.trailValue || null,
+    validity: order.validity || 'DAY',
+    btst: order.btst || false,
+    convertedFrom: order.convertedFrom || null,
+    gttId: order.gttId || null,
     status: order.status,
     timestamp: order.timestamp || Date.now(),
+    triggeredAt: order.triggeredAt || null,
     executedAt: order.executedAt || null,
     note: order.note || null,
+    filledQuantity: 0,
+    avgFillPrice: null,
+    fills: [],
+    charges: null,
+    pnl: null,
+    modifications: [],
+    ...(order.imported ? { imported: true, importedTradeId: order.importedTradeId ?? null } : {}),
   });
   saveDB();
 }
 
-export function updateOrder(id, fields) {
-  getDB();
-  const order = data.orders.find(o => o.id === id);
+export function updateOrder(userId, id, fields) {
+  const order = book(userId).orders.find(o => o.id === id);
   if (!order) return;
   if (fields.status !== undefined) order.status = fields.status;
+  if (fields.quantity !== undefined) order.quantity = fields.quantity;
+  if (fields.price !== undefined) order.price = fields.price;
+  if (fields.limitPrice !== undefined) order.limitPrice = fields.limitPrice;
+  if (fields.triggerPrice !== undefined) order.triggerPrice = fields.triggerPrice;
+  if (fields.triggeredAt !== undefined) order.triggeredAt = fields.triggeredAt;
   if (fields.executedAt !== undefined) order.executedAt = fields.executedAt;
   if (fields.note !== undefined) order.note = fields.note;
+  if (fields.charges !== undefined) order.charges = fields.charges;
+  if (fields.pnl !== undefined) order.pnl = fields.pnl;
   saveDB();
 }
 
+/**
+ * Append an entry to an order's modification audit trail.
+ * @param {{ at: number, changes: Object<string, { from: *, to: * }> }} entry
+ */
+export function addOrderModification(userId, id, entry) {
+  const order = book(userId).orders.find(o => o.id === id);
+  if (!order) return;
+  if (!order.modifications) order.modifications = [];
+  order.modifications.push(entry);
+  saveDB();
+}
+
+/**
+ * Record one execution against an order and roll it into the order's
+ * filled quantity and volume-weighted average fill price.
+ * @param {{ price: number, quantity: number, at: number, charges?: Object }} fill
+ */
+export function addOrderFill(userId, id, fill) {
+  const order = book(userId).orders.find(o => o.id === id);
+  if (!order) return;
+  if (!order.fills) order.fills = [];
+  order.fills.push(fill);
+  const value = order.fills.reduce((sum, f) => sum + f.price * f.quantity, 0);
+  order.filledQuantity = order.fills.reduce((sum, f) => sum + f.quantity, 0);
+  order.avgFillPrice = Math.round(value / order.filledQuantity * 100) / 100;
+  saveDB();
+}
+
+// ── GTT (good-till-triggered) ──
+
+/** Every GTT, newest first. */
+export function getGtts(userId) {
+  return [...book(userId).gtts].reverse();
+}
+
+/** GTTs still waiting for their trigger. */
+export function getActiveGtts(userId) {
+  return book(userId).gtts.filter(g => g.status === 'ACTIVE');
+}
+
+export function nextGttId(userId) {
+  const acc = getAccount(userId);
+  const id = acc.gttIdCounter;
+  updateAccount(userId, { gttIdCounter: id + 1 });
+  return id;
+}
+
+export function insertGtt(userId, gtt) {
+  book(userId).gtts.push({
+    id: gtt.id,
+    symbol: gtt.symbol,
+    side: gtt.side,
+    quantity: gtt.quantity,
+    product: gtt.product,
+    triggerPrice: gtt.triggerPrice,
+    limitPrice: gtt.limitPrice,
+    direction: gtt.direction,
+    status: 'ACTIVE',
+    createdAt: gtt.createdAt || Date.now(),
+    expiresAt: gtt.expiresAt,
+    triggeredAt: null,
+    orderId: null,
+    note: null,
+  });
+  saveDB();
+}
+
+export function updateGtt(userId, id, fields) {
+  const gtt = book(userId).gtts.find(g => g.id === id);
+  if (!gtt) return;
+  if (fields.status !== undefined) gtt.status = fields.status;
+  if (fields.triggeredAt !== undefined) gtt.triggeredAt = fields.triggeredAt;
+  if (fields.orderId !== undefined) gtt.orderId = fields.orderId;
+  if (fields.note !== undefined) gtt.note = fields.note;
+  saveDB();
+}
+
+// ── Baskets ──
+
+export function getBaskets(userId) {
+  return book(userId).baskets;
+}
+
+export function getBasket(userId, id) {
+  return book(userId).baskets.find(b => b.id === id) || null;
+}
+
+/** Create a basket; `legs` keep the order they are placed in. */
+export function insertBasket(userId, { name, legs }) {
+  const acc = getAccount(userId);
+  const id = acc.basketIdCounter;
+  updateAccount(userId, { basketIdCounter: id + 1 });
+  const now = Date.now();
+  const basket = { id, name, legs, createdAt: now, updatedAt: now, lastExecutedAt: null };
+  book(userId).baskets.push(basket);
+  saveDB();
+  return basket;
+}
+
+export function updateBasket(userId, id, fields) {
+  const basket = book(userId).baskets.find(b => b.id === id);
+  if (!basket) return null;
+  if (fields.name !== undefined) basket.name = fields.name;
+  if (fields.legs !== undefined) basket.legs = fields.legs;
+  if (fields.name !== undefined || fields.legs !== undefined) basket.updatedAt = Date.now();
+  if (fields.lastExecutedAt !== undefined) basket.lastExecutedAt = fields.lastExecutedAt;
+  saveDB();
+  return basket;
+}
+
+export function deleteBasket(userId, id) {
+  const { baskets } = book(userId);
+  const idx = baskets.findIndex(b => b.id === id);
+  if (idx === -1) return false;
+  baskets.splice(idx, 1);
+  saveDB();
+  return true;
+}
+
 // ── Reset ──
 
-export function resetAccount() {
-  data.account = { ...DEFAULT_ACCOUNT };
-  data.positions = [];
-  data.orders = [];
+/**
+ * Start the account over with the default balance; its ledger, contract
+ * notes, snapshots and risk limits are kept.
+ */
+export function resetAccount(userId) {
+  const { account, ledger, contractNotes, snapshots, risk } = book(userId);
+  postLedger(ledger, account.balance, DEFAULT_ACCOUNT.balance, [
+    { type: 'RESET', amount: DEFAULT_ACCOUNT.balance - account.balance, description: 'Account reset' },
+  ]);
+  data.accounts[userId] = emptyBook(ledger, contractNotes, snapshots, risk);
   saveDB();
 }
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { calculateCharges, addCharges, emptyCharges } from '../services/chargesEngine.js';
+
+describe('calculateCharges', () => {
+  it('charges delivery trades STT both ways, stamp duty on buys and no brokerage', () => {
+    expect(calculateCharges({ symbol: 'TCS.NS', side: 'BUY', product: 'CNC', price: 3800, quantity: 10 })).toEqual({
+      brokerage: 0, stt: 38, exchangeTxn: 1.13, sebiFee: 0.04, stampDuty: 5.7, gst: 0.21, total: 45.08,
+    });
+    expect(calculateCharges({ symbol: 'TCS.NS', side: 'SELL', product: 'CNC', price: 3800, quantity: 10 })).toEqual({
+      brokerage: 0, stt: 38, exchangeTxn: 1.13, sebiFee: 0.04, stampDuty: 0, gst: 0.21, total: 39.38,
+    });
+  });
+
+  it('charges intraday brokerage on turnover, and STT on sells only', () => {
+    expect(calculateCharges({ symbol: 'ITC.NS', side: 'BUY', product: 'MIS', price: 400, quantity: 100 })).toEqual({
+      brokerage: 12, stt: 0, exchangeTxn: 1.19, sebiFee: 0.04, stampDuty: 1.2, gst: 2.38, total: 16.81,
+    });
+    expect(calculateCharges({ symbol: 'ITC.NS', side: 'SELL', product: 'MIS', price: 400, quantity: 1000 })).toEqual({
+      brokerage: 20, stt: 100, exchangeTxn: 11.88, sebiFee: 0.4, stampDuty: 0, gst: 5.81, total: 138.09,
+    });
+  });
+
+  it('caps brokerage per order across its fills', () => {
+    const fill = { symbol: 'ITC.NS', side: 'BUY', product: 'MIS', price: 400, quantity: 100 };
+    expect(calculateCharges(fill, 15).brokerage).toBe(5);
+    expect(calculateCharges(fill, 20).brokerage).toBe(0);
+  });
+
+  it('uses the BSE exchange rate for .BO symbols', () => {
+    expect(calculateCharges({ symbol: 'ITC.BO', side: 'BUY', product: 'CNC', price: 400, quantity: 100 })).toMatchObject({
+      exchangeTxn: 1.5, gst: 0.28, total: 47.82,
+    });
+  });
+});
+
+describe('addCharges', () => {
+  it('sums each component, treating a missing breakdown as zero', () => {
+    const a = calculateCharges({ symbol: 'TCS.NS', side: 'BUY', product: 'CNC', price: 3800, quantity: 10 });
+    expect(addCharges(a, a)).toEqual({ brokerage: 0, stt: 76, exchangeTxn: 2.26, sebiFee: 0.08, stampDuty: 11.4, gst: 0.42, total: 90.16 });
+    expect(addCharges(null, a)).toEqual(a);
+    expect(addCharges(emptyCharges(), undefined)).toEqual(emptyCharges());
+  });
+});
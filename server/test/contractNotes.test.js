@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sessionDate, isSessionClosed, pendingSessions, buildContractNote, renderContractNote,
+} from '../services/contractNotes.js';
+
+const at = (date, time) => Date.parse(`${date}T${time}:00+05:30`);
+const charges = (total, brokerage = 0, stt = 0) => ({ brokerage, stt, exchangeTxn: 0, sebiFee: 0, stampDuty: 0, gst: 0, total });
+
+// 2026-10-19 is a Monday
+const orders = [
+  {
+    id: 1, symbol: 'TCS.NS', side: 'BUY', product: 'CNC', type: 'MARKET', status: 'EXECUTED',
+    fills: [
+      { price: 3800, quantity: 2, at: at('2026-10-19', '10:00'), charges: charges(1.5, 0, 1.5) },
+      { price: 3801, quantity: 1, at: at('2026-10-19', '10:00'), charges: charges(0.76, 0, 0.76) },
+    ],
+  },
+  {
+    id: 2, symbol: 'ITC.NS', side: 'BUY', product: 'MIS', type: 'LIMIT', status: 'EXECUTED',
+    fills: [{ price: 400, quantity: 10, at: at('2026-10-19', '11:00'), charges: charges(20.5, 20) }],
+  },
+  {
+    id: 3, symbol: 'ITC.NS', side: 'SELL', product: 'MIS', type: 'MARKET', status: 'EXECUTED',
+    fills: [{ price: 410, quantity: 10, at: at('2026-10-19', '14:00'), charges: charges(21.5, 20, 1) }],
+  },
+  // After the close: the next session's
+  {
+    id: 4, symbol: 'ITC.NS', side: 'BUY', product: 'CNC', type: 'MARKET', status: 'EXECUTED',
+    fills: [{ price: 405, quantity: 1, at: at('2026-10-19', '15:45'), charges: charges(0.4) }],
+  },
+];
+
+describe('sessionDate / isSessionClosed', () => {
+  it('puts fills after the close and on holidays in the next session', () => {
+    expect(sessionDate(at('2026-10-19', '15:29'))).toBe('2026-10-19');
+    expect(sessionDate(at('2026-10-19', '15:30'))).toBe('2026-10-20');
+    expect(sessionDate(at('2026-10-24', '11:00'))).toBe('2026-10-26');
+  });
+
+  it('closes a session at 15:30 IST', () => {
+    expect(isSessionClosed('2026-10-19', new Date(at('2026-10-19', '15:29')))).toBe(false);
+    expect(isSessionClosed('2026-10-19', new Date(at('2026-10-19', '15:30')))).toBe(true);
+  });
+});
+
+describe('pendingSessions', () => {
+  it('lists closed sessions with fills that have no note yet', () => {
+    const now = new Date(at('2026-10-20', '16:00'));
+    expect(pendingSessions(orders, new Set(), now)).toEqual(['2026-10-19', '2026-10-20']);
+    expect(pendingSessions(orders, new Set(['2026-10-19']), now)).toEqual(['2026-10-20']);
+    expect(pendingSessions(orders, new Set(), new Date(at('2026-10-20', '12:00')))).toEqual(['2026-10-19']);
+  });
+
+  it('skips orders imported from a tradebook', () => {
+    const imported = {
+      id: 9, symbol: 'TCS.NS', side: 'BUY', product: 'CNC', type: 'MARKET', status: 'EXECUTED', imported: true,
+      fills: [{ price: 3700, quantity: 1, at: at('2026-10-12', '10:00'), charges: charges(0) }],
+    };
+    expect(pendingSessions([imported], new Set(), new Date(at('2026-10-20', '16:00')))).toEqual([]);
+    expect(buildContractNote([imported], '2026-10-12')).toBeNull();
+  });
+});
+
+describe('buildContractNote', () => {
+  const note = buildContractNote(orders, '2026-10-19');
+
+  it('lists every fill of the session in time order with its charges', () => {
+    expect(note.trades.map(t => [t.orderId, t.quantity, t.price, t.value, t.charges.total, t.net])).toEqual([
+      [1, 2, 3800, 7600, 1.5, -7601.5],
+      [1, 1, 3801, 3801, 0.76, -3801.76],
+      [2, 10, 400, 4000, 20.5, -4020.5],
+      [3, 10, 410, 4100, 21.5, 4078.5],
+    ]);
+  });
+
+  it('nets buys and sells per security', () => {
+    expect(note.securities).toEqual([
+      { symbol: 'ITC.NS', buyQuantity: 10, buyValue: 4000, sellQuantity: 10, sellValue: 4100, netQuantity: 0, charges: 42, net: 58 },
+      { symbol: 'TCS.NS', buyQuantity: 3, buyValue: 11401, sellQuantity: 0, sellValue: 0, netQuantity: 3, charges: 2.26, net: -11403.26 },
+    ]);
+  });
+
+  it('totals values, each charge and the net obligation', () => {
+    expect(note.totals).toEqual({
+      buyValue: 15401,
+      sellValue: 4100,
+      charges: { brokerage: 40, stt: 3.26, exchangeTxn: 0, sebiFee: 0, stampDuty: 0, gst: 0, total: 44.26 },
+      netObligation: -11345.26,
+    });
+  });
+
+  it('is null for a session without fills', () => {
+    expect(buildContractNote(orders, '2026-10-21')).toBeNull();
+  });
+});
+
+describe('renderContractNote', () => {
+  const note = { id: 7, ...buildContractNote(orders, '2026-10-19') };
+
+  it('renders the fills, the per-security summary and what the client pays', () => {
+    const html = renderContractNote(note, { client: 'Asha <a@b.c>' });
+    expect(html).toContain('<title>Contract note 7 — 2026-10-19</title>');
+    expect((html.match(/<tr>/g) || []).length).toBe(1 + 4 + 1 + 1 + 2);
+    expect(html).toContain('Obligation by security');
+    expect(html).toContain('Net amount payable by client: ₹11,345.26');
+    expect(html).toContain('Asha &lt;a@b.c&gt;');
+    expect(html).not.toContain('@page');
+  });
+
+  it('lays the printable version out for A4 paper', () => {
+    expect(renderContractNote(note, { client: 'x', print: true })).toContain('@page { size: A4 landscape');
+  });
+
+  it('still renders notes issued without a per-security summary', () => {
+    const { securities, ...old } = note;
+    expect(securities).toHaveLength(2);
+    expect(renderContractNote(old, { client: 'x' })).not.toContain('Obligation by security');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { getAccount, updateAccount, getLedger, resetAccount } from '../services/tradingDB.js';
+
+const entries = (userId) => getLedger(userId, { limit: 100 }).entries
+  .map(({ type, debit, credit, balance, orderId }) => ({ type, debit, credit, balance, orderId }));
+
+describe('ledger posting', () => {
+  it('opens a new account with its starting balance', () => {
+    expect(getAccount(1).balance).toBe(1000000);
+    expect(entries(1)).toEqual([{ type: 'OPENING', debit: 0, credit: 1000000, balance: 1000000, orderId: null }]);
+  });
+
+  it('posts each entry with a running balance, newest first', () => {
+    updateAccount(2, { balance: 1000000 - 3800 - 20.25 }, [
+      { type: 'TRADE', amount: -3800, orderId: 7 },
+      { type: 'CHARGES', amount: -20.25, orderId: 7 },
+    ]);
+    expect(getAccount(2).balance).toBe(996179.75);
+    expect(entries(2).slice(0, 2)).toEqual([
+      { type: 'CHARGES', debit: 20.25, credit: 0, balance: 996179.75, orderId: 7 },
+      { type: 'TRADE', debit: 3800, credit: 0, balance: 996200, orderId: 7 },
+    ]);
+  });
+
+  it('posts what the entries do not account for as an adjustment, and skips zero amounts', () => {
+    updateAccount(3, { balance: 1000100 }, [{ type: 'PNL', amount: 0.004 }, { type: 'FUNDS_ADDED', amount: 99.5 }]);
+    expect(entries(3).slice(0, 2)).toEqual([
+      { type: 'ADJUSTMENT', debit: 0, credit: 0.5, balance: 1000100, orderId: null },
+      { type: 'FUNDS_ADDED', debit: 0, credit: 99.5, balance: 1000099.5, orderId: null },
+    ]);
+  });
+
+  it('rejects amounts and balances that are not numbers, changing nothing', () => {
+    const before = getAccount(7).balance;
+    expect(() => updateAccount(7, { balance: before + 500 }, { type: 'FUNDS_ADDED', amount: '500' }))
+      .toThrow('Ledger FUNDS_ADDED amount must be a number, got "500"');
+    expect(() => updateAccount(7, { balance: `${before}500` }, { type: 'FUNDS_ADDED', amount: 500 }))
+      .toThrow(/^Balance must be a number/);
+    expect(getAccount(7).balance).toBe(before);
+    expect(entries(7)).toHaveLength(1);
+  });
+
+  it('leaves the ledger alone when the balance does not change', () => {
+    updateAccount(4, { usedMargin: 500 });
+    expect(entries(4)).toHaveLength(1);
+  });
+
+  it('pages and filters by type', () => {
+    for (const amount of [100, 200, 300]) {
+      updateAccount(5, { balance: getAccount(5).balance + amount }, { type: 'FUNDS_ADDED', amount });
+    }
+    updateAccount(5, { balance: getAccount(5).balance - 50 }, { type: 'WITHDRAWAL', amount: -50 });
+
+    const page = getLedger(5, { page: 2, limit: 2 });
+    expect(page.total).toBe(5);
+    expect(page.entries.map(e => [e.type, e.balance])).toEqual([['FUNDS_ADDED', 1000300], ['FUNDS_ADDED', 1000100]]);
+    expect(getLedger(5, { page: 3, limit: 2 }).entries.map(e => e.type)).toEqual(['OPENING']);
+    expect(getLedger(5, { type: 'FUNDS_ADDED' }).entries.map(e => e.credit)).toEqual([300, 200, 100]);
+  });
+
+  it('keeps the ledger through a reset', () => {
+    updateAccount(6, { balance: 900000 }, { type: 'WITHDRAWAL', amount: -100000 });
+    resetAccount(6);
+    expect(getAccount(6).balance).toBe(1000000);
+    expect(entries(6).map(e => [e.type, e.balance])).toEqual([['RESET', 1000000], ['WITHDRAWAL', 900000], ['OPENING', 1000000]]);
+  });
+});
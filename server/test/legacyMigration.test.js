@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import fs from 'fs';
+
+const auth = vi.hoisted(() => ({ admin: null }));
+vi.mock('../services/authDB.js', () => ({
+  getAuthDB: () => ({ ready: true }),
+  findFirstAdmin: () => auth.admin,
+}));
+
+// The pre-multi-user layout: one account at the top level
+const LEGACY = {
+  account: { balance: 123456.5, usedMargin: 0, realisedPnL: 456.5, orderIdCounter: 3 },
+  positions: [],
+  orders: [{ id: 1, symbol: 'TCS.NS', side: 'BUY', quantity: 1, price: 3800, type: 'MARKET', status: 'EXECUTED' }],
+};
+
+let db;
+async function loadLegacy() {
+  vi.resetModules();
+  fs.writeFileSync(process.env.TRADING_DB_PATH, JSON.stringify(LEGACY));
+  db = await import('../services/tradingDB.js');
+}
+
+const saved = () => JSON.parse(fs.readFileSync(process.env.TRADING_DB_PATH, 'utf-8'));
+
+describe('legacy account migration', () => {
+  beforeAll(loadLegacy);
+
+  it('keeps the legacy book while there is no admin', () => {
+    expect(db.getAccount(5).balance).toBe(1000000);
+    expect(saved().legacy.account.balance).toBe(123456.5);
+  });
+
+  it('does not give it to a user who is not the first admin', () => {
+    auth.admin = { id: 9, username: 'root' };
+    expect(db.getAccount(6).balance).toBe(1000000);
+    expect(saved().legacy).not.toBeNull();
+  });
+
+  it('moves it to the first admin when their book is first opened', () => {
+    expect(db.getAccount(9)).toMatchObject({ balance: 123456.5, realisedPnL: 456.5 });
+    expect(db.getAllOrders(9, Infinity).map(o => o.id)).toEqual([1]);
+    expect(db.getLedger(9).entries).toMatchObject([{ type: 'OPENING', description: 'Balance brought forward', balance: 123456.5 }]);
+    expect(saved().legacy).toBeNull();
+    expect(db.getAccountIds().sort()).toEqual([5, 6, 9]);
+  });
+});
+
+describe('legacy account migration after promotion', () => {
+  beforeAll(async () => {
+    auth.admin = null;
+    await loadLegacy();
+  });
+
+  it('keeps it while the admin\'s own account has activity', () => {
+    db.updateAccount(7, { balance: db.getAccount(7).balance + 5000 }, { type: 'FUNDS_ADDED', amount: 5000 });
+    auth.admin = { id: 7, username: 'ops' };
+    expect(db.getAccount(7).balance).toBe(1005000);
+    expect(saved().legacy).not.toBeNull();
+  });
+
+  it('moves it to an admin promoted after signup, keeping their risk limits', () => {
+    auth.admin = null;
+    db.saveRiskLimits(8, { maxDailyLoss: 5000 });
+    auth.admin = { id: 8, username: 'root' };
+    expect(db.getAccount(8)).toMatchObject({ balance: 123456.5, realisedPnL: 456.5 });
+    expect(db.getAllOrders(8, Infinity).map(o => o.id)).toEqual([1]);
+    expect(db.getRiskLimits(8).maxDailyLoss).toBe(5000);
+    expect(saved().legacy).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import MarketScheduler from '../services/marketScheduler.js';
+
+const at = (date, time) => new Date(`${date}T${time}:00+05:30`);
+
+// 2026-10-19 is a Monday, 2026-10-24 a Saturday
+function scheduler(store) {
+  const runs = [];
+  const s = new MarketScheduler(store);
+  s.daily('square-off', '15:20', (now) => runs.push(['square-off', now.toISOString()]));
+  s.daily('expiry', '15:30', (now) => runs.push(['expiry', now.toISOString()]));
+  return { s, runs };
+}
+
+describe('MarketScheduler', () => {
+  it('runs each job once per trading day, from its time on', () => {
+    const { s, runs } = scheduler();
+    s._check(at('2026-10-19', '15:19'));
+    s._check(at('2026-10-19', '15:20'));
+    s._check(at('2026-10-19', '15:25'));
+    s._check(at('2026-10-19', '16:00'));
+    s._check(at('2026-10-24', '16:00'));
+    s._check(at('2026-10-26', '16:00'));
+    expect(runs.map(([name, when]) => `${name} ${when}`)).toEqual([
+      `square-off ${at('2026-10-19', '15:20').toISOString()}`,
+      `expiry ${at('2026-10-19', '16:00').toISOString()}`,
+      `square-off ${at('2026-10-26', '16:00').toISOString()}`,
+      `expiry ${at('2026-10-26', '16:00').toISOString()}`,
+    ]);
+  });
+
+  it('does not run a job again after a restart on the same day', () => {
+    const lastRuns = new Map();
+    const store = { get: (name) => lastRuns.get(name) ?? null, set: (name, date) => lastRuns.set(name, date) };
+
+    const first = scheduler(store);
+    first.s._check(at('2026-10-19', '15:25'));
+    const restarted = scheduler(store);
+    restarted.s._check(at('2026-10-19', '15:40'));
+
+    expect(first.runs.map(([name]) => name)).toEqual(['square-off']);
+    expect(restarted.runs.map(([name]) => name)).toEqual(['expiry']);
+    expect(Object.fromEntries(lastRuns)).toEqual({ 'square-off': '2026-10-19', expiry: '2026-10-19' });
+  });
+
+  it('keeps going when a job throws', () => {
+    const s = new MarketScheduler();
+    const ran = [];
+    s.daily('broken', '09:00', () => { throw new Error('boom'); });
+    s.daily('next', '09:00', () => ran.push('next'));
+    const error = console.error;
+    console.error = () => {};
+    try {
+      s._check(at('2026-10-19', '09:00'));
+    } finally {
+      console.error = error;
+    }
+    expect(ran).toEqual(['next']);
+  });
+
+  it('rejects a bad time', () => {
+    expect(() => new MarketScheduler().daily('x', '25:00', () => {})).toThrow('Invalid time "25:00" for job x');
+  });
+});
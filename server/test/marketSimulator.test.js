@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import MarketSimulator from '../services/marketSimulator.js';
+
+describe('MarketSimulator sessions', () => {
+  it('takes the last price as the previous close and re-derives the band at the close', () => {
+    const simulator = new MarketSimulator();
+    const stock = simulator.stocks.get('TCS.NS');
+    stock.currentPrice = 4000;
+    stock.volume = 12345;
+
+    simulator.closeSession();
+    expect(simulator.getPriceBand('TCS.NS')).toEqual({ priceBand: 20, lowerCircuit: 3200, upperCircuit: 4800, circuit: null });
+    expect(stock).toMatchObject({ previousClose: 4000, open: 4000, dayHigh: 4000, dayLow: 4000, volume: 0 });
+  });
+
+  it('lifts a stock frozen at its circuit for the next session', () => {
+    const simulator = new MarketSimulator();
+    const stock = simulator.stocks.get('TCS.NS');
+    stock.currentPrice = stock.upperCircuit;
+    stock.circuit = 'UPPER';
+
+    simulator.closeSession();
+    expect(simulator.getPriceBand('TCS.NS').circuit).toBeNull();
+    expect(simulator.getPriceBand('TCS.NS').upperCircuit).toBeGreaterThan(stock.currentPrice);
+    expect(simulator.getPriceBand('^NSEI')).toBeNull();
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import OrderEngine from '../services/orderEngine.js';
+import {
+  getAccount, updateAccount, nextOrderId, nextGttId, insertOrder, insertGtt, insertPosition,
+  getOrderById, getOpenPositions, getGtts, getSnapshots, saveHolding, saveRiskLimits, setKillSwitch,
+} from '../services/tradingDB.js';
+import { istDateKey } from '../utils/marketTime.js';
+
+// A market with one price per symbol and `depth` shares at it on each side
+function fakeSimulator(prices) {
+  return {
+    prices: new Map(Object.entries(prices)),
+    depth: 1000,
+    getOrderBook(symbol) {
+      const price = this.prices.get(symbol);
+      return { bids: [{ price, quantity: this.depth }], asks: [{ price, quantity: this.depth }] };
+    },
+    getBestPrices(symbol) {
+      const price = this.prices.get(symbol);
+      return price ? { bid: price, ask: price, ltp: price } : null;
+    },
+    getPriceBand: () => null,
+    getQuote: (symbol) => (symbol === '^NSEI' ? { price: 25000 } : null),
+  };
+}
+
+let simulator;
+let engine;
+let events;
+
+function tick(prices) {
+  for (const [symbol, price] of Object.entries(prices)) simulator.prices.set(symbol, price);
+  engine._onTick(Object.entries(prices).map(([symbol, price]) => ({ symbol, price })));
+}
+
+const eventsOf = (userId) => events.filter(e => e.userId === userId).map(({ userId: _, ...e }) => e);
+
+function restingBuy(userId, { symbol = 'TCS.NS', quantity = 10, limitPrice = 3800, product = 'CNC' } = {}) {
+  const id = nextOrderId(userId);
+  insertOrder(userId, { id, symbol, side: 'BUY', quantity, price: limitPrice, limitPrice, type: 'LIMIT', product, status: 'OPEN' });
+  return id;
+}
+
+beforeEach(() => {
+  simulator = fakeSimulator({ 'TCS.NS': 3850, 'ITC.NS': 435 });
+  engine = new OrderEngine(simulator);
+  events = [];
+  engine.onEvent((e) => events.push(e));
+});
+
+describe('OrderEngine resting orders', () => {
+  it('fills a limit buy once the ask reaches its price', () => {
+    const id = restingBuy(1);
+    tick({ 'TCS.NS': 3820 });
+    expect(getOrderById(1, id).status).toBe('OPEN');
+
+    tick({ 'TCS.NS': 3795 });
+    expect(getOrderById(1, id)).toMatchObject({ status: 'EXECUTED', price: 3795, filledQuantity: 10 });
+    expect(getOpenPositions(1)).toMatchObject([{ symbol: 'TCS.NS', side: 'BUY', quantity: 10, avgPrice: 3795 }]);
+    expect(eventsOf(1)).toEqual([{ type: 'ORDER_EXECUTED', orderId: id, symbol: 'TCS.NS' }]);
+  });
+
+  it('cancels a buy whose margin the balance no longer covers at the fill', () => {
+    const id = restingBuy(2);
+    updateAccount(2, { balance: 1000 });
+
+    tick({ 'TCS.NS': 3790 });
+    const note = 'Cancelled: insufficient balance — ₹37900.00 required, ₹1000.00 available';
+    expect(getOrderById(2, id)).toMatchObject({ status: 'CANCELLED', filledQuantity: 0, note });
+    expect(getOpenPositions(2)).toEqual([]);
+    expect(getAccount(2).balance).toBe(1000);
+    expect(eventsOf(2)).toEqual([{ type: 'ORDER_CANCELLED', orderId: id, symbol: 'TCS.NS', note }]);
+  });
+
+  it('checks intraday buys at their leverage', () => {
+    const id = restingBuy(3, { product: 'MIS' });
+    updateAccount(3, { balance: 8000 });
+    tick({ 'TCS.NS': 3790 });
+    expect(getOrderById(3, id).status).toBe('EXECUTED');
+  });
+
+  it('checks a buy that averages into a position at that position\'s leverage', () => {
+    insertPosition(13, { id: 1, symbol: 'TCS.NS', side: 'BUY', quantity: 5, avgPrice: 3700, product: 'MIS', leverage: 2 });
+    const id = restingBuy(13, { product: 'MIS' });
+    updateAccount(13, { balance: 10000 });
+
+    tick({ 'TCS.NS': 3790 });
+    expect(getOrderById(13, id)).toMatchObject({
+      status: 'CANCELLED', note: 'Cancelled: insufficient balance — ₹18950.00 required, ₹10000.00 available',
+    });
+    expect(getOpenPositions(13)).toMatchObject([{ quantity: 5 }]);
+  });
+
+  it('cancels a delivery sell whose shares were sold since it was placed', () => {
+    saveHolding(12, { symbol: 'TCS.NS', quantity: 4, avgPrice: 3700 });
+    const id = nextOrderId(12);
+    insertOrder(12, { id, symbol: 'TCS.NS', side: 'SELL', quantity: 10, price: 3900, limitPrice: 3900, type: 'LIMIT', product: 'CNC', status: 'OPEN' });
+    const { balance } = getAccount(12);
+
+    tick({ 'TCS.NS': 3910 });
+    const note = 'Cancelled: only 4 TCS.NS left to deliver';
+    expect(getOrderById(12, id)).toMatchObject({ status: 'CANCELLED', filledQuantity: 0, note });
+    expect(getAccount(12).balance).toBe(balance);
+    expect(eventsOf(12)).toEqual([{ type: 'ORDER_CANCELLED', orderId: id, symbol: 'TCS.NS', note }]);
+  });
+
+  it('keeps what filled and cancels the rest when the balance runs out part way', () => {
+    const id = restingBuy(4);
+    simulator.depth = 4;
+    tick({ 'TCS.NS': 3790 });
+    expect(getOrderById(4, id)).toMatchObject({ status: 'PARTIALLY_FILLED', filledQuantity: 4 });
+
+    updateAccount(4, { balance: 5000 });
+    tick({ 'TCS.NS': 3780 });
+    expect(getOrderById(4, id)).toMatchObject({
+      status: 'CANCELLED',
+      filledQuantity: 4,
+      price: 3790,
+      note: 'Filled 4 of 10; rest cancelled, insufficient balance — ₹15120.00 required, ₹5000.00 available',
+    });
+    expect(eventsOf(4).map(e => e.type)).toEqual(['ORDER_PARTIALLY_FILLED', 'ORDER_CANCELLED']);
+  });
+});
+
+describe('OrderEngine GTTs and exits', () => {
+  const gtt = (userId, fields) => {
+    const id = nextGttId(userId);
+    insertGtt(userId, {
+      id, symbol: 'TCS.NS', side: 'BUY', quantity: 5, product: 'CNC',
+      triggerPrice: 3700, limitPrice: 3710, direction: 'BELOW', expiresAt: Date.now() + 60_000, ...fields,
+    });
+    return id;
+  };
+
+  it('places a triggered GTT\'s limit order and fills it on the same tick', () => {
+    const gttId = gtt(5);
+    tick({ 'TCS.NS': 3695 });
+    const { orderId, status } = getGtts(5).find(g => g.id === gttId);
+    expect(status).toBe('TRIGGERED');
+    expect(getOrderById(5, orderId)).toMatchObject({ status: 'EXECUTED', price: 3695, gttId });
+    expect(eventsOf(5).map(e => e.type)).toEqual(['GTT_TRIGGERED', 'ORDER_EXECUTED']);
+  });
+
+  it('cancels a triggered GTT\'s order if the balance has gone by the time it fills', () => {
+    const gttId = gtt(6, { triggerPrice: 3750, limitPrice: 3700, direction: 'BELOW' });
+    tick({ 'TCS.NS': 3745 });
+    const { orderId } = getGtts(6).find(g => g.id === gttId);
+    expect(getOrderById(6, orderId).status).toBe('OPEN');
+
+    updateAccount(6, { balance: 100 });
+    tick({ 'TCS.NS': 3690 });
+    expect(getOrderById(6, orderId).status).toBe('CANCELLED');
+    expect(eventsOf(6).map(e => e.type)).toEqual(['GTT_TRIGGERED', 'ORDER_CANCELLED']);
+  });
+
+  it('rejects a GTT the balance does not cover when it triggers', () => {
+    const gttId = gtt(7);
+    updateAccount(7, { balance: 100 });
+    tick({ 'TCS.NS': 3695 });
+    expect(getGtts(7).find(g => g.id === gttId)).toMatchObject({ status: 'REJECTED', orderId: null });
+    expect(eventsOf(7)).toEqual([{ type: 'GTT_REJECTED', gttId, symbol: 'TCS.NS', note: 'Insufficient balance — ₹18550.00 required' }]);
+  });
+
+  it('closes a position at its stop loss', () => {
+    insertPosition(8, { id: 1, symbol: 'ITC.NS', side: 'BUY', quantity: 10, avgPrice: 435, product: 'MIS', leverage: 5, stopLoss: 420 });
+    tick({ 'ITC.NS': 421 });
+    expect(getOpenPositions(8)).toHaveLength(1);
+
+    tick({ 'ITC.NS': 419.5 });
+    expect(getOpenPositions(8)).toEqual([]);
+    expect(eventsOf(8)).toMatchObject([{ type: 'POSITION_CLOSED', positionId: 1, symbol: 'ITC.NS', note: 'Stop Loss triggered' }]);
+  });
+});
+
+describe('OrderEngine kill switch', () => {
+  const restingSell = (userId) => {
+    const id = nextOrderId(userId);
+    insertOrder(userId, { id, symbol: 'TCS.NS', side: 'SELL', quantity: 5, price: 3900, limitPrice: 3900, type: 'LIMIT', product: 'CNC', status: 'OPEN' });
+    return id;
+  };
+
+  it('cancels resting entry orders when it trips, delivery buys included, and keeps exits', () => {
+    const buyId = restingBuy(10);
+    const sellId = restingSell(10);
+    insertPosition(10, { id: 1, symbol: 'ITC.NS', side: 'BUY', quantity: 100, avgPrice: 435, product: 'MIS', leverage: 5 });
+    saveRiskLimits(10, { maxDailyLoss: 1000 });
+
+    tick({ 'ITC.NS': 420 });
+    const note = 'Kill switch is on — only exits are allowed today';
+    expect(getOrderById(10, buyId)).toMatchObject({ status: 'CANCELLED', note });
+    expect(getOrderById(10, sellId).status).toBe('OPEN');
+    expect(eventsOf(10)).toEqual([{ type: 'KILL_SWITCH', loss: 1500, limit: 1000, closed: 0, cancelled: 1 }]);
+
+    tick({ 'TCS.NS': 3790 });
+    expect(getOrderById(10, buyId)).toMatchObject({ status: 'CANCELLED', filledQuantity: 0 });
+    expect(getOpenPositions(10).map(p => p.symbol)).toEqual(['ITC.NS']);
+  });
+
+  it('does not fill an entry order while it is on', () => {
+    setKillSwitch(11, { date: istDateKey(), at: Date.now(), loss: 1500, limit: 1000 });
+    const id = restingBuy(11);
+    tick({ 'TCS.NS': 3790 });
+    expect(getOrderById(11, id)).toMatchObject({ status: 'CANCELLED', filledQuantity: 0 });
+    expect(eventsOf(11)).toEqual([{ type: 'ORDER_CANCELLED', orderId: id, symbol: 'TCS.NS', note: 'Kill switch is on — only exits are allowed today' }]);
+  });
+});
+
+describe('OrderEngine snapshots', () => {
+  it('records each account\'s value at the close, once per IST day', () => {
+    saveHolding(9, { symbol: 'TCS.NS', quantity: 10, avgPrice: 3800 });
+    updateAccount(9, { balance: getAccount(9).balance - 38000 }, { type: 'TRADE', amount: -38000 });
+    updateAccount(9, { balance: getAccount(9).balance + 5000 }, { type: 'FUNDS_ADDED', amount: 5000 });
+
+    const close = new Date('2026-10-19T15:30:00+05:30');
+    engine.takeSnapshots(close);
+    simulator.prices.set('TCS.NS', 3900);
+    engine.takeSnapshots(new Date('2026-10-19T15:45:00+05:30'));
+
+    const snapshots = getSnapshots(9);
+    expect(snapshots).toHaveLength(1);
+    expect(snapshots[0]).toMatchObject({
+      date: '2026-10-19',
+      cash: 967000,
+      holdingsValue: 39000,
+      positionsValue: 0,
+      unrealisedPnL: 1000,
+      equity: 968000,
+      netDeposits: 1005000,
+      benchmark: 25000,
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import {
+  marketCapBand, xirr, equityCurve, maxDrawdown, tradeStats, exposure, valueAccount, fundsSinceReset,
+  buildPortfolioAnalytics,
+} from '../services/portfolioAnalytics.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.parse('2026-01-05T10:00:00+05:30');
+const entry = (type, day, amount, balance) => ({
+  type, at: T0 + day * DAY, debit: amount < 0 ? -amount : 0, credit: amount > 0 ? amount : 0, balance,
+});
+
+// Opened with ₹1,00,000; ₹5,000 realised; ₹45,000 added; ₹1,000 charges
+const LEDGER = [
+  entry('OPENING', 0, 100000, 100000),
+  entry('TRADE', 1, -50000, 50000),
+  entry('PNL', 2, 5000, 55000),
+  entry('FUNDS_ADDED', 3, 45000, 100000),
+  entry('CHARGES', 4, -1000, 99000),
+];
+
+describe('marketCapBand', () => {
+  it('bands by market cap in ₹', () => {
+    expect(marketCapBand(1.5e12)).toBe('Large cap');
+    expect(marketCapBand(5e11)).toBe('Mid cap');
+    expect(marketCapBand(1e9)).toBe('Small cap');
+    expect(marketCapBand(undefined)).toBe('Small cap');
+  });
+});
+
+describe('xirr', () => {
+  it('annualises the return of dated flows', () => {
+    expect(xirr([{ at: T0, amount: -100 }, { at: T0 + 365 * DAY, amount: 110 }])).toBeCloseTo(0.1, 6);
+    expect(xirr([{ at: T0, amount: -100 }, { at: T0 + 365 * DAY, amount: 90 }])).toBeCloseTo(-0.1, 6);
+  });
+
+  it('is null without money both in and out, or over less than a day', () => {
+    expect(xirr([{ at: T0, amount: -100 }, { at: T0 + DAY, amount: -10 }])).toBeNull();
+    expect(xirr([{ at: T0, amount: -100 }, { at: T0 + DAY / 2, amount: 110 }])).toBeNull();
+  });
+});
+
+describe('equityCurve', () => {
+  const now = T0 + 5 * DAY;
+  const { points, flows } = equityCurve(LEDGER, 152000, now);
+
+  it('steps on P&L, charges and funds, not on margin moving, and ends at current equity', () => {
+    expect(points.map(p => [p.equity, p.pnl])).toEqual([
+      [100000, 0], [105000, 5000], [150000, 5000], [149000, 4000], [152000, 7000],
+    ]);
+    expect(points.at(-1).at).toBe(now);
+  });
+
+  it('keeps the return index time-weighted, so deposits are not gains', () => {
+    expect(points[2].index).toBeCloseTo(1.05, 10);
+    expect(points.at(-1).index).toBeCloseTo(1.05 * (1 - 1000 / 150000) * (1 + 3000 / 149000), 10);
+  });
+
+  it('lists deposits as money in and current equity as money out', () => {
+    expect(flows).toEqual([
+      { at: T0, amount: -100000 },
+      { at: T0 + 3 * DAY, amount: -45000 },
+      { at: now, amount: 152000 },
+    ]);
+  });
+
+  it('starts at the last reset', () => {
+    const { points: afterReset } = equityCurve([...LEDGER, entry('RESET', 5, 901000, 1000000)], 1000000, now);
+    expect(afterReset.map(p => p.equity)).toEqual([1000000, 1000000]);
+  });
+});
+
+describe('maxDrawdown', () => {
+  it('measures the largest fall of the index from a running peak', () => {
+    const points = [[1, 0], [1.2, 200], [0.9, -100], [1.1, 100], [1.3, 300]]
+      .map(([index, pnl], i) => ({ at: i, index, pnl }));
+    expect(maxDrawdown(points)).toEqual({ percent: 25, amount: 300, peakAt: 1, troughAt: 2 });
+  });
+
+  it('is zero for a curve that never falls', () => {
+    expect(maxDrawdown([{ at: 0, index: 1, pnl: 0 }, { at: 1, index: 1.1, pnl: 10 }]))
+      .toEqual({ percent: 0, amount: 0, peakAt: null, troughAt: null });
+  });
+});
+
+describe('tradeStats', () => {
+  it('counts orders that realised P&L', () => {
+    expect(tradeStats([{ pnl: 100 }, { pnl: -50 }, { pnl: 200 }, { pnl: null }, {}])).toEqual({
+      trades: 3, wins: 2, losses: 1, winRate: 66.67, avgWin: 150, avgLoss: -50, profitFactor: 6,
+    });
+    expect(tradeStats([])).toMatchObject({ trades: 0, winRate: null, profitFactor: null });
+  });
+});
+
+describe('exposure', () => {
+  const info = {
+    'TCS.NS': { sector: 'IT', marketCap: 1.4e12, beta: 0.6 },
+    'ITC.NS': { sector: 'FMCG', marketCap: 5.4e11, beta: 0.5 },
+  };
+
+  it('breaks gross exposure down by sector and band, shorts included, and weights it by beta', () => {
+    const result = exposure([
+      { symbol: 'TCS.NS', quantity: 10, ltp: 4000 },
+      { symbol: 'ITC.NS', quantity: -100, ltp: 400 },
+      { symbol: 'NEW.NS', quantity: 1, ltp: 100 },
+    ], (symbol) => info[symbol] || null);
+
+    expect(result).toMatchObject({ gross: 80100, net: 100, betaWeighted: 4100, beta: 41 });
+    expect(result.sectors).toEqual([
+      { name: 'IT', value: 40000, weight: 49.94 },
+      { name: 'FMCG', value: 40000, weight: 49.94 },
+      { name: 'Other', value: 100, weight: 0.12 },
+    ]);
+    expect(result.marketCaps.map(b => b.name)).toEqual(['Large cap', 'Mid cap', 'Small cap']);
+  });
+
+  it('has no beta when long and short cancel out', () => {
+    const result = exposure([
+      { symbol: 'TCS.NS', quantity: 10, ltp: 4000 },
+      { symbol: 'ITC.NS', quantity: -100, ltp: 400 },
+    ], (symbol) => info[symbol]);
+    expect(result).toMatchObject({ gross: 80000, net: 0, betaWeighted: 4000, beta: null });
+  });
+});
+
+describe('valueAccount', () => {
+  it('marks holdings and positions at the LTP, falling back to cost, shorts negative', () => {
+    const prices = { 'TCS.NS': 4000, 'ITC.NS': 410 };
+    const result = valueAccount({
+      account: { balance: 50000, usedMargin: 20000 },
+      holdings: [{ symbol: 'TCS.NS', quantity: 10, avgPrice: 3800 }, { symbol: 'WIPRO.NS', quantity: 0, avgPrice: 300 }],
+      positions: [
+        { symbol: 'ITC.NS', side: 'BUY', quantity: 100, avgPrice: 400 },
+        { symbol: 'INFY.NS', side: 'SELL', quantity: 10, avgPrice: 1500 },
+      ],
+      ltpOf: (symbol) => prices[symbol] ?? null,
+    });
+    expect(result.items.map(i => [i.symbol, i.quantity, i.ltp])).toEqual([
+      ['TCS.NS', 10, 4000], ['ITC.NS', 100, 410], ['INFY.NS', -10, 1500],
+    ]);
+    expect(result).toMatchObject({ holdingsValue: 40000, positionsValue: 26000, unrealisedPnL: 3000, equity: 73000 });
+  });
+});
+
+describe('fundsSinceReset', () => {
+  it('adds deposits and takes withdrawals off the opening balance', () => {
+    expect(fundsSinceReset([...LEDGER, entry('WITHDRAWAL', 5, -5000, 94000)])).toEqual({ since: T0, netDeposits: 140000 });
+  });
+
+  it('starts again from the last reset', () => {
+    const ledger = [...LEDGER, entry('RESET', 5, 901000, 1000000), entry('FUNDS_ADDED', 6, 1000, 1001000)];
+    expect(fundsSinceReset(ledger)).toEqual({ since: T0 + 5 * DAY, netDeposits: 1001000 });
+  });
+
+  it('is empty without an opening entry', () => {
+    expect(fundsSinceReset([])).toEqual({ since: null, netDeposits: 0 });
+  });
+});
+
+describe('buildPortfolioAnalytics', () => {
+  it('puts the pieces together, one curve point per IST day', () => {
+    const result = buildPortfolioAnalytics({
+      account: { balance: 99000, usedMargin: 0 },
+      ledger: LEDGER,
+      orders: [{ pnl: 5000 }],
+      holdings: [{ symbol: 'TCS.NS', quantity: 10, avgPrice: 3800 }],
+      positions: [],
+      ltpOf: () => 4000,
+      infoOf: () => ({ sector: 'IT', marketCap: 1.4e12, beta: 0.6 }),
+      now: T0 + 365 * DAY,
+    });
+    expect(result.equity).toBe(101000);
+    expect(result.equityCurve.map(p => p.date)).toEqual(['2026-01-05', '2026-01-07', '2026-01-08', '2026-01-09', '2027-01-05']);
+    expect(result.equityCurve.at(-1)).toMatchObject({ equity: 101000, pnl: -44000 });
+    expect(result.exposure.beta).toBe(0.6);
+    expect(result.trades.winRate).toBe(100);
+    expect(result.xirr).toBeLessThan(0);
+  });
+});
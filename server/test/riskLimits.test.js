@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { validateRiskLimits, isKillSwitchOn, dayPnL, isExit, checkOrderRisk, checkImportRisk } from '../services/riskLimits.js';
+
+const TODAY = '2026-10-19';
+const at = (date, time = '10:00') => Date.parse(`${date}T${time}:00+05:30`);
+
+const NO_LIMITS = {
+  maxDailyLoss: null, maxOpenPositions: null, maxOrderValue: null, maxQuantityPerSymbol: null,
+  allowedProducts: ['CNC', 'MIS'], squareOffOnKill: false,
+};
+const KILLED = { date: TODAY, at: at(TODAY, '11:00'), loss: 5200, limit: 5000 };
+
+const position = (symbol, side, quantity, product = 'MIS', extra = {}) =>
+  ({ symbol, side, quantity, product, avgPrice: 100, tradeDate: TODAY, ...extra });
+
+describe('validateRiskLimits', () => {
+  it('keeps only the fields given, rounding amounts', () => {
+    expect(validateRiskLimits({ maxDailyLoss: 1000.456, maxOpenPositions: null })).toEqual({
+      limits: { maxDailyLoss: 1000.46, maxOpenPositions: null },
+    });
+    expect(validateRiskLimits({ allowedProducts: ['MIS', 'CNC', 'MIS'] })).toEqual({ limits: { allowedProducts: ['CNC', 'MIS'] } });
+  });
+
+  it('rejects bad values', () => {
+    expect(validateRiskLimits([]).error).toBe('Risk limits must be an object');
+    expect(validateRiskLimits({ maxOrderValue: 0 }).error).toBe('maxOrderValue must be a positive amount or null');
+    expect(validateRiskLimits({ maxQuantityPerSymbol: 1.5 }).error).toBe('maxQuantityPerSymbol must be a positive whole number or null');
+    expect(validateRiskLimits({ allowedProducts: [] }).error).toMatch(/^allowedProducts must list/);
+    expect(validateRiskLimits({ allowedProducts: ['NRML'] }).error).toMatch(/^allowedProducts must list/);
+    expect(validateRiskLimits({ squareOffOnKill: 'yes' }).error).toBe('squareOffOnKill must be true or false');
+  });
+});
+
+describe('isKillSwitchOn', () => {
+  it('holds only for the IST day it was set', () => {
+    expect(isKillSwitchOn(KILLED, TODAY)).toBe(true);
+    expect(isKillSwitchOn(KILLED, '2026-10-20')).toBe(false);
+    expect(isKillSwitchOn(null, TODAY)).toBe(false);
+  });
+});
+
+describe('dayPnL', () => {
+  it('adds today\'s booked P&L and charges to open positions at live prices', () => {
+    const ledger = [
+      { type: 'CHARGES', at: at(TODAY, '14:00'), credit: 0, debit: 20.5 },
+      { type: 'PNL', at: at(TODAY, '13:00'), credit: 300, debit: 0 },
+      { type: 'DEPOSIT', at: at(TODAY, '09:00'), credit: 10000, debit: 0 },
+      { type: 'PNL', at: at('2026-10-16', '13:00'), credit: 0, debit: 900 },
+    ];
+    const positions = [position('TCS.NS', 'BUY', 10), position('ITC.NS', 'SELL', 5), position('INFY.NS', 'BUY', 2)];
+    const ltpOf = (symbol) => ({ 'TCS.NS': 95, 'ITC.NS': 90 })[symbol];
+    expect(dayPnL({ ledger, positions, ltpOf, today: TODAY })).toEqual({ realised: 279.5, unrealised: 0, total: 279.5 });
+  });
+});
+
+describe('isExit', () => {
+  const positions = [position('ITC.NS', 'BUY', 10), position('TCS.NS', 'BUY', 10, 'MIS', { parentOrderId: 4 })];
+
+  it('takes delivery sells and covered intraday sells as exits', () => {
+    expect(isExit({ symbol: 'TCS.NS', side: 'SELL', product: 'CNC', quantity: 100 }, [])).toBe(true);
+    expect(isExit({ symbol: 'ITC.NS', side: 'SELL', product: 'MIS', quantity: 10 }, positions)).toBe(true);
+  });
+
+  it('does not take buys, shorts or bracket legs\' positions as exits', () => {
+    expect(isExit({ symbol: 'ITC.NS', side: 'BUY', product: 'MIS', quantity: 1 }, positions)).toBe(false);
+    expect(isExit({ symbol: 'ITC.NS', side: 'SELL', product: 'MIS', quantity: 11 }, positions)).toBe(false);
+    expect(isExit({ symbol: 'TCS.NS', side: 'SELL', product: 'MIS', quantity: 5 }, positions)).toBe(false);
+  });
+});
+
+describe('checkOrderRisk', () => {
+  const check = (order, { limits = {}, killSwitch = null, positions = [], holdings = [] } = {}) => checkOrderRisk({
+    order: { symbol: 'TCS.NS', side: 'BUY', quantity: 10, product: 'MIS', value: 38000, ...order },
+    limits: { ...NO_LIMITS, ...limits }, killSwitch, positions, holdings, today: TODAY,
+  });
+
+  it('passes without limits', () => {
+    expect(check({})).toBeNull();
+  });
+
+  it('rejects products the limits do not allow, exits included', () => {
+    expect(check({ side: 'SELL', product: 'CNC' }, { limits: { allowedProducts: ['MIS'] } }))
+      .toBe('CNC orders are not allowed on this account (risk limits allow MIS)');
+  });
+
+  it('lets only exits through while the kill switch is on', () => {
+    expect(check({}, { killSwitch: KILLED })).toMatch(/^Kill switch is on: today's loss of ₹5,200 reached the ₹5,000 limit/);
+    expect(check({ side: 'SELL', product: 'CNC' }, { killSwitch: KILLED })).toBeNull();
+    expect(check({}, { killSwitch: { ...KILLED, date: '2026-10-16' } })).toBeNull();
+  });
+
+  it('caps the value of an order', () => {
+    expect(check({}, { limits: { maxOrderValue: 30000 } })).toBe('Order value ₹38,000 is over the ₹30,000 limit per order');
+  });
+
+  it('caps open positions, except for buys that average into one', () => {
+    const positions = [position('TCS.NS', 'BUY', 5), position('ITC.NS', 'SELL', 5)];
+    expect(check({ symbol: 'INFY.NS' }, { limits: { maxOpenPositions: 2 }, positions })).toBe('Already 2 open positions — the limit is 2');
+    expect(check({}, { limits: { maxOpenPositions: 2 }, positions })).toBeNull();
+    expect(check({ product: 'CNC' }, { limits: { maxOpenPositions: 2 }, positions })).toBe('Already 2 open positions — the limit is 2');
+  });
+
+  it('caps shares per symbol, counting holdings for buys', () => {
+    const limits = { maxQuantityPerSymbol: 20 };
+    const positions = [position('TCS.NS', 'BUY', 5)];
+    const holdings = [{ symbol: 'TCS.NS', quantity: 8 }];
+    expect(check({}, { limits, positions, holdings })).toBe('23 TCS.NS would be over the 20 share limit per symbol (13 already held)');
+    expect(check({ quantity: 7 }, { limits, positions, holdings })).toBeNull();
+    expect(check({ side: 'SELL', quantity: 20 }, { limits, positions, holdings })).toBeNull();
+  });
+
+  it('holds a bracket order\'s sell entry to the limits', () => {
+    const positions = [position('TCS.NS', 'BUY', 10)];
+    expect(check({ side: 'SELL', bracket: true }, { killSwitch: KILLED, positions })).toMatch(/^Kill switch is on/);
+  });
+});
+
+describe('checkImportRisk', () => {
+  const plan = {
+    trades: [
+      { row: 2, symbol: 'TCS.NS', side: 'BUY', product: 'CNC' },
+      { row: 3, symbol: 'TCS.NS', side: 'SELL', product: 'CNC' },
+      { row: 4, symbol: 'ITC.NS', side: 'BUY', product: 'CNC' },
+      { row: 5, symbol: 'ITC.NS', side: 'SELL', product: 'MIS' },
+      { row: 6, symbol: 'ITC.NS', side: 'BUY', product: 'MIS' },
+    ],
+    holdings: [{ symbol: 'TCS.NS', quantity: 15, cost: 57000 }, { symbol: 'ITC.NS', quantity: 5, cost: 2000 }],
+  };
+  const check = ({ limits = {}, killSwitch = null, holdings = [] } = {}) =>
+    checkImportRisk(plan, { limits: { ...NO_LIMITS, ...limits }, killSwitch, holdings, today: TODAY });
+
+  it('passes every row without limits', () => {
+    expect(check()).toEqual({ rejected: [] });
+  });
+
+  it('refuses the import while the kill switch is on', () => {
+    expect(check({ killSwitch: KILLED }).error).toMatch(/^Kill switch is on: .* Tradebooks can be imported again tomorrow\.$/);
+  });
+
+  it('rejects rows of products the limits do not allow', () => {
+    expect(check({ limits: { allowedProducts: ['CNC'] } }).rejected).toEqual([
+      { row: 5, error: 'MIS trades are not allowed on this account (risk limits allow CNC)' },
+      { row: 6, error: 'MIS trades are not allowed on this account (risk limits allow CNC)' },
+    ]);
+  });
+
+  it('rejects a symbol\'s delivery rows when the shares left, with the holding, are over the limit', () => {
+    const { rejected } = check({ limits: { maxQuantityPerSymbol: 10 }, holdings: [{ symbol: 'ITC.NS', quantity: 5 }] });
+    expect(rejected).toEqual([
+      { row: 2, error: 'Would leave 15 TCS.NS held, over the 10 share limit per symbol' },
+      { row: 3, error: 'Would leave 15 TCS.NS held, over the 10 share limit per symbol' },
+    ]);
+  });
+});
@@ -0,0 +1,10 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll } from 'vitest';
+
+// Each test file gets its own scratch trading.json, never the real one
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-test-'));
+process.env.TRADING_DB_PATH = path.join(dir, 'trading.json');
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { buildTaxReport, taxReportCsv, isLongTerm, financialYear, getGrandfathering } from '../services/taxReport.js';
+
+const at = (date, time = '10:00') => Date.parse(`${date}T${time}:00+05:30`);
+
+let nextId = 1;
+const trade = (side, quantity, price, date, { symbol = 'TCS.NS', product = 'CNC', charges = 0 } = {}) => ({
+  id: nextId++, symbol, side, product, type: 'MARKET', status: 'EXECUTED',
+  quantity, price, executedAt: at(date), charges: { total: charges },
+});
+
+const yearOf = (report, fy) => report.years.find(y => y.fy === fy);
+
+describe('financialYear / isLongTerm', () => {
+  it('runs financial years April to March', () => {
+    expect(financialYear('2025-03-31')).toBe('2024-25');
+    expect(financialYear('2025-04-01')).toBe('2025-26');
+  });
+
+  it('is long term only after the first anniversary', () => {
+    expect(isLongTerm('2024-05-10', '2025-05-10')).toBe(false);
+    expect(isLongTerm('2024-05-10', '2025-05-11')).toBe(true);
+  });
+});
+
+describe('buildTaxReport', () => {
+  it('matches sells against the oldest lots first, splitting partial lots', () => {
+    const report = buildTaxReport([
+      trade('BUY', 10, 100, '2024-05-02'),
+      trade('BUY', 10, 120, '2024-06-03'),
+      trade('SELL', 15, 130, '2024-07-01'),
+      trade('SELL', 5, 110, '2024-08-01'),
+    ]);
+    const { trades, summary } = yearOf(report, '2024-25');
+    expect(trades.map(t => [t.quantity, t.buyPrice, t.sellPrice, t.gain])).toEqual([
+      [10, 100, 130, 300],
+      [5, 120, 130, 50],
+      [5, 120, 110, -50],
+    ]);
+    expect(trades.every(t => t.category === 'STCG')).toBe(true);
+    expect(summary).toMatchObject({ stcg: 300, ltcg: 0, trades: 3, unmatched: 0 });
+  });
+
+  it('treats a sale exactly 12 months after the buy as short term', () => {
+    const report = buildTaxReport([
+      trade('BUY', 10, 100, '2024-05-10'),
+      trade('SELL', 5, 150, '2025-05-10'),
+      trade('SELL', 5, 150, '2025-05-11'),
+    ]);
+    const { trades, summary } = yearOf(report, '2025-26');
+    expect(trades.map(t => [t.category, t.holdingDays])).toEqual([['STCG', 365], ['LTCG', 366]]);
+    expect(summary).toMatchObject({ stcg: 250, ltcg: 250 });
+  });
+
+  it('grandfathers lots bought by 31 Jan 2018 at the FMV, capped at the sale price', () => {
+    const fmv = getGrandfathering().prices['TCS.NS'];
+    const report = buildTaxReport([
+      trade('BUY', 30, 1200, '2017-06-01'),
+      // FMV below the sale price: cost is the FMV
+      trade('SELL', 10, 2000, '2019-06-03'),
+      // FMV above the sale price: cost is the sale price, no gain and no loss
+      trade('SELL', 10, 1400, '2019-07-01'),
+      // Sale below what was paid: the actual cost stands
+      trade('SELL', 10, 1100, '2019-08-01'),
+    ]);
+    const { trades } = yearOf(report, '2019-20');
+    expect(trades.every(t => t.category === 'LTCG' && t.fmv === fmv)).toBe(true);
+    expect(trades.map(t => [t.cost, t.gain])).toEqual([
+      [fmv * 10, Math.round((2000 - fmv) * 10 * 100) / 100],
+      [14000, 0],
+      [12000, -1000],
+    ]);
+  });
+
+  it('does not grandfather lots bought after 31 Jan 2018', () => {
+    const report = buildTaxReport([
+      trade('BUY', 10, 1200, '2018-02-01'),
+      trade('SELL', 10, 2000, '2019-06-03'),
+    ]);
+    expect(yearOf(report, '2019-20').trades[0]).toMatchObject({ category: 'LTCG', fmv: null, cost: 12000, gain: 8000 });
+  });
+
+  it('books intraday round trips, shorts included, as speculative', () => {
+    const report = buildTaxReport([
+      trade('SELL', 10, 500, '2024-09-02', { product: 'MIS' }),
+      trade('BUY', 10, 480, '2024-09-02', { product: 'MIS' }),
+      trade('BUY', 5, 100, '2024-09-03', { product: 'MIS' }),
+      trade('SELL', 5, 90, '2024-09-03', { product: 'MIS' }),
+    ]);
+    const { trades, summary } = yearOf(report, '2024-25');
+    expect(trades.map(t => [t.category, t.buyPrice, t.sellPrice, t.gain])).toEqual([
+      ['SPECULATIVE', 480, 500, 200],
+      ['SPECULATIVE', 100, 90, -50],
+    ]);
+    expect(summary.speculative).toBe(150);
+  });
+
+  it('splits both trades\' charges across the lots they match', () => {
+    const report = buildTaxReport([
+      trade('BUY', 10, 100, '2024-05-02', { charges: 10 }),
+      trade('SELL', 5, 110, '2024-05-03', { charges: 4 }),
+    ]);
+    expect(yearOf(report, '2024-25').trades[0].charges).toBe(9);
+  });
+
+  it('lists delivery sells with no buy in the history as unmatched', () => {
+    const report = buildTaxReport([trade('SELL', 5, 110, '2024-05-03')]);
+    const year = yearOf(report, '2024-25');
+    expect(year.trades).toEqual([]);
+    expect(year.unmatched).toEqual([{ symbol: 'TCS.NS', quantity: 5, sellDate: '2024-05-03', sellPrice: 110, saleValue: 550 }]);
+  });
+
+  it('groups rows by the financial year of the sale, newest first', () => {
+    const report = buildTaxReport([
+      trade('BUY', 10, 100, '2024-03-01'),
+      trade('SELL', 5, 110, '2024-03-28'),
+      trade('SELL', 5, 120, '2024-04-02'),
+    ]);
+    expect(report.years.map(y => [y.fy, y.summary.stcg])).toEqual([['2024-25', 100], ['2023-24', 50]]);
+  });
+});
+
+describe('taxReportCsv', () => {
+  it('writes one line per matched lot and per unmatched sell', () => {
+    const csv = taxReportCsv(buildTaxReport([
+      trade('BUY', 10, 100, '2024-05-02'),
+      trade('SELL', 10, 130, '2024-07-01'),
+      trade('SELL', 2, 50, '2024-07-02', { symbol: 'ITC.NS' }),
+    ]));
+    const lines = csv.trim().split('\n');
+    expect(lines[0]).toMatch(/^Financial Year,Category,Symbol,Quantity/);
+    expect(lines[1]).toMatch(/^FY 2024-25,STCG,TCS\.NS,10,2024-05-02,2024-07-01,60,100,130,,1000,1300,300,0$/);
+    expect(lines[2]).toMatch(/^FY 2024-25,UNMATCHED,ITC\.NS,2,/);
+  });
+});
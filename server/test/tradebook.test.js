@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TRADEBOOK_COLUMNS, exportTradebook, knownTradeIds, parseTradebook, planImport, checkImportFunds,
+} from '../services/tradebook.js';
+
+const KNOWN = new Set(['TCS.NS', 'ITC.NS', 'ITC.BO']);
+const isKnownSymbol = (symbol) => KNOWN.has(symbol);
+const TODAY = '2026-10-19';
+
+const HEADER = TRADEBOOK_COLUMNS.join(',');
+const row = ({ symbol = 'TCS', date = '2026-10-14', exchange = 'NSE', type = 'buy', quantity = 10, price = 3800, tradeId = '', time = '10:15:00' }) =>
+  `${symbol},,${date},${exchange},EQ,EQ,${type},false,${quantity},${price},${tradeId},,${date}T${time}`;
+const csv = (...rows) => [HEADER, ...rows.map(row)].join('\n');
+const parse = (text, options = {}) => parseTradebook(text, { isKnownSymbol, today: TODAY, ...options });
+
+describe('parseTradebook', () => {
+  it('reads rows in the broker layout, with IST execution times', () => {
+    const { trades, rejected } = parse('\uFEFF' + csv(
+      { tradeId: 'T1' },
+      { symbol: 'ITC', exchange: 'BSE', type: 'SELL', quantity: 5, price: 410.5 },
+    ));
+    expect(rejected).toEqual([]);
+    expect(trades).toEqual([
+      { row: 2, symbol: 'TCS.NS', side: 'BUY', quantity: 10, price: 3800, date: '2026-10-14', at: Date.parse('2026-10-14T10:15:00+05:30'), tradeId: 'T1' },
+      { row: 3, symbol: 'ITC.BO', side: 'SELL', quantity: 5, price: 410.5, date: '2026-10-14', at: Date.parse('2026-10-14T10:15:00+05:30'), tradeId: null },
+    ]);
+  });
+
+  it('rejects bad rows individually, numbered as in a spreadsheet', () => {
+    const { trades, rejected } = parse(csv(
+      { symbol: 'NOPE' },
+      { type: 'short' },
+      { date: '2026-02-30' },
+      { date: TODAY },
+      { date: '2026-10-17' },
+      { quantity: 2.5 },
+      { price: 0 },
+      {},
+    ));
+    expect(trades.map(t => t.row)).toEqual([9]);
+    expect(rejected).toEqual([
+      { row: 2, error: 'Unknown symbol "NOPE"' },
+      { row: 3, error: 'Trade type must be buy or sell, not "short"' },
+      { row: 4, error: 'Trade date "2026-02-30" is not a date (YYYY-MM-DD)' },
+      { row: 5, error: 'Only trades from before today can be imported' },
+      { row: 6, error: '2026-10-17 is not a trading day' },
+      { row: 7, error: 'Quantity must be a positive whole number' },
+      { row: 8, error: 'Price must be positive' },
+    ]);
+  });
+
+  it('rejects trade ids already in the account or repeated in the file', () => {
+    const { trades, rejected } = parse(csv({ tradeId: 'A' }, { tradeId: 'B' }, { tradeId: 'B' }), { importedIds: new Set(['A']) });
+    expect(trades.map(t => t.tradeId)).toEqual(['B']);
+    expect(rejected).toEqual([
+      { row: 2, error: 'Trade A has already been imported' },
+      { row: 4, error: 'Trade B has already been imported' },
+    ]);
+  });
+
+  it('fails the whole file without the required columns', () => {
+    expect(parse('symbol,quantity\nTCS,1').error).toBe('Missing columns: trade_date, trade_type, price');
+  });
+
+  it('recognises its own export, so re-importing it is caught', () => {
+    const orders = [{
+      id: 12, symbol: 'TCS.NS', side: 'BUY', status: 'EXECUTED', type: 'MARKET',
+      fills: [{ price: 3800, quantity: 10, at: Date.parse('2026-10-14T10:15:00+05:30') }],
+    }];
+    const { trades, rejected } = parse(exportTradebook(orders), { importedIds: knownTradeIds(orders) });
+    expect(trades).toEqual([]);
+    expect(rejected).toEqual([{ row: 2, error: 'Trade 1201 has already been imported' }]);
+  });
+});
+
+describe('planImport', () => {
+  const plan = (...rows) => planImport(parse(csv(...rows)).trades);
+
+  it('keeps delivery buys as holdings at cost and books P&L on delivery sells, FIFO', () => {
+    const { trades, holdings, realised, rejected } = plan(
+      { date: '2026-10-12', quantity: 10, price: 100 },
+      { date: '2026-10-13', quantity: 10, price: 120 },
+      { date: '2026-10-14', type: 'sell', quantity: 15, price: 130 },
+    );
+    expect(rejected).toEqual([]);
+    expect(trades.map(t => [t.product, t.pnl])).toEqual([['CNC', null], ['CNC', null], ['CNC', 350]]);
+    expect(holdings).toEqual([{ symbol: 'TCS.NS', quantity: 5, cost: 600 }]);
+    expect(realised).toBe(350);
+  });
+
+  it('takes a symbol\'s trades on a day that nets to zero as intraday', () => {
+    const { trades, holdings, realised } = plan(
+      { date: '2026-10-14', type: 'sell', quantity: 10, price: 500, time: '09:30:00' },
+      { date: '2026-10-14', quantity: 10, price: 480, time: '14:00:00' },
+    );
+    expect(trades.map(t => [t.product, t.side, t.pnl])).toEqual([['MIS', 'SELL', null], ['MIS', 'BUY', 200]]);
+    expect(holdings).toEqual([]);
+    expect(realised).toBe(200);
+  });
+
+  it('rejects delivery sells with no earlier buy to match', () => {
+    const { trades, rejected, realised } = plan(
+      { date: '2026-10-12', type: 'sell', quantity: 5, price: 130 },
+      { date: '2026-10-13', quantity: 10, price: 100 },
+      { date: '2026-10-14', type: 'sell', quantity: 12, price: 130 },
+    );
+    expect(trades).toHaveLength(1);
+    expect(rejected).toEqual([
+      { row: 2, error: 'Sells 5 TCS.NS but only 0 bought before it in the file' },
+      { row: 4, error: 'Sells 12 TCS.NS but only 10 bought before it in the file' },
+    ]);
+    expect(realised).toBe(0);
+  });
+});
+
+describe('checkImportFunds', () => {
+  const holdings = [{ symbol: 'TCS.NS', quantity: 10, cost: 38000 }];
+
+  it('passes when the balance covers the holdings less realised P&L', () => {
+    expect(checkImportFunds({ holdings, realised: 1000 }, 37000)).toBeNull();
+  });
+
+  it('fails when it does not', () => {
+    expect(checkImportFunds({ holdings, realised: 0 }, 37000)).toBe('Holdings cost ₹38,000; the balance of ₹37,000 does not cover it');
+  });
+});
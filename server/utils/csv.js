@@ -0,0 +1,54 @@
+/**
+ * CSV helpers for the data files under server/data, and for CSV files
+ * users upload and download.
+ */
+
+/** Parse CSV row respecting commas in quoted values */
+export function parseCSV(text) {
+  const lines = text.trim().split('\n');
+  const headers = lines[0].split(',').map(h => h.trim());
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    const vals = lines[i].split(',').map(v => v.trim());
+    const row = {};
+    headers.forEach((h, idx) => {
+      const v = vals[idx];
+      row[h] = isNaN(v) || v === '' ? v : parseFloat(v);
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields (which may
+ * contain commas and "" for a quote). Values stay strings.
+ */
+export function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+/** Quote a value for CSV output if it needs it. */
+export function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
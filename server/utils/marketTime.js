@@ -0,0 +1,59 @@
+/**
+ * Market clock helpers — Indian Standard Time (UTC+5:30, no DST) regardless
+ * of the server's own time zone.
+ */
+
+const IST_OFFSET_MS = 5.5 * 60 * 60_000;
+
+/**
+ * Calendar fields of `date` in IST.
+ * @returns {{ year: number, month: number, day: number, weekday: number, minutes: number }}
+ *   month is 1-12, weekday 0=Sun…6=Sat, minutes since IST midnight
+ */
+export function istParts(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  return {
+    year: ist.getUTCFullYear(),
+    month: ist.getUTCMonth() + 1,
+    day: ist.getUTCDate(),
+    weekday: ist.getUTCDay(),
+    minutes: ist.getUTCHours() * 60 + ist.getUTCMinutes(),
+  };
+}
+
+/** IST calendar date of `date` as 'YYYY-MM-DD'. */
+export function istDateKey(date = new Date()) {
+  const { year, month, day } = istParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/** Weekdays are trading days (exchange holidays are not modelled). */
+export function isTradingDay(date = new Date()) {
+  const { weekday } = istParts(date);
+  return weekday !== 0 && weekday !== 6;
+}
+
+/**
+ * Parse an 'HH:MM' clock time into minutes since midnight.
+ * @returns {number|null} null if the string is not a valid time
+ */
+export function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * The trading day after the IST date `dateKey` ('YYYY-MM-DD') — the T+1
+ * settlement date of a trade done that day.
+ */
+export function nextTradingDay(dateKey) {
+  const date = new Date(`${dateKey}T12:00:00+05:30`);
+  do {
+    date.setTime(date.getTime() + 24 * 60 * 60_000);
+  } while (!isTradingDay(date));
+  return istDateKey(date);
+}
@@ -0,0 +1,17 @@
+/**
+ * Tick-size helpers — exchange prices move on a fixed grid per symbol
+ * (₹0.05 on NSE, ₹0.01 for stocks below ₹250).
+ */
+
+export const DEFAULT_TICK_SIZE = 0.05;
+
+/** Round a price to the nearest multiple of `tick`, working in paise */
+export function roundToTick(price, tick = DEFAULT_TICK_SIZE) {
+  const paise = Math.round(tick * 100);
+  return (Math.round(Math.round(price * 100) / paise) * paise) / 100;
+}
+
+/** True when `price` lies on the `tick` grid */
+export function isOnTick(price, tick = DEFAULT_TICK_SIZE) {
+  return Math.abs(roundToTick(price, tick) - price) < 1e-6;
+}